@@ -1,8 +1,17 @@
 const markdownIt = require('markdown-it');
 const markdownItAnchor = require('markdown-it-anchor');
 const syntaxHighlight = require('@11ty/eleventy-plugin-syntaxhighlight');
+const ProvenanceCheck = require('./scripts/provenance-check');
+const { isDemoMode } = require('./scripts/data-paths');
 
 module.exports = function(eleventyConfig) {
+  // Synthetic rows never reach the production site; demo builds read data/demo.db
+  eleventyConfig.on('eleventy.before', () => {
+    if (!isDemoMode()) {
+      ProvenanceCheck.assertProductionClean();
+    }
+  });
+
   // Add plugins
   eleventyConfig.addPlugin(syntaxHighlight);
 
@@ -56,6 +65,12 @@ module.exports = function(eleventyConfig) {
     return JSON.stringify(obj).replace(/'/g, "\\'");
   });
 
+  eleventyConfig.addFilter('ordinal', function(number) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = [11, 12, 13].includes(number % 100) ? 'th' : (suffixes[number % 10] || 'th');
+    return `${number}${suffix}`;
+  });
+
   // Watch targets
   eleventyConfig.addWatchTarget('./src/css/');
   eleventyConfig.addWatchTarget('./src/js/');
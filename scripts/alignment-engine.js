@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+
+/**
+ * Alignment Engine
+ * Computes voting_alignment and legislative_alignment for every pair of
+ * members from bitsets built in one pass over the data, instead of a query
+ * per pair.
+ *
+ * Voting: each member gets a Yea bitset and a Nay bitset over every roll
+ * call. Two members share a vote where both cast Yea or Nay, and agree
+ * where their bits coincide, so each pair costs a few word-wise ANDs and
+ * popcounts. Legislation works the same way with sponsor and cosponsor
+ * bitsets over bills.
+ *
+ * Voting alignment updates incrementally: every pair involving a member
+ * with votes recorded since the last run is deleted and recomputed. Pairs are stored
+ * once, lower politician id first, and only when they share something.
+ */
+
+const Database = require('better-sqlite3');
+const Migrator = require('./migrate');
+const VotingStatistics = require('./voting-statistics');
+const { stamp, SOURCE_TYPES } = require('./provenance');
+const clock = require('./clock');
+const { getDatabasePath } = require('./data-paths');
+
+const CHECKPOINT = 'voting_alignment';
+
+/**
+ * Set bits in a 32-bit word
+ */
+function popcount(word) {
+  let bits = word - ((word >>> 1) & 0x55555555);
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+  return (((bits + (bits >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Set bits in the intersection of two bitsets
+ */
+function countShared(a, b) {
+  let count = 0;
+  for (let word = 0; word < a.length; word++) {
+    const both = a[word] & b[word];
+    if (both !== 0) count += popcount(both);
+  }
+  return count;
+}
+
+function createBitset(size) {
+  return new Uint32Array(Math.ceil(size / 32) || 1);
+}
+
+function setBit(bitset, index) {
+  bitset[index >>> 5] |= 1 << (index & 31);
+}
+
+class AlignmentEngine {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   */
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(getDatabasePath());
+    Migrator.migrate(this.db);
+  }
+
+  /**
+   * Order a pair the way it is stored
+   */
+  static orderPair(politician1Id, politician2Id) {
+    const [first, second] = [String(politician1Id), String(politician2Id)];
+    return first < second ? [first, second] : [second, first];
+  }
+
+  /**
+   * Yea and Nay bitsets over every roll call, one pair per member
+   * @returns {Object} { members: [politician_id], yes: [Uint32Array], no: [Uint32Array], cast: [Uint32Array] }
+   */
+  buildVoteVectors() {
+    const voteIndex = new Map();
+    this.db.prepare('SELECT id FROM votes ORDER BY id').all().forEach((vote, index) => voteIndex.set(vote.id, index));
+
+    const members = new Map();
+    const vectorsFor = (politicianId) => {
+      if (!members.has(politicianId)) {
+        members.set(politicianId, { yes: createBitset(voteIndex.size), no: createBitset(voteIndex.size) });
+      }
+      return members.get(politicianId);
+    };
+
+    for (const row of this.db.prepare('SELECT vote_id, politician_id, position FROM politician_votes').iterate()) {
+      const index = voteIndex.get(row.vote_id);
+      const side = VotingStatistics.classifyPosition(row.position);
+      if (index === undefined || (side !== 'yes' && side !== 'no')) continue;
+      setBit(vectorsFor(String(row.politician_id))[side], index);
+    }
+
+    const ids = [...members.keys()].sort();
+    const yes = ids.map(id => members.get(id).yes);
+    const no = ids.map(id => members.get(id).no);
+    const cast = ids.map((id, i) => yes[i].map((word, w) => word | no[i][w]));
+    return { members: ids, yes, no, cast };
+  }
+
+  /**
+   * Agreement for every pair that includes one of the given members (all pairs by default)
+   * @returns {Array} [{ politician1_id, politician2_id, total_shared_votes, agreement_count, agreement_rate }]
+   */
+  computeVotingAlignment(vectors, onlyMembers = null) {
+    const { members, yes, no, cast } = vectors;
+    const focus = onlyMembers ? new Set([...onlyMembers].map(String)) : null;
+    const pairs = [];
+
+    for (let i = 0; i < members.length; i++) {
+      for (let k = i + 1; k < members.length; k++) {
+        if (focus && !focus.has(members[i]) && !focus.has(members[k])) continue;
+
+        const shared = countShared(cast[i], cast[k]);
+        if (shared === 0) continue;
+
+        const agreed = countShared(yes[i], yes[k]) + countShared(no[i], no[k]);
+        pairs.push({
+          politician1_id: members[i],
+          politician2_id: members[k],
+          total_shared_votes: shared,
+          agreement_count: agreed,
+          agreement_rate: Math.round((agreed / shared) * 10000) / 100
+        });
+      }
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Bring voting_alignment up to date. Without a checkpoint, or with
+   * { full: true }, every pair is recomputed.
+   * @returns {Object} { pairs, members, full }
+   */
+  updateVotingAlignment(options = {}) {
+    const { full = false } = options;
+    const startedAt = clock.toSqlTimestamp();
+    const checkpoint = this.db.prepare('SELECT last_run_at FROM computation_checkpoints WHERE name = ?').get(CHECKPOINT);
+    const rebuild = full || !checkpoint;
+
+    const affected = rebuild ? null : this.db.prepare(`
+      SELECT DISTINCT pv.politician_id
+      FROM politician_votes pv
+      JOIN votes v ON v.id = pv.vote_id
+      WHERE pv.created_at >= @since OR v.updated_at >= @since
+    `).all({ since: checkpoint.last_run_at }).map(row => String(row.politician_id));
+
+    const known = new Set(this.db.prepare('SELECT id FROM politicians').all().map(row => row.id));
+    let pairs = [];
+    if (rebuild || affected.length > 0) {
+      pairs = this.computeVotingAlignment(this.buildVoteVectors(), affected)
+        .filter(pair => known.has(pair.politician1_id) && known.has(pair.politician2_id));
+    }
+
+    const provenance = stamp(SOURCE_TYPES.COMPUTED, 'alignment-engine');
+    const upsert = this.db.prepare(`
+      INSERT INTO voting_alignment (
+        politician1_id, politician2_id, total_shared_votes, agreement_count, agreement_rate,
+        last_calculated, source_type, source_url, retrieved_at, method
+      ) VALUES (
+        @politician1_id, @politician2_id, @total_shared_votes, @agreement_count, @agreement_rate,
+        @last_calculated, @source_type, @source_url, @retrieved_at, @method
+      )
+      ON CONFLICT (politician1_id, politician2_id) DO UPDATE SET
+        total_shared_votes = excluded.total_shared_votes,
+        agreement_count = excluded.agreement_count,
+        agreement_rate = excluded.agreement_rate,
+        last_calculated = excluded.last_calculated,
+        source_type = excluded.source_type,
+        source_url = excluded.source_url,
+        retrieved_at = excluded.retrieved_at,
+        method = excluded.method
+    `);
+
+    this.db.transaction(() => {
+      if (rebuild) {
+        this.db.prepare('DELETE FROM voting_alignment').run();
+      } else {
+        // A changed vote can leave an affected member sharing nothing with
+        // someone they used to, so their pairs are rebuilt rather than upserted
+        const remove = this.db.prepare('DELETE FROM voting_alignment WHERE politician1_id = ? OR politician2_id = ?');
+        affected.forEach(id => remove.run(id, id));
+      }
+      pairs.forEach(pair => upsert.run({ ...pair, ...provenance, last_calculated: startedAt }));
+
+      this.db.prepare(`
+        INSERT INTO computation_checkpoints (name, last_run_at, details) VALUES (?, ?, ?)
+        ON CONFLICT (name) DO UPDATE SET last_run_at = excluded.last_run_at, details = excluded.details
+      `).run(CHECKPOINT, startedAt, JSON.stringify({ pairs: pairs.length, full: rebuild }));
+    })();
+
+    return { pairs: pairs.length, members: rebuild ? null : affected.length, full: rebuild };
+  }
+
+  /**
+   * Recompute legislative_alignment: bills both members sponsored, and bills both cosponsored
+   * @returns {Object} { pairs }
+   */
+  updateLegislativeAlignment() {
+    const billIndex = new Map();
+    this.db.prepare('SELECT id FROM legislation ORDER BY id').all().forEach((bill, index) => billIndex.set(bill.id, index));
+
+    const members = new Map();
+    for (const row of this.db.prepare('SELECT politician_id, legislation_id, relationship_type FROM politician_legislation').iterate()) {
+      const index = billIndex.get(row.legislation_id);
+      if (index === undefined || !['sponsor', 'cosponsor'].includes(row.relationship_type)) continue;
+
+      if (!members.has(row.politician_id)) {
+        members.set(row.politician_id, { sponsor: createBitset(billIndex.size), cosponsor: createBitset(billIndex.size) });
+      }
+      setBit(members.get(row.politician_id)[row.relationship_type], index);
+    }
+
+    const ids = [...members.keys()].sort();
+    const vectors = ids.map(id => members.get(id));
+    const provenance = stamp(SOURCE_TYPES.COMPUTED, 'alignment-engine');
+    const calculatedAt = clock.toSqlTimestamp();
+    const insert = this.db.prepare(`
+      INSERT INTO legislative_alignment (
+        politician1_id, politician2_id, shared_sponsored, shared_cosponsored, total_alignment_score,
+        last_calculated, source_type, source_url, retrieved_at, method
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    let pairs = 0;
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM legislative_alignment').run();
+
+      for (let i = 0; i < ids.length; i++) {
+        for (let k = i + 1; k < ids.length; k++) {
+          const sponsored = countShared(vectors[i].sponsor, vectors[k].sponsor);
+          const cosponsored = countShared(vectors[i].cosponsor, vectors[k].cosponsor);
+          if (sponsored === 0 && cosponsored === 0) continue;
+
+          // Sponsoring together is more significant than cosponsoring together
+          insert.run(
+            ids[i], ids[k], sponsored, cosponsored, sponsored * 2 + cosponsored, calculatedAt,
+            provenance.source_type, provenance.source_url, provenance.retrieved_at, provenance.method
+          );
+          pairs++;
+        }
+      }
+    })();
+
+    return { pairs };
+  }
+
+  /**
+   * Stored voting alignment between two members, or null if they share no votes
+   */
+  getVotingAlignment(politician1Id, politician2Id) {
+    const [first, second] = AlignmentEngine.orderPair(politician1Id, politician2Id);
+    return this.db.prepare(`
+      SELECT * FROM voting_alignment WHERE politician1_id = ? AND politician2_id = ?
+    `).get(first, second) || null;
+  }
+
+  /**
+   * The members a politician votes with most (or least) often
+   * @param {Object} options - { limit, order: 'desc' | 'asc', minShared }
+   */
+  getMostAligned(politicianId, options = {}) {
+    const { limit = 10, order = 'desc', minShared = 20 } = options;
+    return this.db.prepare(`
+      SELECT
+        CASE WHEN va.politician1_id = @id THEN va.politician2_id ELSE va.politician1_id END AS politician_id,
+        p.name, p.party, p.state, p.chamber,
+        va.total_shared_votes, va.agreement_count, va.agreement_rate
+      FROM voting_alignment va
+      JOIN politicians p ON p.id = CASE WHEN va.politician1_id = @id THEN va.politician2_id ELSE va.politician1_id END
+      WHERE (va.politician1_id = @id OR va.politician2_id = @id)
+        AND va.total_shared_votes >= @min_shared
+      ORDER BY va.agreement_rate ${order === 'asc' ? 'ASC' : 'DESC'}, va.total_shared_votes DESC
+      LIMIT @limit
+    `).all({ id: String(politicianId), min_shared: minShared, limit });
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'help';
+
+  function runCLI() {
+    if (!['update', 'legislative', 'show', 'top'].includes(command)) {
+      console.log(`
+🧮 Alignment Engine
+
+Usage: node alignment-engine.js <command> [options]
+
+Commands:
+  update [--full]             Recompute voting alignment for members with new votes (or everyone)
+  legislative                 Recompute shared sponsorship and cosponsorship for every pair
+  show <politician> <other>   Show how often two members vote together
+  top <politician_id>         Members a politician votes with most often
+  help                        Show this help message
+      `);
+      return;
+    }
+
+    const engine = new AlignmentEngine();
+
+    try {
+      switch (command) {
+        case 'update': {
+          const started = Date.now();
+          const result = engine.updateVotingAlignment({ full: args.includes('--full') });
+          const scope = result.full ? 'all members' : `${result.members} members with new votes`;
+          console.log(`✅ Stored ${result.pairs} voting alignment pairs for ${scope} in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+          break;
+        }
+
+        case 'legislative': {
+          const started = Date.now();
+          const result = engine.updateLegislativeAlignment();
+          console.log(`✅ Stored ${result.pairs} legislative alignment pairs in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+          break;
+        }
+
+        case 'show': {
+          const alignment = args[1] && args[2] ? engine.getVotingAlignment(args[1], args[2]) : null;
+          if (!alignment) {
+            console.log('No shared votes recorded for that pair');
+            break;
+          }
+          console.log(`🧮 ${args[1]} and ${args[2]} agreed on ${alignment.agreement_count} of ${alignment.total_shared_votes} shared votes (${alignment.agreement_rate}%)`);
+          break;
+        }
+
+        case 'top': {
+          const rows = args[1] ? engine.getMostAligned(args[1]) : [];
+          if (rows.length === 0) {
+            console.log(`No alignment recorded for ${args[1] || '(missing politician id)'}`);
+            break;
+          }
+          rows.forEach((row, index) => {
+            console.log(`   ${String(index + 1).padStart(2)}. ${row.name} (${row.party}-${row.state}): ${row.agreement_rate}% of ${row.total_shared_votes}`);
+          });
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Alignment failed:', error.message);
+      process.exit(1);
+    } finally {
+      engine.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = AlignmentEngine;
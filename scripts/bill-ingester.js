@@ -0,0 +1,474 @@
+#!/usr/bin/env node
+
+/**
+ * Bill Ingester
+ * Fills the bills and amendments tables from Congress.gov for the
+ * legislation our roll-call votes are on, so topic mapping and consistency
+ * analysis can follow a vote to the bill behind it
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const HttpClient = require('./http-client');
+const LegislationResolver = require('./legislation-resolver');
+const Migrator = require('./migrate');
+const clock = require('./clock');
+const { getDatabasePath } = require('./data-paths');
+
+// Load .env file manually if it exists
+function loadEnvFile() {
+  const envPath = path.join(__dirname, '..', '.env');
+  if (fs.existsSync(envPath)) {
+    const lines = fs.readFileSync(envPath, 'utf8').split('\n');
+    for (const line of lines) {
+      const trimmedLine = line.trim();
+      if (trimmedLine && !trimmedLine.startsWith('#')) {
+        const [key, ...valueParts] = trimmedLine.split('=');
+        if (key && valueParts.length > 0) {
+          process.env[key.trim()] = valueParts.join('=').trim();
+        }
+      }
+    }
+  }
+}
+
+loadEnvFile();
+
+class BillIngester {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   */
+  constructor(options = {}) {
+    this.baseApiUrl = 'https://api.congress.gov/v3';
+    this.apiKey = process.env.CONGRESS_GOV_API_KEY;
+    this.http = new HttpClient();
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(getDatabasePath());
+    Migrator.migrate(this.db);
+    this.resolver = new LegislationResolver(this.db);
+  }
+
+  /**
+   * Build a Congress.gov API URL for a bill, or one of its sub-resources
+   */
+  buildBillUrl(congress, type, number, resource = '') {
+    const url = `${this.baseApiUrl}/bill/${congress}/${type.toLowerCase()}/${number}${resource ? `/${resource}` : ''}?format=json`;
+    return url + (this.apiKey ? `&api_key=${this.apiKey}` : '');
+  }
+
+  /**
+   * Fetch JSON from the API, returning null when the resource is missing
+   */
+  async fetchJson(url) {
+    const response = await this.http.fetch(url);
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Fetch a bill with its latest summary and legislative subjects
+   */
+  async fetchBill(congress, type, number) {
+    const data = await this.fetchJson(this.buildBillUrl(congress, type, number));
+    if (!data || !data.bill) return null;
+
+    const bill = data.bill;
+    let summary = null;
+    let subjects = [];
+
+    if (bill.summaries && bill.summaries.count > 0) {
+      const summaryData = await this.fetchJson(this.buildBillUrl(congress, type, number, 'summaries'));
+      summary = this.getLatestSummary(summaryData && summaryData.summaries);
+    }
+
+    if (bill.subjects && bill.subjects.count > 0) {
+      const subjectData = await this.fetchJson(this.buildBillUrl(congress, type, number, 'subjects'));
+      const legislativeSubjects = subjectData && subjectData.subjects && subjectData.subjects.legislativeSubjects;
+      subjects = (legislativeSubjects || []).map(subject => subject.name).filter(Boolean);
+    }
+
+    return { ...bill, summaryText: summary, subjectNames: subjects };
+  }
+
+  /**
+   * Pick the most recent summary and strip its HTML
+   */
+  getLatestSummary(summaries) {
+    if (!Array.isArray(summaries) || summaries.length === 0) return null;
+
+    const latest = [...summaries].sort((a, b) =>
+      (b.updateDate || b.actionDate || '').localeCompare(a.updateDate || a.actionDate || '')
+    )[0];
+
+    return (latest.text || '')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim() || null;
+  }
+
+  /**
+   * Store a bill fetched from the API
+   */
+  saveBill(billId, bill) {
+    const law = Array.isArray(bill.laws) && bill.laws.length > 0 ? bill.laws[0] : null;
+    const sponsor = Array.isArray(bill.sponsors) && bill.sponsors.length > 0 ? bill.sponsors[0] : null;
+    const parsed = this.resolver.parseId(billId);
+
+    this.db.prepare(`
+      INSERT OR REPLACE INTO bills (
+        id, congress, bill_type, bill_number, title, summary, status, status_date,
+        became_law, law_number, introduced_date, origin_chamber, policy_area, subjects,
+        sponsor_bioguide_id, url, last_updated
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      billId,
+      parsed.congress,
+      parsed.type,
+      parsed.number,
+      bill.title || null,
+      bill.summaryText || null,
+      bill.latestAction ? bill.latestAction.text : null,
+      bill.latestAction ? bill.latestAction.actionDate : null,
+      law ? 1 : 0,
+      law ? `${law.type || 'Law'} ${law.number}` : null,
+      bill.introducedDate || null,
+      bill.originChamber || null,
+      bill.policyArea ? bill.policyArea.name : null,
+      JSON.stringify(bill.subjectNames || []),
+      sponsor ? sponsor.bioguideId : null,
+      `https://api.congress.gov/v3/bill/${parsed.congress}/${parsed.type.toLowerCase()}/${parsed.number}`,
+      clock.toSqlTimestamp()
+    );
+  }
+
+  /**
+   * Fetch and store one bill by id (e.g. 118-HR-1548), returning true on success
+   */
+  async ingestBill(billId) {
+    const parsed = this.resolver.parseId(billId);
+
+    if (!parsed || this.resolver.isAmendmentType(parsed.type)) {
+      console.log(`⚠️  ${billId} is not a bill id`);
+      return false;
+    }
+
+    try {
+      const bill = await this.fetchBill(parsed.congress, parsed.type, parsed.number);
+
+      if (!bill) {
+        console.log(`⚠️  Bill ${billId} not found on Congress.gov`);
+        return false;
+      }
+
+      this.saveBill(billId, bill);
+      console.log(`✅ Stored bill ${billId}: ${(bill.title || '').substring(0, 60)}`);
+      return true;
+
+    } catch (error) {
+      console.error(`❌ Error fetching bill ${billId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Build a Congress.gov API URL for an amendment
+   */
+  buildAmendmentUrl(congress, type, number) {
+    const url = `${this.baseApiUrl}/amendment/${congress}/${type.toLowerCase()}/${number}?format=json`;
+    return url + (this.apiKey ? `&api_key=${this.apiKey}` : '');
+  }
+
+  /**
+   * Store an amendment fetched from the API, keeping what the vote told us
+   * when the API leaves a field empty
+   */
+  saveAmendment(amendmentId, amendment) {
+    const parsed = this.resolver.parseId(amendmentId);
+    const sponsor = Array.isArray(amendment.sponsors) && amendment.sponsors.length > 0 ? amendment.sponsors[0] : null;
+    const amendedBill = amendment.amendedBill;
+    const amendedAmendment = amendment.amendedAmendment;
+
+    const billId = amendedBill && this.resolver.normalizeType(amendedBill.type)
+      ? this.resolver.buildId(amendedBill.congress || parsed.congress, this.resolver.normalizeType(amendedBill.type), amendedBill.number)
+      : null;
+    const parentAmendmentId = amendedAmendment && this.resolver.normalizeType(amendedAmendment.type)
+      ? this.resolver.buildId(amendedAmendment.congress || parsed.congress, this.resolver.normalizeType(amendedAmendment.type), amendedAmendment.number)
+      : null;
+
+    this.resolver.recordAmendment(amendmentId, {});
+
+    this.db.prepare(`
+      UPDATE amendments SET
+        bill_id = COALESCE(?, bill_id),
+        parent_amendment_id = COALESCE(?, parent_amendment_id),
+        chamber = COALESCE(?, chamber),
+        sponsor_bioguide_id = ?,
+        sponsor_name = COALESCE(?, sponsor_name),
+        purpose = COALESCE(?, purpose),
+        description = COALESCE(?, description),
+        status = ?,
+        status_date = ?,
+        submitted_date = ?,
+        source = 'congress.gov',
+        url = ?,
+        last_updated = ?
+      WHERE id = ?
+    `).run(
+      billId,
+      parentAmendmentId,
+      amendment.chamber ? (/senate/i.test(amendment.chamber) ? 'senate' : 'house') : null,
+      sponsor ? sponsor.bioguideId : null,
+      sponsor ? sponsor.fullName : null,
+      amendment.purpose || null,
+      amendment.description || null,
+      amendment.latestAction ? amendment.latestAction.text : null,
+      amendment.latestAction ? amendment.latestAction.actionDate : null,
+      amendment.submittedDate ? amendment.submittedDate.substring(0, 10) : null,
+      `https://api.congress.gov/v3/amendment/${parsed.congress}/${parsed.type.toLowerCase()}/${parsed.number}`,
+      clock.toSqlTimestamp(),
+      amendmentId
+    );
+  }
+
+  /**
+   * Fetch and store one amendment by id (e.g. 118-HAMDT-246), returning
+   * true on success
+   */
+  async ingestAmendment(amendmentId) {
+    const parsed = this.resolver.parseId(amendmentId);
+
+    if (!parsed || !this.resolver.isAmendmentType(parsed.type)) {
+      console.log(`⚠️  ${amendmentId} is not an amendment id`);
+      return false;
+    }
+
+    try {
+      const data = await this.fetchJson(this.buildAmendmentUrl(parsed.congress, parsed.type, parsed.number));
+
+      if (!data || !data.amendment) {
+        console.log(`⚠️  Amendment ${amendmentId} not found on Congress.gov`);
+        return false;
+      }
+
+      this.saveAmendment(amendmentId, data.amendment);
+      const purpose = data.amendment.purpose || data.amendment.description || '';
+      console.log(`✅ Stored amendment ${amendmentId}: ${purpose.substring(0, 60)}`);
+      return true;
+
+    } catch (error) {
+      console.error(`❌ Error fetching amendment ${amendmentId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Link stored votes to legislation, fetch the amendments voted on (which
+   * names their parent bills), then fetch every bill the votes point at
+   */
+  async ingestVotedBills(options = {}) {
+    const { refresh = false, limit = null } = options;
+
+    console.log('🔗 Linking votes to legislation...');
+    const linkResult = this.resolver.linkUnresolvedVotes();
+    console.log(`✅ Linked ${linkResult.linked} of ${linkResult.checked} unlinked votes`);
+
+    const amendmentIds = this.db.prepare(`
+      SELECT DISTINCT a.id
+      FROM amendments a
+      JOIN votes v ON v.amendment_id = a.id
+      ${refresh ? '' : "WHERE a.source = 'vote'"}
+      ORDER BY a.id
+    `).all().map(row => row.id);
+
+    const amendmentsToFetch = limit ? amendmentIds.slice(0, limit) : amendmentIds;
+    console.log(`📝 Fetching ${amendmentsToFetch.length} amendments from Congress.gov...`);
+
+    let amendmentsStored = 0;
+    for (const amendmentId of amendmentsToFetch) {
+      if (await this.ingestAmendment(amendmentId)) {
+        amendmentsStored++;
+      }
+    }
+
+    const attributed = this.resolver.attributeAmendmentVotes();
+    if (attributed > 0) {
+      console.log(`🔗 Attributed ${attributed} amendment votes to their parent bills`);
+    }
+
+    const billIds = this.db.prepare(`
+      SELECT DISTINCT v.bill_id
+      FROM votes v
+      LEFT JOIN bills b ON b.id = v.bill_id
+      WHERE v.bill_id IS NOT NULL
+      ${refresh ? '' : 'AND b.id IS NULL'}
+      ORDER BY v.bill_id
+    `).all().map(row => row.bill_id);
+
+    const toFetch = limit ? billIds.slice(0, limit) : billIds;
+    console.log(`📜 Fetching ${toFetch.length} bills from Congress.gov...`);
+
+    let stored = 0;
+    for (const billId of toFetch) {
+      if (await this.ingestBill(billId)) {
+        stored++;
+      }
+    }
+
+    console.log(`📊 Bill ingest complete: ${stored} bills and ${amendmentsStored} amendments stored`);
+    return { votesLinked: linkResult.linked, billsStored: stored, amendmentsStored };
+  }
+
+  /**
+   * Summarize stored bills and vote links
+   */
+  getStatus() {
+    const bills = this.db.prepare(`
+      SELECT congress, bill_type, COUNT(*) as count
+      FROM bills
+      GROUP BY congress, bill_type
+      ORDER BY congress, bill_type
+    `).all();
+
+    const amendments = this.db.prepare(`
+      SELECT
+        COUNT(*) as total,
+        SUM(CASE WHEN source = 'congress.gov' THEN 1 ELSE 0 END) as fetched,
+        SUM(CASE WHEN bill_id IS NOT NULL THEN 1 ELSE 0 END) as with_parent
+      FROM amendments
+    `).get();
+
+    const links = this.db.prepare(`
+      SELECT
+        COUNT(*) as total_votes,
+        SUM(CASE WHEN bill_id IS NOT NULL THEN 1 ELSE 0 END) as with_bill,
+        SUM(CASE WHEN amendment_id IS NOT NULL THEN 1 ELSE 0 END) as with_amendment,
+        SUM(CASE WHEN bill_id IS NOT NULL AND bill_id NOT IN (SELECT id FROM bills) THEN 1 ELSE 0 END) as missing_bill
+      FROM votes
+    `).get();
+
+    return { bills, amendments, links };
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : null;
+
+  async function runCLI() {
+    const command = args[0] || 'help';
+    const ingester = new BillIngester();
+
+    try {
+      switch (command) {
+        case 'link':
+          const linkResult = ingester.resolver.linkUnresolvedVotes();
+          console.log(`✅ Linked ${linkResult.linked} of ${linkResult.checked} unlinked votes`);
+          break;
+
+        case 'ingest':
+          if (!ingester.apiKey && !ingester.http.isReplaying()) {
+            console.error('❌ CONGRESS_GOV_API_KEY not found in environment variables');
+            process.exit(1);
+          }
+          await ingester.ingestVotedBills({
+            refresh: args.includes('--refresh'),
+            limit: parseInt(getArg('--limit')) || null
+          });
+          break;
+
+        case 'bill':
+          const billId = args[1];
+          if (!billId) {
+            console.error('Usage: node bill-ingester.js bill <congress-TYPE-number>');
+            process.exit(1);
+          }
+          await ingester.ingestBill(billId.toUpperCase());
+          break;
+
+        case 'amendment':
+          const amendmentId = args[1];
+          if (!amendmentId) {
+            console.error('Usage: node bill-ingester.js amendment <congress-TYPE-number>');
+            process.exit(1);
+          }
+          if (await ingester.ingestAmendment(amendmentId.toUpperCase())) {
+            ingester.resolver.attributeAmendmentVotes();
+          }
+          break;
+
+        case 'status':
+          const status = ingester.getStatus();
+          console.log('\n📊 Bill Status:');
+          console.log('─'.repeat(50));
+          if (status.bills.length === 0) {
+            console.log('No bills stored yet');
+          }
+          status.bills.forEach(row => {
+            console.log(`${row.congress} ${row.bill_type}: ${row.count} bills`);
+          });
+          console.log(`\nAmendments: ${status.amendments.total} (${status.amendments.fetched || 0} fetched, ${status.amendments.with_parent || 0} with a parent bill)`);
+          console.log(`Votes linked to a bill: ${status.links.with_bill || 0}/${status.links.total_votes}`);
+          console.log(`Votes linked to an amendment: ${status.links.with_amendment || 0}/${status.links.total_votes}`);
+          console.log(`Votes on bills not fetched yet: ${status.links.missing_bill || 0}`);
+          break;
+
+        case 'help':
+        default:
+          console.log(`
+📜 Bill Ingester
+
+Usage: node bill-ingester.js <command> [options]
+
+Commands:
+  link                    Link stored votes to bills and amendments
+  ingest                  Link votes, then fetch every amendment and bill they are on
+  bill <id>               Fetch a single bill (e.g. 118-HR-1548)
+  amendment <id>          Fetch a single amendment (e.g. 118-HAMDT-246)
+  status                  Show stored bills and vote links
+  help                    Show this help message
+
+Options:
+  --limit <n>             Fetch at most n amendments and n bills (ingest only)
+  --refresh               Re-fetch amendments and bills already stored (ingest only)
+
+Examples:
+  node bill-ingester.js ingest --limit 25
+  node bill-ingester.js bill 118-HRES-583
+          `);
+          break;
+      }
+
+    } catch (error) {
+      console.error('❌ CLI Error:', error);
+      process.exit(1);
+    } finally {
+      ingester.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = BillIngester;
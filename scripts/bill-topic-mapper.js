@@ -6,54 +6,24 @@
  */
 
 const Database = require('better-sqlite3');
-const path = require('path');
+const VoteDirectionCoder = require('./vote-direction-coder');
+const StanceAnalyzer = require('./stance-analyzer');
+const ScoreEvidence = require('./score-evidence');
+const Migrator = require('./migrate');
+const { stamp, isSynthetic, SOURCE_TYPES } = require('./provenance');
+const { getDatabasePath } = require('./data-paths');
 
 class BillTopicMapper {
-  constructor() {
-    const dbPath = path.join(__dirname, '..', 'data', 'politicians.db');
-    this.db = new Database(dbPath);
-    this.initializeBillTopicSchema();
-  }
-
   /**
-   * Initialize bill-topic mapping schema
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
    */
-  initializeBillTopicSchema() {
-    console.log('🗃️ Initializing bill-topic mapping schema...');
-    
-    // Bill topics junction table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS bill_topics (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        bill_id TEXT NOT NULL,
-        topic_id INTEGER NOT NULL,
-        relevance_score REAL DEFAULT 0.5,
-        mapping_method TEXT DEFAULT 'keyword',
-        mapped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (topic_id) REFERENCES policy_topics (id),
-        UNIQUE (bill_id, topic_id)
-      )
-    `);
-
-    // Enhanced voting analysis
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS position_vote_analysis (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        politician_id TEXT NOT NULL,
-        topic_id INTEGER NOT NULL,
-        stated_position TEXT,
-        voting_pattern TEXT,
-        consistency_score REAL,
-        total_votes INTEGER DEFAULT 0,
-        aligned_votes INTEGER DEFAULT 0,
-        analysis_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (politician_id) REFERENCES politicians (id),
-        FOREIGN KEY (topic_id) REFERENCES policy_topics (id),
-        UNIQUE (politician_id, topic_id)
-      )
-    `);
-
-    console.log('✅ Bill-topic mapping schema initialized');
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(getDatabasePath());
+    Migrator.migrate(this.db);
+    this.directionCoder = new VoteDirectionCoder({ db: this.db });
+    this.scoreEvidence = new ScoreEvidence(this.db);
   }
 
   /**
@@ -72,7 +42,7 @@ class BillTopicMapper {
 
     // Get all bills
     const bills = this.db.prepare(`
-      SELECT id as bill_id, title, summary 
+      SELECT id as bill_id, title, summary, policy_area, subjects
       FROM bills 
       WHERE title IS NOT NULL
     `).all();
@@ -80,7 +50,7 @@ class BillTopicMapper {
     console.log(`📊 Processing ${bills.length} bills...`);
 
     if (bills.length === 0) {
-      console.log('⚠️  No bills found in database. Please run bill fetching first.');
+      console.log('⚠️  No bills found in database. Please run `node scripts/bill-ingester.js ingest` first.');
       console.log('💡 You can still test policy position crawling without bill analysis.');
       return 0;
     }
@@ -93,7 +63,9 @@ class BillTopicMapper {
     let mappedCount = 0;
 
     for (const bill of bills) {
-      const billText = `${bill.title} ${bill.summary || ''}`.toLowerCase();
+      // Congress.gov subjects are curated, so they count alongside the title and summary
+      const subjects = bill.subjects ? JSON.parse(bill.subjects).join(' ') : '';
+      const billText = `${bill.title} ${bill.summary || ''} ${bill.policy_area || ''} ${subjects}`.toLowerCase();
       const matchedTopics = new Map();
 
       // Find topic matches
@@ -122,6 +94,10 @@ class BillTopicMapper {
   async analyzeVotingConsistency() {
     console.log('📊 Analyzing voting consistency with stated positions...');
 
+    // Consistency compares stances to what each vote actually did
+    this.directionCoder.codeAllVotes();
+    this.stanceAnalyzer = StanceAnalyzer.fromDatabase(this.db);
+
     // Get politicians with both positions and voting records
     const politiciansWithData = this.db.prepare(`
       SELECT DISTINCT p.id, p.name, p.party, p.state
@@ -134,8 +110,9 @@ class BillTopicMapper {
 
     const insertAnalysis = this.db.prepare(`
       INSERT OR REPLACE INTO position_vote_analysis 
-      (politician_id, topic_id, stated_position, voting_pattern, consistency_score, total_votes, aligned_votes)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      (politician_id, topic_id, stated_position, voting_pattern, consistency_score, total_votes, aligned_votes, amendment_votes,
+       source_type, retrieved_at, method)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     for (const politician of politiciansWithData) {
@@ -160,11 +137,14 @@ class BillTopicMapper {
     for (const position of positions) {
       // Find relevant bills for this topic
       const relevantVotes = this.db.prepare(`
-        SELECT pv.position as vote, v.bill_id, b.title
+        SELECT pv.position as vote, v.id as vote_id, v.bill_id, v.amendment_id, b.title,
+          a.purpose as amendment_purpose, vd.direction
         FROM politician_votes pv
         JOIN votes v ON pv.vote_id = v.id
         JOIN bills b ON v.bill_id = b.id
+        LEFT JOIN amendments a ON v.amendment_id = a.id
         JOIN bill_topics bt ON b.id = bt.bill_id
+        LEFT JOIN vote_directions vd ON vd.vote_id = v.id AND vd.topic_id = bt.topic_id
         WHERE pv.politician_id = ? AND bt.topic_id = ?
           AND pv.position IN ('Yes', 'No')
         ORDER BY bt.relevance_score DESC
@@ -174,6 +154,12 @@ class BillTopicMapper {
 
       // Analyze voting pattern
       const votingAnalysis = this.analyzeVotingPattern(position, relevantVotes);
+
+      // A score computed from a demo position is demo data too
+      const provenance = stamp(
+        isSynthetic(position.source_type) ? SOURCE_TYPES.DEMO : SOURCE_TYPES.COMPUTED,
+        'bill-topic-mapper'
+      );
       
       insertStmt.run(
         politician.id,
@@ -181,12 +167,42 @@ class BillTopicMapper {
         position.position_summary,
         votingAnalysis.pattern,
         votingAnalysis.consistencyScore,
-        relevantVotes.length,
-        votingAnalysis.alignedVotes
+        votingAnalysis.totalVotes,
+        votingAnalysis.alignedVotes,
+        votingAnalysis.amendmentVotes,
+        provenance.source_type,
+        provenance.retrieved_at,
+        provenance.method
       );
+
+      this.scoreEvidence.replace(politician.id, position.topic_id, 'vote_consistency', votingAnalysis.evidence);
     }
   }
 
+  /**
+   * Policy effect of one vote on the topic: 1 when it pushed toward
+   * expanding policy, -1 toward restricting it, 0 when it had no effect
+   */
+  getVoteEffect(vote) {
+    if (!vote.direction || vote.direction === 'neutral') return 0;
+
+    const yesEffect = vote.direction === 'expand' ? 1 : -1;
+    return vote.vote === 'Yes' ? yesEffect : -yesEffect;
+  }
+
+  /**
+   * Stated stance on the position's topic: the crawler's stance when it
+   * found one, otherwise a fresh read of the summary
+   */
+  getStatedStance(position) {
+    if (position.stance === 'support' || position.stance === 'oppose') {
+      return position.stance;
+    }
+
+    const analyzer = this.stanceAnalyzer || StanceAnalyzer.fromDatabase(this.db);
+    return analyzer.analyze(position.position_summary, position.canonical_name).position;
+  }
+
   /**
    * Analyze voting pattern for consistency
    */
@@ -194,50 +210,133 @@ class BillTopicMapper {
     // This is a simplified analysis - in reality, you'd want more sophisticated 
     // natural language processing to determine if votes align with stated positions
     
-    const totalVotes = votes.length;
-    const yesVotes = votes.filter(v => v.vote === 'Yes').length;
-    const noVotes = votes.filter(v => v.vote === 'No').length;
+    // Votes are judged by their coded direction rather than Yes/No, so a Yes
+    // to table a bill or to pass a repeal counts against the topic, and a Yes
+    // on a gutting amendment counts against it even if passage follows
+    const directional = votes
+      .map(v => ({ ...v, effect: this.getVoteEffect(v) }))
+      .filter(v => v.effect !== 0);
+    const amendmentVotes = votes.filter(v => v.amendment_id).length;
+
+    if (directional.length === 0) {
+      return {
+        pattern: amendmentVotes === votes.length ? 'amendments_only' : 'no_policy_effect',
+        consistencyScore: 0.5,
+        alignedVotes: 0,
+        totalVotes: 0,
+        amendmentVotes,
+        evidence: this.buildConsistencyEvidence(position, votes, null)
+      };
+    }
+
+    const totalVotes = directional.length;
+    const expandingVotes = directional.filter(v => v.effect > 0).length;
     
     // Simple pattern analysis
     let pattern;
-    const yesPercent = yesVotes / totalVotes;
+    const expandPercent = expandingVotes / totalVotes;
     
-    if (yesPercent > 0.7) {
+    if (expandPercent > 0.7) {
       pattern = 'mostly_supportive';
-    } else if (yesPercent < 0.3) {
+    } else if (expandPercent < 0.3) {
       pattern = 'mostly_opposing';
     } else {
       pattern = 'mixed';
     }
 
-    // Simplified consistency scoring
-    // In a real implementation, you'd analyze the position text and bill content
-    let consistencyScore = 0.5; // Default neutral
-    
-    // Basic keyword analysis for consistency
-    const positionText = position.position_summary.toLowerCase();
-    const supportKeywords = ['support', 'champion', 'advocate', 'promote', 'strengthen', 'expand'];
-    const opposeKeywords = ['oppose', 'against', 'prevent', 'stop', 'reduce', 'eliminate'];
-    
-    const hasSupport = supportKeywords.some(keyword => positionText.includes(keyword));
-    const hasOppose = opposeKeywords.some(keyword => positionText.includes(keyword));
-    
-    if (hasSupport && pattern === 'mostly_supportive') {
-      consistencyScore = 0.8;
-    } else if (hasOppose && pattern === 'mostly_opposing') {
-      consistencyScore = 0.8;
-    } else if ((hasSupport && pattern === 'mostly_opposing') || 
-               (hasOppose && pattern === 'mostly_supportive')) {
-      consistencyScore = 0.2;
+    const stance = this.getStatedStance(position);
+
+    // Share of votes whose policy effect matches the stance; neutral when
+    // the stance is unclear
+    let alignedVotes = null;
+    if (stance === 'support') {
+      alignedVotes = expandingVotes;
+    } else if (stance === 'oppose') {
+      alignedVotes = totalVotes - expandingVotes;
+    }
+
+    const consistencyScore = alignedVotes === null
+      ? 0.5
+      : Math.round((alignedVotes / totalVotes) * 100) / 100;
+
+    // Voted for an amendment that cut against the rest of the record
+    if (pattern !== 'mixed') {
+      const majorityEffect = pattern === 'mostly_supportive' ? 1 : -1;
+      const againstMajority = directional.some(v => v.amendment_id && v.vote === 'Yes' && v.effect !== majorityEffect);
+      if (againstMajority) {
+        pattern = `${pattern}_after_amendments`;
+      }
     }
 
     return {
       pattern,
       consistencyScore,
-      alignedVotes: Math.round(consistencyScore * totalVotes)
+      alignedVotes: alignedVotes === null ? Math.round(consistencyScore * totalVotes) : alignedVotes,
+      totalVotes,
+      amendmentVotes,
+      evidence: this.buildConsistencyEvidence(position, votes, stance)
     };
   }
 
+  /**
+   * Evidence for a consistency score: the stance compared against, then
+   * every vote with its coded direction. Votes with a policy effect share
+   * the score equally; the rest are kept with no weight.
+   */
+  buildConsistencyEvidence(position, votes, stance) {
+    const directionalCount = votes.filter(v => this.getVoteEffect(v) !== 0).length;
+    const evidence = [];
+
+    if (stance) {
+      evidence.push({
+        kind: 'stance',
+        reference: position.source_url,
+        excerpt: position.position_summary,
+        stance,
+        detail: position.stance === stance ? 'Stance found when the position was crawled' : 'Stance read from the position summary'
+      });
+    }
+
+    votes.forEach(v => {
+      const effect = this.getVoteEffect(v);
+      const counted = effect !== 0;
+      const known = stance === 'support' || stance === 'oppose';
+
+      let detail;
+      if (!v.direction) {
+        detail = 'Direction not coded';
+      } else if (!counted) {
+        detail = 'No policy effect on this topic';
+      } else {
+        detail = `${v.vote} pushed toward ${effect > 0 ? 'expanding' : 'restricting'} the topic`;
+      }
+
+      evidence.push({
+        kind: 'vote',
+        reference: v.vote_id,
+        excerpt: v.amendment_id ? `${v.amendment_id}: ${v.amendment_purpose || v.title}` : v.title,
+        vote: v.vote,
+        direction: v.direction,
+        aligned: counted && known ? (stance === 'support') === (effect > 0) : null,
+        weight: counted ? Math.round((1 / directionalCount) * 10000) / 10000 : 0,
+        detail
+      });
+    });
+
+    return evidence;
+  }
+
+  /**
+   * Flag stance reversals in stated positions and, from these topic
+   * mappings and vote directions, in votes between congresses
+   */
+  detectStanceChanges() {
+    // Required here because the detector builds on this class
+    const StanceChangeDetector = require('./stance-change-detector');
+    const detector = new StanceChangeDetector({ db: this.db, mapper: this });
+    return detector.detectAll();
+  }
+
   /**
    * Get topic coverage report for bills
    */
@@ -270,6 +369,7 @@ class BillTopicMapper {
         pva.consistency_score,
         pva.total_votes,
         pva.voting_pattern,
+        pva.amendment_votes,
         SUBSTR(pva.stated_position, 1, 100) as position_preview
       FROM position_vote_analysis pva
       JOIN politicians p ON pva.politician_id = p.id
@@ -293,6 +393,7 @@ class BillTopicMapper {
         pva.consistency_score,
         pva.total_votes,
         pva.voting_pattern,
+        pva.amendment_votes,
         SUBSTR(pva.stated_position, 1, 100) as position_preview
       FROM position_vote_analysis pva
       JOIN politicians p ON pva.politician_id = p.id
@@ -353,7 +454,7 @@ class BillTopicMapper {
     inconsistent.forEach((pol, index) => {
       console.log(`${index + 1}. ${pol.name} (${pol.party}-${pol.state}) - ${pol.topic}: ${(pol.consistency_score * 100).toFixed(0)}% consistency`);
       console.log(`   Position: "${pol.position_preview}..."`);
-      console.log(`   Voting: ${pol.voting_pattern} (${pol.total_votes} votes)`);
+      console.log(`   Voting: ${pol.voting_pattern} (${pol.total_votes} votes on bills, ${pol.amendment_votes || 0} on amendments)`);
     });
   }
 
@@ -366,6 +467,7 @@ class BillTopicMapper {
     try {
       await this.mapBillsToTopics();
       await this.analyzeVotingConsistency();
+      this.detectStanceChanges();
       this.printAnalysisReport();
     } catch (error) {
       console.error('💥 Analysis failed:', error);
@@ -377,7 +479,9 @@ class BillTopicMapper {
    * Close database connection
    */
   close() {
-    this.db.close();
+    if (this.ownsDb) {
+      this.db.close();
+    }
   }
 }
 
@@ -8,6 +8,8 @@
 
 const PeriodicVotingUpdater = require('./periodic-voting-updater');
 const CongressPopulator = require('./populate-congress');
+const clock = require('./clock');
+const { getDatabasePath } = require('./data-paths');
 const path = require('path');
 const fs = require('fs');
 
@@ -125,7 +127,7 @@ class BuildTimeUpdater {
    */
   async updateCongressionalData(force = false) {
     const Database = require('better-sqlite3');
-    const dbPath = path.join(__dirname, '..', 'data', 'politicians.db');
+    const dbPath = getDatabasePath();
     
     if (!force && fs.existsSync(dbPath)) {
       const stats = fs.statSync(dbPath);
@@ -150,7 +152,7 @@ class BuildTimeUpdater {
    */
   async generateDataFiles() {
     const Database = require('better-sqlite3');
-    const dbPath = path.join(__dirname, '..', 'data', 'politicians.db');
+    const dbPath = getDatabasePath();
     const dataDir = path.join(__dirname, '..', 'src', '_data');
     
     // Ensure data directory exists
@@ -182,21 +184,25 @@ class BuildTimeUpdater {
     console.log('📄 Generating politicians.js...');
     
     const politicians = db.prepare(`
-      SELECT p.*, vs.participation_rate, vs.total_votes
+      SELECT p.*, vs.participation_rate, vs.total_votes, ps.party_unity_score, ps.bipartisanship_index
       FROM politicians p
       LEFT JOIN voting_statistics vs ON p.id = vs.politician_id
-      ORDER BY p.name
+      LEFT JOIN party_scores ps ON p.id = ps.politician_id
+      ORDER BY p.name, p.id
     `).all();
 
+    const termsByPolitician = this.getTermsByPolitician(db);
+
     // Transform for Eleventy
     const politiciansData = politicians.map(p => ({
       ...p,
       slug: p.id,
-      bio_data: p.bio_data ? JSON.parse(p.bio_data) : null
+      bio_data: p.bio_data ? JSON.parse(p.bio_data) : null,
+      terms: termsByPolitician[p.id] || []
     }));
 
     const jsContent = `// Auto-generated by build-time-updater.js
-// Last updated: ${new Date().toISOString()}
+// Last updated: ${clock.now().toISOString()}
 
 module.exports = ${JSON.stringify(politiciansData, null, 2)};
 `;
@@ -205,6 +211,29 @@ module.exports = ${JSON.stringify(politiciansData, null, 2)};
     console.log(`✅ Generated politicians.js with ${politiciansData.length} entries`);
   }
 
+  /**
+   * Group service history by politician, newest congress first
+   */
+  getTermsByPolitician(db) {
+    // Databases created before terms were tracked have no table yet
+    const hasTerms = db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'politician_terms'
+    `).get();
+
+    if (!hasTerms) return {};
+
+    const terms = db.prepare(`
+      SELECT politician_id, congress, chamber, state, district, party
+      FROM politician_terms
+      ORDER BY congress DESC, chamber
+    `).all();
+
+    return terms.reduce((grouped, { politician_id, ...term }) => {
+      (grouped[politician_id] = grouped[politician_id] || []).push(term);
+      return grouped;
+    }, {});
+  }
+
   /**
    * Generate voting statistics
    */
@@ -244,11 +273,11 @@ module.exports = ${JSON.stringify(politiciansData, null, 2)};
         avgParticipationRate: politicianStats.avg_participation_rate || 0
       },
       byChamber: chamberStats,
-      lastUpdated: new Date().toISOString()
+      lastUpdated: clock.now().toISOString()
     };
 
     const jsContent = `// Auto-generated voting statistics
-// Last updated: ${new Date().toISOString()}
+// Last updated: ${clock.now().toISOString()}
 
 module.exports = ${JSON.stringify(votingStats, null, 2)};
 `;
@@ -266,16 +295,16 @@ module.exports = ${JSON.stringify(votingStats, null, 2)};
     const recentVotes = db.prepare(`
       SELECT 
         v.*,
-        COUNT(pv.id) as recorded_politician_votes
+        COUNT(pv.vote_id) as recorded_politician_votes
       FROM votes v
       LEFT JOIN politician_votes pv ON v.id = pv.vote_id
       GROUP BY v.id
-      ORDER BY v.vote_date DESC, v.chamber, v.roll_call_number DESC
+      ORDER BY v.vote_date DESC, v.chamber, v.roll_call_number DESC, v.id
       LIMIT 50
     `).all();
 
     const jsContent = `// Auto-generated recent votes data
-// Last updated: ${new Date().toISOString()}
+// Last updated: ${clock.now().toISOString()}
 
 module.exports = ${JSON.stringify(recentVotes, null, 2)};
 `;
@@ -308,7 +337,7 @@ module.exports = ${JSON.stringify(recentVotes, null, 2)};
    * Get database age in days
    */
   getDatabaseAge() {
-    const dbPath = path.join(__dirname, '..', 'data', 'politicians.db');
+    const dbPath = getDatabasePath();
     
     if (!fs.existsSync(dbPath)) {
       return null;
@@ -340,7 +369,7 @@ module.exports = ${JSON.stringify(recentVotes, null, 2)};
    */
   markBuildComplete() {
     const flagFile = path.join(__dirname, '..', 'data', 'last-build-update.txt');
-    fs.writeFileSync(flagFile, new Date().toISOString());
+    fs.writeFileSync(flagFile, clock.now().toISOString());
   }
 }
 
@@ -0,0 +1,40 @@
+/**
+ * Build clock
+ * Honors SOURCE_DATE_EPOCH (seconds since the Unix epoch, the reproducible
+ * builds convention) so replayed pipeline runs produce identical output.
+ */
+
+/**
+ * Whether a fixed build time has been set
+ */
+function isReproducible() {
+  return Boolean(process.env.SOURCE_DATE_EPOCH);
+}
+
+/**
+ * Current time, or the fixed build time when SOURCE_DATE_EPOCH is set
+ */
+function now() {
+  if (isReproducible()) {
+    const seconds = parseInt(process.env.SOURCE_DATE_EPOCH, 10);
+    if (isNaN(seconds)) {
+      throw new Error(`Invalid SOURCE_DATE_EPOCH: ${process.env.SOURCE_DATE_EPOCH}`);
+    }
+    return new Date(seconds * 1000);
+  }
+
+  return new Date();
+}
+
+/**
+ * Format a date the way SQLite's CURRENT_TIMESTAMP does (YYYY-MM-DD HH:MM:SS)
+ */
+function toSqlTimestamp(date = now()) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+module.exports = {
+  isReproducible,
+  now,
+  toSqlTimestamp
+};
@@ -9,6 +9,13 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const { getCurrentCongress, getCongressStartDate } = require('./congress-calendar');
+const AlignmentEngine = require('./alignment-engine');
+const HttpClient = require('./http-client');
+const Migrator = require('./migrate');
+const clock = require('./clock');
+const PartyScores = require('./party-scores');
+const { getDatabasePath } = require('./data-paths');
 
 // Load .env file manually if it exists
 function loadEnvFile() {
@@ -37,10 +44,10 @@ class ComprehensiveCongressFetcher {
   constructor() {
     this.baseApiUrl = 'https://api.congress.gov/v3';
     this.apiKey = process.env.CONGRESS_GOV_API_KEY;
-    this.requestDelay = 250; // 250ms between requests to respect rate limits
+    this.http = new HttpClient();
     
     // Initialize database
-    const dbPath = path.join(__dirname, '..', 'data', 'politicians.db');
+    const dbPath = getDatabasePath();
     this.db = new Database(dbPath);
     
     // Ensure data directory exists
@@ -49,117 +56,8 @@ class ComprehensiveCongressFetcher {
       fs.mkdirSync(dataDir, { recursive: true });
     }
     
-    // Initialize comprehensive tables
-    this.initializeComprehensiveTables();
-  }
-
-  /**
-   * Initialize database tables for comprehensive congressional data
-   */
-  initializeComprehensiveTables() {
-    console.log('🗃️ Initializing comprehensive congressional database schema...');
-    
-    // Bills/Legislation table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS legislation (
-        id TEXT PRIMARY KEY,
-        congress INTEGER NOT NULL,
-        bill_type TEXT NOT NULL,
-        bill_number TEXT NOT NULL,
-        title TEXT,
-        summary TEXT,
-        introduced_date TEXT,
-        last_action_date TEXT,
-        is_law BOOLEAN DEFAULT FALSE,
-        law_number TEXT,
-        sponsor_bioguide_id TEXT,
-        sponsor_name TEXT,
-        url TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Cosponsors table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS legislation_cosponsors (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        legislation_id TEXT NOT NULL,
-        cosponsor_bioguide_id TEXT NOT NULL,
-        cosponsor_name TEXT,
-        date_cosponsored TEXT,
-        withdrawn_date TEXT,
-        is_original_cosponsor BOOLEAN DEFAULT FALSE,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (legislation_id) REFERENCES legislation (id),
-        UNIQUE (legislation_id, cosponsor_bioguide_id)
-      )
-    `);
-
-    // Enhanced politician sponsorship tracking
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS politician_legislation (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        politician_id TEXT NOT NULL,
-        bioguide_id TEXT,
-        legislation_id TEXT NOT NULL,
-        relationship_type TEXT NOT NULL, -- 'sponsor', 'cosponsor'
-        date_involved TEXT,
-        is_original_cosponsor BOOLEAN DEFAULT FALSE,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (politician_id) REFERENCES politicians (id),
-        FOREIGN KEY (legislation_id) REFERENCES legislation (id),
-        UNIQUE (politician_id, legislation_id, relationship_type)
-      )
-    `);
-
-    // Voting alignment analysis table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS voting_alignment (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        politician1_id TEXT NOT NULL,
-        politician2_id TEXT NOT NULL,
-        total_shared_votes INTEGER DEFAULT 0,
-        agreement_count INTEGER DEFAULT 0,
-        agreement_rate REAL DEFAULT 0.0,
-        last_calculated DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (politician1_id) REFERENCES politicians (id),
-        FOREIGN KEY (politician2_id) REFERENCES politicians (id),
-        UNIQUE (politician1_id, politician2_id)
-      )
-    `);
-
-    // Legislative alignment analysis table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS legislative_alignment (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        politician1_id TEXT NOT NULL,
-        politician2_id TEXT NOT NULL,
-        shared_sponsored INTEGER DEFAULT 0,
-        shared_cosponsored INTEGER DEFAULT 0,
-        total_alignment_score REAL DEFAULT 0.0,
-        last_calculated DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (politician1_id) REFERENCES politicians (id),
-        FOREIGN KEY (politician2_id) REFERENCES politicians (id),
-        UNIQUE (politician1_id, politician2_id)
-      )
-    `);
-
-    // Create indexes for efficient querying
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_legislation_congress ON legislation (congress);
-      CREATE INDEX IF NOT EXISTS idx_legislation_sponsor ON legislation (sponsor_bioguide_id);
-      CREATE INDEX IF NOT EXISTS idx_legislation_introduced_date ON legislation (introduced_date);
-      
-      CREATE INDEX IF NOT EXISTS idx_cosponsors_legislation ON legislation_cosponsors (legislation_id);
-      CREATE INDEX IF NOT EXISTS idx_cosponsors_bioguide ON legislation_cosponsors (cosponsor_bioguide_id);
-      
-      CREATE INDEX IF NOT EXISTS idx_politician_legislation_politician ON politician_legislation (politician_id);
-      CREATE INDEX IF NOT EXISTS idx_politician_legislation_legislation ON politician_legislation (legislation_id);
-      CREATE INDEX IF NOT EXISTS idx_politician_legislation_type ON politician_legislation (relationship_type);
-    `);
-
-    console.log('✅ Comprehensive congressional database schema initialized');
+    // Create or upgrade tables
+    Migrator.migrate(this.db);
   }
 
   /**
@@ -171,7 +69,7 @@ class ComprehensiveCongressFetcher {
       includeLegislation = true,
       votingStartDate = null,
       legislationStartDate = null,
-      congress = 118,
+      congress = getCurrentCongress(),
       maxVotesPerPolitician = 100,
       maxLegislationPerPolitician = 50
     } = options;
@@ -179,18 +77,19 @@ class ComprehensiveCongressFetcher {
     console.log('🏛️ Starting comprehensive congressional data fetch...');
     console.log(`📊 Options: Voting: ${includeVoting}, Legislation: ${includeLegislation}`);
 
-    if (!this.apiKey) {
+    if (!this.apiKey && !this.http.isReplaying()) {
       console.warn('⚠️  No API key found. Limited functionality.');
       console.log('💡 Get a free API key at: https://api.congress.gov/sign-up/');
       return { error: 'No API key available' };
     }
 
     try {
-      // Get all politicians with bioguide IDs
+      // Get all politicians with their bioguide IDs
       const politicians = this.db.prepare(`
-        SELECT id, name, bio_data 
-        FROM politicians 
-        WHERE bio_data IS NOT NULL
+        SELECT p.id, p.name, i.bioguide_id
+        FROM politicians p
+        LEFT JOIN politician_identifiers i ON i.politician_id = p.id
+        ORDER BY p.id
       `).all();
 
       console.log(`👥 Found ${politicians.length} politicians to process`);
@@ -205,8 +104,7 @@ class ComprehensiveCongressFetcher {
 
       for (const politician of politicians) {
         try {
-          const bioData = JSON.parse(politician.bio_data);
-          const bioguideId = bioData.bioguideId;
+          const bioguideId = politician.bioguide_id;
 
           if (!bioguideId) {
             console.log(`⚠️  No bioguide ID for ${politician.name}, skipping...`);
@@ -225,9 +123,6 @@ class ComprehensiveCongressFetcher {
             );
             results.sponsoredLegislation += sponsored;
 
-            // Add delay between requests
-            await this.delay(this.requestDelay);
-
             // Fetch cosponsored legislation
             const cosponsored = await this.fetchCosponsoredLegislation(
               bioguideId, 
@@ -236,8 +131,6 @@ class ComprehensiveCongressFetcher {
               maxLegislationPerPolitician
             );
             results.cosponsoredLegislation += cosponsored;
-
-            await this.delay(this.requestDelay);
           }
 
           processedCount++;
@@ -247,12 +140,6 @@ class ComprehensiveCongressFetcher {
             console.log(`📊 Processed ${processedCount}/${politicians.length} politicians...`);
           }
 
-          // Rate limiting - extra delay every 20 requests
-          if (processedCount % 20 === 0) {
-            console.log('⏱️  Rate limiting pause...');
-            await this.delay(1000);
-          }
-
         } catch (error) {
           console.error(`❌ Error processing ${politician.name}:`, error.message);
           results.errors.push({
@@ -266,6 +153,10 @@ class ComprehensiveCongressFetcher {
       console.log('\n📊 Calculating alignment scores...');
       await this.calculateLegislativeAlignment();
 
+      // Cosponsorship feeds the bipartisanship index
+      const partyScores = new PartyScores({ db: this.db }).update();
+      console.log(`🤝 Party scores updated for ${partyScores.politicians} politicians`);
+
       console.log('\n✅ Comprehensive data fetch complete!');
       console.log(`📊 Results:`);
       console.log(`   - Sponsored legislation: ${results.sponsoredLegislation}`);
@@ -298,7 +189,7 @@ class ComprehensiveCongressFetcher {
       
       url += `?${params.toString()}`;
 
-      const response = await fetch(url);
+      const response = await this.http.fetch(url);
       
       if (!response.ok) {
         if (response.status === 404) {
@@ -348,7 +239,7 @@ class ComprehensiveCongressFetcher {
       
       url += `?${params.toString()}`;
 
-      const response = await fetch(url);
+      const response = await this.http.fetch(url);
       
       if (!response.ok) {
         if (response.status === 404) {
@@ -392,7 +283,7 @@ class ComprehensiveCongressFetcher {
         INSERT OR REPLACE INTO legislation 
         (id, congress, bill_type, bill_number, title, summary, introduced_date, 
          last_action_date, sponsor_bioguide_id, sponsor_name, url, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       insertLegislationStmt.run(
@@ -406,7 +297,8 @@ class ComprehensiveCongressFetcher {
         legislation.latestAction?.actionDate || null,
         relationshipType === 'sponsor' ? bioguideId : legislation.sponsors?.[0]?.bioguideId || null,
         relationshipType === 'sponsor' ? null : legislation.sponsors?.[0]?.fullName || null,
-        legislation.url || ''
+        legislation.url || '',
+        clock.toSqlTimestamp()
       );
 
       // Insert politician-legislation relationship
@@ -435,60 +327,12 @@ class ComprehensiveCongressFetcher {
    * Calculate legislative alignment between politicians
    */
   async calculateLegislativeAlignment() {
-    const politicians = this.db.prepare('SELECT id FROM politicians').all();
-    
-    console.log(`📊 Calculating alignment for ${politicians.length} politicians...`);
-
-    const updateAlignmentStmt = this.db.prepare(`
-      INSERT OR REPLACE INTO legislative_alignment 
-      (politician1_id, politician2_id, shared_sponsored, shared_cosponsored, 
-       total_alignment_score, last_calculated)
-      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-    `);
-
-    let calculatedPairs = 0;
-
-    for (let i = 0; i < politicians.length; i++) {
-      for (let j = i + 1; j < politicians.length; j++) {
-        const pol1 = politicians[i];
-        const pol2 = politicians[j];
-
-        // Calculate shared sponsored legislation
-        const sharedSponsored = this.db.prepare(`
-          SELECT COUNT(*) as count
-          FROM politician_legislation pl1
-          JOIN politician_legislation pl2 ON pl1.legislation_id = pl2.legislation_id
-          WHERE pl1.politician_id = ? AND pl2.politician_id = ?
-          AND pl1.relationship_type = 'sponsor' AND pl2.relationship_type = 'sponsor'
-        `).get(pol1.id, pol2.id);
-
-        // Calculate shared cosponsored legislation
-        const sharedCosponsored = this.db.prepare(`
-          SELECT COUNT(*) as count
-          FROM politician_legislation pl1
-          JOIN politician_legislation pl2 ON pl1.legislation_id = pl2.legislation_id
-          WHERE pl1.politician_id = ? AND pl2.politician_id = ?
-          AND pl1.relationship_type = 'cosponsor' AND pl2.relationship_type = 'cosponsor'
-        `).get(pol1.id, pol2.id);
-
-        // Calculate total alignment score (weighted)
-        const alignmentScore = 
-          (sharedSponsored.count * 2) + // Sponsoring together is more significant
-          (sharedCosponsored.count * 1); // Cosponsoring together
-
-        updateAlignmentStmt.run(
-          pol1.id,
-          pol2.id,
-          sharedSponsored.count,
-          sharedCosponsored.count,
-          alignmentScore
-        );
-
-        calculatedPairs++;
-      }
-    }
+    console.log('📊 Calculating legislative alignment...');
 
-    console.log(`✅ Calculated ${calculatedPairs} alignment pairs`);
+    const engine = new AlignmentEngine({ db: this.db });
+    const { pairs } = engine.updateLegislativeAlignment();
+
+    console.log(`✅ Calculated ${pairs} alignment pairs`);
   }
 
   /**
@@ -496,10 +340,10 @@ class ComprehensiveCongressFetcher {
    */
   async fetchHistoricalVotingData(options = {}) {
     const {
-      startDate = '2023-01-03', // Start of 118th Congress
+      congress = getCurrentCongress(),
+      startDate = getCongressStartDate(congress),
       endDate = null,
-      limit = null,
-      congress = 118
+      limit = null
     } = options;
 
     console.log('🗳️ Fetching historical voting data...');
@@ -573,13 +417,6 @@ class ComprehensiveCongressFetcher {
     return stats;
   }
 
-  /**
-   * Utility function to add delay between API requests
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Close database connection
    */
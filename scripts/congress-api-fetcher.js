@@ -5,8 +5,10 @@
  * This script can fetch live data from Congress.gov and other official sources
  */
 
-const https = require('https');
 const fs = require('fs');
+const HttpClient = require('./http-client');
+const PoliticianIdentifiers = require('./politician-identifiers');
+const { getCurrentCongress, getCongressStartYear } = require('./congress-calendar');
 
 class CongressAPIFetcher {
   constructor() {
@@ -22,67 +24,31 @@ class CongressAPIFetcher {
     
     // Use API key if available (required for higher rate limits)
     this.apiKey = process.env.CONGRESS_GOV_API_KEY || null;
+    this.http = new HttpClient();
   }
 
   /**
-   * Fetch data from a URL with proper error handling and retries
+   * Fetch JSON from a URL. Rate limiting and retries on 429/5xx are
+   * handled by the shared HTTP client.
    */
   async fetchData(url, options = {}) {
-    const maxRetries = 3;
-    let lastError;
+    console.log(`🌐 Fetching: ${this.http.sanitizeUrl(url)}`);
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        console.log(`🌐 Fetching: ${url} (attempt ${attempt}/${maxRetries})`);
-        
-        return await new Promise((resolve, reject) => {
-          const req = https.get(url, options, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-              data += chunk;
-            });
-            
-            res.on('end', () => {
-              if (res.statusCode === 200) {
-                try {
-                  const parsed = JSON.parse(data);
-                  resolve(parsed);
-                } catch (error) {
-                  reject(new Error(`Failed to parse JSON: ${error.message}`));
-                }
-              } else if (res.statusCode === 429) {
-                reject(new Error('Rate limited - need API key for higher limits'));
-              } else {
-                reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
-              }
-            });
-          });
-          
-          req.on('error', (error) => {
-            reject(error);
-          });
-          
-          req.setTimeout(15000, () => {
-            req.abort();
-            reject(new Error('Request timeout'));
-          });
-        });
-        
-      } catch (error) {
-        lastError = error;
-        console.log(`⚠️  Attempt ${attempt} failed: ${error.message}`);
-        
-        if (attempt < maxRetries) {
-          // Wait before retrying (exponential backoff)
-          const delay = Math.pow(2, attempt) * 1000;
-          console.log(`⏳ Waiting ${delay}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
+    const response = await this.http.fetch(url, options);
+
+    if (response.status === 429) {
+      throw new Error('Rate limited - need API key for higher limits');
+    }
+
+    if (response.status !== 200) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new Error(`Failed to parse JSON: ${error.message}`);
     }
-    
-    throw lastError;
   }
 
   /**
@@ -153,7 +119,7 @@ class CongressAPIFetcher {
         }));
       }
       
-      const currentCongress = 118; // 118th Congress (2023-2025)
+      const currentCongress = getCurrentCongress();
       let url = `${this.sources.congress.baseUrl}/member/congress/${currentCongress}?format=json&limit=600`;
       
       // Add API key as query parameter if available
@@ -200,19 +166,20 @@ class CongressAPIFetcher {
   }
 
   /**
-   * Fetch all members with pagination support
+   * Fetch all members of a congress with pagination support
    */
-  async fetchAllMembersFromAPI() {
+  async fetchAllMembersFromAPI(congress = getCurrentCongress()) {
     try {
-      const currentCongress = 118;
       const allMembers = [];
+      // Past congresses need currentMember=false to include members who have since left
+      const memberFilter = congress < getCurrentCongress() ? '&currentMember=false' : '';
       let offset = 0;
       const limit = 250; // Reasonable batch size
       
       console.log('🏛️ Fetching all Congress members from Congress.gov API...');
       
       while (true) {
-        let url = `${this.sources.congress.baseUrl}/member/congress/${currentCongress}?format=json&limit=${limit}&offset=${offset}`;
+        let url = `${this.sources.congress.baseUrl}/member/congress/${congress}?format=json&limit=${limit}&offset=${offset}${memberFilter}`;
         
         if (this.apiKey) {
           url += `&api_key=${this.apiKey}`;
@@ -228,8 +195,6 @@ class CongressAPIFetcher {
           // Check if we have more data to fetch
           if (response.pagination && response.pagination.next) {
             offset += limit;
-            // Add a small delay to be respectful to the API
-            await new Promise(resolve => setTimeout(resolve, 500));
           } else {
             console.log(`✅ Fetched all ${allMembers.length} members from Congress.gov API`);
             break;
@@ -254,6 +219,64 @@ class CongressAPIFetcher {
     }
   }
 
+  /**
+   * Fetch every member who served in a congress as one term record per
+   * chamber served (members who switch chambers mid-congress get two)
+   */
+  async fetchMemberTermsForCongress(congress) {
+    const members = await this.fetchAllMembersFromAPI(congress);
+    if (!members) return null;
+
+    const terms = [];
+
+    for (const member of members) {
+      for (const chamber of this.getChambersServed(member, congress)) {
+        const isHouse = chamber === 'House';
+        terms.push({
+          name: `${member.name}`,
+          party: this.normalizeParty(member.partyName),
+          state: member.state,
+          district: isHouse && member.district ? `${this.getOrdinalNumber(member.district)} District` : null,
+          first_elected: this.extractFirstElected(member),
+          website: this.buildWebsiteUrl(member, chamber.toLowerCase()),
+          chamber,
+          title: isHouse ? 'Representative' : 'Senator',
+          id: this.generateId(`${member.name}`, chamber.toLowerCase()),
+          bioguide_id: member.bioguideId,
+          congress,
+          api_source: 'congress.gov'
+        });
+      }
+    }
+
+    console.log(`✅ Found ${terms.length} terms for the ${this.getOrdinalNumber(congress)} Congress`);
+    return terms;
+  }
+
+  /**
+   * Work out which chambers a member sat in during a congress from their
+   * term list, falling back to the district heuristic used elsewhere
+   */
+  getChambersServed(member, congress) {
+    const startYear = getCongressStartYear(congress);
+    const endYear = startYear + 2;
+    const termItems = Array.isArray(member.terms) ? member.terms : (member.terms && member.terms.item) || [];
+
+    const chambers = termItems
+      .filter(term => {
+        const termStart = parseInt(term.startYear);
+        const termEnd = term.endYear ? parseInt(term.endYear) : null;
+        return termStart < endYear && (termEnd === null || termEnd > startYear);
+      })
+      .map(term => (term.chamber || '').includes('Senate') ? 'Senate' : 'House');
+
+    if (chambers.length > 0) {
+      return [...new Set(chambers)];
+    }
+
+    return [member.district && member.district > 0 ? 'House' : 'Senate'];
+  }
+
   /**
    * Extract first elected year from member data
    */
@@ -332,14 +355,10 @@ class CongressAPIFetcher {
   }
 
   /**
-   * Generate ID from name
+   * Generate ID from name; "Schiff, Adam B." and "Adam Schiff" both give "adam-schiff"
    */
   generateId(name, chamber) {
-    return name
-      .toLowerCase()
-      .replace(/[^a-z0-9]/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+    return PoliticianIdentifiers.slugFromName(name);
   }
 
   /**
@@ -0,0 +1,55 @@
+/**
+ * Congress calendar helpers
+ * Each Congress convenes on January 3 of an odd-numbered year and runs for
+ * two years, so congress numbers and dates can be derived from each other.
+ */
+
+const { now } = require('./clock');
+
+const FIRST_CONGRESS_YEAR = 1789;
+
+/**
+ * Get the Congress in session on a given date
+ */
+function getCurrentCongress(date = now()) {
+  let year = date.getUTCFullYear();
+
+  // A new Congress is not seated until January 3
+  if (date.getUTCMonth() === 0 && date.getUTCDate() < 3) {
+    year--;
+  }
+
+  return Math.floor((year - FIRST_CONGRESS_YEAR) / 2) + 1;
+}
+
+/**
+ * Get the year a Congress convened
+ */
+function getCongressStartYear(congress) {
+  return FIRST_CONGRESS_YEAR + (congress - 1) * 2;
+}
+
+/**
+ * Get the date (YYYY-MM-DD) a Congress convened
+ */
+function getCongressStartDate(congress) {
+  return `${getCongressStartYear(congress)}-01-03`;
+}
+
+/**
+ * List every congress number in an inclusive range
+ */
+function getCongressRange(fromCongress, toCongress) {
+  const congresses = [];
+  for (let congress = fromCongress; congress <= toCongress; congress++) {
+    congresses.push(congress);
+  }
+  return congresses;
+}
+
+module.exports = {
+  getCurrentCongress,
+  getCongressStartYear,
+  getCongressStartDate,
+  getCongressRange
+};
@@ -60,11 +60,26 @@ class CongressionalDataConfig {
         calculateAlignments: true
       },
       
-      // API rate limiting
+      // API rate limiting (per host; see scripts/rate-limiter.js)
       rateLimit: {
         requestDelayMs: 250,
         batchSize: 20,
-        batchDelayMs: 1000
+        batchDelayMs: 1000,
+        hosts: {
+          'www.senate.gov': { requestDelayMs: 500, batchSize: 10, batchDelayMs: 1000 }
+        },
+        crawler: {
+          requestDelayMs: 1000,
+          batchSize: 1,
+          batchDelayMs: 0,
+          // Sites crawled at once, how many of them may share a host,
+          // domains whose member subdomains count as a single host, and
+          // policy pages crawled per site
+          concurrency: 4,
+          maxPerHost: 1,
+          hostGroups: ['house.gov', 'senate.gov'],
+          maxPagesPerSite: 15
+        }
       },
       
       // Build integration
@@ -75,6 +90,11 @@ class CongressionalDataConfig {
         dataMaxAge: 24  // Hours before forcing update
       },
       
+      // Member pairs with a prebuilt /compare/{a}/{b}/ page; any other pair is compared in the browser
+      comparisons: {
+        pairs: []
+      },
+      
       lastUpdated: null,
       lastStrategy: null
     };
@@ -146,7 +166,11 @@ class CongressionalDataConfig {
         break;
     }
     
-    console.log(`\nRate limiting: ${this.config.rateLimit.requestDelayMs}ms between requests`);
+    const rateLimit = this.config.rateLimit;
+    console.log(`\nRate limiting: ${rateLimit.requestDelayMs}ms between requests, bursts of ${rateLimit.batchSize}, ${rateLimit.batchDelayMs}ms pause per batch`);
+    Object.entries(rateLimit.hosts || {}).forEach(([host, budget]) => {
+      console.log(`  ${host}: ${budget.requestDelayMs}ms between requests, bursts of ${budget.batchSize}`);
+    });
     console.log(`Build integration: ${this.config.buildIntegration.autoUpdate ? 'Enabled' : 'Disabled'}`);
     console.log(`Last updated: ${this.config.lastUpdated || 'Never'}`);
   }
@@ -162,6 +186,34 @@ class CongressionalDataConfig {
     console.log(`✅ Updated ${strategy} strategy configuration`);
   }
 
+  getComparisonPairs() {
+    return ((this.config.comparisons || {}).pairs || []).filter(pair => Array.isArray(pair) && pair.length === 2);
+  }
+
+  addComparison(politician1Id, politician2Id) {
+    if (!politician1Id || !politician2Id || politician1Id === politician2Id) {
+      throw new Error('A comparison needs two different politician ids');
+    }
+
+    const pairs = this.getComparisonPairs();
+    const exists = pairs.some(pair => pair.includes(politician1Id) && pair.includes(politician2Id));
+    if (!exists) {
+      this.config.comparisons = { ...this.config.comparisons, pairs: [...pairs, [politician1Id, politician2Id]] };
+      this.saveConfig();
+    }
+
+    console.log(`✅ /compare/${politician1Id}/${politician2Id}/ will be built${exists ? ' (already requested)' : ''}`);
+  }
+
+  removeComparison(politician1Id, politician2Id) {
+    const pairs = this.getComparisonPairs();
+    const remaining = pairs.filter(pair => !(pair.includes(politician1Id) && pair.includes(politician2Id)));
+    this.config.comparisons = { ...this.config.comparisons, pairs: remaining };
+    this.saveConfig();
+
+    console.log(`✅ Removed ${pairs.length - remaining.length} comparison${pairs.length - remaining.length === 1 ? '' : 's'}`);
+  }
+
   getDateRangeForStrategy() {
     const strategy = this.config.dataStrategy;
     const config = this.config[strategy];
@@ -312,6 +364,28 @@ if (require.main === module) {
         process.exit(updateCheck.update ? 0 : 1);
         break;
 
+      case 'compare':
+        if (!args[1] || !args[2]) {
+          console.error('❌ Usage: compare <politician_id> <politician_id>');
+          process.exit(1);
+        }
+        config.addComparison(args[1], args[2]);
+        break;
+
+      case 'uncompare':
+        if (!args[1] || !args[2]) {
+          console.error('❌ Usage: uncompare <politician_id> <politician_id>');
+          process.exit(1);
+        }
+        config.removeComparison(args[1], args[2]);
+        break;
+
+      case 'comparisons':
+        const pairs = config.getComparisonPairs();
+        console.log(`\n⚖️  Prebuilt comparisons: ${pairs.length}`);
+        pairs.forEach(([first, second]) => console.log(`  /compare/${first}/${second}/`));
+        break;
+
       case 'execution-options':
         const options = config.getExecutionOptions();
         console.log(JSON.stringify(options, null, 2));
@@ -331,6 +405,9 @@ Commands:
   dates                   Show date ranges for current strategy
   should-update           Check if data update is needed
   execution-options       Show current execution options as JSON
+  compare <a> <b>         Prebuild the comparison page for two politicians
+  uncompare <a> <b>       Stop prebuilding a comparison
+  comparisons             List prebuilt comparisons
   help                    Show this help message
 
 Strategies:
@@ -351,6 +428,9 @@ Examples:
   # Check if update is needed
   node congress-data-config.js should-update
 
+  # Prebuild /compare/bernie-sanders/ted-cruz/
+  node congress-data-config.js compare bernie-sanders ted-cruz
+
         `);
         break;
     }
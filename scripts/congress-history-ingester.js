@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * Congress History Ingester
+ * Backfills membership (as per-congress terms) and roll-call votes for any
+ * range of congresses so members can be followed across their careers
+ */
+
+const CongressPopulator = require('./populate-congress');
+const VotingRecordsFetcher = require('./voting-records-fetcher');
+const { getCurrentCongress, getCongressRange } = require('./congress-calendar');
+const clock = require('./clock');
+
+// The Congress.gov house-vote endpoint starts with the 118th Congress;
+// Senate roll calls are available from senate.gov much further back
+const FIRST_HOUSE_VOTE_CONGRESS = 118;
+
+class CongressHistoryIngester {
+  constructor() {
+    this.populator = new CongressPopulator();
+    this.db = this.populator.db;
+    this.apiFetcher = this.populator.apiFetcher;
+  }
+
+  /**
+   * Ingest membership for every congress in a range
+   */
+  async ingestMembers(fromCongress, toCongress) {
+    console.log(`👥 Ingesting membership for the ${this.formatRange(fromCongress, toCongress)}...`);
+
+    const totals = { terms: 0, newPoliticians: 0 };
+
+    for (const congress of getCongressRange(fromCongress, toCongress)) {
+      const terms = await this.apiFetcher.fetchMemberTermsForCongress(congress);
+
+      if (!terms) {
+        console.log(`⚠️  Could not fetch members for the ${this.apiFetcher.getOrdinalNumber(congress)} Congress, skipping`);
+        continue;
+      }
+
+      const saveAll = this.db.transaction(() => {
+        for (const term of terms) {
+          if (this.saveTerm(term)) {
+            totals.newPoliticians++;
+          }
+          totals.terms++;
+        }
+      });
+
+      saveAll();
+      console.log(`✅ Saved ${terms.length} terms for the ${this.apiFetcher.getOrdinalNumber(congress)} Congress`);
+    }
+
+    console.log(`📊 Membership ingest complete: ${totals.terms} terms, ${totals.newPoliticians} new politicians`);
+    return totals;
+  }
+
+  /**
+   * Save one term, creating the politician if needed. Returns true when a
+   * new politician was added.
+   */
+  saveTerm(term) {
+    const existing = this.findPolitician(term);
+    let politicianId;
+
+    if (existing) {
+      politicianId = existing.id;
+
+      // Keep the profile on the most recent congress we know about
+      const latest = this.db.prepare(`
+        SELECT MAX(congress) as congress FROM politician_terms WHERE politician_id = ?
+      `).get(politicianId);
+
+      if (term.congress >= (latest.congress || getCurrentCongress())) {
+        this.db.prepare(`
+          UPDATE politicians
+          SET party = ?, state = ?, chamber = ?, district = ?, title = ?, last_updated = ?
+          WHERE id = ?
+        `).run(term.party, term.state, term.chamber, term.district, term.title, clock.toSqlTimestamp(), politicianId);
+      }
+    } else {
+      politicianId = this.populator.identifiers.resolveId(term);
+      this.populator.insertPolitician({ ...term, id: politicianId });
+    }
+
+    this.populator.recordIdentifiers(politicianId, term);
+    this.populator.insertTerm({ ...term, politician_id: politicianId });
+    return !existing;
+  }
+
+  /**
+   * Find an existing politician by bioguide id, then by name slug
+   */
+  findPolitician(term) {
+    const identifiers = this.populator.identifiers;
+    const byBioguide = identifiers.findByBioguideId(term.bioguide_id);
+    if (byBioguide) return byBioguide;
+
+    const bySlug = this.db.prepare('SELECT id FROM politicians WHERE id = ?').get(term.id);
+    if (!bySlug) return null;
+
+    // Only reuse the slug match when it is not a different bioguide member
+    const known = identifiers.get(bySlug.id);
+    if (known && known.bioguide_id && term.bioguide_id && known.bioguide_id !== term.bioguide_id) {
+      return null;
+    }
+
+    return bySlug;
+  }
+
+  /**
+   * Ingest roll-call votes for every congress in a range
+   */
+  async ingestVotes(fromCongress, toCongress, options = {}) {
+    const { chamber = 'both', senateXmlDir = null } = options;
+    console.log(`🗳️ Ingesting votes for the ${this.formatRange(fromCongress, toCongress)}...`);
+
+    const fetcher = new VotingRecordsFetcher({ senateXmlDir });
+    let totalVotes = 0;
+
+    try {
+      for (const congress of getCongressRange(fromCongress, toCongress)) {
+        let congressChamber = chamber;
+
+        if (congress < FIRST_HOUSE_VOTE_CONGRESS && chamber !== 'senate') {
+          console.log(`ℹ️  House votes are only available from the ${this.apiFetcher.getOrdinalNumber(FIRST_HOUSE_VOTE_CONGRESS)} Congress; skipping House for the ${this.apiFetcher.getOrdinalNumber(congress)}`);
+          if (chamber === 'house') continue;
+          congressChamber = 'senate';
+        }
+
+        const result = await fetcher.fetchVotingRecords({ congress, chamber: congressChamber });
+        totalVotes += result.newVotes;
+      }
+    } finally {
+      fetcher.close();
+    }
+
+    console.log(`📊 Vote ingest complete: ${totalVotes} new votes`);
+    return totalVotes;
+  }
+
+  /**
+   * Summarize terms and votes stored per congress
+   */
+  getStatus() {
+    const terms = this.db.prepare(`
+      SELECT congress, chamber, COUNT(*) as count
+      FROM politician_terms
+      GROUP BY congress, chamber
+      ORDER BY congress, chamber
+    `).all();
+
+    let votes = [];
+    try {
+      votes = this.db.prepare(`
+        SELECT congress, chamber, COUNT(*) as count
+        FROM votes
+        GROUP BY congress, chamber
+        ORDER BY congress, chamber
+      `).all();
+    } catch (error) {
+      // votes table has not been created yet
+    }
+
+    return { terms, votes };
+  }
+
+  /**
+   * Format a congress range for log output
+   */
+  formatRange(fromCongress, toCongress) {
+    if (fromCongress === toCongress) {
+      return `${this.apiFetcher.getOrdinalNumber(fromCongress)} Congress`;
+    }
+    return `${this.apiFetcher.getOrdinalNumber(fromCongress)}–${this.apiFetcher.getOrdinalNumber(toCongress)} Congresses`;
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    this.populator.close();
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : null;
+
+  async function runCLI() {
+    const command = args[0] || 'help';
+    const currentCongress = getCurrentCongress();
+    const fromCongress = parseInt(getArg('--from')) || currentCongress;
+    const toCongress = parseInt(getArg('--to')) || Math.max(fromCongress, currentCongress);
+
+    if (command !== 'help' && (fromCongress < 1 || fromCongress > toCongress)) {
+      console.error(`❌ Invalid congress range: ${fromCongress} to ${toCongress}`);
+      process.exit(1);
+    }
+
+    const ingester = new CongressHistoryIngester();
+
+    try {
+      switch (command) {
+        case 'members':
+          await ingester.ingestMembers(fromCongress, toCongress);
+          break;
+
+        case 'votes':
+          await ingester.ingestVotes(fromCongress, toCongress, {
+            chamber: getArg('--chamber') || 'both',
+            senateXmlDir: getArg('--senate-dir')
+          });
+          break;
+
+        case 'backfill':
+          await ingester.ingestMembers(fromCongress, toCongress);
+          await ingester.ingestVotes(fromCongress, toCongress, {
+            chamber: getArg('--chamber') || 'both',
+            senateXmlDir: getArg('--senate-dir')
+          });
+          break;
+
+        case 'status':
+          const status = ingester.getStatus();
+          console.log('\n📊 Congressional History Status:');
+          console.log('─'.repeat(50));
+          if (status.terms.length === 0) {
+            console.log('No terms recorded yet');
+          }
+          status.terms.forEach(row => {
+            console.log(`${ingester.apiFetcher.getOrdinalNumber(row.congress)} Congress ${row.chamber}: ${row.count} members`);
+          });
+          if (status.votes.length > 0) {
+            console.log('\nVotes:');
+            status.votes.forEach(row => {
+              console.log(`${ingester.apiFetcher.getOrdinalNumber(row.congress)} Congress ${row.chamber}: ${row.count} votes`);
+            });
+          }
+          break;
+
+        case 'help':
+        default:
+          console.log(`
+🏛️ Congress History Ingester
+
+Usage: node congress-history-ingester.js <command> [options]
+
+Commands:
+  members                 Ingest membership terms for a range of congresses
+  votes                   Ingest roll-call votes for a range of congresses
+  backfill                Ingest membership, then votes
+  status                  Show terms and votes stored per congress
+  help                    Show this help message
+
+Options:
+  --from <congress>       First congress to ingest (default: current, ${currentCongress})
+  --to <congress>         Last congress to ingest (default: current)
+  --chamber <chamber>     house, senate or both (votes only, default: both)
+  --senate-dir <dir>      Read Senate roll-call XML from a local directory
+
+Examples:
+  # Backfill members and votes for the 110th through current Congress
+  node congress-history-ingester.js backfill --from 110
+
+  # Membership only for the 115th and 116th Congresses
+  node congress-history-ingester.js members --from 115 --to 116
+          `);
+          break;
+      }
+
+    } catch (error) {
+      console.error('❌ CLI Error:', error);
+      process.exit(1);
+    } finally {
+      ingester.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = CongressHistoryIngester;
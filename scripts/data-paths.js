@@ -0,0 +1,47 @@
+/**
+ * Data Paths
+ * Where the database lives. Demo data is kept in its own database,
+ * data/demo.db, and is only ever read or written with DATA_MODE=demo, so
+ * sample rows cannot end up in data/politicians.db or on the production site.
+ * Crawled page snapshots are kept apart the same way.
+ */
+
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const PRODUCTION_DB_PATH = path.join(DATA_DIR, 'politicians.db');
+const DEMO_DB_PATH = path.join(DATA_DIR, 'demo.db');
+const PRODUCTION_SNAPSHOT_DIR = path.join(DATA_DIR, 'snapshots');
+const DEMO_SNAPSHOT_DIR = path.join(DATA_DIR, 'demo-snapshots');
+
+/**
+ * Whether this process works on the demo database
+ */
+function isDemoMode() {
+  return process.env.DATA_MODE === 'demo';
+}
+
+/**
+ * The database for the current mode
+ */
+function getDatabasePath() {
+  return isDemoMode() ? DEMO_DB_PATH : PRODUCTION_DB_PATH;
+}
+
+/**
+ * The page snapshot directory for the current mode
+ */
+function getSnapshotDir() {
+  return isDemoMode() ? DEMO_SNAPSHOT_DIR : PRODUCTION_SNAPSHOT_DIR;
+}
+
+module.exports = {
+  DATA_DIR,
+  PRODUCTION_DB_PATH,
+  DEMO_DB_PATH,
+  PRODUCTION_SNAPSHOT_DIR,
+  DEMO_SNAPSHOT_DIR,
+  isDemoMode,
+  getDatabasePath,
+  getSnapshotDir
+};
@@ -0,0 +1,260 @@
+/**
+ * Shared HTTP client
+ * All fetchers send requests through this client so responses can be
+ * recorded to a fixtures directory and replayed later without network
+ * access or an API key. The mode comes from HTTP_FIXTURES_MODE:
+ *   live   - plain network requests (default)
+ *   record - network requests, saving every response as a fixture
+ *   replay - serve responses from fixtures only; never touch the network
+ * Live and recorded requests wait for the shared per-host rate limiter and
+ * are retried with backoff on network errors, 429 and 5xx responses, unless
+ * the transport marks an error with retryable = false.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const RateLimiter = require('./rate-limiter');
+
+const MODES = ['live', 'record', 'replay'];
+
+// Query parameters that must never be written to fixtures or used in keys
+const SECRET_PARAMS = ['api_key'];
+
+// Response headers worth keeping in fixtures
+const RECORDED_HEADERS = ['content-type', 'location', 'retry-after', 'last-modified', 'etag'];
+
+/**
+ * Minimal fetch-style response used for live and replayed requests alike
+ */
+class HttpResponse {
+  constructor({ url, status, statusText, headers = {}, body }) {
+    this.url = url;
+    this.status = status;
+    this.statusText = statusText || '';
+    this.ok = status >= 200 && status < 300;
+    this.body = body || Buffer.alloc(0);
+
+    const lowerCased = {};
+    for (const [name, value] of Object.entries(headers)) {
+      lowerCased[name.toLowerCase()] = value;
+    }
+    this.headers = {
+      get: (name) => lowerCased[name.toLowerCase()] ?? null,
+      entries: () => Object.entries(lowerCased)
+    };
+  }
+
+  async buffer() {
+    return this.body;
+  }
+
+  async text() {
+    return this.body.toString('utf8');
+  }
+
+  async json() {
+    return JSON.parse(this.body.toString('utf8'));
+  }
+}
+
+/**
+ * Default transport: Node's built-in fetch
+ */
+async function fetchTransport(url, options = {}) {
+  const response = await fetch(url, {
+    method: options.method,
+    headers: options.headers,
+    signal: options.timeoutMs ? AbortSignal.timeout(options.timeoutMs) : undefined
+  });
+
+  return {
+    url: response.url || url,
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers.entries()),
+    body: Buffer.from(await response.arrayBuffer())
+  };
+}
+
+/**
+ * Case-insensitive lookup in a plain header object
+ */
+function getHeader(headers = {}, name) {
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === name) {
+      return Array.isArray(value) ? value[0] : value;
+    }
+  }
+  return null;
+}
+
+class HttpClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - live, record or replay (defaults to HTTP_FIXTURES_MODE)
+   * @param {string} options.fixturesDir - Fixture directory (defaults to HTTP_FIXTURES_DIR or data/http-fixtures)
+   * @param {Function} options.transport - async (url, options) => { url, status, statusText, headers, body }
+   * @param {RateLimiter} options.rateLimiter - Limiter to share (defaults to RateLimiter.shared())
+   * @param {number} options.timeoutMs - Default request timeout (defaults to the limiter's)
+   * @param {Function} options.hostKey - url => the rate limiter key (defaults to the hostname)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.HTTP_FIXTURES_MODE || 'live';
+    this.fixturesDir = options.fixturesDir || process.env.HTTP_FIXTURES_DIR ||
+      path.join(__dirname, '..', 'data', 'http-fixtures');
+    this.transport = options.transport || fetchTransport;
+    this.rateLimiter = options.rateLimiter || RateLimiter.shared();
+    this.timeoutMs = options.timeoutMs || this.rateLimiter.timeoutMs;
+    this.hostKey = options.hostKey || (url => new URL(url).hostname);
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Unknown HTTP_FIXTURES_MODE "${this.mode}" (expected ${MODES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Whether responses come only from fixtures
+   */
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Perform a request, recording or replaying it depending on the mode
+   */
+  async fetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+
+    if (this.mode === 'replay') {
+      return this.replay(method, url);
+    }
+
+    const host = this.hostKey(url);
+    const attempts = this.rateLimiter.retryAttempts;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      await this.rateLimiter.acquire(host);
+
+      let raw;
+      try {
+        raw = await this.transport(url, {
+          ...options,
+          method,
+          timeoutMs: options.timeoutMs || this.timeoutMs
+        });
+      } catch (error) {
+        lastError = error;
+        // Transports mark errors a retry cannot fix (e.g. an oversized body)
+        if (error.retryable === false) break;
+        if (attempt < attempts) {
+          const wait = this.rateLimiter.getRetryDelay(attempt);
+          console.log(`⚠️  ${error.message} (${host}); retrying in ${wait}ms (attempt ${attempt + 1}/${attempts})`);
+          this.rateLimiter.pause(host, wait);
+        }
+        continue;
+      }
+
+      if (this.rateLimiter.isRetryableStatus(raw.status) && attempt < attempts) {
+        const wait = this.rateLimiter.getRetryDelay(attempt, getHeader(raw.headers, 'retry-after'));
+
+        if (wait !== null) {
+          console.log(`⏳ HTTP ${raw.status} from ${host}; retrying in ${wait}ms (attempt ${attempt + 1}/${attempts})`);
+          this.rateLimiter.pause(host, wait);
+          continue;
+        }
+      }
+
+      if (this.mode === 'record') {
+        this.record(method, url, raw);
+      }
+
+      return new HttpResponse(raw);
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Load a recorded response
+   */
+  replay(method, url) {
+    const fixturePath = this.getFixturePath(method, url);
+
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No recorded response for ${method} ${this.sanitizeUrl(url)} (expected ${fixturePath})`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    const { response } = fixture;
+
+    return new HttpResponse({
+      ...response,
+      body: Buffer.from(response.body, response.bodyEncoding === 'base64' ? 'base64' : 'utf8')
+    });
+  }
+
+  /**
+   * Save a response as a fixture
+   */
+  record(method, url, raw) {
+    const fixturePath = this.getFixturePath(method, url);
+    const headers = {};
+
+    for (const [name, value] of Object.entries(raw.headers || {})) {
+      if (RECORDED_HEADERS.includes(name.toLowerCase())) {
+        headers[name.toLowerCase()] = value;
+      }
+    }
+
+    // Keep text bodies readable; anything that is not valid UTF-8 is stored as base64
+    const body = raw.body || Buffer.alloc(0);
+    const text = body.toString('utf8');
+    const isText = Buffer.from(text, 'utf8').equals(body);
+
+    const fixture = {
+      request: { method, url: this.sanitizeUrl(url) },
+      response: {
+        url: this.sanitizeUrl(raw.url || url),
+        status: raw.status,
+        statusText: raw.statusText || '',
+        headers,
+        bodyEncoding: isText ? 'utf8' : 'base64',
+        body: isText ? text : body.toString('base64')
+      }
+    };
+
+    fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+    fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2) + '\n');
+  }
+
+  /**
+   * Fixture file for a request: <fixturesDir>/<host>/<hash of method and URL>.json
+   */
+  getFixturePath(method, url) {
+    const sanitized = this.sanitizeUrl(url);
+    const hash = crypto.createHash('sha1').update(`${method} ${sanitized}`).digest('hex').substring(0, 16);
+    const host = new URL(sanitized).hostname || 'local';
+
+    return path.join(this.fixturesDir, host, `${hash}.json`);
+  }
+
+  /**
+   * Strip secrets and sort query parameters so keys do not depend on
+   * the API key or on parameter order
+   */
+  sanitizeUrl(url) {
+    const parsed = new URL(url);
+
+    for (const param of SECRET_PARAMS) {
+      parsed.searchParams.delete(param);
+    }
+    parsed.searchParams.sort();
+
+    return parsed.toString();
+  }
+}
+
+module.exports = HttpClient;
+module.exports.HttpResponse = HttpResponse;
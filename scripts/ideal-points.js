@@ -0,0 +1,693 @@
+#!/usr/bin/env node
+
+/**
+ * Ideal Points
+ * Scales each congress and chamber's roll-call matrix into one or two
+ * dimensions, in the spirit of W-NOMINATE, and stores every member's
+ * coordinates with standard errors in ideal_points.
+ *
+ * Each member i has a point x_i and each roll call j a cutting line
+ * (alpha_j, beta_j), with P(Yea) = logistic(alpha_j + beta_j . x_i). The
+ * model is fit by alternating Newton steps: roll-call parameters for fixed
+ * points, then points for fixed roll calls, both with weak normal priors so
+ * unanimous-looking votes and perfect partisans stay finite. Starting points
+ * come from the double-centered agreement matrix, as W-NOMINATE does.
+ *
+ * Only Yea and Nay count. Lopsided roll calls (under 2.5% in the minority)
+ * and members with fewer than 20 scaled votes are left out. Points are
+ * centered and rescaled by one common factor while fitting, so the spread
+ * along each dimension survives; afterwards they are rotated so the first
+ * dimension carries the most variance, oriented so Republicans sit on the
+ * positive side of it, and scaled into the unit circle. Standard errors come from the curvature of each member's
+ * likelihood at the estimate.
+ */
+
+const Database = require('better-sqlite3');
+const Migrator = require('./migrate');
+const VotingStatistics = require('./voting-statistics');
+const { stamp, SOURCE_TYPES } = require('./provenance');
+const clock = require('./clock');
+const { getDatabasePath } = require('./data-paths');
+
+const MIN_MEMBER_VOTES = 20;
+const MIN_MEMBERS = 10;
+const LOPSIDED_SHARE = 0.025;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-5;
+// Prior precisions: members ~ N(0, 1), roll-call parameters ~ N(0, 25)
+const MEMBER_PRECISION = 1;
+const ROLL_CALL_PRECISION = 0.04;
+
+/**
+ * Solve A x = b for a small dense system (Gaussian elimination with pivoting)
+ */
+function solve(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(a[row][column]) > Math.abs(a[pivot][column])) pivot = row;
+    }
+    [a[column], a[pivot]] = [a[pivot], a[column]];
+    if (Math.abs(a[column][column]) < 1e-12) return new Array(n).fill(0);
+
+    for (let row = column + 1; row < n; row++) {
+      const factor = a[row][column] / a[column][column];
+      for (let k = column; k <= n; k++) a[row][k] -= factor * a[column][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Invert a small symmetric positive definite matrix
+ */
+function invert(matrix) {
+  const n = matrix.length;
+  const columns = [];
+  for (let k = 0; k < n; k++) {
+    const unit = new Array(n).fill(0);
+    unit[k] = 1;
+    columns.push(solve(matrix, unit));
+  }
+  return matrix.map((row, i) => row.map((_, j) => columns[j][i]));
+}
+
+function logistic(value) {
+  return 1 / (1 + Math.exp(-value));
+}
+
+class IdealPoints {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   */
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(getDatabasePath());
+    Migrator.migrate(this.db);
+  }
+
+  /**
+   * The Yea/Nay matrix for one congress and chamber, with lopsided roll calls
+   * and members with too few votes removed
+   * @returns {Object} { members: [politician_id], rollCalls: [{ id, cast: [[memberIndex, 1|0]] }],
+   *   droppedRollCalls, droppedMembers }
+   */
+  buildMatrix(congress, chamber) {
+    const rows = this.db.prepare(`
+      SELECT pv.vote_id, pv.politician_id, pv.position
+      FROM politician_votes pv
+      JOIN votes v ON v.id = pv.vote_id
+      WHERE v.congress = ? AND LOWER(v.chamber) = LOWER(?)
+      ORDER BY v.session, v.roll_call_number, v.id
+    `).all(congress, chamber);
+
+    const byVote = new Map();
+    rows.forEach(row => {
+      const side = VotingStatistics.classifyPosition(row.position);
+      if (side !== 'yes' && side !== 'no') return;
+      if (!byVote.has(row.vote_id)) byVote.set(row.vote_id, []);
+      byVote.get(row.vote_id).push([String(row.politician_id), side === 'yes' ? 1 : 0]);
+    });
+
+    const kept = [];
+    byVote.forEach((cast, id) => {
+      const yeas = cast.filter(([, y]) => y === 1).length;
+      const minority = Math.min(yeas, cast.length - yeas);
+      if (minority > 0 && minority / cast.length >= LOPSIDED_SHARE) kept.push({ id, cast });
+    });
+
+    const counts = new Map();
+    kept.forEach(rollCall => rollCall.cast.forEach(([memberId]) => {
+      counts.set(memberId, (counts.get(memberId) || 0) + 1);
+    }));
+    const members = [...counts.keys()].filter(id => counts.get(id) >= MIN_MEMBER_VOTES).sort();
+    const index = new Map(members.map((id, i) => [id, i]));
+
+    const rollCalls = kept
+      .map(rollCall => ({
+        id: rollCall.id,
+        cast: rollCall.cast.filter(([memberId]) => index.has(memberId)).map(([memberId, y]) => [index.get(memberId), y])
+      }))
+      .filter(rollCall => {
+        const yeas = rollCall.cast.filter(([, y]) => y === 1).length;
+        return yeas > 0 && yeas < rollCall.cast.length;
+      });
+
+    return {
+      members,
+      rollCalls,
+      droppedRollCalls: byVote.size - rollCalls.length,
+      droppedMembers: counts.size - members.length
+    };
+  }
+
+  /**
+   * Starting points from the double-centered squared disagreement matrix
+   */
+  static startingPoints(memberCount, rollCalls, dimensions) {
+    const agree = Array.from({ length: memberCount }, () => new Float64Array(memberCount));
+    const shared = Array.from({ length: memberCount }, () => new Float64Array(memberCount));
+
+    rollCalls.forEach(({ cast }) => {
+      for (let a = 0; a < cast.length; a++) {
+        const [i, yi] = cast[a];
+        for (let b = a + 1; b < cast.length; b++) {
+          const [k, yk] = cast[b];
+          shared[i][k]++;
+          shared[k][i]++;
+          if (yi === yk) {
+            agree[i][k]++;
+            agree[k][i]++;
+          }
+        }
+      }
+    });
+
+    const distance = Array.from({ length: memberCount }, (_, i) => Float64Array.from({ length: memberCount }, (__, k) => {
+      if (i === k) return 0;
+      const disagreement = shared[i][k] > 0 ? 1 - agree[i][k] / shared[i][k] : 1;
+      return disagreement * disagreement;
+    }));
+
+    const rowMeans = distance.map(row => row.reduce((sum, value) => sum + value, 0) / memberCount);
+    const grandMean = rowMeans.reduce((sum, value) => sum + value, 0) / memberCount;
+    const centered = distance.map((row, i) => Float64Array.from(row, (value, k) =>
+      -0.5 * (value - rowMeans[i] - rowMeans[k] + grandMean)
+    ));
+
+    // Leading eigenvectors by power iteration with deflation
+    const points = Array.from({ length: memberCount }, () => new Array(dimensions).fill(0));
+    const found = [];
+    for (let d = 0; d < dimensions; d++) {
+      let vector = Float64Array.from({ length: memberCount }, (_, i) => Math.sin((i + 1) * (d + 1.7)));
+      let eigenvalue = 0;
+
+      for (let iteration = 0; iteration < 300; iteration++) {
+        const next = new Float64Array(memberCount);
+        for (let i = 0; i < memberCount; i++) {
+          let sum = 0;
+          for (let k = 0; k < memberCount; k++) sum += centered[i][k] * vector[k];
+          next[i] = sum;
+        }
+        found.forEach(({ vector: previous, eigenvalue: value }) => {
+          const projection = previous.reduce((sum, component, i) => sum + component * vector[i], 0);
+          for (let i = 0; i < memberCount; i++) next[i] -= value * projection * previous[i];
+        });
+
+        const norm = Math.sqrt(next.reduce((sum, value) => sum + value * value, 0)) || 1;
+        eigenvalue = norm;
+        vector = next.map(value => value / norm);
+      }
+
+      found.push({ vector, eigenvalue });
+      vector.forEach((value, i) => { points[i][d] = value * Math.sqrt(Math.max(eigenvalue, 0)); });
+    }
+
+    return points;
+  }
+
+  /**
+   * Fit the model to a matrix from buildMatrix
+   * @param {Object} matrix - { members, rollCalls }
+   * @param {Object} options - { dimensions: 1 | 2, reference: index of a member placed on
+   *   the positive side of every dimension (default 0) }
+   * @returns {Object} { points: [{ coords, se, votes, classification }], iterations, converged,
+   *   logLikelihood, classification, apre, rollCallParameters }
+   */
+  static estimate(matrix, options = {}) {
+    const { dimensions = 2, reference = 0 } = options;
+    const memberCount = matrix.members.length;
+    const { rollCalls } = matrix;
+
+    const x = IdealPoints.startingPoints(memberCount, rollCalls, dimensions);
+    const alpha = new Float64Array(rollCalls.length);
+    const beta = rollCalls.map(() => new Array(dimensions).fill(0));
+
+    const memberVotes = Array.from({ length: memberCount }, () => []);
+    rollCalls.forEach(({ cast }, j) => cast.forEach(([i, y]) => memberVotes[i].push([j, y])));
+
+    // Center each dimension and rescale all of them by one factor, so the
+    // average variance is 1 but a dimension with little signal stays small.
+    // Scaling dimensions separately would give every one variance 1 and
+    // leave the principal axes undefined.
+    const standardize = () => {
+      const means = Array.from({ length: dimensions }, (_, d) => x.reduce((sum, point) => sum + point[d], 0) / memberCount);
+      const spread = x.reduce((sum, point) => sum + point.reduce((inner, value, d) => inner + (value - means[d]) ** 2, 0), 0);
+      const scale = Math.sqrt(spread / (memberCount * dimensions)) || 1;
+
+      for (let d = 0; d < dimensions; d++) {
+        x.forEach(point => { point[d] = (point[d] - means[d]) / scale; });
+        // Keep every linear predictor alpha + beta . x unchanged
+        rollCalls.forEach((_, j) => {
+          alpha[j] += beta[j][d] * means[d];
+          beta[j][d] *= scale;
+        });
+      }
+    };
+
+    const predictor = (i, j) => alpha[j] + beta[j].reduce((sum, value, d) => sum + value * x[i][d], 0);
+
+    const logLikelihood = () => rollCalls.reduce((total, { cast }, j) => total + cast.reduce((sum, [i, y]) => {
+      const p = Math.min(Math.max(logistic(predictor(i, j)), 1e-12), 1 - 1e-12);
+      return sum + (y === 1 ? Math.log(p) : Math.log(1 - p));
+    }, 0), 0);
+
+    standardize();
+
+    let previous = -Infinity;
+    let current = logLikelihood();
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < MAX_ITERATIONS) {
+      iterations++;
+
+      // Roll-call step: (alpha_j, beta_j) on design [1, x_i]
+      rollCalls.forEach(({ cast }, j) => {
+        const size = dimensions + 1;
+        const theta = [alpha[j], ...beta[j]];
+        const gradient = theta.map(value => -ROLL_CALL_PRECISION * value);
+        const information = Array.from({ length: size }, (_, a) => Array.from({ length: size }, (__, b) => (a === b ? ROLL_CALL_PRECISION : 0)));
+
+        cast.forEach(([i, y]) => {
+          const design = [1, ...x[i]];
+          const p = logistic(predictor(i, j));
+          const weight = p * (1 - p);
+          for (let a = 0; a < size; a++) {
+            gradient[a] += (y - p) * design[a];
+            for (let b = 0; b < size; b++) information[a][b] += weight * design[a] * design[b];
+          }
+        });
+
+        const step = solve(information, gradient);
+        alpha[j] += step[0];
+        for (let d = 0; d < dimensions; d++) beta[j][d] += step[d + 1];
+      });
+
+      // Member step: x_i for fixed roll calls
+      x.forEach((point, i) => {
+        const gradient = point.map(value => -MEMBER_PRECISION * value);
+        const information = Array.from({ length: dimensions }, (_, a) => Array.from({ length: dimensions }, (__, b) => (a === b ? MEMBER_PRECISION : 0)));
+
+        memberVotes[i].forEach(([j, y]) => {
+          const p = logistic(predictor(i, j));
+          const weight = p * (1 - p);
+          for (let a = 0; a < dimensions; a++) {
+            gradient[a] += (y - p) * beta[j][a];
+            for (let b = 0; b < dimensions; b++) information[a][b] += weight * beta[j][a] * beta[j][b];
+          }
+        });
+
+        const step = solve(information, gradient);
+        for (let d = 0; d < dimensions; d++) point[d] += step[d];
+      });
+
+      standardize();
+
+      previous = current;
+      current = logLikelihood();
+      if (Math.abs(current - previous) <= TOLERANCE * Math.abs(previous)) {
+        converged = true;
+        break;
+      }
+    }
+
+    // Uncertainty from each member's information at the estimate
+    const covariances = x.map((point, i) => {
+      const information = Array.from({ length: dimensions }, (_, a) => Array.from({ length: dimensions }, (__, b) => (a === b ? MEMBER_PRECISION : 0)));
+      memberVotes[i].forEach(([j]) => {
+        const p = logistic(predictor(i, j));
+        const weight = p * (1 - p);
+        for (let a = 0; a < dimensions; a++) {
+          for (let b = 0; b < dimensions; b++) information[a][b] += weight * beta[j][a] * beta[j][b];
+        }
+      });
+      return invert(information);
+    });
+
+    // Classification: a vote is explained when the predicted side was cast
+    let correct = 0;
+    let total = 0;
+    let minorityVotes = 0;
+    let errors = 0;
+    const memberCorrect = new Array(memberCount).fill(0);
+    rollCalls.forEach(({ cast }, j) => {
+      const yeas = cast.filter(([, y]) => y === 1).length;
+      minorityVotes += Math.min(yeas, cast.length - yeas);
+      cast.forEach(([i, y]) => {
+        const predicted = predictor(i, j) > 0 ? 1 : 0;
+        total++;
+        if (predicted === y) {
+          correct++;
+          memberCorrect[i]++;
+        } else {
+          errors++;
+        }
+      });
+    });
+
+    // Rotate so the first dimension carries the most variance
+    const rotation = dimensions === 2 ? IdealPoints.principalAxes(x) : [[1]];
+    const rotate = (vector) => rotation.map(row => row.reduce((sum, value, k) => sum + value * vector[k], 0));
+    const rotateCovariance = (covariance) => rotation.map(row => rotation.map(other =>
+      row.reduce((sum, value, a) => sum + value * other.reduce((inner, component, b) => inner + covariance[a][b] * component, 0), 0)
+    ));
+
+    let coords = x.map(rotate);
+
+    // Axes have no sign of their own: put the reference member on the positive side
+    const signs = (coords[reference] || []).map(value => (value < 0 ? -1 : 1));
+    coords = coords.map(point => point.map((value, d) => value * signs[d]));
+    const variances = covariances.map(covariance => rotateCovariance(covariance).map((row, d) => row[d]));
+
+    // Scale into the unit circle
+    const radius = Math.max(...coords.map(point => Math.sqrt(point.reduce((sum, value) => sum + value * value, 0)))) || 1;
+    coords = coords.map(point => point.map(value => value / radius));
+    const se = variances.map(variance => variance.map(value => Math.sqrt(Math.max(value, 0)) / radius));
+
+    return {
+      points: coords.map((point, i) => ({
+        coords: point,
+        se: se[i],
+        votes: memberVotes[i].length,
+        classification: memberVotes[i].length > 0 ? memberCorrect[i] / memberVotes[i].length : null
+      })),
+      iterations,
+      converged,
+      logLikelihood: current,
+      classification: total > 0 ? correct / total : null,
+      apre: minorityVotes > 0 ? (minorityVotes - errors) / minorityVotes : null
+    };
+  }
+
+  /**
+   * Rotation whose rows are the principal axes of a two-dimensional point
+   * cloud, largest variance first: the eigenvectors of its covariance
+   */
+  static principalAxes(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, [a]) => sum + a, 0) / n;
+    const meanY = points.reduce((sum, [, b]) => sum + b, 0) / n;
+    const [sxx, syy, sxy] = points
+      .reduce(([xx, yy, xy], [a, b]) => [xx + (a - meanX) ** 2, yy + (b - meanY) ** 2, xy + (a - meanX) * (b - meanY)], [0, 0, 0])
+      .map(value => value / n);
+
+    // Larger eigenvalue of [[sxx, sxy], [sxy, syy]] and its eigenvector
+    const largest = (sxx + syy) / 2 + Math.sqrt(((sxx - syy) / 2) ** 2 + sxy ** 2);
+    const [u, v] = Math.abs(sxy) > 1e-12
+      ? [sxy, largest - sxx]
+      : (sxx >= syy ? [1, 0] : [0, 1]);
+    const norm = Math.sqrt(u * u + v * v);
+    return [
+      [u / norm, v / norm],
+      [-v / norm, u / norm]
+    ];
+  }
+
+  /**
+   * Estimate and store ideal points for one congress and chamber
+   * @returns {Object|null} The fit summary, or null when there is too little data
+   */
+  estimateCongress(congress, chamber, options = {}) {
+    const { dimensions = 2 } = options;
+    const computedAt = clock.toSqlTimestamp();
+    const matrix = this.buildMatrix(congress, chamber);
+
+    if (matrix.members.length < MIN_MEMBERS || matrix.rollCalls.length < MIN_MEMBER_VOTES) {
+      console.log(`⚠️  ${congress} ${chamber}: too few members or contested roll calls to scale (${matrix.members.length} members, ${matrix.rollCalls.length} roll calls)`);
+      return null;
+    }
+
+    console.log(`📐 Scaling ${congress} ${chamber}: ${matrix.members.length} members, ${matrix.rollCalls.length} roll calls, ${dimensions} dimension${dimensions === 1 ? '' : 's'}...`);
+    const fit = IdealPoints.estimate(matrix, { dimensions });
+
+    // Orient each dimension: Republicans positive on the first, Democrats on the second
+    const parties = this.getParties(matrix.members, congress, chamber);
+    const flips = Array.from({ length: dimensions }, (_, d) => {
+      const party = d === 0 ? 'R' : 'D';
+      const mean = (letter) => {
+        const values = fit.points.filter((_, i) => parties[i] === letter).map(point => point.coords[d]);
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+      };
+      const other = party === 'R' ? 'D' : 'R';
+      return mean(party) < mean(other) ? -1 : 1;
+    });
+    fit.points.forEach(point => { point.coords = point.coords.map((value, d) => value * flips[d]); });
+
+    const provenance = stamp(SOURCE_TYPES.COMPUTED, 'ideal-points');
+    const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10000) / 10000);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM ideal_points WHERE congress = ? AND LOWER(chamber) = LOWER(?)').run(congress, chamber);
+
+      const insert = this.db.prepare(`
+        INSERT INTO ideal_points (
+          politician_id, congress, chamber, party, coord1, coord2, se1, se2, votes_scaled, classification,
+          source_type, source_url, retrieved_at, method, updated_at
+        ) VALUES (
+          @politician_id, @congress, @chamber, @party, @coord1, @coord2, @se1, @se2, @votes_scaled, @classification,
+          @source_type, @source_url, @retrieved_at, @method, @updated_at
+        )
+      `);
+      fit.points.forEach((point, i) => insert.run({
+        politician_id: matrix.members[i],
+        congress,
+        chamber,
+        party: parties[i] || null,
+        coord1: round(point.coords[0]),
+        coord2: dimensions > 1 ? round(point.coords[1]) : null,
+        se1: round(point.se[0]),
+        se2: dimensions > 1 ? round(point.se[1]) : null,
+        votes_scaled: point.votes,
+        classification: round(point.classification),
+        ...provenance,
+        updated_at: computedAt
+      }));
+
+      this.db.prepare(`
+        INSERT OR REPLACE INTO ideal_point_fits (
+          congress, chamber, dimensions, members, roll_calls, dropped_roll_calls, dropped_members,
+          iterations, converged, log_likelihood, classification, apre,
+          source_type, source_url, retrieved_at, method, computed_at
+        ) VALUES (
+          @congress, @chamber, @dimensions, @members, @roll_calls, @dropped_roll_calls, @dropped_members,
+          @iterations, @converged, @log_likelihood, @classification, @apre,
+          @source_type, @source_url, @retrieved_at, @method, @computed_at
+        )
+      `).run({
+        congress,
+        chamber,
+        dimensions,
+        members: matrix.members.length,
+        roll_calls: matrix.rollCalls.length,
+        dropped_roll_calls: matrix.droppedRollCalls,
+        dropped_members: matrix.droppedMembers,
+        iterations: fit.iterations,
+        converged: fit.converged ? 1 : 0,
+        log_likelihood: round(fit.logLikelihood),
+        classification: round(fit.classification),
+        apre: round(fit.apre),
+        ...provenance,
+        computed_at: computedAt
+      });
+    })();
+
+    const summary = this.getFit(congress, chamber);
+    console.log(`✅ ${congress} ${chamber}: ${(summary.classification * 100).toFixed(1)}% of votes classified, APRE ${summary.apre}${summary.converged ? '' : ' (did not converge)'}`);
+    return summary;
+  }
+
+  /**
+   * Party letter for each member in a congress: their term's party, or their current one
+   */
+  getParties(memberIds, congress, chamber) {
+    const lookup = this.db.prepare(`
+      SELECT UPPER(SUBSTR(TRIM(COALESCE(t.party, p.party)), 1, 1)) AS party
+      FROM politicians p
+      LEFT JOIN politician_terms t
+        ON t.politician_id = p.id AND t.congress = ? AND LOWER(t.chamber) = LOWER(?)
+      WHERE p.id = ?
+    `);
+    return memberIds.map(id => (lookup.get(congress, chamber, id) || {}).party || null);
+  }
+
+  /**
+   * Re-scale every congress and chamber whose votes changed since its last fit
+   * @param {Object} options - { congress, chamber, dimensions, force }
+   * @returns {Array} Fit summaries for the congresses scaled
+   */
+  update(options = {}) {
+    const { congress = null, chamber = null, dimensions = 2, force = false } = options;
+
+    const pairs = this.db.prepare(`
+      SELECT DISTINCT v.congress, LOWER(v.chamber) AS chamber, f.computed_at, f.dimensions
+      FROM votes v
+      LEFT JOIN ideal_point_fits f ON f.congress = v.congress AND f.chamber = LOWER(v.chamber)
+      WHERE (@congress IS NULL OR v.congress = @congress)
+        AND (@chamber IS NULL OR LOWER(v.chamber) = LOWER(@chamber))
+      ORDER BY v.congress, chamber
+    `).all({ congress, chamber });
+
+    const changedSince = this.db.prepare(`
+      SELECT 1
+      FROM politician_votes pv
+      JOIN votes v ON v.id = pv.vote_id
+      WHERE v.congress = ? AND LOWER(v.chamber) = ?
+        AND (pv.created_at >= ? OR v.updated_at >= ?)
+      LIMIT 1
+    `);
+
+    const fits = [];
+    pairs.forEach(pair => {
+      const stale = force
+        || !pair.computed_at
+        || pair.dimensions !== dimensions
+        || changedSince.get(pair.congress, pair.chamber, pair.computed_at, pair.computed_at);
+      if (!stale) return;
+
+      const fit = this.estimateCongress(pair.congress, pair.chamber, { dimensions });
+      if (fit) fits.push(fit);
+    });
+
+    return fits;
+  }
+
+  getFit(congress, chamber) {
+    return this.db.prepare(`
+      SELECT * FROM ideal_point_fits WHERE congress = ? AND chamber = LOWER(?)
+    `).get(congress, chamber) || null;
+  }
+
+  /**
+   * Every member's point in a congress and chamber, left to right
+   */
+  getPoints(congress, chamber) {
+    return this.db.prepare(`
+      SELECT ip.*, p.name, p.state
+      FROM ideal_points ip
+      JOIN politicians p ON p.id = ip.politician_id
+      WHERE ip.congress = ? AND ip.chamber = LOWER(?)
+      ORDER BY ip.coord1, p.name
+    `).all(congress, chamber);
+  }
+
+  /**
+   * A member's points across congresses, newest first
+   */
+  getMemberPoints(politicianId) {
+    return this.db.prepare(`
+      SELECT * FROM ideal_points WHERE politician_id = ? ORDER BY congress DESC, chamber
+    `).all(politicianId);
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'help';
+
+  const getOption = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : null;
+  };
+
+  function runCLI() {
+    if (!['update', 'show', 'member'].includes(command)) {
+      console.log(`
+📐 Ideal Points
+
+Usage: node ideal-points.js <command> [options]
+
+Commands:
+  update                       Scale every congress and chamber with new votes
+  show <congress> <chamber>    Show the fit and members from left to right
+  member <politician_id>       Show a member's points by congress
+  help                         Show this help message
+
+Options:
+  --congress <number>          Only scale one congress
+  --chamber <house|senate>     Only scale one chamber
+  --dimensions <1|2>           Number of dimensions (default: 2)
+  --force                      Re-scale even when no votes changed
+
+Examples:
+  node ideal-points.js update --congress 118 --chamber senate --force
+  node ideal-points.js show 118 house
+      `);
+      return;
+    }
+
+    const idealPoints = new IdealPoints();
+
+    try {
+      switch (command) {
+        case 'update': {
+          const fits = idealPoints.update({
+            congress: getOption('congress') ? parseInt(getOption('congress'), 10) : null,
+            chamber: getOption('chamber'),
+            dimensions: parseInt(getOption('dimensions'), 10) === 1 ? 1 : 2,
+            force: args.includes('--force')
+          });
+          console.log(`✅ Scaled ${fits.length} congress${fits.length === 1 ? '' : 'es'} and chambers`);
+          break;
+        }
+
+        case 'show': {
+          const congress = parseInt(args[1], 10);
+          const chamber = args[2] || 'house';
+          const fit = idealPoints.getFit(congress, chamber);
+          if (!fit) {
+            console.log(`No ideal points for ${args[1] || '(missing congress)'} ${chamber}`);
+            break;
+          }
+          console.log(`📐 ${congress} ${chamber}: ${fit.members} members, ${fit.roll_calls} roll calls, ${fit.dimensions}D`);
+          console.log(`   Classified ${(fit.classification * 100).toFixed(1)}% of votes, APRE ${fit.apre}, ${fit.iterations} iterations${fit.converged ? '' : ' (did not converge)'}`);
+          idealPoints.getPoints(congress, chamber).forEach(point => {
+            const second = point.coord2 === null ? '' : `, ${point.coord2.toFixed(3)} ± ${point.se2.toFixed(3)}`;
+            console.log(`   ${point.coord1.toFixed(3)} ± ${point.se1.toFixed(3)}${second}  ${point.name} (${point.party || '?'}-${point.state})`);
+          });
+          break;
+        }
+
+        case 'member': {
+          const points = args[1] ? idealPoints.getMemberPoints(args[1]) : [];
+          if (points.length === 0) {
+            console.log(`No ideal points for ${args[1] || '(missing politician id)'}`);
+            break;
+          }
+          points.forEach(point => {
+            const second = point.coord2 === null ? '' : `, ${point.coord2} ± ${point.se2}`;
+            console.log(`📐 ${point.congress} ${point.chamber}: ${point.coord1} ± ${point.se1}${second} (${point.votes_scaled} votes)`);
+          });
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Ideal point estimation failed:', error.message);
+      process.exit(1);
+    } finally {
+      idealPoints.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = IdealPoints;
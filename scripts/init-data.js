@@ -1,16 +1,19 @@
 // Node.js script to initialize sample data
+// The sample data is made up, so it only ever goes in the demo database
 const PoliticianDatabase = require('../src/js/database.js');
-const path = require('path');
 const fs = require('fs');
+const { DATA_DIR, DEMO_DB_PATH } = require('./data-paths');
 
 // Ensure data directory exists
-const dataDir = path.join(__dirname, 'data');
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
 // Initialize database
-const db = new PoliticianDatabase(path.join(dataDir, 'politicians.db'));
+const db = new PoliticianDatabase(DEMO_DB_PATH);
+
+// Provenance for every sample row
+const DEMO = { source_type: 'demo', method: 'init-data' };
 
 // Sample politicians data
 const samplePoliticians = [
@@ -82,30 +85,26 @@ const samplePoliticians = [
 const samplePolicyPositions = [
   {
     politician_id: 'alexandria-ocasio-cortez',
-    category: 'Climate Change',
-    stated_position: 'Supports the Green New Deal and aggressive action on climate change to achieve net-zero emissions',
-    alignment_score: 92,
+    topic: 'environment',
+    position_summary: 'Supports the Green New Deal and aggressive action on climate change to achieve net-zero emissions',
     source_url: 'https://ocasio-cortez.house.gov/issues/green-new-deal'
   },
   {
     politician_id: 'alexandria-ocasio-cortez',
-    category: 'Healthcare',
-    stated_position: 'Supports Medicare for All universal healthcare system',
-    alignment_score: 88,
+    topic: 'healthcare',
+    position_summary: 'Supports Medicare for All universal healthcare system',
     source_url: 'https://ocasio-cortez.house.gov/issues/medicare-for-all'
   },
   {
     politician_id: 'ted-cruz',
-    category: 'Healthcare',
-    stated_position: 'Opposes government-run healthcare, supports market-based solutions',
-    alignment_score: 85,
+    topic: 'healthcare',
+    position_summary: 'Opposes government-run healthcare, supports market-based solutions',
     source_url: 'https://www.cruz.senate.gov/issues/healthcare'
   },
   {
     politician_id: 'ted-cruz',
-    category: 'Immigration',
-    stated_position: 'Supports secure borders and merit-based immigration system',
-    alignment_score: 90,
+    topic: 'immigration',
+    position_summary: 'Supports secure borders and merit-based immigration system',
     source_url: 'https://www.cruz.senate.gov/issues/immigration'
   }
 ];
@@ -187,24 +186,24 @@ try {
 
   // Insert policy positions
   samplePolicyPositions.forEach(position => {
-    db.insertPolicyPosition(position);
-    console.log(`Inserted policy position: ${position.category} for ${position.politician_id}`);
+    db.insertPolicyPosition({ ...position, ...DEMO });
+    console.log(`Inserted policy position: ${position.topic} for ${position.politician_id}`);
   });
 
   // Insert public statements
   sampleStatements.forEach(statement => {
-    db.insertPublicStatement(statement);
+    db.insertPublicStatement({ ...statement, ...DEMO });
     console.log(`Inserted statement for ${statement.politician_id}`);
   });
 
   // Insert voting records
   sampleVotes.forEach(vote => {
-    db.insertVotingRecord(vote);
+    db.insertVotingRecord({ ...vote, ...DEMO });
     console.log(`Inserted vote record: ${vote.bill_name} for ${vote.politician_id}`);
   });
 
   console.log('\nDatabase initialization complete!');
-  console.log(`Database location: ${path.join(dataDir, 'politicians.db')}`);
+  console.log(`Database location: ${DEMO_DB_PATH}`);
 
   // Test the database
   console.log('\nTesting database...');
@@ -228,5 +227,5 @@ try {
 
 console.log('\nNext steps:');
 console.log('1. Run "npm install" to install dependencies');
-console.log('2. Run "npm start" to start the development server');
+console.log('2. Run "npm run demo:start" to serve the site from the demo database');
 console.log('3. Visit http://localhost:8080 to view the site');
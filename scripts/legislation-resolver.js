@@ -0,0 +1,246 @@
+/**
+ * Legislation Resolver
+ * Turns the legislation references on roll-call votes ("HRES 583",
+ * "H.R. 2882", "HAMDT 246", "S.Amdt. 1234") into bill and amendment ids
+ * and links votes to them. Ids follow the legislation table:
+ * <congress>-<TYPE>-<number>, e.g. 118-HRES-583.
+ *
+ * Amendments are recorded as they are voted on. A vote on an amendment is
+ * attributed to the amendment and to the bill it amends, so analysis can
+ * tell amendment votes apart from votes on the bill itself.
+ */
+
+const Migrator = require('./migrate');
+
+// Congress.gov type codes, keyed by the reference with periods and spaces removed
+const BILL_TYPES = {
+  HR: 'HR',
+  S: 'S',
+  HRES: 'HRES',
+  SRES: 'SRES',
+  HJRES: 'HJRES',
+  SJRES: 'SJRES',
+  HCONRES: 'HCONRES',
+  SCONRES: 'SCONRES'
+};
+
+const AMENDMENT_TYPES = {
+  HAMDT: 'HAMDT',
+  SAMDT: 'SAMDT',
+  SUPAMDT: 'SUAMDT',
+  SUAMDT: 'SUAMDT'
+};
+
+// Longest prefixes first so "H.J.Res." is not read as "H.R.". Parts may be
+// separated by a period and a space. A reference cannot follow a letter or
+// period, and a bare "S" needs a period or space before its number, so
+// "U.S. 2" and "S2" are not read as bill S. 2.
+const SEPARATOR = '\\.?\\s?';
+const REFERENCE_PATTERN = new RegExp(
+  '(?<![\\w.])(?:(' +
+  [
+    ['H', 'CON', 'RES'], ['S', 'CON', 'RES'], ['H', 'J', 'RES'], ['S', 'J', 'RES'],
+    ['H', 'RES'], ['S', 'RES'], ['H', 'AMDT'], ['S', '(?:UP?' + SEPARATOR + ')?AMDT'], ['H', 'R']
+  ].map(parts => parts.join(SEPARATOR)).join('|') +
+  ')' + SEPARATOR + '|(S)(?:\\.\\s?|\\s))(\\d+)\\b',
+  'g'
+);
+
+class LegislationResolver {
+  constructor(db) {
+    this.db = db;
+    Migrator.migrate(this.db);
+  }
+
+  /**
+   * Build an id from a congress, type code and number
+   */
+  buildId(congress, type, number) {
+    return `${congress}-${type}-${parseInt(number, 10)}`;
+  }
+
+  /**
+   * Split an id back into its parts
+   */
+  parseId(id) {
+    const match = (id || '').match(/^(\d+)-([A-Z]+)-(\d+)$/);
+    if (!match) return null;
+    return { congress: parseInt(match[1], 10), type: match[2], number: parseInt(match[3], 10) };
+  }
+
+  /**
+   * Normalize a type such as "H.Res.", "hres" or "S. Amdt." to a type code
+   */
+  normalizeType(type) {
+    const key = (type || '').toUpperCase().replace(/[.\s]/g, '');
+    return BILL_TYPES[key] || AMENDMENT_TYPES[key] || null;
+  }
+
+  isAmendmentType(type) {
+    return Object.values(AMENDMENT_TYPES).includes(type);
+  }
+
+  /**
+   * Find every legislation reference in free text, in order
+   */
+  parseReferences(text) {
+    const normalized = (text || '').toUpperCase().replace(/\s+/g, ' ');
+    const references = [];
+
+    for (const match of normalized.matchAll(REFERENCE_PATTERN)) {
+      const type = this.normalizeType(match[1] || match[2]);
+      if (type) {
+        references.push({ type, number: parseInt(match[3], 10) });
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Resolve references to { billId, amendmentId }. The first bill and the
+   * first amendment mentioned win.
+   */
+  resolveReferences(references, congress) {
+    const bill = references.find(reference => !this.isAmendmentType(reference.type));
+    const amendment = references.find(reference => this.isAmendmentType(reference.type));
+
+    return {
+      billId: bill ? this.buildId(congress, bill.type, bill.number) : null,
+      amendmentId: amendment ? this.buildId(congress, amendment.type, amendment.number) : null
+    };
+  }
+
+  /**
+   * Resolve a vote from the Congress.gov house-vote endpoint, preferring its
+   * structured legislation fields over the question text
+   */
+  resolveHouseVote(voteData, congress) {
+    const references = [];
+
+    const legislationType = this.normalizeType(voteData.legislationType);
+    if (legislationType && voteData.legislationNumber) {
+      references.push({ type: legislationType, number: parseInt(voteData.legislationNumber, 10) });
+    }
+
+    const amendmentType = this.normalizeType(voteData.amendmentType);
+    if (amendmentType && voteData.amendmentNumber) {
+      references.push({ type: amendmentType, number: parseInt(voteData.amendmentNumber, 10) });
+    }
+
+    references.push(...this.parseReferences(voteData.question), ...this.parseReferences(voteData.description));
+    return this.resolveReferences(references, congress);
+  }
+
+  /**
+   * Resolve a parsed senate.gov roll call (see SenateVoteIngester.parseRollCallVote)
+   */
+  resolveSenateVote(vote, congress) {
+    return this.resolveReferences([
+      ...this.parseReferences(vote.amendmentNumber),
+      ...this.parseReferences(vote.amendmentToDocument),
+      ...this.parseReferences(vote.documentName),
+      ...this.parseReferences(vote.question)
+    ], congress);
+  }
+
+  /**
+   * Resolve a stored vote row from its question and description
+   */
+  resolveStoredVote(vote) {
+    return this.resolveReferences([
+      ...this.parseReferences(vote.question),
+      ...this.parseReferences(vote.description)
+    ], vote.congress);
+  }
+
+  /**
+   * Point a vote at its bill and amendment
+   */
+  linkVote(voteId, { billId, amendmentId }) {
+    this.db.prepare(`
+      UPDATE votes SET bill_id = ?, amendment_id = ? WHERE id = ?
+    `).run(billId, amendmentId, voteId);
+  }
+
+  /**
+   * Record what a vote tells us about an amendment without overwriting
+   * anything already known
+   */
+  recordAmendment(amendmentId, details = {}) {
+    const parsed = this.parseId(amendmentId);
+    if (!parsed) return;
+
+    this.db.prepare(`
+      INSERT INTO amendments (
+        id, congress, amendment_type, amendment_number, bill_id, chamber, sponsor_name, purpose, description
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        bill_id = COALESCE(amendments.bill_id, excluded.bill_id),
+        chamber = COALESCE(amendments.chamber, excluded.chamber),
+        sponsor_name = COALESCE(amendments.sponsor_name, excluded.sponsor_name),
+        purpose = COALESCE(amendments.purpose, excluded.purpose),
+        description = COALESCE(amendments.description, excluded.description)
+    `).run(
+      amendmentId,
+      parsed.congress,
+      parsed.type,
+      parsed.number,
+      details.billId || null,
+      details.chamber || null,
+      details.sponsorName || null,
+      details.purpose || null,
+      details.description || null
+    );
+  }
+
+  /**
+   * Attribute amendment votes to the amendment's parent bill where the vote
+   * itself did not name one
+   */
+  attributeAmendmentVotes() {
+    return this.db.prepare(`
+      UPDATE votes
+      SET bill_id = (SELECT a.bill_id FROM amendments a WHERE a.id = votes.amendment_id)
+      WHERE bill_id IS NULL
+        AND amendment_id IN (SELECT id FROM amendments WHERE bill_id IS NOT NULL)
+    `).run().changes;
+  }
+
+  /**
+   * Resolve every stored vote that is not linked to legislation yet
+   */
+  linkUnresolvedVotes() {
+    const votes = this.db.prepare(`
+      SELECT id, congress, chamber, question, description
+      FROM votes
+      WHERE bill_id IS NULL AND amendment_id IS NULL
+      ORDER BY id
+    `).all();
+
+    let linked = 0;
+
+    const linkAll = this.db.transaction(() => {
+      for (const vote of votes) {
+        const resolved = this.resolveStoredVote(vote);
+        if (resolved.billId || resolved.amendmentId) {
+          this.linkVote(vote.id, resolved);
+          linked++;
+        }
+        if (resolved.amendmentId) {
+          this.recordAmendment(resolved.amendmentId, {
+            billId: resolved.billId,
+            chamber: vote.chamber,
+            description: vote.description
+          });
+        }
+      }
+    });
+
+    linkAll();
+    const attributed = this.attributeAmendmentVotes();
+    return { checked: votes.length, linked, attributed };
+  }
+}
+
+module.exports = LegislationResolver;
@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+
+/**
+ * Legislators Importer
+ * Reads the public congress-legislators crosswalk
+ * (https://github.com/unitedstates/congress-legislators) from a local
+ * legislators-current / legislators-historical file, YAML or JSON, and
+ * records each member's Bioguide, LIS, FEC, ICPSR, GovTrack and THOMAS ids.
+ *
+ * Members are matched by any id already on record, then by name slug,
+ * chamber and state. Nobody is created here; unmatched members are reported.
+ * Term start and end dates are copied onto the politician_terms rows already
+ * stored, so members who joined or left mid-congress are only counted for
+ * the votes they could cast.
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Migrator = require('./migrate');
+const PoliticianIdentifiers = require('./politician-identifiers');
+const clock = require('./clock');
+const { sameState } = require('./us-states');
+const { getCurrentCongress, getCongressStartDate } = require('./congress-calendar');
+const { getDatabasePath } = require('./data-paths');
+
+const SOURCE = 'congress-legislators';
+
+class LegislatorsImporter {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   */
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(getDatabasePath());
+    Migrator.migrate(this.db);
+    this.identifiers = new PoliticianIdentifiers(this.db);
+  }
+
+  /**
+   * Parse a crosswalk file; the format follows the extension
+   * @returns {Array} Legislator records
+   */
+  static loadFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    let legislators;
+    if (extension === '.json') {
+      legislators = JSON.parse(content);
+    } else if (extension === '.yaml' || extension === '.yml') {
+      legislators = yaml.safeLoad(content);
+    } else {
+      throw new Error(`Unsupported crosswalk format: ${extension || filePath} (expected .yaml, .yml or .json)`);
+    }
+
+    if (!Array.isArray(legislators)) {
+      throw new Error(`${filePath} is not a list of legislators`);
+    }
+    return legislators;
+  }
+
+  /**
+   * The ids a crosswalk record carries, keyed as PoliticianIdentifiers.record expects
+   */
+  static getIds(legislator) {
+    const id = legislator.id || {};
+    return {
+      bioguide: id.bioguide || null,
+      lis: id.lis || null,
+      icpsr: id.icpsr || null,
+      govtrack: id.govtrack || null,
+      thomas: id.thomas || null,
+      fec: id.fec || []
+    };
+  }
+
+  /**
+   * Name slugs a politician row could have been stored under
+   */
+  static getNameSlugs(legislator) {
+    const name = legislator.name || {};
+    const names = [
+      name.official_full,
+      [name.first, name.last].filter(Boolean).join(' '),
+      name.nickname ? `${name.nickname} ${name.last}` : null
+    ];
+    return [...new Set(names.filter(Boolean).map(PoliticianIdentifiers.slugFromName))];
+  }
+
+  /**
+   * Find the politician a crosswalk record describes
+   * @returns {Object|null} Politician row
+   */
+  findPolitician(legislator, politiciansBySlug) {
+    const ids = LegislatorsImporter.getIds(legislator);
+    const known = this.identifiers.findByBioguideId(ids.bioguide)
+      || this.identifiers.findByLisId(ids.lis)
+      || this.identifiers.find('govtrack', ids.govtrack);
+    if (known) return known;
+
+    const candidates = [...new Set(
+      LegislatorsImporter.getNameSlugs(legislator).flatMap(slug => politiciansBySlug.get(slug) || [])
+    )].filter(politician => {
+      // Skip politicians already tied to a different member
+      const recorded = this.identifiers.get(politician.id);
+      return !(recorded && recorded.bioguide_id && ids.bioguide && recorded.bioguide_id !== ids.bioguide);
+    });
+
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    // Same name: settle it with the chamber and state of the latest term
+    const terms = legislator.terms || [];
+    const latestTerm = terms[terms.length - 1] || {};
+    const chamber = latestTerm.type === 'sen' ? 'senate' : 'house';
+    const narrowed = candidates.filter(politician =>
+      String(politician.chamber).toLowerCase() === chamber && sameState(politician.state, latestTerm.state)
+    );
+    return narrowed.length === 1 ? narrowed[0] : null;
+  }
+
+  /**
+   * Copy a member's term dates onto their stored politician_terms rows,
+   * clamped to each congress the term spans
+   * @returns {number} Rows updated
+   */
+  recordTermDates(politicianId, terms = []) {
+    const update = this.db.prepare(`
+      UPDATE politician_terms
+      SET start_date = ?, end_date = ?, last_updated = ?
+      WHERE politician_id = ? AND congress = ? AND LOWER(chamber) = ?
+        AND (start_date IS NOT ? OR end_date IS NOT ?)
+    `);
+
+    let updated = 0;
+    for (const term of terms) {
+      if (!term.start || !term.end) continue;
+
+      // YAML parses the dates; JSON leaves them as strings
+      const start = term.start instanceof Date ? term.start.toISOString().slice(0, 10) : String(term.start);
+      const end = term.end instanceof Date ? term.end.toISOString().slice(0, 10) : String(term.end);
+      const chamber = term.type === 'sen' ? 'senate' : 'house';
+      const firstCongress = getCurrentCongress(new Date(`${start}T12:00:00Z`));
+      const lastCongress = getCurrentCongress(new Date(`${end}T00:00:00Z`));
+
+      for (let congress = firstCongress; congress <= lastCongress; congress++) {
+        const congressStart = getCongressStartDate(congress);
+        const congressEnd = getCongressStartDate(congress + 1);
+        const startDate = start > congressStart ? start : congressStart;
+        const endDate = end < congressEnd ? end : congressEnd;
+        if (startDate >= endDate) continue;
+
+        updated += update.run(startDate, endDate, clock.toSqlTimestamp(), politicianId, congress, chamber, startDate, endDate).changes;
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Record ids for every crosswalk member found in the database
+   * @param {Array} legislators - Parsed crosswalk records
+   * @param {Object} options - { dryRun }
+   * @returns {Object} { total, matched, termDates, unmatched: [], conflicts: [] }
+   */
+  importLegislators(legislators, options = {}) {
+    const { dryRun = false } = options;
+    console.log(`🪪 Importing identifiers for ${legislators.length} legislators${dryRun ? ' (dry run)' : ''}...`);
+
+    const politiciansBySlug = new Map();
+    this.db.prepare('SELECT * FROM politicians').all().forEach(politician => {
+      [politician.id, PoliticianIdentifiers.slugFromName(politician.name)].forEach(slug => {
+        const list = politiciansBySlug.get(slug) || [];
+        if (!list.includes(politician)) list.push(politician);
+        politiciansBySlug.set(slug, list);
+      });
+    });
+
+    const results = { total: legislators.length, matched: 0, termDates: 0, unmatched: [], conflicts: [] };
+
+    const importAll = this.db.transaction(() => {
+      for (const legislator of legislators) {
+        const name = (legislator.name && legislator.name.official_full)
+          || [legislator.name?.first, legislator.name?.last].filter(Boolean).join(' ');
+        const politician = this.findPolitician(legislator, politiciansBySlug);
+
+        if (!politician) {
+          results.unmatched.push(name);
+          continue;
+        }
+
+        try {
+          if (!dryRun) {
+            this.identifiers.record(politician.id, LegislatorsImporter.getIds(legislator), SOURCE);
+            results.termDates += this.recordTermDates(politician.id, legislator.terms);
+          }
+          results.matched++;
+        } catch (error) {
+          results.conflicts.push(`${name} (${politician.id}): ${error.message}`);
+        }
+      }
+    });
+
+    importAll();
+
+    console.log(`✅ Matched ${results.matched} of ${results.total} legislators`);
+    if (results.termDates > 0) {
+      console.log(`📅 Dated ${results.termDates} terms`);
+    }
+    if (results.conflicts.length > 0) {
+      console.log(`⚠️  ${results.conflicts.length} conflicts left unchanged:`);
+      results.conflicts.forEach(conflict => console.log(`   ${conflict}`));
+    }
+    if (results.unmatched.length > 0) {
+      console.log(`ℹ️  ${results.unmatched.length} legislators are not in the database`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Import a crosswalk file
+   */
+  importFile(filePath, options = {}) {
+    return this.importLegislators(LegislatorsImporter.loadFile(filePath), options);
+  }
+
+  /**
+   * How many politicians have each kind of id
+   */
+  getStatus() {
+    return this.db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM politicians) AS politicians,
+        COUNT(i.bioguide_id) AS bioguide,
+        COUNT(i.lis_id) AS lis,
+        COUNT(i.icpsr_id) AS icpsr,
+        COUNT(i.govtrack_id) AS govtrack,
+        (SELECT COUNT(DISTINCT politician_id) FROM politician_fec_ids) AS fec
+      FROM politician_identifiers i
+    `).get();
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'help';
+
+  function runCLI() {
+    if (command === 'help' || !['import', 'status', 'show'].includes(command)) {
+      console.log(`
+🪪 Legislators Importer
+
+Usage: node legislators-importer.js <command> [options]
+
+Commands:
+  import <file>          Record ids from a congress-legislators YAML or JSON file
+  status                 Count politicians with each kind of id
+  show <politician_id>   Show the ids recorded for a politician
+  help                   Show this help message
+
+Options:
+  --dry-run              Match members without writing anything
+
+Examples:
+  node legislators-importer.js import data/legislators-current.yaml
+  node legislators-importer.js import data/legislators-historical.json --dry-run
+      `);
+      return;
+    }
+
+    const importer = new LegislatorsImporter();
+
+    try {
+      switch (command) {
+        case 'import':
+          if (!args[1]) {
+            console.error('Usage: node legislators-importer.js import <file> [--dry-run]');
+            process.exit(1);
+          }
+          importer.importFile(args[1], { dryRun: args.includes('--dry-run') });
+          break;
+
+        case 'status': {
+          const status = importer.getStatus();
+          console.log(`🪪 Identifiers for ${status.politicians} politicians:`);
+          console.log(`   Bioguide: ${status.bioguide}`);
+          console.log(`   LIS:      ${status.lis}`);
+          console.log(`   ICPSR:    ${status.icpsr}`);
+          console.log(`   GovTrack: ${status.govtrack}`);
+          console.log(`   FEC:      ${status.fec}`);
+          break;
+        }
+
+        case 'show': {
+          const ids = args[1] ? importer.identifiers.get(args[1]) : null;
+          if (!ids) {
+            console.log(`No identifiers recorded for ${args[1] || '(missing politician id)'}`);
+            break;
+          }
+          console.log(JSON.stringify(ids, null, 2));
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Import failed:', error.message);
+      process.exit(1);
+    } finally {
+      importer.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = LegislatorsImporter;
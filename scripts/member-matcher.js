@@ -0,0 +1,604 @@
+#!/usr/bin/env node
+
+/**
+ * Member Matcher
+ * Decides which politician a roll-call entry belongs to.
+ *
+ * A bioguide or LIS id settles it outright. Otherwise every politician from
+ * the member's state is scored on last name, first name (allowing for
+ * nicknames: Bill = William), district, party and whether their terms cover
+ * the vote's congress and chamber. The best candidate is only accepted when
+ * it clears MATCH_THRESHOLD and beats the runner-up by AMBIGUITY_MARGIN;
+ * anything else goes to member_match_reviews rather than being guessed, and
+ * is settled with the CLI below.
+ */
+
+const Database = require('better-sqlite3');
+const Migrator = require('./migrate');
+const PoliticianIdentifiers = require('./politician-identifiers');
+const clock = require('./clock');
+const { stateVariants } = require('./us-states');
+const { getDatabasePath } = require('./data-paths');
+
+const MATCH_THRESHOLD = 0.6;
+const AMBIGUITY_MARGIN = 0.15;
+
+// Given names that refer to the same person
+const NICKNAME_GROUPS = [
+  ['abraham', 'abe'], ['alexander', 'alex', 'al'], ['alexandria', 'alex'], ['andrew', 'andy', 'drew'],
+  ['anthony', 'tony'], ['benjamin', 'ben'], ['bernard', 'bernie'], ['charles', 'chuck', 'charlie'],
+  ['christopher', 'chris'], ['cynthia', 'cindy'], ['daniel', 'dan', 'danny'], ['david', 'dave'],
+  ['deborah', 'debbie', 'deb'], ['donald', 'don'], ['douglas', 'doug'], ['edward', 'ed', 'eddie', 'ted'],
+  ['elizabeth', 'liz', 'beth', 'betsy', 'libby'], ['frederick', 'fred'], ['gerald', 'jerry'],
+  ['gregory', 'greg'], ['henry', 'hank'], ['james', 'jim', 'jimmy', 'jamie'], ['jeffrey', 'jeff'],
+  ['jerrold', 'jerry'], ['jesus', 'chuy'], ['john', 'jack', 'johnny'], ['jonathan', 'jon'],
+  ['joseph', 'joe'], ['katherine', 'kathy', 'kate', 'katie'], ['kenneth', 'ken', 'kenny'],
+  ['lawrence', 'larry'], ['margaret', 'maggie', 'peggy', 'meg'], ['matthew', 'matt'],
+  ['michael', 'mike'], ['mitchell', 'mitch'], ['nicholas', 'nick'], ['patricia', 'pat', 'patty'],
+  ['patrick', 'pat'], ['raphael', 'rafael'], ['randall', 'randy'], ['rebecca', 'becky'],
+  ['richard', 'dick', 'rick', 'rich'], ['robert', 'bob', 'rob', 'bobby'], ['ronald', 'ron'],
+  ['samuel', 'sam'], ['stephen', 'steven', 'steve'], ['susan', 'sue'], ['theodore', 'ted'],
+  ['thomas', 'tom', 'tommy'], ['timothy', 'tim'], ['william', 'bill', 'will', 'billy'],
+  ['zachary', 'zach']
+];
+
+const PENDING_STATUSES = ['unmatched', 'ambiguous'];
+
+class MemberMatcher {
+  /**
+   * @param {Database} db - Open database connection
+   */
+  constructor(db) {
+    this.db = db;
+    this.identifiers = new PoliticianIdentifiers(db);
+
+    // Matching runs for every roster entry on every vote, so statements are
+    // prepared once and terms are read once per politician
+    this.statements = {
+      voteContext: db.prepare('SELECT congress, chamber, vote_date FROM votes WHERE id = ?'),
+      reviewed: db.prepare(`
+        SELECT p.* FROM member_match_reviews r
+        JOIN politicians p ON p.id = r.politician_id
+        WHERE r.member_key = ? AND r.status = 'resolved'
+        ORDER BY r.resolved_at DESC
+        LIMIT 1
+      `),
+      terms: db.prepare('SELECT congress, chamber FROM politician_terms WHERE politician_id = ?'),
+      recordVote: db.prepare(`
+        INSERT OR REPLACE INTO politician_votes (
+          vote_id, politician_id, position, source_type, source_url, retrieved_at, method, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      queue: db.prepare(`
+        INSERT INTO member_match_reviews (
+          vote_id, member_key, member_data, position, status, candidates, provenance, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (vote_id, member_key) DO UPDATE SET
+          member_data = excluded.member_data,
+          position = excluded.position,
+          status = excluded.status,
+          candidates = excluded.candidates,
+          provenance = excluded.provenance,
+          updated_at = excluded.updated_at
+        WHERE member_match_reviews.status IN ('unmatched', 'ambiguous')
+      `)
+    };
+    this.candidateStatements = new Map();
+    this.termsCache = new Map();
+
+    this.nicknames = new Map();
+    NICKNAME_GROUPS.forEach(group => {
+      group.forEach(name => {
+        const known = this.nicknames.get(name) || new Set();
+        group.forEach(other => known.add(other));
+        this.nicknames.set(name, known);
+      });
+    });
+  }
+
+  /**
+   * Identity of a roster entry across votes: its external id when it has
+   * one, otherwise its name, state and chamber
+   */
+  static memberKey(member) {
+    if (member.bioguide_id) return `bioguide:${member.bioguide_id}`;
+    if (member.lis_id) return `lis:${member.lis_id}`;
+
+    const name = PoliticianIdentifiers.slugFromName(
+      member.name || [member.first_name, member.last_name].filter(Boolean).join(' ')
+    );
+    const [state] = stateVariants(member.state);
+    return `name:${name}|${state || ''}|${String(member.chamber || '').toLowerCase()}`;
+  }
+
+  /**
+   * Congress, chamber and date of a stored vote, for scoring terms
+   */
+  getVoteContext(voteId) {
+    return this.statements.voteContext.get(voteId) || {};
+  }
+
+  /**
+   * Match a roster entry to a politician
+   * @param {Object} member - { bioguide_id, lis_id, name | first_name + last_name, state, district, party, chamber }
+   * @param {Object} context - { congress, chamber } of the vote
+   * @returns {Object} { status: matched|ambiguous|unmatched, politician, score, candidates }
+   */
+  match(member, context = {}) {
+    const byId = this.identifiers.findByBioguideId(member.bioguide_id) || this.identifiers.findByLisId(member.lis_id);
+    if (byId) {
+      const reason = member.bioguide_id ? 'bioguide id' : 'LIS id';
+      return { status: 'matched', politician: byId, score: 1, candidates: [{ politician_id: byId.id, score: 1, reasons: [reason] }] };
+    }
+
+    const reviewed = this.statements.reviewed.get(MemberMatcher.memberKey(member));
+    if (reviewed) {
+      return { status: 'matched', politician: reviewed, score: 1, candidates: [{ politician_id: reviewed.id, score: 1, reasons: ['resolved in review'] }] };
+    }
+
+    const candidates = this.getCandidates(member)
+      .map(politician => ({ politician, ...this.score(member, politician, context) }))
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = candidates;
+    const summary = candidates.slice(0, 5).map(({ politician, score, reasons }) => ({ politician_id: politician.id, score, reasons }));
+
+    if (!best || best.score < MATCH_THRESHOLD) {
+      return { status: 'unmatched', politician: null, score: best ? best.score : 0, candidates: summary };
+    }
+    if (runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN) {
+      return { status: 'ambiguous', politician: null, score: best.score, candidates: summary };
+    }
+    return { status: 'matched', politician: best.politician, score: best.score, candidates: summary };
+  }
+
+  /**
+   * Politicians from the member's state who are not known to be someone else
+   */
+  getCandidates(member) {
+    const states = stateVariants(member.state);
+    if (states.length === 0) return [];
+
+    // One statement per number of state spellings
+    if (!this.candidateStatements.has(states.length)) {
+      this.candidateStatements.set(states.length, this.db.prepare(`
+        SELECT p.*, i.bioguide_id AS known_bioguide_id, i.lis_id AS known_lis_id
+        FROM politicians p
+        LEFT JOIN politician_identifiers i ON i.politician_id = p.id
+        WHERE LOWER(p.state) IN (${states.map(() => 'LOWER(?)').join(', ')})
+      `));
+    }
+
+    return this.candidateStatements.get(states.length).all(...states).filter(politician =>
+      !(member.bioguide_id && politician.known_bioguide_id && politician.known_bioguide_id !== member.bioguide_id) &&
+      !(member.lis_id && politician.known_lis_id && politician.known_lis_id !== member.lis_id)
+    );
+  }
+
+  /**
+   * Score how well a politician fits a roster entry, from 0 to 1
+   * @returns {Object} { score, reasons }
+   */
+  score(member, politician, context = {}) {
+    const reasons = [];
+    const memberName = PoliticianIdentifiers.parseName(
+      member.last_name ? `${member.last_name}, ${member.first_name || ''}` : member.name
+    );
+    const candidateName = PoliticianIdentifiers.parseName(politician.name);
+    let score = 0;
+
+    // Last name decides whether this is a candidate at all
+    const memberSurname = memberName.surname.join(' ').replace(/-/g, ' ');
+    const candidateSurname = candidateName.surname.join(' ').replace(/-/g, ' ');
+    if (!memberSurname || !candidateSurname) {
+      return { score: 0, reasons: ['no last name'] };
+    }
+    if (memberSurname === candidateSurname) {
+      score += 0.45;
+      reasons.push('last name');
+    } else if (memberSurname.split(' ').some(part => candidateSurname.split(' ').includes(part))) {
+      score += 0.3;
+      reasons.push('part of last name');
+    } else {
+      return { score: 0, reasons: ['different last name'] };
+    }
+
+    const memberFirst = memberName.given.find(word => word.length > 1) || memberName.given[0];
+    if (memberFirst) {
+      const given = candidateName.given;
+      const nicknames = this.nicknames.get(memberFirst) || new Set();
+      if (given.includes(memberFirst)) {
+        score += 0.25;
+        reasons.push('first name');
+      } else if (given.some(name => nicknames.has(name))) {
+        score += 0.2;
+        reasons.push(`nickname (${memberFirst} = ${given.find(name => nicknames.has(name))})`);
+      } else if (given.some(name => name[0] === memberFirst[0]) && (memberFirst.length === 1 || given.some(name => name.length === 1))) {
+        score += 0.1;
+        reasons.push('initial');
+      } else {
+        score -= 0.25;
+        reasons.push('different first name');
+      }
+    }
+
+    const memberDistrict = parseInt(member.district, 10);
+    const candidateDistrict = parseInt(politician.district, 10);
+    if (!isNaN(memberDistrict) && !isNaN(candidateDistrict)) {
+      if (memberDistrict === candidateDistrict) {
+        score += 0.15;
+        reasons.push('district');
+      } else {
+        score -= 0.4;
+        reasons.push('different district');
+      }
+    }
+
+    const party = (value) => String(value || '').trim().charAt(0).toUpperCase();
+    if (party(member.party) && party(politician.party)) {
+      if (party(member.party) === party(politician.party)) {
+        score += 0.05;
+        reasons.push('party');
+      } else {
+        // Members do switch parties, so this only counts against
+        score -= 0.1;
+        reasons.push('different party');
+      }
+    }
+
+    const chamber = String(member.chamber || context.chamber || '').toLowerCase();
+    const terms = this.getTerms(politician.id);
+    if (context.congress && terms.length > 0) {
+      const serving = terms.some(term =>
+        term.congress === context.congress && (!chamber || term.chamber.toLowerCase() === chamber)
+      );
+      if (serving) {
+        score += 0.15;
+        reasons.push(`term in congress ${context.congress}`);
+      } else {
+        score -= 0.35;
+        reasons.push(`no term in congress ${context.congress}`);
+      }
+    } else if (chamber && politician.chamber) {
+      if (politician.chamber.toLowerCase() === chamber) {
+        score += 0.1;
+        reasons.push('chamber');
+      } else {
+        score -= 0.2;
+        reasons.push('different chamber');
+      }
+    }
+
+    return { score: Math.round(Math.min(score, 1) * 100) / 100, reasons };
+  }
+
+  /**
+   * A politician's terms, read once per matcher. Terms are ingested before
+   * votes are fetched; call clearCache() if they change mid-run.
+   */
+  getTerms(politicianId) {
+    if (!this.termsCache.has(politicianId)) {
+      this.termsCache.set(politicianId, this.statements.terms.all(politicianId));
+    }
+    return this.termsCache.get(politicianId);
+  }
+
+  clearCache() {
+    this.termsCache.clear();
+  }
+
+  /**
+   * Store a member vote for a matched politician
+   */
+  recordVote(voteId, politicianId, position, provenance) {
+    this.statements.recordVote.run(
+      voteId, politicianId, position,
+      provenance.source_type, provenance.source_url, provenance.retrieved_at, provenance.method,
+      clock.toSqlTimestamp()
+    );
+  }
+
+  /**
+   * Queue a roster entry that was not matched, keeping the vote cast and
+   * its provenance so it can be applied once resolved
+   */
+  queue(voteId, member, result, position, provenance) {
+    this.statements.queue.run(
+      voteId,
+      MemberMatcher.memberKey(member),
+      JSON.stringify(member),
+      position,
+      result.status,
+      JSON.stringify(result.candidates || []),
+      JSON.stringify(provenance),
+      clock.toSqlTimestamp(),
+      clock.toSqlTimestamp()
+    );
+  }
+
+  /**
+   * Match a roster entry and either store the vote or queue it for review
+   * @returns {boolean} Whether the vote was stored
+   */
+  matchAndRecord(voteId, member, position, provenance, context = {}) {
+    const result = this.match(member, context);
+
+    if (result.status === 'matched') {
+      this.recordVote(voteId, result.politician.id, position, provenance);
+      return true;
+    }
+
+    this.queue(voteId, member, result, position, provenance);
+    return false;
+  }
+
+  /**
+   * Reviews, pending ones by default
+   */
+  getReviews(options = {}) {
+    const { status = null, limit = 50 } = options;
+    const statuses = status ? [status] : PENDING_STATUSES;
+
+    return this.db.prepare(`
+      SELECT * FROM member_match_reviews
+      WHERE status IN (${statuses.map(() => '?').join(', ')})
+      ORDER BY updated_at DESC, id DESC
+      LIMIT ?
+    `).all(...statuses, limit).map(MemberMatcher.parseReview);
+  }
+
+  getReview(reviewId) {
+    const review = this.db.prepare('SELECT * FROM member_match_reviews WHERE id = ?').get(reviewId);
+    return review ? MemberMatcher.parseReview(review) : null;
+  }
+
+  static parseReview(review) {
+    return {
+      ...review,
+      member_data: JSON.parse(review.member_data),
+      candidates: review.candidates ? JSON.parse(review.candidates) : [],
+      provenance: review.provenance ? JSON.parse(review.provenance) : null
+    };
+  }
+
+  /**
+   * Settle a review: the roster entry is this politician. Every pending vote
+   * for the same entry is stored, and its bioguide or LIS id is recorded so
+   * future ingests match it directly.
+   * @returns {number} Votes stored
+   */
+  resolve(reviewId, politicianId, note = null) {
+    const review = this.getReview(reviewId);
+    if (!review) {
+      throw new Error(`No review ${reviewId}`);
+    }
+    if (!this.db.prepare('SELECT 1 FROM politicians WHERE id = ?').get(politicianId)) {
+      throw new Error(`No politician ${politicianId}`);
+    }
+
+    let applied = 0;
+
+    this.db.transaction(() => {
+      const member = review.member_data;
+      if (member.bioguide_id || member.lis_id) {
+        this.identifiers.record(politicianId, { bioguide: member.bioguide_id, lis: member.lis_id }, 'member-review');
+      }
+
+      const pending = this.db.prepare(`
+        SELECT * FROM member_match_reviews
+        WHERE member_key = ? AND status IN (${PENDING_STATUSES.map(() => '?').join(', ')})
+      `).all(review.member_key, ...PENDING_STATUSES).map(MemberMatcher.parseReview);
+
+      pending.forEach(item => {
+        this.applyReview(item, politicianId, note);
+        applied++;
+      });
+    })();
+
+    return applied;
+  }
+
+  /**
+   * Store a queued vote and mark its review resolved
+   */
+  applyReview(review, politicianId, note) {
+    this.recordVote(review.vote_id, politicianId, review.position, review.provenance || {});
+    const now = clock.toSqlTimestamp();
+    this.db.prepare(`
+      UPDATE member_match_reviews
+      SET status = 'resolved', politician_id = ?, note = COALESCE(?, note), resolved_at = ?, updated_at = ?
+      WHERE id = ?
+    `).run(politicianId, note, now, now, review.id);
+  }
+
+  /**
+   * Mark a roster entry as not a politician we track (a vacancy, say)
+   * @returns {number} Reviews ignored
+   */
+  ignore(reviewId, note = null) {
+    const review = this.getReview(reviewId);
+    if (!review) {
+      throw new Error(`No review ${reviewId}`);
+    }
+
+    return this.db.prepare(`
+      UPDATE member_match_reviews
+      SET status = 'ignored', note = COALESCE(?, note), updated_at = ?
+      WHERE member_key = ? AND status IN (${PENDING_STATUSES.map(() => '?').join(', ')})
+    `).run(note, clock.toSqlTimestamp(), review.member_key, ...PENDING_STATUSES).changes;
+  }
+
+  /**
+   * Match every pending review again, after politicians, terms or ids were
+   * added, and store the votes that now match
+   * @returns {Object} { applied, pending }
+   */
+  reapply() {
+    this.clearCache();
+    const results = { applied: 0, pending: 0 };
+    const pending = this.db.prepare(`
+      SELECT * FROM member_match_reviews WHERE status IN (${PENDING_STATUSES.map(() => '?').join(', ')})
+    `).all(...PENDING_STATUSES).map(MemberMatcher.parseReview);
+    const contexts = new Map();
+
+    this.db.transaction(() => {
+      pending.forEach(review => {
+        if (!contexts.has(review.vote_id)) {
+          contexts.set(review.vote_id, this.getVoteContext(review.vote_id));
+        }
+        const result = this.match(review.member_data, contexts.get(review.vote_id));
+
+        if (result.status === 'matched') {
+          this.applyReview(review, result.politician.id, `matched on reapply (${result.candidates[0].reasons.join(', ')})`);
+          results.applied++;
+        } else {
+          this.queue(review.vote_id, review.member_data, result, review.position, review.provenance);
+          results.pending++;
+        }
+      });
+    })();
+
+    return results;
+  }
+
+  /**
+   * Review counts by status
+   */
+  getStats() {
+    return this.db.prepare(`
+      SELECT status, COUNT(*) AS reviews, COUNT(DISTINCT member_key) AS members
+      FROM member_match_reviews
+      GROUP BY status
+      ORDER BY status
+    `).all();
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : null;
+
+  function describeMember(member) {
+    const name = member.name || [member.first_name, member.last_name].filter(Boolean).join(' ');
+    const seat = [member.party, member.state, member.district].filter(Boolean).join('-');
+    const id = member.bioguide_id || member.lis_id;
+    return `${name} (${seat})${id ? ` ${id}` : ''}`;
+  }
+
+  function runCLI() {
+    const command = args[0] || 'help';
+    const db = new Database(getDatabasePath());
+    Migrator.migrate(db);
+    const matcher = new MemberMatcher(db);
+
+    try {
+      switch (command) {
+        case 'list': {
+          const reviews = matcher.getReviews({ status: getArg('--status'), limit: parseInt(getArg('--limit'), 10) || 50 });
+          if (reviews.length === 0) {
+            console.log('✅ No member votes waiting for review');
+          }
+          reviews.forEach(review => {
+            const best = review.candidates[0];
+            console.log(`#${review.id} [${review.status}] ${review.vote_id}: ${describeMember(review.member_data)} voted ${review.position}` +
+              (best ? ` - best guess ${best.politician_id} (${best.score})` : ''));
+          });
+          break;
+        }
+
+        case 'show': {
+          const review = args[1] ? matcher.getReview(args[1]) : null;
+          if (!review) {
+            console.error('Usage: node member-matcher.js show <review_id>');
+            process.exit(1);
+          }
+          console.log(`#${review.id} [${review.status}] ${review.vote_id}`);
+          console.log(`   Roster entry: ${describeMember(review.member_data)}, voted ${review.position}`);
+          if (review.politician_id) {
+            console.log(`   Resolved to: ${review.politician_id}${review.note ? ` - ${review.note}` : ''}`);
+          }
+          console.log(review.candidates.length > 0 ? '   Candidates:' : '   No candidates scored above zero');
+          review.candidates.forEach(candidate => {
+            console.log(`     ${candidate.politician_id}: ${candidate.score} (${candidate.reasons.join(', ')})`);
+          });
+          break;
+        }
+
+        case 'resolve': {
+          const [reviewId, politicianId] = args.slice(1, 3);
+          if (!reviewId || !politicianId) {
+            console.error('Usage: node member-matcher.js resolve <review_id> <politician_id> [--note <text>]');
+            process.exit(1);
+          }
+          const applied = matcher.resolve(reviewId, politicianId, getArg('--note'));
+          console.log(`✅ Stored ${applied} votes for ${politicianId}`);
+          break;
+        }
+
+        case 'ignore': {
+          if (!args[1]) {
+            console.error('Usage: node member-matcher.js ignore <review_id> [--note <text>]');
+            process.exit(1);
+          }
+          const ignored = matcher.ignore(args[1], getArg('--note'));
+          console.log(`✅ Ignored ${ignored} reviews`);
+          break;
+        }
+
+        case 'reapply': {
+          const results = matcher.reapply();
+          console.log(`✅ Stored ${results.applied} votes that now match; ${results.pending} still need review`);
+          break;
+        }
+
+        case 'stats': {
+          const stats = matcher.getStats();
+          if (stats.length === 0) {
+            console.log('No member votes have needed review');
+          }
+          stats.forEach(row => console.log(`${row.status}: ${row.reviews} votes from ${row.members} roster entries`));
+          break;
+        }
+
+        case 'help':
+        default:
+          console.log(`
+🧩 Member Matcher
+
+Usage: node member-matcher.js <command> [options]
+
+Commands:
+  list                                List member votes waiting for review
+  show <review_id>                    Show a roster entry and its scored candidates
+  resolve <review_id> <politician_id> Assign the entry to a politician and store all its votes
+  ignore <review_id>                  Mark the entry as someone we do not track
+  reapply                             Match pending entries again and store those that now match
+  stats                               Count reviews by status
+  help                                Show this help message
+
+Options:
+  --status <status>                   List unmatched, ambiguous, resolved or ignored reviews
+  --limit <n>                         Number of reviews to list (default: 50)
+  --note <text>                       Explain a resolution
+
+Examples:
+  node member-matcher.js list --status ambiguous
+  node member-matcher.js resolve 42 mike-johnson --note "LA-4, confirmed on clerk.house.gov"
+          `);
+          break;
+      }
+
+    } catch (error) {
+      console.error('❌ CLI Error:', error.message);
+      process.exit(1);
+    } finally {
+      db.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = MemberMatcher;
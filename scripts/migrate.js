@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Migrations
+ * Builds and upgrades the database (data/politicians.db, or data/demo.db
+ * with DATA_MODE=demo) from the ordered files in scripts/migrations. Each
+ * file is named <version>-<name>.js and exports { description, up(db), down(db) }. Applied versions are recorded in
+ * schema_migrations, and each migration runs in its own transaction.
+ *
+ * Scripts that open the database call Migrator.migrate(db) so it is always
+ * current; `npm run db:migrate` does the same on its own.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { getDatabasePath } = require('./data-paths');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d{3})-([a-z0-9-]+)\.js$/;
+
+class Migrator {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   * @param {string} options.migrationsDir - Where migration files live
+   * @param {boolean} options.quiet - Only log migrations that actually run
+   */
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    if (!options.db) {
+      fs.mkdirSync(path.dirname(getDatabasePath()), { recursive: true });
+    }
+    this.db = options.db || new Database(getDatabasePath());
+    this.migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+    this.quiet = options.quiet || false;
+    this.ensureMigrationsTable();
+  }
+
+  /**
+   * Bring a connection up to date
+   */
+  static migrate(db) {
+    return new Migrator({ db, quiet: true }).up();
+  }
+
+  /**
+   * Versions not yet applied to a connection, read without writing to it
+   * (works on read-only connections)
+   */
+  static getPendingVersions(db, migrationsDir = MIGRATIONS_DIR) {
+    const hasTable = db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'
+    `).get();
+    const applied = new Set(hasTable ? db.prepare('SELECT version FROM schema_migrations').pluck().all() : []);
+
+    return fs.readdirSync(migrationsDir)
+      .map(file => file.match(MIGRATION_FILE))
+      .filter(Boolean)
+      .map(match => match[1])
+      .filter(version => !applied.has(version))
+      .sort();
+  }
+
+  ensureMigrationsTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Migration files in version order
+   */
+  loadMigrations() {
+    return fs.readdirSync(this.migrationsDir)
+      .map(file => file.match(MIGRATION_FILE))
+      .filter(Boolean)
+      .sort((a, b) => a[1].localeCompare(b[1]))
+      .map(match => ({
+        version: match[1],
+        name: match[2],
+        ...require(path.join(this.migrationsDir, match[0]))
+      }));
+  }
+
+  getApplied() {
+    return this.db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+  }
+
+  getPending() {
+    const applied = new Set(this.getApplied().map(row => row.version));
+    return this.loadMigrations().filter(migration => !applied.has(migration.version));
+  }
+
+  /**
+   * Apply pending migrations, optionally stopping at a version
+   * @returns {Array} The migrations applied
+   */
+  up(options = {}) {
+    const { to = null } = options;
+    const pending = this.getPending().filter(migration => !to || migration.version <= to);
+
+    if (pending.length === 0) {
+      if (!this.quiet) console.log('✅ Database schema is up to date');
+      return [];
+    }
+
+    const record = this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+
+    for (const migration of pending) {
+      console.log(`⬆️  ${migration.version}-${migration.name}: ${migration.description}`);
+      this.db.transaction(() => {
+        migration.up(this.db);
+        record.run(migration.version, migration.name);
+      })();
+    }
+
+    console.log(`✅ Applied ${pending.length} migration${pending.length === 1 ? '' : 's'}`);
+    return pending;
+  }
+
+  /**
+   * Roll back the latest migrations: one by default, or every migration
+   * after a version
+   * @returns {Array} The migrations rolled back
+   */
+  down(options = {}) {
+    const { steps = 1, to = null } = options;
+    const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+    const applied = this.getApplied().reverse();
+    const targets = to !== null
+      ? applied.filter(row => row.version > to)
+      : applied.slice(0, steps);
+
+    const forget = this.db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+
+    for (const row of targets) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version}-${row.name} is applied but its file is missing`);
+      }
+
+      console.log(`⬇️  ${migration.version}-${migration.name}: ${migration.description}`);
+      this.db.transaction(() => {
+        migration.down(this.db);
+        forget.run(migration.version);
+      })();
+    }
+
+    if (targets.length === 0 && !this.quiet) {
+      console.log('Nothing to roll back');
+    }
+    return targets;
+  }
+
+  /**
+   * Every known migration with when it was applied
+   */
+  status() {
+    const applied = new Map(this.getApplied().map(row => [row.version, row]));
+    const known = this.loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+
+    // Applied versions whose file has gone away
+    const knownVersions = new Set(known.map(migration => migration.version));
+    const missing = [...applied.values()]
+      .filter(row => !knownVersions.has(row.version))
+      .map(row => ({ version: row.version, name: row.name, description: '(file missing)', appliedAt: row.applied_at }));
+
+    return [...known, ...missing].sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : null;
+
+  function runCLI() {
+    const command = args[0] || 'help';
+    const migrator = new Migrator();
+
+    try {
+      switch (command) {
+        case 'up':
+          migrator.up({ to: getArg('--to') });
+          break;
+
+        case 'down':
+          migrator.down({
+            steps: getArg('--steps') ? parseInt(getArg('--steps'), 10) : 1,
+            to: getArg('--to')
+          });
+          break;
+
+        case 'status':
+          migrator.status().forEach(migration => {
+            const state = migration.appliedAt ? `✅ applied ${migration.appliedAt}` : '⏳ pending';
+            console.log(`${migration.version}-${migration.name}  ${state}  ${migration.description}`);
+          });
+          break;
+
+        case 'help':
+        default:
+          console.log(`
+🗄️ Schema Migrations
+
+Usage: node migrate.js <command> [options]
+
+Commands:
+  up                 Apply every pending migration
+  down               Roll back the latest migration
+  status             List migrations and when they were applied
+  help               Show this help message
+
+Options:
+  --to <version>     up: stop after this version; down: roll back everything after it
+  --steps <n>        down: roll back this many migrations (default: 1)
+
+Examples:
+  node migrate.js up
+  node migrate.js down --to 005
+  node migrate.js status
+          `);
+          break;
+      }
+
+    } catch (error) {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    } finally {
+      migrator.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = Migrator;
@@ -0,0 +1,58 @@
+/**
+ * Politicians and the terms they served
+ */
+
+module.exports = {
+  description: 'Create politicians and politician_terms',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS politicians (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        party TEXT NOT NULL,
+        state TEXT NOT NULL,
+        chamber TEXT NOT NULL,
+        district TEXT,
+        title TEXT NOT NULL,
+        first_elected INTEGER,
+        website TEXT,
+        bio_data TEXT,
+        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // One row per politician per congress and chamber served
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS politician_terms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        congress INTEGER NOT NULL,
+        chamber TEXT NOT NULL,
+        state TEXT NOT NULL,
+        district TEXT,
+        party TEXT,
+        source TEXT,
+        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (politician_id, congress, chamber),
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_politicians_name ON politicians (name);
+      CREATE INDEX IF NOT EXISTS idx_politicians_state ON politicians (state);
+      CREATE INDEX IF NOT EXISTS idx_politicians_chamber ON politicians (chamber);
+      CREATE INDEX IF NOT EXISTS idx_politician_terms_politician ON politician_terms (politician_id);
+      CREATE INDEX IF NOT EXISTS idx_politician_terms_congress ON politician_terms (congress, chamber);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS politician_terms;
+      DROP TABLE IF EXISTS politicians;
+    `);
+  }
+};
@@ -0,0 +1,96 @@
+/**
+ * The original analysis tables: free-text positions, public statements,
+ * voting records, news sources and the analysis cache
+ */
+
+module.exports = {
+  description: 'Create policy_positions, public_statements, voting_records, news_sources and analysis_cache',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS policy_positions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        category TEXT NOT NULL,
+        stated_position TEXT NOT NULL,
+        alignment_score INTEGER,
+        last_analyzed DATETIME DEFAULT CURRENT_TIMESTAMP,
+        source_url TEXT,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS public_statements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        policy_category TEXT NOT NULL,
+        statement_text TEXT NOT NULL,
+        source TEXT NOT NULL,
+        source_url TEXT,
+        statement_date DATE NOT NULL,
+        credibility_score INTEGER DEFAULT 50,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS voting_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        bill_name TEXT NOT NULL,
+        bill_id TEXT,
+        vote_decision TEXT NOT NULL,
+        vote_date DATE NOT NULL,
+        policy_category TEXT,
+        description TEXT,
+        source_url TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS news_sources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        domain TEXT UNIQUE NOT NULL,
+        credibility_rating INTEGER DEFAULT 50,
+        is_enabled BOOLEAN DEFAULT 1,
+        api_key TEXT,
+        last_scraped DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS analysis_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        analysis_type TEXT NOT NULL,
+        analysis_data TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_policy_positions_politician ON policy_positions (politician_id);
+      CREATE INDEX IF NOT EXISTS idx_statements_politician ON public_statements (politician_id);
+      CREATE INDEX IF NOT EXISTS idx_voting_records_politician ON voting_records (politician_id);
+      CREATE INDEX IF NOT EXISTS idx_analysis_cache_politician ON analysis_cache (politician_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS analysis_cache;
+      DROP TABLE IF EXISTS news_sources;
+      DROP TABLE IF EXISTS voting_records;
+      DROP TABLE IF EXISTS public_statements;
+      DROP TABLE IF EXISTS policy_positions;
+    `);
+  }
+};
@@ -0,0 +1,96 @@
+/**
+ * Roll-call votes, how each member voted, per-member statistics and the
+ * House vote crawl checkpoints. A checkpoint records the date range its
+ * crawl was limited to, since its offset skips past votes outside it.
+ */
+
+const { addColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Create votes, politician_votes, voting_statistics and vote_fetch_checkpoints',
+
+  up(db) {
+    // id is <congress>-<chamber>-<session>-<roll call>, e.g. 118-house-1-296
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS votes (
+        id TEXT PRIMARY KEY,
+        congress INTEGER NOT NULL,
+        chamber TEXT NOT NULL,
+        session INTEGER NOT NULL,
+        roll_call_number INTEGER NOT NULL,
+        vote_date TEXT,
+        vote_time TEXT,
+        question TEXT,
+        description TEXT,
+        vote_type TEXT,
+        result TEXT,
+        total_yes INTEGER DEFAULT 0,
+        total_no INTEGER DEFAULT 0,
+        total_present INTEGER DEFAULT 0,
+        total_not_voting INTEGER DEFAULT 0,
+        url TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS politician_votes (
+        vote_id TEXT,
+        politician_id INTEGER,
+        position TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (vote_id, politician_id),
+        FOREIGN KEY (vote_id) REFERENCES votes(id),
+        FOREIGN KEY (politician_id) REFERENCES politicians(id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS voting_statistics (
+        politician_id TEXT PRIMARY KEY,
+        total_votes INTEGER DEFAULT 0,
+        yes_votes INTEGER DEFAULT 0,
+        no_votes INTEGER DEFAULT 0,
+        present_votes INTEGER DEFAULT 0,
+        not_voting_votes INTEGER DEFAULT 0,
+        participation_rate REAL DEFAULT 0,
+        last_vote_date TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    // Progress of the paginated House vote crawl, so long runs can resume
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS vote_fetch_checkpoints (
+        congress INTEGER NOT NULL,
+        session INTEGER NOT NULL,
+        chamber TEXT NOT NULL,
+        next_offset INTEGER DEFAULT 0,
+        last_roll_call INTEGER,
+        completed BOOLEAN DEFAULT 0,
+        date_range TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (congress, session, chamber)
+      )
+    `);
+    // Checkpoint tables created by the fetcher before migrations existed
+    addColumn(db, 'vote_fetch_checkpoints', 'date_range', 'TEXT');
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_votes_congress ON votes (congress, chamber, session);
+      CREATE INDEX IF NOT EXISTS idx_votes_date ON votes (vote_date);
+      CREATE INDEX IF NOT EXISTS idx_politician_votes_politician ON politician_votes (politician_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS vote_fetch_checkpoints;
+      DROP TABLE IF EXISTS voting_statistics;
+      DROP TABLE IF EXISTS politician_votes;
+      DROP TABLE IF EXISTS votes;
+    `);
+  }
+};
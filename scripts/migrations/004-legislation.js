@@ -0,0 +1,114 @@
+/**
+ * Sponsored legislation, cosponsors and the member alignment tables
+ * filled by the comprehensive fetcher
+ */
+
+module.exports = {
+  description: 'Create legislation, cosponsorship and alignment tables',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS legislation (
+        id TEXT PRIMARY KEY,
+        congress INTEGER NOT NULL,
+        bill_type TEXT NOT NULL,
+        bill_number TEXT NOT NULL,
+        title TEXT,
+        summary TEXT,
+        introduced_date TEXT,
+        last_action_date TEXT,
+        is_law BOOLEAN DEFAULT FALSE,
+        law_number TEXT,
+        sponsor_bioguide_id TEXT,
+        sponsor_name TEXT,
+        url TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS legislation_cosponsors (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        legislation_id TEXT NOT NULL,
+        cosponsor_bioguide_id TEXT NOT NULL,
+        cosponsor_name TEXT,
+        date_cosponsored TEXT,
+        withdrawn_date TEXT,
+        is_original_cosponsor BOOLEAN DEFAULT FALSE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (legislation_id) REFERENCES legislation (id),
+        UNIQUE (legislation_id, cosponsor_bioguide_id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS politician_legislation (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        bioguide_id TEXT,
+        legislation_id TEXT NOT NULL,
+        relationship_type TEXT NOT NULL, -- 'sponsor', 'cosponsor'
+        date_involved TEXT,
+        is_original_cosponsor BOOLEAN DEFAULT FALSE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id),
+        FOREIGN KEY (legislation_id) REFERENCES legislation (id),
+        UNIQUE (politician_id, legislation_id, relationship_type)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS voting_alignment (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician1_id TEXT NOT NULL,
+        politician2_id TEXT NOT NULL,
+        total_shared_votes INTEGER DEFAULT 0,
+        agreement_count INTEGER DEFAULT 0,
+        agreement_rate REAL DEFAULT 0.0,
+        last_calculated DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician1_id) REFERENCES politicians (id),
+        FOREIGN KEY (politician2_id) REFERENCES politicians (id),
+        UNIQUE (politician1_id, politician2_id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS legislative_alignment (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician1_id TEXT NOT NULL,
+        politician2_id TEXT NOT NULL,
+        shared_sponsored INTEGER DEFAULT 0,
+        shared_cosponsored INTEGER DEFAULT 0,
+        total_alignment_score REAL DEFAULT 0.0,
+        last_calculated DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician1_id) REFERENCES politicians (id),
+        FOREIGN KEY (politician2_id) REFERENCES politicians (id),
+        UNIQUE (politician1_id, politician2_id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_legislation_congress ON legislation (congress);
+      CREATE INDEX IF NOT EXISTS idx_legislation_sponsor ON legislation (sponsor_bioguide_id);
+      CREATE INDEX IF NOT EXISTS idx_legislation_introduced_date ON legislation (introduced_date);
+
+      CREATE INDEX IF NOT EXISTS idx_cosponsors_legislation ON legislation_cosponsors (legislation_id);
+      CREATE INDEX IF NOT EXISTS idx_cosponsors_bioguide ON legislation_cosponsors (cosponsor_bioguide_id);
+
+      CREATE INDEX IF NOT EXISTS idx_politician_legislation_politician ON politician_legislation (politician_id);
+      CREATE INDEX IF NOT EXISTS idx_politician_legislation_legislation ON politician_legislation (legislation_id);
+      CREATE INDEX IF NOT EXISTS idx_politician_legislation_type ON politician_legislation (relationship_type);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS legislative_alignment;
+      DROP TABLE IF EXISTS voting_alignment;
+      DROP TABLE IF EXISTS politician_legislation;
+      DROP TABLE IF EXISTS legislation_cosponsors;
+      DROP TABLE IF EXISTS legislation;
+    `);
+  }
+};
@@ -0,0 +1,82 @@
+/**
+ * Bills and amendments behind roll-call votes, and the vote columns that
+ * point at them
+ */
+
+const { addColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Create bills and amendments and link votes to them',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS bills (
+        id TEXT PRIMARY KEY,
+        congress INTEGER NOT NULL,
+        bill_type TEXT NOT NULL,
+        bill_number INTEGER NOT NULL,
+        title TEXT,
+        summary TEXT,
+        status TEXT,
+        status_date TEXT,
+        became_law BOOLEAN DEFAULT FALSE,
+        law_number TEXT,
+        introduced_date TEXT,
+        origin_chamber TEXT,
+        policy_area TEXT,
+        subjects TEXT, -- JSON array of legislative subject names
+        sponsor_bioguide_id TEXT,
+        url TEXT,
+        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Amendments voted on, filled in from the vote and later from Congress.gov
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS amendments (
+        id TEXT PRIMARY KEY,
+        congress INTEGER NOT NULL,
+        amendment_type TEXT NOT NULL,
+        amendment_number INTEGER NOT NULL,
+        bill_id TEXT, -- parent bill
+        parent_amendment_id TEXT, -- set for amendments to amendments
+        chamber TEXT,
+        sponsor_bioguide_id TEXT,
+        sponsor_name TEXT,
+        purpose TEXT,
+        description TEXT,
+        status TEXT,
+        status_date TEXT,
+        submitted_date TEXT,
+        source TEXT DEFAULT 'vote', -- 'vote' until fetched from congress.gov
+        url TEXT,
+        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    addColumn(db, 'votes', 'bill_id', 'TEXT');
+    addColumn(db, 'votes', 'amendment_id', 'TEXT');
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_bills_congress ON bills (congress, bill_type);
+      CREATE INDEX IF NOT EXISTS idx_bills_policy_area ON bills (policy_area);
+      CREATE INDEX IF NOT EXISTS idx_amendments_bill ON amendments (bill_id);
+      CREATE INDEX IF NOT EXISTS idx_votes_bill ON votes (bill_id);
+      CREATE INDEX IF NOT EXISTS idx_votes_amendment ON votes (amendment_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_votes_amendment;
+      DROP INDEX IF EXISTS idx_votes_bill;
+    `);
+    dropColumn(db, 'votes', 'amendment_id');
+    dropColumn(db, 'votes', 'bill_id');
+
+    db.exec(`
+      DROP TABLE IF EXISTS amendments;
+      DROP TABLE IF EXISTS bills;
+    `);
+  }
+};
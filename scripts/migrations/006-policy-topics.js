@@ -0,0 +1,184 @@
+/**
+ * Canonical policy topics with their aliases, crawled positions on them and
+ * the crawl log
+ */
+
+const { addColumn } = require('./helpers');
+
+const CORE_TOPICS = [
+  {
+    canonical_name: 'healthcare',
+    display_name: 'Healthcare',
+    description: 'Healthcare policy, insurance, medical access, public health',
+    aliases: ['health', 'medical', 'medicine', 'insurance', 'medicare', 'medicaid', 'aca', 'obamacare', 'affordable care act']
+  },
+  {
+    canonical_name: 'immigration',
+    display_name: 'Immigration',
+    description: 'Immigration policy, border security, asylum, citizenship',
+    aliases: ['border', 'asylum', 'citizenship', 'daca', 'refugees', 'visa', 'deportation']
+  },
+  {
+    canonical_name: 'economy',
+    display_name: 'Economy',
+    description: 'Economic policy, jobs, trade, fiscal policy',
+    aliases: ['jobs', 'employment', 'trade', 'commerce', 'business', 'fiscal', 'economic', 'gdp', 'recession']
+  },
+  {
+    canonical_name: 'housing',
+    display_name: 'Housing',
+    description: 'Housing affordability, homeownership, rental policy',
+    aliases: ['affordable housing', 'homeownership', 'rental', 'mortgage', 'real estate', 'homelessness']
+  },
+  {
+    canonical_name: 'education',
+    display_name: 'Education',
+    description: 'Education policy, schools, student loans, higher education',
+    aliases: ['schools', 'students', 'teachers', 'college', 'university', 'student loans', 'education funding']
+  },
+  {
+    canonical_name: 'environment',
+    display_name: 'Environment',
+    description: 'Environmental protection, climate change, clean energy',
+    aliases: ['climate', 'clean energy', 'renewable energy', 'pollution', 'conservation', 'green new deal', 'carbon']
+  },
+  {
+    canonical_name: 'defense',
+    display_name: 'National Defense',
+    description: 'National security, military, veterans affairs',
+    aliases: ['military', 'veterans', 'national security', 'armed forces', 'defense spending', 'pentagon']
+  },
+  {
+    canonical_name: 'civil_rights',
+    display_name: 'Civil Rights',
+    description: 'Civil rights, voting rights, equality, discrimination',
+    aliases: ['voting rights', 'equality', 'discrimination', 'lgbtq', 'racial justice', 'civil liberties']
+  },
+  {
+    canonical_name: 'criminal_justice',
+    display_name: 'Criminal Justice',
+    description: 'Law enforcement, prison reform, criminal justice reform',
+    aliases: ['police', 'law enforcement', 'prison', 'criminal justice reform', 'sentencing', 'crime']
+  },
+  {
+    canonical_name: 'taxation',
+    display_name: 'Taxation',
+    description: 'Tax policy, tax rates, tax reform',
+    aliases: ['taxes', 'tax reform', 'tax cuts', 'tax policy', 'irs', 'revenue']
+  },
+  {
+    canonical_name: 'social_security',
+    display_name: 'Social Security',
+    description: 'Social Security benefits, retirement, disability',
+    aliases: ['retirement', 'disability', 'social security benefits', 'seniors']
+  },
+  {
+    canonical_name: 'technology',
+    display_name: 'Technology',
+    description: 'Technology policy, internet, privacy, cybersecurity',
+    aliases: ['internet', 'privacy', 'cybersecurity', 'tech', 'digital', 'data protection', 'ai', 'artificial intelligence']
+  }
+];
+
+module.exports = {
+  description: 'Create policy_topics, topic_aliases, politician_positions and crawl_log, and seed core topics',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS policy_topics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        canonical_name TEXT UNIQUE NOT NULL,
+        display_name TEXT NOT NULL,
+        description TEXT,
+        parent_topic_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (parent_topic_id) REFERENCES policy_topics (id)
+      )
+    `);
+
+    // Topic aliases for matching variations
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS topic_aliases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        topic_id INTEGER NOT NULL,
+        alias TEXT NOT NULL,
+        confidence_score REAL DEFAULT 1.0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (topic_id) REFERENCES policy_topics (id),
+        UNIQUE (topic_id, alias)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS politician_positions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        topic_id INTEGER NOT NULL,
+        position_summary TEXT NOT NULL,
+        position_details TEXT,
+        is_key_issue BOOLEAN DEFAULT 0,
+        source_url TEXT,
+        source_section TEXT,
+        confidence_score REAL DEFAULT 0.5,
+        stance TEXT DEFAULT 'neutral',
+        strength TEXT DEFAULT 'moderate',
+        key_phrases TEXT,
+        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id),
+        FOREIGN KEY (topic_id) REFERENCES policy_topics (id),
+        UNIQUE (politician_id, topic_id)
+      )
+    `);
+
+    // Tables crawled before stances were tracked
+    addColumn(db, 'politician_positions', 'stance', "TEXT DEFAULT 'neutral'");
+    addColumn(db, 'politician_positions', 'strength', "TEXT DEFAULT 'moderate'");
+    addColumn(db, 'politician_positions', 'key_phrases', 'TEXT');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS crawl_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        website_url TEXT NOT NULL,
+        crawl_status TEXT NOT NULL,
+        positions_found INTEGER DEFAULT 0,
+        error_message TEXT,
+        crawl_duration_ms INTEGER,
+        crawled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    const insertTopic = db.prepare(`
+      INSERT OR IGNORE INTO policy_topics (canonical_name, display_name, description)
+      VALUES (?, ?, ?)
+    `);
+    const insertAlias = db.prepare(`
+      INSERT OR IGNORE INTO topic_aliases (topic_id, alias, confidence_score)
+      VALUES (?, ?, ?)
+    `);
+    const getTopicId = db.prepare('SELECT id FROM policy_topics WHERE canonical_name = ?');
+
+    CORE_TOPICS.forEach(topic => {
+      insertTopic.run(topic.canonical_name, topic.display_name, topic.description);
+      const topicId = getTopicId.get(topic.canonical_name).id;
+
+      // The names themselves match with full confidence
+      insertAlias.run(topicId, topic.canonical_name, 1.0);
+      insertAlias.run(topicId, topic.display_name.toLowerCase(), 1.0);
+      topic.aliases.forEach(alias => {
+        insertAlias.run(topicId, alias.toLowerCase(), 0.8);
+      });
+    });
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS crawl_log;
+      DROP TABLE IF EXISTS politician_positions;
+      DROP TABLE IF EXISTS topic_aliases;
+      DROP TABLE IF EXISTS policy_topics;
+    `);
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Bill-to-topic mappings and the stated-position vs. vote analysis
+ */
+
+const { addColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Create bill_topics and position_vote_analysis',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS bill_topics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bill_id TEXT NOT NULL,
+        topic_id INTEGER NOT NULL,
+        relevance_score REAL DEFAULT 0.5,
+        mapping_method TEXT DEFAULT 'keyword',
+        mapped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (topic_id) REFERENCES policy_topics (id),
+        UNIQUE (bill_id, topic_id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS position_vote_analysis (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        topic_id INTEGER NOT NULL,
+        stated_position TEXT,
+        voting_pattern TEXT,
+        consistency_score REAL,
+        total_votes INTEGER DEFAULT 0,
+        aligned_votes INTEGER DEFAULT 0,
+        analysis_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id),
+        FOREIGN KEY (topic_id) REFERENCES policy_topics (id),
+        UNIQUE (politician_id, topic_id)
+      )
+    `);
+
+    // Amendment votes are counted apart from votes on the bills themselves
+    addColumn(db, 'position_vote_analysis', 'amendment_votes', 'INTEGER DEFAULT 0');
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS position_vote_analysis;
+      DROP TABLE IF EXISTS bill_topics;
+    `);
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * The policy direction of a Yes vote per vote and topic, with manual
+ * overrides
+ */
+
+module.exports = {
+  description: 'Create vote_directions and vote_direction_overrides',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS vote_directions (
+        vote_id TEXT NOT NULL,
+        topic_id INTEGER NOT NULL,
+        direction TEXT NOT NULL CHECK (direction IN ('expand', 'restrict', 'neutral')),
+        confidence REAL DEFAULT 0.5,
+        method TEXT DEFAULT 'heuristic', -- 'heuristic' or 'override'
+        reason TEXT,
+        coded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (vote_id, topic_id),
+        FOREIGN KEY (vote_id) REFERENCES votes (id),
+        FOREIGN KEY (topic_id) REFERENCES policy_topics (id)
+      )
+    `);
+
+    // A NULL topic_id applies the override to every topic of the vote
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS vote_direction_overrides (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        vote_id TEXT NOT NULL,
+        topic_id INTEGER,
+        direction TEXT NOT NULL CHECK (direction IN ('expand', 'restrict', 'neutral')),
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (vote_id) REFERENCES votes (id),
+        FOREIGN KEY (topic_id) REFERENCES policy_topics (id)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_vote_direction_overrides_vote ON vote_direction_overrides (vote_id)');
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS vote_direction_overrides;
+      DROP TABLE IF EXISTS vote_directions;
+    `);
+  }
+};
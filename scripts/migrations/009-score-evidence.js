@@ -0,0 +1,36 @@
+/**
+ * The evidence behind each confidence and consistency score
+ */
+
+module.exports = {
+  description: 'Create score_evidence',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS score_evidence (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        topic_id INTEGER NOT NULL,
+        score_type TEXT NOT NULL CHECK (score_type IN ('position_confidence', 'vote_consistency')),
+        kind TEXT NOT NULL, -- 'sentence', 'stance' or 'vote'
+        reference TEXT, -- vote id or source url
+        excerpt TEXT, -- sentence, or what the vote was on
+        stance TEXT, -- support or oppose, for sentences and the stated stance
+        vote TEXT, -- Yes or No
+        direction TEXT, -- expand, restrict or neutral, for votes
+        aligned INTEGER, -- 1 agrees with the score's stance, 0 against, NULL not counted
+        weight REAL DEFAULT 0, -- share of the score this item carried
+        detail TEXT, -- why the item counted the way it did
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id),
+        FOREIGN KEY (topic_id) REFERENCES policy_topics (id)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_score_evidence_score ON score_evidence (politician_id, topic_id, score_type)');
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS score_evidence');
+  }
+};
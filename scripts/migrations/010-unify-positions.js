@@ -0,0 +1,140 @@
+/**
+ * Fold the free-text policy_positions table into politician_positions so
+ * every position is keyed to a canonical topic. Legacy categories resolve
+ * through topic aliases; the topics the old sample data used that had no
+ * canonical home are added first, and any category still unknown becomes a
+ * topic of its own rather than being dropped.
+ *
+ * Legacy alignment scores are not carried over: vote alignment now lives in
+ * position_vote_analysis and is recomputed from votes.
+ */
+
+const TopicResolver = require('../topic-resolver');
+
+const LEGACY_TOPICS = [
+  {
+    canonical_name: 'gun_policy',
+    display_name: 'Gun Policy',
+    description: 'Firearms regulation, gun violence prevention, Second Amendment rights',
+    aliases: ['guns', 'firearms', 'gun control', 'gun violence', 'gun safety', 'second amendment', '2nd amendment']
+  },
+  {
+    canonical_name: 'foreign_policy',
+    display_name: 'Foreign Policy',
+    description: 'Diplomacy, foreign aid, alliances and international relations',
+    aliases: ['foreign affairs', 'diplomacy', 'international relations', 'foreign aid', 'sanctions', 'nato']
+  },
+  {
+    canonical_name: 'infrastructure',
+    display_name: 'Infrastructure',
+    description: 'Roads, bridges, transit, water systems and broadband',
+    aliases: ['roads', 'bridges', 'transportation', 'public transit', 'broadband', 'water infrastructure']
+  }
+];
+
+// Legacy categories that name a canonical topic differently
+const LEGACY_ALIASES = {
+  environment: ['climate change', 'climate policy', 'energy and environment'],
+  healthcare: ['health care'],
+  civil_rights: ['civil rights and liberties'],
+  taxation: ['taxes and spending']
+};
+
+module.exports = {
+  description: 'Move policy_positions into politician_positions keyed to canonical topics',
+
+  up(db) {
+    const insertTopic = db.prepare(`
+      INSERT OR IGNORE INTO policy_topics (canonical_name, display_name, description)
+      VALUES (?, ?, ?)
+    `);
+    const insertAlias = db.prepare(`
+      INSERT OR IGNORE INTO topic_aliases (topic_id, alias, confidence_score)
+      VALUES (?, ?, ?)
+    `);
+    const getTopicId = db.prepare('SELECT id FROM policy_topics WHERE canonical_name = ?');
+
+    const addTopic = (canonicalName, displayName, description, aliases = []) => {
+      insertTopic.run(canonicalName, displayName, description);
+      const topicId = getTopicId.get(canonicalName).id;
+      insertAlias.run(topicId, canonicalName, 1.0);
+      insertAlias.run(topicId, displayName.toLowerCase(), 1.0);
+      aliases.forEach(alias => insertAlias.run(topicId, alias.toLowerCase(), 0.8));
+      return topicId;
+    };
+
+    LEGACY_TOPICS.forEach(topic => {
+      addTopic(topic.canonical_name, topic.display_name, topic.description, topic.aliases);
+    });
+
+    Object.entries(LEGACY_ALIASES).forEach(([canonicalName, aliases]) => {
+      const topic = getTopicId.get(canonicalName);
+      if (topic) {
+        aliases.forEach(alias => insertAlias.run(topic.id, alias, 0.9));
+      }
+    });
+
+    const hasLegacyTable = db.prepare(`
+      SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'policy_positions'
+    `).get();
+    if (!hasLegacyTable) return;
+
+    const resolver = new TopicResolver(db);
+    const insertPosition = db.prepare(`
+      INSERT OR IGNORE INTO politician_positions (
+        politician_id, topic_id, position_summary, source_url, source_section, last_updated, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    // Newest first, so the latest statement wins when two categories share a topic
+    const legacyPositions = db.prepare('SELECT * FROM policy_positions ORDER BY last_analyzed DESC, id DESC').all();
+    let moved = 0;
+
+    legacyPositions.forEach(position => {
+      const topic = resolver.resolve(position.category);
+      const topicId = topic
+        ? topic.id
+        : addTopic(TopicResolver.toCanonicalName(position.category), position.category.trim(), null);
+      const analyzedAt = position.last_analyzed || null;
+
+      moved += insertPosition.run(
+        position.politician_id,
+        topicId,
+        position.stated_position,
+        position.source_url,
+        position.category,
+        analyzedAt,
+        analyzedAt
+      ).changes;
+    });
+
+    if (legacyPositions.length > 0) {
+      console.log(`   Moved ${moved} of ${legacyPositions.length} legacy positions (${legacyPositions.length - moved} already covered)`);
+    }
+
+    db.exec('DROP TABLE policy_positions');
+  },
+
+  down(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS policy_positions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        category TEXT NOT NULL,
+        stated_position TEXT NOT NULL,
+        alignment_score INTEGER,
+        last_analyzed DATETIME DEFAULT CURRENT_TIMESTAMP,
+        source_url TEXT,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_policy_positions_politician ON policy_positions (politician_id)');
+
+    db.exec(`
+      INSERT INTO policy_positions (politician_id, category, stated_position, last_analyzed, source_url)
+      SELECT pp.politician_id, pt.display_name, pp.position_summary, pp.last_updated, pp.source_url
+      FROM politician_positions pp
+      JOIN policy_topics pt ON pp.topic_id = pt.id
+    `);
+  }
+};
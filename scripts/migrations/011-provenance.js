@@ -0,0 +1,149 @@
+/**
+ * Provenance on every position, statement, vote and score row:
+ * source_type, source_url, retrieved_at and method.
+ *
+ * Existing rows are backfilled from what can be told about them. Rows that
+ * match the sample data populate-congress.js and init-data.js used to write
+ * are marked 'demo' so the build check catches them; anything that cannot be
+ * traced is marked 'unknown' rather than guessed.
+ */
+
+const { addColumn, dropColumn } = require('./helpers');
+
+const TABLES = [
+  'politician_positions',
+  'public_statements',
+  'voting_records',
+  'votes',
+  'politician_votes',
+  'position_vote_analysis',
+  'voting_statistics',
+  'voting_alignment',
+  'legislative_alignment'
+];
+
+// Tables that already had a source_url column before this migration
+const HAD_SOURCE_URL = ['politician_positions', 'public_statements', 'voting_records'];
+
+// Party-templated statements populate-congress.js used to generate, and the
+// hand-written init-data.js samples
+const SAMPLE_POSITIONS = [
+  'Supports universal healthcare coverage and strengthening the Affordable Care Act',
+  'Advocates for market-based healthcare solutions and reducing government involvement',
+  'Supports Medicare for All and comprehensive healthcare reform',
+  'Supports aggressive climate action and clean energy transition',
+  'Focuses on energy independence and market-based environmental solutions',
+  'Advocates for the Green New Deal and immediate climate action',
+  'Supports comprehensive immigration reform and pathway to citizenship',
+  'Advocates for border security and merit-based immigration system',
+  'Supports humane immigration policies and worker protections',
+  'Supports the Green New Deal and aggressive action on climate change to achieve net-zero emissions',
+  'Supports Medicare for All universal healthcare system',
+  'Opposes government-run healthcare, supports market-based solutions',
+  'Supports secure borders and merit-based immigration system'
+];
+const SAMPLE_POSITION_PATTERN = 'Stated position on % based on % platform';
+
+// init-data.js sample votes, by politician, bill and date
+const SAMPLE_VOTING_RECORDS = [
+  ['alexandria-ocasio-cortez', 'HR5376-117', '2022-08-12'],
+  ['alexandria-ocasio-cortez', 'HR3-118', '2023-03-15'],
+  ['ted-cruz', 'HR5376-117', '2022-08-07']
+];
+
+function hasTable(db, table) {
+  return !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table);
+}
+
+module.exports = {
+  description: 'Add source_type, source_url, retrieved_at and method to position, statement, vote and score rows',
+
+  up(db) {
+    TABLES.forEach(table => {
+      addColumn(db, table, 'source_type', `TEXT NOT NULL DEFAULT 'unknown'`);
+      addColumn(db, table, 'source_url', 'TEXT');
+      addColumn(db, table, 'retrieved_at', 'DATETIME');
+      addColumn(db, table, 'method', 'TEXT');
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_source_type ON ${table} (source_type)`);
+    });
+
+    // Positions: sample data first, then what the crawler wrote
+    const placeholders = SAMPLE_POSITIONS.map(() => '?').join(', ');
+    db.prepare(`
+      UPDATE politician_positions
+      SET source_type = 'demo', method = 'sample-data', retrieved_at = last_updated
+      WHERE position_summary IN (${placeholders}) OR position_summary LIKE ?
+    `).run(...SAMPLE_POSITIONS, SAMPLE_POSITION_PATTERN);
+    db.exec(`
+      UPDATE politician_positions
+      SET source_type = 'official_website', method = 'website-crawl', retrieved_at = last_updated
+      WHERE source_type = 'unknown' AND source_url IS NOT NULL AND source_url != '';
+
+      UPDATE politician_positions SET retrieved_at = last_updated WHERE retrieved_at IS NULL;
+    `);
+
+    // Statements and legacy voting records were only ever written by init-data.js
+    db.exec(`
+      UPDATE public_statements
+      SET source_type = 'demo', method = 'sample-data'
+      WHERE source_url LIKE 'https://example.com/%';
+
+      UPDATE public_statements SET retrieved_at = created_at WHERE retrieved_at IS NULL;
+    `);
+    const markSampleRecord = db.prepare(`
+      UPDATE voting_records SET source_type = 'demo', method = 'sample-data'
+      WHERE politician_id = ? AND bill_id = ? AND vote_date = ?
+    `);
+    SAMPLE_VOTING_RECORDS.forEach(record => markSampleRecord.run(...record));
+    db.exec('UPDATE voting_records SET retrieved_at = created_at WHERE retrieved_at IS NULL');
+
+    // Votes say where they came from in their url
+    db.exec(`
+      UPDATE votes
+      SET source_type = 'official_api', method = 'congress-gov-api'
+      WHERE url LIKE '%api.congress.gov%';
+
+      UPDATE votes
+      SET source_type = 'official_record', method = 'senate-roll-call-xml'
+      WHERE url LIKE '%senate.gov%';
+
+      UPDATE votes
+      SET source_url = url, retrieved_at = COALESCE(updated_at, created_at)
+      WHERE source_url IS NULL;
+
+      UPDATE politician_votes
+      SET source_type = (SELECT v.source_type FROM votes v WHERE v.id = politician_votes.vote_id),
+          source_url = (SELECT v.source_url FROM votes v WHERE v.id = politician_votes.vote_id),
+          method = (SELECT v.method FROM votes v WHERE v.id = politician_votes.vote_id),
+          retrieved_at = created_at
+      WHERE EXISTS (SELECT 1 FROM votes v WHERE v.id = politician_votes.vote_id);
+    `);
+
+    // Scores are computed from the rows above
+    db.exec(`
+      UPDATE position_vote_analysis
+      SET source_type = 'computed', method = 'bill-topic-mapper', retrieved_at = analysis_date;
+
+      UPDATE voting_statistics
+      SET source_type = 'computed', method = 'voting-statistics', retrieved_at = updated_at;
+
+      UPDATE voting_alignment
+      SET source_type = 'computed', method = 'voting-alignment', retrieved_at = last_calculated;
+
+      UPDATE legislative_alignment
+      SET source_type = 'computed', method = 'comprehensive-congress-fetcher', retrieved_at = last_calculated;
+    `);
+  },
+
+  down(db) {
+    TABLES.filter(table => hasTable(db, table)).forEach(table => {
+      db.exec(`DROP INDEX IF EXISTS idx_${table}_source_type`);
+      dropColumn(db, table, 'method');
+      dropColumn(db, table, 'retrieved_at');
+      if (!HAD_SOURCE_URL.includes(table)) {
+        dropColumn(db, table, 'source_url');
+      }
+      dropColumn(db, table, 'source_type');
+    });
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * External identifiers for each politician: Bioguide, Senate LIS, ICPSR,
+ * GovTrack and THOMAS ids as indexed columns, with FEC candidate ids (a
+ * member can have several) in their own table.
+ *
+ * Ids already stored in bio_data are carried over so existing politicians
+ * keep matching by bioguide id whatever their name slug looks like.
+ */
+
+module.exports = {
+  description: 'Create politician_identifiers and politician_fec_ids',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS politician_identifiers (
+        politician_id TEXT PRIMARY KEY,
+        bioguide_id TEXT UNIQUE,
+        lis_id TEXT UNIQUE,
+        icpsr_id INTEGER,
+        govtrack_id INTEGER UNIQUE,
+        thomas_id TEXT,
+        source TEXT,
+        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS politician_fec_ids (
+        fec_id TEXT PRIMARY KEY,
+        politician_id TEXT NOT NULL,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_politician_identifiers_icpsr ON politician_identifiers (icpsr_id);
+      CREATE INDEX IF NOT EXISTS idx_politician_fec_ids_politician ON politician_fec_ids (politician_id);
+    `);
+
+    // First politician to claim an id keeps it; later duplicates were the
+    // same member under another slug
+    db.exec(`
+      INSERT OR IGNORE INTO politician_identifiers (politician_id, bioguide_id, lis_id, source)
+      SELECT id,
+             NULLIF(json_extract(bio_data, '$.bioguideId'), ''),
+             NULLIF(json_extract(bio_data, '$.lisId'), ''),
+             'bio_data'
+      FROM politicians
+      WHERE json_valid(bio_data)
+        AND (json_extract(bio_data, '$.bioguideId') IS NOT NULL OR json_extract(bio_data, '$.lisId') IS NOT NULL)
+      ORDER BY created_at, id
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS politician_fec_ids;
+      DROP TABLE IF EXISTS politician_identifiers;
+    `);
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * Roll-call entries that could not be matched to exactly one politician,
+ * kept for review instead of being logged and dropped. Each row holds the
+ * roster entry as the source gave it, the vote cast, the scored candidates
+ * and, once resolved, the politician it belongs to.
+ *
+ * member_key identifies the roster entry across votes (its bioguide or LIS
+ * id, or name, state and chamber), so resolving it once settles every
+ * vote it appears in and future ingests.
+ */
+
+module.exports = {
+  description: 'Create member_match_reviews',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS member_match_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        vote_id TEXT NOT NULL,
+        member_key TEXT NOT NULL,
+        member_data TEXT NOT NULL,
+        position TEXT,
+        status TEXT NOT NULL DEFAULT 'unmatched' CHECK (status IN ('unmatched', 'ambiguous', 'resolved', 'ignored')),
+        candidates TEXT,
+        provenance TEXT,
+        politician_id TEXT,
+        note TEXT,
+        resolved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (vote_id, member_key),
+        FOREIGN KEY (vote_id) REFERENCES votes (id),
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_member_match_reviews_status ON member_match_reviews (status);
+      CREATE INDEX IF NOT EXISTS idx_member_match_reviews_member ON member_match_reviews (member_key);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS member_match_reviews');
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * Voting statistics that are actually computed: eligible votes, unrecorded
+ * votes and missed-vote streaks on voting_statistics, a per-session
+ * breakdown, and the start and end dates of each term so members who join
+ * or leave mid-congress are only counted for the votes they could cast.
+ *
+ * computation_checkpoints records when each derived table was last brought
+ * up to date, so later runs only revisit what changed since.
+ */
+
+const { addColumn, dropColumn } = require('./helpers');
+
+const STATISTICS_COLUMNS = {
+  eligible_votes: 'INTEGER DEFAULT 0',
+  unrecorded_votes: 'INTEGER DEFAULT 0',
+  first_vote_date: 'TEXT',
+  current_missed_streak: 'INTEGER DEFAULT 0',
+  longest_missed_streak: 'INTEGER DEFAULT 0',
+  longest_streak_start: 'TEXT',
+  longest_streak_end: 'TEXT'
+};
+
+module.exports = {
+  description: 'Add statistics columns, voting_statistics_sessions, term dates and computation_checkpoints',
+
+  up(db) {
+    addColumn(db, 'politician_terms', 'start_date', 'TEXT');
+    addColumn(db, 'politician_terms', 'end_date', 'TEXT');
+
+    Object.entries(STATISTICS_COLUMNS).forEach(([column, definition]) => {
+      addColumn(db, 'voting_statistics', column, definition);
+    });
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS voting_statistics_sessions (
+        politician_id TEXT NOT NULL,
+        congress INTEGER NOT NULL,
+        chamber TEXT NOT NULL,
+        session INTEGER NOT NULL,
+        eligible_votes INTEGER DEFAULT 0,
+        total_votes INTEGER DEFAULT 0,
+        yes_votes INTEGER DEFAULT 0,
+        no_votes INTEGER DEFAULT 0,
+        present_votes INTEGER DEFAULT 0,
+        not_voting_votes INTEGER DEFAULT 0,
+        unrecorded_votes INTEGER DEFAULT 0,
+        participation_rate REAL DEFAULT 0,
+        first_vote_date TEXT,
+        last_vote_date TEXT,
+        source_type TEXT NOT NULL DEFAULT 'unknown',
+        source_url TEXT,
+        retrieved_at DATETIME,
+        method TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (politician_id, congress, chamber, session),
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS computation_checkpoints (
+        name TEXT PRIMARY KEY,
+        last_run_at DATETIME NOT NULL,
+        details TEXT
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_voting_statistics_sessions_source_type ON voting_statistics_sessions (source_type);
+      CREATE INDEX IF NOT EXISTS idx_politician_votes_created ON politician_votes (created_at);
+      CREATE INDEX IF NOT EXISTS idx_votes_created ON votes (created_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_votes_created;
+      DROP INDEX IF EXISTS idx_politician_votes_created;
+      DROP TABLE IF EXISTS computation_checkpoints;
+      DROP TABLE IF EXISTS voting_statistics_sessions;
+    `);
+
+    Object.keys(STATISTICS_COLUMNS).forEach(column => dropColumn(db, 'voting_statistics', column));
+    dropColumn(db, 'politician_terms', 'end_date');
+    dropColumn(db, 'politician_terms', 'start_date');
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Party-line and bipartisanship scores per member. party_unity_score is the
+ * share of party-divided votes (most voting Democrats against most voting
+ * Republicans) on which the member sided with their own party's majority;
+ * bipartisanship_index is the share of their cosponsorship ties, in both
+ * directions, that cross party lines. The counts behind each score are
+ * kept so readers can judge how much data it rests on.
+ */
+
+module.exports = {
+  description: 'Create party_scores',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS party_scores (
+        politician_id TEXT PRIMARY KEY,
+        party TEXT,
+        party_divided_votes INTEGER DEFAULT 0,
+        party_line_votes INTEGER DEFAULT 0,
+        party_unity_score REAL,
+        cosponsors_attracted INTEGER DEFAULT 0,
+        bipartisan_cosponsors_attracted INTEGER DEFAULT 0,
+        cosponsorships INTEGER DEFAULT 0,
+        bipartisan_cosponsorships INTEGER DEFAULT 0,
+        bipartisanship_index REAL,
+        source_type TEXT NOT NULL DEFAULT 'unknown',
+        source_url TEXT,
+        retrieved_at DATETIME,
+        method TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_party_scores_unity ON party_scores (party_unity_score);
+      CREATE INDEX IF NOT EXISTS idx_party_scores_bipartisanship ON party_scores (bipartisanship_index);
+      CREATE INDEX IF NOT EXISTS idx_party_scores_source_type ON party_scores (source_type);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS party_scores');
+  }
+};
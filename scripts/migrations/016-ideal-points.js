@@ -0,0 +1,69 @@
+/**
+ * Ideal points: each member's position on one or two latent dimensions,
+ * estimated per congress and chamber from the roll-call matrix, with a
+ * standard error for every coordinate. ideal_point_fits keeps how well each
+ * scaling explained the votes it was built from, and when it was run.
+ */
+
+module.exports = {
+  description: 'Create ideal_points and ideal_point_fits',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ideal_point_fits (
+        congress INTEGER NOT NULL,
+        chamber TEXT NOT NULL,
+        dimensions INTEGER NOT NULL,
+        members INTEGER DEFAULT 0,
+        roll_calls INTEGER DEFAULT 0,
+        dropped_roll_calls INTEGER DEFAULT 0,
+        dropped_members INTEGER DEFAULT 0,
+        iterations INTEGER DEFAULT 0,
+        converged BOOLEAN DEFAULT 0,
+        log_likelihood REAL,
+        classification REAL,
+        apre REAL,
+        source_type TEXT NOT NULL DEFAULT 'unknown',
+        source_url TEXT,
+        retrieved_at DATETIME,
+        method TEXT,
+        computed_at DATETIME NOT NULL,
+        PRIMARY KEY (congress, chamber)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ideal_points (
+        politician_id TEXT NOT NULL,
+        congress INTEGER NOT NULL,
+        chamber TEXT NOT NULL,
+        party TEXT,
+        coord1 REAL NOT NULL,
+        coord2 REAL,
+        se1 REAL,
+        se2 REAL,
+        votes_scaled INTEGER DEFAULT 0,
+        classification REAL,
+        source_type TEXT NOT NULL DEFAULT 'unknown',
+        source_url TEXT,
+        retrieved_at DATETIME,
+        method TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (politician_id, congress, chamber),
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_ideal_points_congress ON ideal_points (congress, chamber);
+      CREATE INDEX IF NOT EXISTS idx_ideal_points_source_type ON ideal_points (source_type);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS ideal_points;
+      DROP TABLE IF EXISTS ideal_point_fits;
+    `);
+  }
+};
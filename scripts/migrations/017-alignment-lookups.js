@@ -0,0 +1,23 @@
+/**
+ * Alignment pairs are stored once, with the lower politician id first. The
+ * UNIQUE constraints already index lookups by the first member; these cover
+ * lookups by the second, so "everyone aligned with X" needs no table scan.
+ */
+
+module.exports = {
+  description: 'Index voting_alignment and legislative_alignment by second member',
+
+  up(db) {
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_voting_alignment_politician2 ON voting_alignment (politician2_id);
+      CREATE INDEX IF NOT EXISTS idx_legislative_alignment_politician2 ON legislative_alignment (politician2_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_legislative_alignment_politician2;
+      DROP INDEX IF EXISTS idx_voting_alignment_politician2;
+    `);
+  }
+};
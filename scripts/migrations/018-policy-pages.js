@@ -0,0 +1,37 @@
+/**
+ * Policy pages: the pages found on each politician's site during the last
+ * crawl (from homepage links and sitemaps), the topic each one looked like
+ * it covered, and whether it fit under the per-site page cap.
+ */
+
+module.exports = {
+  description: 'Create policy_pages',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS policy_pages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        topic TEXT,
+        source TEXT NOT NULL,
+        score REAL DEFAULT 0,
+        selected BOOLEAN DEFAULT 0,
+        fetch_status TEXT,
+        positions_found INTEGER DEFAULT 0,
+        discovered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (politician_id, url),
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_policy_pages_topic ON policy_pages (topic)');
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_policy_pages_topic;
+      DROP TABLE IF EXISTS policy_pages;
+    `);
+  }
+};
@@ -0,0 +1,99 @@
+/**
+ * Page snapshots and position history. page_snapshots has one row per
+ * revision of a crawled page's text, in the order they were fetched, so a
+ * page that changes A → B → A has three rows; the HTML itself lives in the
+ * snapshot directory under content_hash (see scripts/snapshot-store.js).
+ * position_history keeps every version of each stated position, starting
+ * from what politician_positions holds now. Timestamps are in SQLite's
+ * format (YYYY-MM-DD HH:MM:SS) and come from the build clock.
+ */
+
+const PositionHistory = require('../position-history');
+const clock = require('../clock');
+
+module.exports = {
+  description: 'Create page_snapshots and position_history, seeded from politician_positions',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS page_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT,
+        url TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        text_hash TEXT NOT NULL,
+        extracted_text TEXT,
+        byte_length INTEGER DEFAULT 0,
+        first_fetched_at DATETIME NOT NULL,
+        last_fetched_at DATETIME NOT NULL,
+        fetch_count INTEGER DEFAULT 1,
+        FOREIGN KEY (politician_id) REFERENCES politicians (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS position_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        topic_id INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        content_hash TEXT NOT NULL,
+        stance TEXT,
+        strength TEXT,
+        position_summary TEXT,
+        position_details TEXT,
+        source_url TEXT,
+        snapshot_hash TEXT,
+        first_seen_at DATETIME NOT NULL,
+        last_seen_at DATETIME NOT NULL,
+        UNIQUE (politician_id, topic_id, version),
+        FOREIGN KEY (politician_id) REFERENCES politicians (id),
+        FOREIGN KEY (topic_id) REFERENCES policy_topics (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_page_snapshots_politician ON page_snapshots (politician_id);
+      CREATE INDEX IF NOT EXISTS idx_page_snapshots_url ON page_snapshots (url, id);
+      CREATE INDEX IF NOT EXISTS idx_position_history_first_seen ON position_history (first_seen_at);
+    `);
+
+    const insertVersion = db.prepare(`
+      INSERT OR IGNORE INTO position_history
+      (politician_id, topic_id, version, content_hash, stance, strength, position_summary, position_details,
+       source_url, first_seen_at, last_seen_at)
+      VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const positions = db.prepare(`
+      SELECT politician_id, topic_id, stance, strength, position_summary, position_details, source_url,
+        COALESCE(retrieved_at, last_updated, ?) AS seen_at
+      FROM politician_positions
+    `).all(clock.toSqlTimestamp());
+
+    for (const position of positions) {
+      insertVersion.run(
+        position.politician_id,
+        position.topic_id,
+        PositionHistory.contentHash(position),
+        position.stance || 'neutral',
+        position.strength || 'moderate',
+        position.position_summary,
+        position.position_details,
+        position.source_url,
+        position.seen_at,
+        position.seen_at
+      );
+    }
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_position_history_first_seen;
+      DROP INDEX IF EXISTS idx_page_snapshots_url;
+      DROP INDEX IF EXISTS idx_page_snapshots_politician;
+      DROP TABLE IF EXISTS position_history;
+      DROP TABLE IF EXISTS page_snapshots;
+    `);
+  }
+};
@@ -0,0 +1,74 @@
+/**
+ * Stance changes: reversals between support and oppose on a topic, either
+ * in what a politician's site says (kind 'stated', from position_history)
+ * or in which way their votes on the topic's bills pushed from one congress
+ * to the next (kind 'voting'). Each row keeps the evidence on both sides as
+ * JSON, and the dates between which the change happened: position_history
+ * timestamps (YYYY-MM-DD HH:MM:SS) for stated changes, vote dates for voting
+ * ones.
+ *
+ * position_history gains source_type, so a stated reversal is traced to the
+ * version it was read from rather than to whatever politician_positions
+ * holds now. Existing versions take the source_type of their position;
+ * versions with no position left stay 'unknown'.
+ */
+
+const { addColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+  description: 'Create stance_changes and add source_type to position_history',
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS stance_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        politician_id TEXT NOT NULL,
+        topic_id INTEGER NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('stated', 'voting')),
+        before_stance TEXT NOT NULL,
+        after_stance TEXT NOT NULL,
+        before_date DATETIME,
+        after_date DATETIME,
+        before_congress INTEGER,
+        after_congress INTEGER,
+        before_evidence TEXT,
+        after_evidence TEXT,
+        source_type TEXT NOT NULL DEFAULT 'unknown',
+        source_url TEXT,
+        retrieved_at DATETIME,
+        method TEXT,
+        detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (politician_id, topic_id, kind, after_date),
+        FOREIGN KEY (politician_id) REFERENCES politicians (id),
+        FOREIGN KEY (topic_id) REFERENCES policy_topics (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_stance_changes_politician ON stance_changes (politician_id);
+      CREATE INDEX IF NOT EXISTS idx_stance_changes_after_date ON stance_changes (after_date);
+      CREATE INDEX IF NOT EXISTS idx_stance_changes_source_type ON stance_changes (source_type);
+    `);
+
+    addColumn(db, 'position_history', 'source_type', "TEXT NOT NULL DEFAULT 'unknown'");
+    db.exec(`
+      UPDATE position_history
+      SET source_type = (
+        SELECT pp.source_type FROM politician_positions pp
+        WHERE pp.politician_id = position_history.politician_id AND pp.topic_id = position_history.topic_id
+      )
+      WHERE EXISTS (
+        SELECT 1 FROM politician_positions pp
+        WHERE pp.politician_id = position_history.politician_id AND pp.topic_id = position_history.topic_id
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_position_history_source_type ON position_history (source_type);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_position_history_source_type');
+    dropColumn(db, 'position_history', 'source_type');
+    db.exec('DROP TABLE IF EXISTS stance_changes');
+  }
+};
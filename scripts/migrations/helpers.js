@@ -0,0 +1,22 @@
+/**
+ * Helpers for migration files
+ */
+
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(row => row.name === column);
+}
+
+// Databases built before migrations may already have the column
+function addColumn(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+function dropColumn(db, table, column) {
+  if (hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+}
+
+module.exports = { hasColumn, addColumn, dropColumn };
@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+
+/**
+ * Party Scores
+ * Computes how often each member votes with their party and how often they
+ * work across the aisle, and stores both in party_scores.
+ *
+ * Party unity: on party-divided votes (a majority of voting Democrats
+ * against a majority of voting Republicans), the share of the member's Yea
+ * and Nay votes that matched their own party's majority. A member's party
+ * is the one on their term for the vote's congress and chamber, falling
+ * back to their current party.
+ *
+ * Bipartisanship: from politician_legislation, the share of the member's
+ * cosponsorship ties that cross party lines. Both directions count:
+ * cosponsors their own bills attracted, and bills they cosponsored.
+ *
+ * Only Democrats and Republicans are scored; independents have no party
+ * majority to measure against.
+ */
+
+const Database = require('better-sqlite3');
+const Migrator = require('./migrate');
+const { stamp, SOURCE_TYPES } = require('./provenance');
+const clock = require('./clock');
+const { getDatabasePath } = require('./data-paths');
+
+// Leaderboards only rank members with at least this much data
+const MIN_PARTY_DIVIDED_VOTES = 20;
+const MIN_COSPONSORSHIP_TIES = 10;
+
+const METRICS = {
+  'party-unity': { column: 'party_unity_score', sample: 'party_divided_votes', minimum: MIN_PARTY_DIVIDED_VOTES },
+  bipartisanship: {
+    column: 'bipartisanship_index',
+    sample: '(cosponsors_attracted + cosponsorships)',
+    minimum: MIN_COSPONSORSHIP_TIES
+  }
+};
+
+class PartyScores {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   */
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(getDatabasePath());
+    Migrator.migrate(this.db);
+  }
+
+  /**
+   * Party-divided vote counts per member
+   * @returns {Map} politician_id -> { party_divided_votes, party_line_votes }
+   */
+  getPartyUnity() {
+    const rows = this.db.prepare(`
+      WITH member_votes AS (
+        SELECT
+          pv.vote_id,
+          pv.politician_id,
+          CASE
+            WHEN LOWER(TRIM(pv.position)) IN ('yes', 'yea', 'aye') THEN 'yes'
+            WHEN LOWER(TRIM(pv.position)) IN ('no', 'nay') THEN 'no'
+          END AS side,
+          UPPER(SUBSTR(TRIM(COALESCE(t.party, p.party)), 1, 1)) AS party
+        FROM politician_votes pv
+        JOIN votes v ON v.id = pv.vote_id
+        JOIN politicians p ON p.id = pv.politician_id
+        LEFT JOIN politician_terms t
+          ON t.politician_id = pv.politician_id
+          AND t.congress = v.congress
+          AND LOWER(t.chamber) = LOWER(v.chamber)
+      ),
+      majorities AS (
+        SELECT
+          vote_id,
+          party,
+          CASE
+            WHEN SUM(side = 'yes') > SUM(side = 'no') THEN 'yes'
+            WHEN SUM(side = 'no') > SUM(side = 'yes') THEN 'no'
+          END AS side
+        FROM member_votes
+        WHERE side IS NOT NULL AND party IN ('D', 'R')
+        GROUP BY vote_id, party
+      ),
+      divided AS (
+        SELECT d.vote_id
+        FROM majorities d
+        JOIN majorities r ON r.vote_id = d.vote_id AND r.party = 'R'
+        WHERE d.party = 'D' AND d.side IS NOT NULL AND r.side IS NOT NULL AND d.side <> r.side
+      )
+      SELECT
+        mv.politician_id,
+        COUNT(*) AS party_divided_votes,
+        SUM(mv.side = m.side) AS party_line_votes
+      FROM member_votes mv
+      JOIN divided ON divided.vote_id = mv.vote_id
+      JOIN majorities m ON m.vote_id = mv.vote_id AND m.party = mv.party
+      WHERE mv.side IS NOT NULL
+      GROUP BY mv.politician_id
+    `).all();
+
+    return new Map(rows.map(({ politician_id, ...counts }) => [String(politician_id), counts]));
+  }
+
+  /**
+   * Cosponsorship ties per member, and how many cross party lines
+   * @returns {Map} politician_id -> { cosponsors_attracted, bipartisan_cosponsors_attracted,
+   *   cosponsorships, bipartisan_cosponsorships }
+   */
+  getCosponsorship() {
+    const ties = this.db.prepare(`
+      WITH involvement AS (
+        SELECT
+          pl.legislation_id,
+          pl.politician_id,
+          pl.relationship_type,
+          UPPER(SUBSTR(TRIM(COALESCE(
+            (SELECT t.party FROM politician_terms t
+              WHERE t.politician_id = pl.politician_id AND t.congress = l.congress
+              ORDER BY t.chamber LIMIT 1),
+            p.party
+          )), 1, 1)) AS party
+        FROM politician_legislation pl
+        JOIN legislation l ON l.id = pl.legislation_id
+        JOIN politicians p ON p.id = pl.politician_id
+      )
+      SELECT
+        s.politician_id AS sponsor_id,
+        s.party AS sponsor_party,
+        c.politician_id AS cosponsor_id,
+        c.party AS cosponsor_party
+      FROM involvement s
+      JOIN involvement c ON c.legislation_id = s.legislation_id AND c.relationship_type = 'cosponsor'
+      WHERE s.relationship_type = 'sponsor'
+        AND s.politician_id <> c.politician_id
+        AND s.party IN ('D', 'R')
+        AND c.party IN ('D', 'R')
+    `).all();
+
+    const counts = new Map();
+    const countsFor = (politicianId) => {
+      if (!counts.has(politicianId)) {
+        counts.set(politicianId, {
+          cosponsors_attracted: 0,
+          bipartisan_cosponsors_attracted: 0,
+          cosponsorships: 0,
+          bipartisan_cosponsorships: 0
+        });
+      }
+      return counts.get(politicianId);
+    };
+
+    ties.forEach(tie => {
+      const crossesParty = tie.sponsor_party !== tie.cosponsor_party;
+
+      const sponsor = countsFor(tie.sponsor_id);
+      sponsor.cosponsors_attracted++;
+      if (crossesParty) sponsor.bipartisan_cosponsors_attracted++;
+
+      const cosponsor = countsFor(tie.cosponsor_id);
+      cosponsor.cosponsorships++;
+      if (crossesParty) cosponsor.bipartisan_cosponsorships++;
+    });
+
+    return counts;
+  }
+
+  /**
+   * Recompute every member's scores
+   * @returns {Object} { politicians, partyUnity, bipartisanship }
+   */
+  update() {
+    const politicians = this.db.prepare(`
+      SELECT id, UPPER(SUBSTR(TRIM(party), 1, 1)) AS party FROM politicians
+    `).all();
+    const unity = this.getPartyUnity();
+    const cosponsorship = this.getCosponsorship();
+    const provenance = stamp(SOURCE_TYPES.COMPUTED, 'party-scores');
+    const updatedAt = clock.toSqlTimestamp();
+    const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+
+    const insert = this.db.prepare(`
+      INSERT INTO party_scores (
+        politician_id, party, party_divided_votes, party_line_votes, party_unity_score,
+        cosponsors_attracted, bipartisan_cosponsors_attracted, cosponsorships, bipartisan_cosponsorships,
+        bipartisanship_index, source_type, source_url, retrieved_at, method, updated_at
+      ) VALUES (
+        @politician_id, @party, @party_divided_votes, @party_line_votes, @party_unity_score,
+        @cosponsors_attracted, @bipartisan_cosponsors_attracted, @cosponsorships, @bipartisan_cosponsorships,
+        @bipartisanship_index, @source_type, @source_url, @retrieved_at, @method, @updated_at
+      )
+    `);
+
+    const results = { politicians: 0, partyUnity: 0, bipartisanship: 0 };
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM party_scores').run();
+
+      politicians.forEach(politician => {
+        const votes = unity.get(politician.id) || { party_divided_votes: 0, party_line_votes: 0 };
+        const ties = cosponsorship.get(politician.id) || {
+          cosponsors_attracted: 0,
+          bipartisan_cosponsors_attracted: 0,
+          cosponsorships: 0,
+          bipartisan_cosponsorships: 0
+        };
+        if (votes.party_divided_votes === 0 && ties.cosponsors_attracted + ties.cosponsorships === 0) return;
+
+        const row = {
+          politician_id: politician.id,
+          party: politician.party || null,
+          ...votes,
+          ...ties,
+          party_unity_score: percentage(votes.party_line_votes, votes.party_divided_votes),
+          bipartisanship_index: percentage(
+            ties.bipartisan_cosponsors_attracted + ties.bipartisan_cosponsorships,
+            ties.cosponsors_attracted + ties.cosponsorships
+          ),
+          ...provenance,
+          updated_at: updatedAt
+        };
+        insert.run(row);
+
+        results.politicians++;
+        if (row.party_unity_score !== null) results.partyUnity++;
+        if (row.bipartisanship_index !== null) results.bipartisanship++;
+      });
+    })();
+
+    return results;
+  }
+
+  /**
+   * One member's scores
+   */
+  getScores(politicianId) {
+    return this.db.prepare('SELECT * FROM party_scores WHERE politician_id = ?').get(politicianId) || null;
+  }
+
+  /**
+   * Members ranked by a metric, among those with enough data for it
+   * @param {string} metric - 'party-unity' or 'bipartisanship'
+   * @param {Object} options - { chamber, party, order: 'asc' | 'desc', limit }
+   */
+  getLeaderboard(metric, options = {}) {
+    const definition = METRICS[metric];
+    if (!definition) {
+      throw new Error(`Unknown metric: ${metric} (expected ${Object.keys(METRICS).join(' or ')})`);
+    }
+
+    const { chamber = null, party = null, order = 'desc', limit = 25 } = options;
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    return this.db.prepare(`
+      SELECT p.id, p.name, p.party, p.state, p.chamber, s.*, ${definition.sample} AS sample_size
+      FROM party_scores s
+      JOIN politicians p ON p.id = s.politician_id
+      WHERE s.${definition.column} IS NOT NULL
+        AND ${definition.sample} >= @minimum
+        AND (@chamber IS NULL OR LOWER(p.chamber) = LOWER(@chamber))
+        AND (@party IS NULL OR s.party = UPPER(SUBSTR(@party, 1, 1)))
+      ORDER BY s.${definition.column} ${direction}, sample_size DESC, p.name
+      LIMIT @limit
+    `).all({ minimum: definition.minimum, chamber, party, limit });
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+PartyScores.METRICS = METRICS;
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'help';
+
+  const getOption = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : null;
+  };
+
+  function runCLI() {
+    if (!['update', 'show', 'leaderboard'].includes(command)) {
+      console.log(`
+🤝 Party Scores
+
+Usage: node party-scores.js <command> [options]
+
+Commands:
+  update                         Recompute party unity and bipartisanship for every member
+  show <politician_id>           Show a member's scores and the counts behind them
+  leaderboard <metric>           Rank members by party-unity or bipartisanship
+  help                           Show this help message
+
+Options:
+  --chamber <house|senate>       Only rank one chamber
+  --party <D|R>                  Only rank one party
+  --order <asc|desc>             Lowest or highest first (default: desc)
+  --limit <n>                    Number of members (default: 25)
+
+Examples:
+  node party-scores.js leaderboard party-unity --order asc --chamber house
+  node party-scores.js leaderboard bipartisanship --party R
+      `);
+      return;
+    }
+
+    const scores = new PartyScores();
+
+    try {
+      switch (command) {
+        case 'update': {
+          const result = scores.update();
+          console.log(`✅ Scored ${result.politicians} politicians (${result.partyUnity} party unity, ${result.bipartisanship} bipartisanship)`);
+          break;
+        }
+
+        case 'show': {
+          const row = args[1] ? scores.getScores(args[1]) : null;
+          if (!row) {
+            console.log(`No party scores for ${args[1] || '(missing politician id)'}`);
+            break;
+          }
+          console.log(`🤝 ${args[1]} (${row.party || 'no party'})`);
+          console.log(`   Party unity: ${row.party_unity_score ?? '—'}% (${row.party_line_votes} of ${row.party_divided_votes} party-divided votes)`);
+          console.log(`   Bipartisanship: ${row.bipartisanship_index ?? '—'}%`);
+          console.log(`     Cosponsors from the other party: ${row.bipartisan_cosponsors_attracted} of ${row.cosponsors_attracted}`);
+          console.log(`     Other-party bills cosponsored: ${row.bipartisan_cosponsorships} of ${row.cosponsorships}`);
+          break;
+        }
+
+        case 'leaderboard': {
+          const metric = args[1] || 'party-unity';
+          const rows = scores.getLeaderboard(metric, {
+            chamber: getOption('chamber'),
+            party: getOption('party'),
+            order: getOption('order') || 'desc',
+            limit: parseInt(getOption('limit'), 10) || 25
+          });
+          const { column } = PartyScores.METRICS[metric];
+          console.log(`🏆 ${metric} (${rows.length} members)`);
+          rows.forEach((row, index) => {
+            console.log(`   ${String(index + 1).padStart(3)}. ${row.name} (${row.party}-${row.state}): ${row[column]}% of ${row.sample_size}`);
+          });
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Party scores failed:', error.message);
+      process.exit(1);
+    } finally {
+      scores.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = PartyScores;
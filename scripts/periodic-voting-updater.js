@@ -7,6 +7,10 @@
  */
 
 const VotingRecordsFetcher = require('./voting-records-fetcher');
+const BillIngester = require('./bill-ingester');
+const { getCurrentCongress } = require('./congress-calendar');
+const clock = require('./clock');
+const { getDatabasePath } = require('./data-paths');
 const path = require('path');
 const fs = require('fs');
 
@@ -71,8 +75,10 @@ class PeriodicVotingUpdater {
     console.log(`📋 Config: ${this.config.updateFrequency} updates, max ${this.config.maxVotesPerUpdate} votes per run`);
 
     try {
-      const now = new Date();
-      const shouldUpdate = force || this.shouldRunUpdate(now, maxAge);
+      const now = clock.now();
+      const shouldUpdate = force
+        ? { update: true, reason: 'Forced update requested' }
+        : this.shouldRunUpdate(now, maxAge);
 
       if (!shouldUpdate.update) {
         console.log(`⏰ ${shouldUpdate.reason}`);
@@ -209,9 +215,9 @@ class PeriodicVotingUpdater {
    * Get start date for full update (current congress session)
    */
   getStartDateForFullUpdate() {
-    // 118th Congress started January 3, 2023, but let's be more conservative
+    // The current Congress may have started long ago, so be more conservative
     // and start from a more recent date to avoid overwhelming API calls
-    const date = new Date();
+    const date = clock.now();
     date.setDate(date.getDate() - 90); // Last 90 days for initial full update
     return this.formatDate(date);
   }
@@ -222,7 +228,7 @@ class PeriodicVotingUpdater {
   getStartDateForIncremental(lastUpdate) {
     if (!lastUpdate) {
       // No previous update, go back 7 days
-      const date = new Date();
+      const date = clock.now();
       date.setDate(date.getDate() - 7);
       return this.formatDate(date);
     }
@@ -236,7 +242,7 @@ class PeriodicVotingUpdater {
    */
   async executeUpdate(strategy) {
     const fetchOptions = {
-      congress: 118,
+      congress: getCurrentCongress(),
       chamber: 'house', // Only House votes available in beta API
       startDate: strategy.startDate,
       endDate: strategy.endDate,
@@ -247,8 +253,13 @@ class PeriodicVotingUpdater {
 
     const result = await this.fetcher.fetchVotingRecords(fetchOptions);
 
+    // Fetch the bills behind any newly linked votes
+    const billIngester = new BillIngester({ db: this.fetcher.db });
+    const billResult = await billIngester.ingestVotedBills({ limit: this.config.maxVotesPerUpdate });
+
     return {
       ...result,
+      billsStored: billResult.billsStored,
       strategy: strategy.type,
       dateRange: {
         start: strategy.startDate,
@@ -269,7 +280,7 @@ class PeriodicVotingUpdater {
    */
   getUpdateStatus() {
     const Database = require('better-sqlite3');
-    const dbPath = path.join(__dirname, '..', 'data', 'politicians.db');
+    const dbPath = getDatabasePath();
     const db = new Database(dbPath);
 
     try {
@@ -6,12 +6,14 @@
  */
 
 const Database = require('better-sqlite3');
-const path = require('path');
+const Migrator = require('./migrate');
+const { getDatabasePath } = require('./data-paths');
 
 class PolicyPositionAnalyzer {
   constructor() {
-    const dbPath = path.join(__dirname, '..', 'data', 'politicians.db');
+    const dbPath = getDatabasePath();
     this.db = new Database(dbPath);
+    Migrator.migrate(this.db);
   }
 
   /**
@@ -57,12 +59,14 @@ class PolicyPositionAnalyzer {
     const crawlStats = this.db.prepare(`
       SELECT 
         SUM(CASE WHEN crawl_status = 'success' THEN 1 ELSE 0 END) as successful,
+        SUM(CASE WHEN crawl_status = 'disallowed' THEN 1 ELSE 0 END) as disallowed,
         COUNT(*) as total
       FROM crawl_log
     `).get();
     
     stats.successRate = crawlStats.total > 0 ? 
       Math.round((crawlStats.successful / crawlStats.total) * 100) : 0;
+    stats.disallowedCrawls = crawlStats.disallowed || 0;
     
     return stats;
   }
@@ -243,6 +247,60 @@ class PolicyPositionAnalyzer {
     };
   }
 
+  /**
+   * Policy pages found by the last crawl of each site, by topic and by
+   * where they were found (homepage links, sitemaps or both)
+   */
+  getPageDiscovery() {
+    const byTopic = this.db.prepare(`
+      SELECT 
+        COALESCE(t.display_name, pg.topic, 'No topic') as topic,
+        COUNT(*) as page_count,
+        COUNT(DISTINCT pg.politician_id) as politician_count,
+        SUM(CASE WHEN pg.source = 'link' THEN 1 ELSE 0 END) as from_links,
+        SUM(CASE WHEN pg.source = 'sitemap' THEN 1 ELSE 0 END) as from_sitemaps,
+        SUM(CASE WHEN pg.source = 'both' THEN 1 ELSE 0 END) as from_both,
+        SUM(pg.positions_found) as positions_found
+      FROM policy_pages pg
+      LEFT JOIN policy_topics t ON t.canonical_name = pg.topic
+      GROUP BY 1
+      ORDER BY page_count DESC
+    `).all();
+
+    const totals = this.db.prepare(`
+      SELECT 
+        COUNT(*) as pages,
+        COUNT(DISTINCT politician_id) as sites,
+        SUM(CASE WHEN selected = 1 THEN 1 ELSE 0 END) as selected,
+        SUM(CASE WHEN source IN ('sitemap', 'both') THEN 1 ELSE 0 END) as in_sitemaps,
+        SUM(CASE WHEN source = 'sitemap' THEN 1 ELSE 0 END) as sitemap_only
+      FROM policy_pages
+    `).get();
+
+    return { totals, byTopic };
+  }
+
+  /**
+   * Discovered policy pages for one politician, best first
+   */
+  getPoliticianPages(politicianId) {
+    return this.db.prepare(`
+      SELECT 
+        pg.url,
+        COALESCE(t.display_name, pg.topic) as topic,
+        pg.source,
+        pg.score,
+        pg.selected,
+        pg.fetch_status,
+        pg.positions_found,
+        pg.discovered_at
+      FROM policy_pages pg
+      LEFT JOIN policy_topics t ON t.canonical_name = pg.topic
+      WHERE pg.politician_id = ?
+      ORDER BY pg.score DESC, LENGTH(pg.url)
+    `).all(politicianId);
+  }
+
   /**
    * Print comprehensive report
    */
@@ -259,6 +317,7 @@ class PolicyPositionAnalyzer {
     console.log(`Key Issues Identified: ${stats.keyIssues.toLocaleString()}`);
     console.log(`Crawl Success Rate: ${stats.successRate}%`);
     console.log(`Recent Crawls (24h): ${stats.recentCrawls}`);
+    console.log(`Blocked by robots.txt: ${stats.disallowedCrawls}`);
     
     console.log('\n🏆 TOP TOPICS BY COVERAGE');
     const topicDist = this.getTopicDistribution().slice(0, 10);
@@ -272,6 +331,17 @@ class PolicyPositionAnalyzer {
       console.log(`${index + 1}. ${pol.name} (${pol.party}-${pol.state}): ${pol.key_issue_count} key issues`);
     });
     
+    const discovery = this.getPageDiscovery();
+    if (discovery.totals.pages > 0) {
+      console.log('\n🗺️  POLICY PAGE DISCOVERY');
+      console.log(`${discovery.totals.pages} pages on ${discovery.totals.sites} sites (${discovery.totals.selected} crawled)`);
+      console.log(`Listed in sitemaps: ${discovery.totals.in_sitemaps} (${discovery.totals.sitemap_only} not linked from the homepage)`);
+      discovery.byTopic.slice(0, 10).forEach((topic, index) => {
+        console.log(`${index + 1}. ${topic.topic}: ${topic.page_count} pages on ${topic.politician_count} sites ` +
+          `(links ${topic.from_links}, sitemaps ${topic.from_sitemaps}, both ${topic.from_both}) → ${topic.positions_found || 0} positions`);
+      });
+    }
+    
     const failures = this.getCrawlFailures();
     if (failures.length > 0) {
       console.log('\n⚠️  RECENT CRAWL FAILURES');
@@ -335,6 +405,24 @@ if (require.main === module) {
         }
         break;
         
+      case 'pages':
+        const pagesPolitician = args[1];
+        if (!pagesPolitician) {
+          console.error('Usage: node policy-position-analyzer.js pages <politician_id>');
+          process.exit(1);
+        }
+        const pages = analyzer.getPoliticianPages(pagesPolitician);
+        console.log(`\n🗺️  POLICY PAGES FOUND FOR ${pagesPolitician}`);
+        if (pages.length === 0) {
+          console.log('No pages discovered yet; run the crawler first');
+        }
+        pages.forEach(page => {
+          const outcome = page.fetch_status ? `${page.fetch_status}, ${page.positions_found} positions` : 'not crawled';
+          console.log(`${page.selected ? '✓' : ' '} ${page.url}`);
+          console.log(`   ${page.topic || 'No topic'} · ${page.source} · score ${page.score} · ${outcome}`);
+        });
+        break;
+        
       case 'search':
         const keyword = args[1];
         if (!keyword) {
@@ -367,6 +455,7 @@ if (require.main === module) {
         console.log('  report                    - Show comprehensive report');
         console.log('  topic <name>             - Show positions by party for topic');
         console.log('  missing <name>           - Show politicians missing topic positions');
+        console.log('  pages <politician_id>    - Show policy pages found on a site, by topic');
         console.log('  search <keyword>         - Search positions by keyword');
         console.log('  export <topic>           - Export topic positions to JSON');
         console.log('\nExamples:');
@@ -9,230 +9,177 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const https = require('https');
-const fetch = require('node-fetch');
 const cheerio = require('cheerio');
 const http = require('http');
+const zlib = require('zlib');
 const { URL } = require('url');
+const HttpClient = require('./http-client');
+const RateLimiter = require('./rate-limiter');
+const RobotsPolicy = require('./robots-policy');
+const SitemapReader = require('./sitemap-reader');
+const StanceAnalyzer = require('./stance-analyzer');
+const ScoreEvidence = require('./score-evidence');
+const SnapshotStore = require('./snapshot-store');
+const PositionHistory = require('./position-history');
+const Migrator = require('./migrate');
+const clock = require('./clock');
+const { stamp, SOURCE_TYPES } = require('./provenance');
+const { getDatabasePath } = require('./data-paths');
+
+// Product token that robots.txt User-agent lines name us by
+const CRAWLER_AGENT = 'TruthInPolitics';
+const USER_AGENT = `Mozilla/5.0 (compatible; ${CRAWLER_AGENT}/1.0; Research/Educational Use; +https://truthinpolitics.org/about)`;
+
+// Longest robots.txt Crawl-delay honored; a shared host group waits this long at most
+const MAX_CRAWL_DELAY_MS = 60000;
+
+// Redirects followed per request, and the largest (decoded) body accepted
+const MAX_REDIRECTS = 5;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Sitemap files read per site (following sitemap indexes), and page URLs taken from them
+const MAX_SITEMAPS = 10;
+const MAX_SITEMAP_URLS = 5000;
+
+// Site sections that hold stated positions, by how much they count toward a page's score
+const POLICY_SECTIONS = {
+  '/issues/': 3,
+  '/legislation/': 3,
+  '/priorities/': 2,
+  '/positions/': 2,
+  '/policy/': 2,
+  '/agenda/': 1,
+  '/platform/': 1
+};
+
+// Topic words in a URL or link text that mark a page as a policy page
+const TOPIC_PATTERNS = [
+  'healthcare', 'health', 'medical',
+  'immigration', 'border',
+  'economy', 'economic', 'jobs',
+  'housing', 'affordable-housing',
+  'education', 'schools',
+  'environment', 'climate', 'energy',
+  'defense', 'military', 'veterans',
+  'civil-rights', 'voting',
+  'criminal-justice', 'justice',
+  'tax', 'taxes',
+  'social-security', 'retirement',
+  'technology', 'privacy', 'cybersecurity'
+];
+
+// Words and phrases in a URL or link text that name a topic, matched as
+// whole words (a trailing plural "s" allowed), so "aca" is not found in
+// "vacation" and "social security" is not read as defense
+const URL_TOPIC_KEYWORDS = {
+  'healthcare': ['health', 'healthcare', 'health care', 'medical', 'medicare', 'medicaid', 'aca', 'affordable care act'],
+  'immigration': ['immigration', 'border', 'asylum', 'citizenship'],
+  'economy': ['economy', 'economic', 'job', 'employment', 'trade'],
+  'housing': ['housing', 'affordable housing', 'mortgage', 'rent'],
+  'education': ['education', 'school', 'student', 'college'],
+  'environment': ['environment', 'climate', 'energy', 'green'],
+  'defense': ['defense', 'military', 'veteran', 'national security'],
+  'civil_rights': ['civil rights', 'rights', 'voting', 'equality'],
+  'criminal_justice': ['justice', 'criminal', 'police', 'crime'],
+  'taxation': ['tax', 'taxes', 'revenue', 'fiscal'],
+  'social_security': ['social security', 'retirement', 'senior'],
+  'technology': ['technology', 'tech', 'privacy', 'cyber', 'cybersecurity']
+};
+
+// Archives that mention topics without stating positions
+const ARCHIVE_PATTERN = /\/(news|press|press-releases|media|blog|photos?|videos?|events?)(\/|$)|\/(19|20)\d{2}\//;
+
+// windows-1252 characters for bytes 0x80-0x9F (undefined bytes keep their
+// code point). Node's TextDecoder decodes these as latin1 control codes.
+const WINDOWS_1252_HIGH = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f' +
+  '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
 
 class PolicyPositionCrawler {
   constructor() {
-    const dbPath = path.join(__dirname, '..', 'data', 'politicians.db');
-    this.db = new Database(dbPath);
+    this.db = new Database(getDatabasePath());
+    Migrator.migrate(this.db);
+    this.stanceAnalyzer = StanceAnalyzer.fromDatabase(this.db);
+    this.scoreEvidence = new ScoreEvidence(this.db);
+    this.snapshots = new SnapshotStore({ db: this.db });
+    this.positionHistory = new PositionHistory({ db: this.db });
     
-    // Initialize enhanced schema
-    this.initializeEnhancedSchema();
-    this.initializeTopicMappings();
-    
-    this.requestDelay = 2000; // 2 seconds between requests to be respectful
     this.processedCount = 0;
     this.errorsCount = 0;
-    this.maxRetries = 3;
+    this.disallowedCount = 0;
+
+    // Crawled pages go through the shared client so they can be recorded and
+    // replayed; politician sites get the slower per-host crawler budget,
+    // shared by every site in a host group (e.g. all of house.gov)
+    this.politeness = RateLimiter.crawlerPoliteness();
+    this.rateLimiter = RateLimiter.fromConfig({ profile: 'crawler' });
+    this.http = new HttpClient({
+      transport: (url, options) => this.requestPage(url, options),
+      rateLimiter: this.rateLimiter,
+      hostKey: (url) => this.getHostKey(url)
+    });
+
+    // robots.txt policies by origin, fetched once per run
+    this.robots = new Map();
   }
 
   /**
-   * Initialize enhanced database schema for normalized topics
+   * Host that politeness limits apply to: the hostname, or its host group
+   * when it is a subdomain of one (schiff.house.gov counts as house.gov)
    */
-  initializeEnhancedSchema() {
-    console.log('🗃️ Initializing enhanced policy position schema...');
-    
-    // Topics normalization table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS policy_topics (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        canonical_name TEXT UNIQUE NOT NULL,
-        display_name TEXT NOT NULL,
-        description TEXT,
-        parent_topic_id INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (parent_topic_id) REFERENCES policy_topics (id)
-      )
-    `);
-
-    // Topic aliases for matching variations
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS topic_aliases (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        topic_id INTEGER NOT NULL,
-        alias TEXT NOT NULL,
-        confidence_score REAL DEFAULT 1.0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (topic_id) REFERENCES policy_topics (id),
-        UNIQUE (topic_id, alias)
-      )
-    `);
-
-    // Enhanced positions table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS politician_positions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        politician_id TEXT NOT NULL,
-        topic_id INTEGER NOT NULL,
-        position_summary TEXT NOT NULL,
-        position_details TEXT,
-        is_key_issue BOOLEAN DEFAULT 0,
-        source_url TEXT,
-        source_section TEXT,
-        confidence_score REAL DEFAULT 0.5,
-        stance TEXT DEFAULT 'neutral',
-        strength TEXT DEFAULT 'moderate',
-        key_phrases TEXT,
-        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (politician_id) REFERENCES politicians (id),
-        FOREIGN KEY (topic_id) REFERENCES policy_topics (id),
-        UNIQUE (politician_id, topic_id)
-      )
-    `);
-
-    // Add new columns to existing politician_positions table if they don't exist
-    try {
-      this.db.exec(`ALTER TABLE politician_positions ADD COLUMN stance TEXT DEFAULT 'neutral'`);
-    } catch (e) {
-      // Column already exists
-    }
-    
+  getHostKey(url) {
     try {
-      this.db.exec(`ALTER TABLE politician_positions ADD COLUMN strength TEXT DEFAULT 'moderate'`);
-    } catch (e) {
-      // Column already exists
-    }
-    
-    try {
-      this.db.exec(`ALTER TABLE politician_positions ADD COLUMN key_phrases TEXT`);
-    } catch (e) {
-      // Column already exists
+      const hostname = new URL(url).hostname.toLowerCase();
+      const group = this.politeness.hostGroups.find(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+      return group || hostname;
+    } catch (error) {
+      return url;
     }
-
-    // Crawl log for tracking
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS crawl_log (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        politician_id TEXT NOT NULL,
-        website_url TEXT NOT NULL,
-        crawl_status TEXT NOT NULL,
-        positions_found INTEGER DEFAULT 0,
-        error_message TEXT,
-        crawl_duration_ms INTEGER,
-        crawled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (politician_id) REFERENCES politicians (id)
-      )
-    `);
-
-    console.log('✅ Database schema initialized');
   }
 
   /**
-   * Initialize core policy topics and their aliases
+   * robots.txt policy for a URL's origin. A missing robots.txt allows
+   * everything; one that cannot be read blocks the whole site for this run.
+   * A Crawl-delay slows every request to the site's host group.
    */
-  initializeTopicMappings() {
-    console.log('📋 Initializing policy topic mappings...');
-    
-    const coreTopics = [
-      {
-        canonical_name: 'healthcare',
-        display_name: 'Healthcare',
-        description: 'Healthcare policy, insurance, medical access, public health',
-        aliases: ['health', 'medical', 'medicine', 'insurance', 'medicare', 'medicaid', 'aca', 'obamacare', 'affordable care act']
-      },
-      {
-        canonical_name: 'immigration',
-        display_name: 'Immigration',
-        description: 'Immigration policy, border security, asylum, citizenship',
-        aliases: ['border', 'asylum', 'citizenship', 'daca', 'refugees', 'visa', 'deportation']
-      },
-      {
-        canonical_name: 'economy',
-        display_name: 'Economy',
-        description: 'Economic policy, jobs, trade, fiscal policy',
-        aliases: ['jobs', 'employment', 'trade', 'commerce', 'business', 'fiscal', 'economic', 'gdp', 'recession']
-      },
-      {
-        canonical_name: 'housing',
-        display_name: 'Housing',
-        description: 'Housing affordability, homeownership, rental policy',
-        aliases: ['affordable housing', 'homeownership', 'rental', 'mortgage', 'real estate', 'homelessness']
-      },
-      {
-        canonical_name: 'education',
-        display_name: 'Education',
-        description: 'Education policy, schools, student loans, higher education',
-        aliases: ['schools', 'students', 'teachers', 'college', 'university', 'student loans', 'education funding']
-      },
-      {
-        canonical_name: 'environment',
-        display_name: 'Environment',
-        description: 'Environmental protection, climate change, clean energy',
-        aliases: ['climate', 'clean energy', 'renewable energy', 'pollution', 'conservation', 'green new deal', 'carbon']
-      },
-      {
-        canonical_name: 'defense',
-        display_name: 'National Defense',
-        description: 'National security, military, veterans affairs',
-        aliases: ['military', 'veterans', 'national security', 'armed forces', 'defense spending', 'pentagon']
-      },
-      {
-        canonical_name: 'civil_rights',
-        display_name: 'Civil Rights',
-        description: 'Civil rights, voting rights, equality, discrimination',
-        aliases: ['voting rights', 'equality', 'discrimination', 'lgbtq', 'racial justice', 'civil liberties']
-      },
-      {
-        canonical_name: 'criminal_justice',
-        display_name: 'Criminal Justice',
-        description: 'Law enforcement, prison reform, criminal justice reform',
-        aliases: ['police', 'law enforcement', 'prison', 'criminal justice reform', 'sentencing', 'crime']
-      },
-      {
-        canonical_name: 'taxation',
-        display_name: 'Taxation',
-        description: 'Tax policy, tax rates, tax reform',
-        aliases: ['taxes', 'tax reform', 'tax cuts', 'tax policy', 'irs', 'revenue']
-      },
-      {
-        canonical_name: 'social_security',
-        display_name: 'Social Security',
-        description: 'Social Security benefits, retirement, disability',
-        aliases: ['retirement', 'disability', 'social security benefits', 'seniors']
-      },
-      {
-        canonical_name: 'technology',
-        display_name: 'Technology',
-        description: 'Technology policy, internet, privacy, cybersecurity',
-        aliases: ['internet', 'privacy', 'cybersecurity', 'tech', 'digital', 'data protection', 'ai', 'artificial intelligence']
-      }
-    ];
+  getRobotsPolicy(url) {
+    const origin = new URL(url).origin;
 
-    const insertTopic = this.db.prepare(`
-      INSERT OR IGNORE INTO policy_topics (canonical_name, display_name, description)
-      VALUES (?, ?, ?)
-    `);
+    if (!this.robots.has(origin)) {
+      this.robots.set(origin, this.fetchRobotsPolicy(origin));
+    }
+    return this.robots.get(origin);
+  }
 
-    const insertAlias = this.db.prepare(`
-      INSERT OR IGNORE INTO topic_aliases (topic_id, alias, confidence_score)
-      VALUES (?, ?, ?)
-    `);
+  async fetchRobotsPolicy(origin) {
+    let policy;
 
-    const getTopicId = this.db.prepare(`
-      SELECT id FROM policy_topics WHERE canonical_name = ?
-    `);
+    try {
+      const response = await this.fetchFollowingRedirects(`${origin}/robots.txt`, {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/plain'
+      });
 
-    coreTopics.forEach(topic => {
-      insertTopic.run(topic.canonical_name, topic.display_name, topic.description);
-      
-      const topicRow = getTopicId.get(topic.canonical_name);
-      if (topicRow) {
-        // Add the canonical name as an alias
-        insertAlias.run(topicRow.id, topic.canonical_name, 1.0);
-        insertAlias.run(topicRow.id, topic.display_name.toLowerCase(), 1.0);
-        
-        // Add all aliases
-        topic.aliases.forEach(alias => {
-          insertAlias.run(topicRow.id, alias.toLowerCase(), 0.8);
-        });
+      if (response.ok) {
+        policy = RobotsPolicy.parse(await response.text(), CRAWLER_AGENT);
+      } else if (response.status >= 400 && response.status < 500) {
+        policy = RobotsPolicy.allowAll();
+      } else {
+        policy = RobotsPolicy.disallowAll(`robots.txt unavailable (HTTP ${response.status})`);
       }
-    });
+    } catch (error) {
+      // Replays recorded before robots.txt was checked have no fixture for it
+      policy = this.http.isReplaying()
+        ? RobotsPolicy.allowAll()
+        : RobotsPolicy.disallowAll(`robots.txt unavailable (${error.message})`);
+    }
 
-    console.log(`✅ Initialized ${coreTopics.length} core policy topics`);
+    if (policy.crawlDelayMs) {
+      const delay = Math.min(policy.crawlDelayMs, MAX_CRAWL_DELAY_MS);
+      this.rateLimiter.slowDown(this.getHostKey(origin), delay);
+      console.log(`  🐢 ${origin} asks for a ${policy.crawlDelaySeconds}s crawl delay; waiting ${delay}ms between requests`);
+    }
+
+    return policy;
   }
 
   /**
@@ -263,6 +210,12 @@ class PolicyPositionCrawler {
             AND cl.error_message LIKE '%403%'
             AND cl.crawled_at > datetime('now', '-7 days')
         )
+        AND p.id NOT IN (
+          SELECT cl.politician_id 
+          FROM crawl_log cl 
+          WHERE cl.crawl_status = 'disallowed' 
+            AND cl.crawled_at > datetime('now', '-7 days')
+        )
       ORDER BY p.name
     `;
     return this.db.prepare(query).all();
@@ -280,50 +233,22 @@ class PolicyPositionCrawler {
     let positionsFound = 0;
 
     try {
-      const websiteContent = await this.fetchWebsiteContent(politician.website);
-      if (!websiteContent) {
-        throw new Error('Failed to fetch website content');
-      }
-
-      const $ = cheerio.load(websiteContent);
-      
-      // First try to extract from main page
-      let positions = this.extractPolicyPositions($, politician.website);
-      
-      // Then discover and crawl policy-specific pages
-      const policyPages = this.discoverPolicyPages($, politician.website);
-      
-      for (const policyPage of policyPages) {
-        try {
-          console.log(`  📄 Crawling policy page: ${policyPage.url}`);
-          const policyContent = await this.fetchWebsiteContent(policyPage.url);
-          if (policyContent) {
-            const policy$ = cheerio.load(policyContent);
-            const policyPositions = this.extractPolicyPositions(policy$, policyPage.url, policyPage.topic);
-            positions.push(...policyPositions);
-          }
-          
-          // Respectful delay between page requests
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        } catch (error) {
-          console.log(`  ⚠️ Failed to crawl policy page ${policyPage.url}: ${error.message}`);
-        }
-      }
-      
+      const positions = await this.crawlWebsite(politician);
       positionsFound = positions.length;
-      
-      // Save positions to database
-      for (const position of positions) {
-        await this.savePosition(politician.id, position);
-      }
 
       console.log(`✅ Found ${positionsFound} positions for ${politician.name}`);
 
     } catch (error) {
-      crawlStatus = 'error';
       errorMessage = error.message;
-      console.error(`❌ Error crawling ${politician.name}: ${error.message}`);
-      this.errorsCount++;
+      if (error.code === 'ROBOTS_DISALLOWED') {
+        crawlStatus = 'disallowed';
+        console.log(`🚫 Skipping ${politician.name}: ${error.message}`);
+        this.disallowedCount++;
+      } else {
+        crawlStatus = 'error';
+        console.error(`❌ Error crawling ${politician.name}: ${error.message}`);
+        this.errorsCount++;
+      }
     }
 
     // Log the crawl attempt
@@ -334,60 +259,302 @@ class PolicyPositionCrawler {
   }
 
   /**
-   * Fetch website content with retries
+   * Read positions from a politician's homepage and the policy pages found
+   * from it, archiving every page, then save the positions and add them to
+   * position_history
+   * @returns {Array} The positions found
+   */
+  async crawlWebsite(politician) {
+    const websiteContent = await this.fetchWebsiteContent(politician.website);
+    if (!websiteContent) {
+      throw new Error('Failed to fetch website content');
+    }
+
+    const $ = cheerio.load(websiteContent);
+
+    // First try to extract from main page
+    const positions = this.extractPolicyPositions($, politician.website);
+    this.snapshotPage(politician.id, politician.website, websiteContent, positions);
+
+    // Then discover and crawl policy-specific pages robots.txt allows
+    const robots = await this.getRobotsPolicy(politician.website);
+    const policyPages = await this.findPolicyPages(politician, $, robots);
+
+    for (const policyPage of policyPages) {
+      try {
+        console.log(`  📄 Crawling policy page: ${policyPage.url}`);
+        const policyContent = await this.fetchWebsiteContent(policyPage.url);
+        if (policyContent) {
+          const policy$ = cheerio.load(policyContent);
+          const policyPositions = this.extractPolicyPositions(policy$, policyPage.url, policyPage.topic);
+          this.snapshotPage(politician.id, policyPage.url, policyContent, policyPositions);
+          positions.push(...policyPositions);
+          this.recordPageResult(politician.id, policyPage.url, 'success', policyPositions.length);
+        }
+      } catch (error) {
+        console.log(`  ⚠️ Failed to crawl policy page ${policyPage.url}: ${error.message}`);
+        this.recordPageResult(politician.id, policyPage.url, error.code === 'ROBOTS_DISALLOWED' ? 'disallowed' : 'error');
+      }
+    }
+
+    // Save positions to database
+    for (const position of positions) {
+      await this.savePosition(politician.id, position);
+    }
+    this.recordPositionHistory(politician.id, positions);
+
+    return positions;
+  }
+
+  /**
+   * Fetch website content, if robots.txt allows it
+   */
+  async fetchWebsiteContent(url) {
+    const response = await this.fetchAllowed(url, 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8');
+    return this.decodeText(await response.buffer(), response.headers.get('content-type'));
+  }
+
+  /**
+   * Fetch a sitemap, if robots.txt allows it. sitemap.xml.gz files are
+   * gzip data rather than a gzip Content-Encoding, so they are unpacked here.
    */
-  async fetchWebsiteContent(url, retryCount = 0) {
+  async fetchSitemap(url) {
+    const response = await this.fetchAllowed(url, 'application/xml,text/xml;q=0.9,text/plain;q=0.8,*/*;q=0.5');
+    let body = await response.buffer();
+
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+      body = this.decompress(body, 'gzip');
+    }
+
+    return this.decodeText(body, response.headers.get('content-type'));
+  }
+
+  /**
+   * GET a URL robots.txt allows, throwing unless the response is a 200.
+   * Every redirect hop is checked against its own site's robots.txt.
+   */
+  async fetchAllowed(url, accept) {
+    const headers = {
+      'User-Agent': USER_AGENT,
+      'Accept': accept,
+      'Accept-Language': 'en-US,en;q=0.5',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Connection': 'keep-alive',
+    };
+
+    const response = await this.fetchFollowingRedirects(url, headers, async (hop) => {
+      const robots = await this.getRobotsPolicy(hop);
+      if (!robots.isAllowed(hop)) {
+        const error = new Error(`Blocked by robots.txt${robots.blockedReason ? ` (${robots.blockedReason})` : ''}: ${hop}`);
+        error.code = 'ROBOTS_DISALLOWED';
+        throw error;
+      }
+    });
+
+    if (response.status !== 200) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * GET a URL, following up to MAX_REDIRECTS redirects one hop at a time,
+   * so each hop waits its turn with the rate limiter for its own host.
+   * beforeHop is awaited with each URL before it is requested.
+   */
+  async fetchFollowingRedirects(url, headers, beforeHop = async () => {}) {
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+      await beforeHop(current);
+      const response = await this.http.fetch(current, { headers });
+      const location = response.headers.get('location');
+
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return response;
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects (more than ${MAX_REDIRECTS}) from ${url}`);
+      }
+
+      current = this.resolveRedirect(current, location);
+    }
+  }
+
+  /**
+   * Absolute URL a Location header points to; only http(s) targets are followed
+   */
+  resolveRedirect(from, location) {
+    let target;
+    try {
+      target = new URL(location, from);
+    } catch (error) {
+      throw new Error(`Invalid redirect to "${location}" from ${from}`);
+    }
+
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      throw new Error(`Refusing redirect to ${target.protocol} URL "${location}" from ${from}`);
+    }
+
+    return target.toString();
+  }
+
+  /**
+   * Decode an HTML body to text. The charset comes from a byte order mark,
+   * then the Content-Type header, then a <meta> tag near the top of the
+   * page, falling back to UTF-8.
+   */
+  decodeText(body, contentType) {
+    const charset = this.detectCharset(body, contentType);
+
+    let decoder;
+    try {
+      decoder = new TextDecoder(charset);
+    } catch (error) {
+      // Unknown or unsupported label
+      decoder = new TextDecoder('utf-8');
+    }
+
+    // Also covers iso-8859-1 and us-ascii, which browsers treat as windows-1252
+    if (decoder.encoding === 'windows-1252') {
+      return Array.from(body, byte => byte >= 0x80 && byte <= 0x9f
+        ? WINDOWS_1252_HIGH[byte - 0x80]
+        : String.fromCharCode(byte)).join('');
+    }
+
+    return decoder.decode(body);
+  }
+
+  /**
+   * Charset label for a body, following the HTML encoding sniffing order
+   */
+  detectCharset(body, contentType) {
+    if (body[0] === 0xef && body[1] === 0xbb && body[2] === 0xbf) return 'utf-8';
+    if (body[0] === 0xfe && body[1] === 0xff) return 'utf-16be';
+    if (body[0] === 0xff && body[1] === 0xfe) return 'utf-16le';
+
+    const fromHeader = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || '');
+    if (fromHeader) return fromHeader[1].toLowerCase();
+
+    // Covers both <meta charset="..."> and <meta http-equiv="Content-Type" content="...; charset=...">
+    const head = body.subarray(0, 1024).toString('latin1');
+    const fromMeta = /<meta[^>]*?charset\s*=\s*["']?\s*([\w.:-]+)/i.exec(head);
+    if (fromMeta) {
+      // A page that could be read as ASCII to find its meta tag is not UTF-16
+      const label = fromMeta[1].toLowerCase();
+      return label.startsWith('utf-16') ? 'utf-8' : label;
+    }
+
+    return 'utf-8';
+  }
+
+  /**
+   * Undo each Content-Encoding in reverse order. Output is capped at
+   * MAX_BODY_BYTES so a small compressed response cannot expand unchecked.
+   */
+  decompress(body, contentEncoding) {
+    const codings = String(contentEncoding || '')
+      .split(',')
+      .map(coding => coding.trim().toLowerCase())
+      .filter(coding => coding && coding !== 'identity');
+
+    // Truncated gzip/deflate streams are common; keep what was received
+    const options = { maxOutputLength: MAX_BODY_BYTES, finishFlush: zlib.constants.Z_SYNC_FLUSH };
+
+    return codings.reverse().reduce((buffer, coding) => {
+      switch (coding) {
+        case 'gzip':
+        case 'x-gzip':
+          return zlib.gunzipSync(buffer, options);
+        case 'deflate':
+          // Some servers send raw deflate data without the zlib wrapper
+          return (buffer[0] & 0x0f) === 8 && ((buffer[0] << 8) | buffer[1]) % 31 === 0
+            ? zlib.inflateSync(buffer, options)
+            : zlib.inflateRawSync(buffer, options);
+        case 'br':
+          return zlib.brotliDecompressSync(buffer, { maxOutputLength: MAX_BODY_BYTES });
+        default:
+          throw new Error(`Unsupported Content-Encoding "${coding}"`);
+      }
+    }, body);
+  }
+
+  /**
+   * Request a page over http(s) and decompress the body. Used as the
+   * transport for the shared HTTP client, which handles retries; errors that
+   * a retry cannot fix are marked with retryable = false. Redirects are
+   * returned as they are, for fetchFollowingRedirects to follow.
+   */
+  requestPage(url, options) {
     return new Promise((resolve, reject) => {
       const parsedUrl = new URL(url);
       const client = parsedUrl.protocol === 'https:' ? https : http;
+      const fail = (message) => {
+        const error = new Error(message);
+        error.retryable = false;
+        reject(error);
+      };
       
-      const options = {
+      const requestOptions = {
         hostname: parsedUrl.hostname,
         port: parsedUrl.port,
         path: parsedUrl.pathname + parsedUrl.search,
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Truth-in-Politics Policy Crawler 1.0 (Research/Educational Use)',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate',
-          'Connection': 'keep-alive',
-        },
-        timeout: 30000
+        method: options.method,
+        headers: options.headers,
+        timeout: options.timeoutMs
       };
 
-      const req = client.request(options, (res) => {
-        let data = '';
+      const req = client.request(requestOptions, (res) => {
+        const chunks = [];
+        let received = 0;
 
-        // Handle redirects
+        // A redirect's body is not needed, only its Location
         if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-          return resolve(this.fetchWebsiteContent(res.headers.location, retryCount));
+          res.resume();
+          const { 'content-encoding': contentEncoding, 'content-length': contentLength, ...headers } = res.headers;
+          return resolve({ url, status: res.statusCode, statusText: res.statusMessage, headers, body: Buffer.alloc(0) });
         }
 
-        if (res.statusCode !== 200) {
-          return reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
+        if (parseInt(res.headers['content-length'], 10) > MAX_BODY_BYTES) {
+          res.destroy();
+          return fail(`Response from ${url} is larger than ${MAX_BODY_BYTES} bytes`);
         }
 
         res.on('data', (chunk) => {
-          data += chunk;
+          received += chunk.length;
+          if (received > MAX_BODY_BYTES) {
+            res.destroy();
+            return fail(`Response from ${url} is larger than ${MAX_BODY_BYTES} bytes`);
+          }
+          chunks.push(chunk);
         });
 
         res.on('end', () => {
-          resolve(data);
+          // The body is handed on decoded, so its encoding and length no longer apply
+          const { 'content-encoding': contentEncoding, 'content-length': contentLength, ...headers } = res.headers;
+          let body;
+
+          try {
+            body = this.decompress(Buffer.concat(chunks), contentEncoding);
+          } catch (error) {
+            return fail(`Could not decode ${contentEncoding} response from ${url}: ${error.message}`);
+          }
+
+          resolve({
+            url,
+            status: res.statusCode,
+            statusText: res.statusMessage,
+            headers,
+            body
+          });
         });
-      });
 
-      req.on('error', (error) => {
-        if (retryCount < this.maxRetries) {
-          console.log(`⚠️ Retrying ${url} (attempt ${retryCount + 1}/${this.maxRetries})`);
-          setTimeout(() => {
-            resolve(this.fetchWebsiteContent(url, retryCount + 1));
-          }, 1000 * (retryCount + 1));
-        } else {
-          reject(error);
-        }
+        res.on('error', reject);
       });
 
+      req.on('error', reject);
+
       req.on('timeout', () => {
         req.destroy();
         reject(new Error('Request timeout'));
@@ -398,123 +565,239 @@ class PolicyPositionCrawler {
   }
 
   /**
-   * Discover policy-specific pages from the main website
+   * Find the pages worth crawling on a politician's site: policy pages
+   * linked from the homepage plus those listed in its sitemaps, ranked by
+   * score and capped at maxPagesPerSite. Every candidate is recorded in
+   * policy_pages so the discovery report shows what was found where.
    */
-  discoverPolicyPages($, baseUrl) {
+  async findPolicyPages(politician, $, robots) {
+    const linked = this.discoverPolicyPages($, politician.website, robots);
+    const mapped = await this.discoverSitemapPages(politician.website, robots);
+    const byUrl = new Map();
+
+    for (const page of [...linked, ...mapped]) {
+      const existing = byUrl.get(page.url);
+      if (!existing) {
+        byUrl.set(page.url, page);
+      } else if (existing.source !== page.source) {
+        // Linked from the homepage and listed in a sitemap
+        existing.source = 'both';
+        existing.topic = existing.topic || page.topic;
+        existing.score = Math.max(existing.score, page.score);
+      }
+    }
+
+    const pages = [...byUrl.values()]
+      .sort((a, b) => b.score - a.score || a.url.length - b.url.length)
+      .map((page, index) => ({ ...page, selected: index < this.politeness.maxPagesPerSite }));
+
+    this.recordPolicyPages(politician.id, pages);
+
+    const selected = pages.filter(page => page.selected);
+    console.log(`  🗺️  Found ${pages.length} policy pages (${linked.length} linked, ${mapped.length} in sitemaps); crawling ${selected.length}`);
+    return selected;
+  }
+
+  /**
+   * Discover policy-specific pages from the main website, leaving out any
+   * robots.txt disallows
+   */
+  discoverPolicyPages($, baseUrl, robots = null) {
     const policyPages = [];
     const baseHostname = new URL(baseUrl).hostname;
     
-    // Common policy page patterns
-    const policyPatterns = [
-      '/legislation/',
-      '/issues/',
-      '/policy/',
-      '/positions/',
-      '/priorities/',
-      '/agenda/',
-      '/platform/'
-    ];
-    
-    // Topic-specific page patterns
-    const topicPatterns = [
-      'healthcare', 'health', 'medical',
-      'immigration', 'border',
-      'economy', 'economic', 'jobs',
-      'housing', 'affordable-housing',
-      'education', 'schools',
-      'environment', 'climate', 'energy',
-      'defense', 'military', 'veterans',
-      'civil-rights', 'voting',
-      'criminal-justice', 'justice',
-      'tax', 'taxes',
-      'social-security', 'retirement',
-      'technology', 'privacy', 'cybersecurity'
-    ];
-    
-    // Find links that match policy patterns
+    // Find links that look like policy pages
     $('a[href]').each((i, element) => {
       const href = $(element).attr('href');
       const linkText = $(element).text().trim().toLowerCase();
       
       if (href) {
         let fullUrl;
-        try {
-          if (href.startsWith('http')) {
-            fullUrl = href;
-          } else if (href.startsWith('/')) {
-            fullUrl = `${new URL(baseUrl).protocol}//${baseHostname}${href}`;
-          } else {
-            return; // Skip relative links without leading slash
-          }
-          
-          const url = new URL(fullUrl);
-          if (url.hostname !== baseHostname) {
-            return; // Skip external links
-          }
-          
-          const path = url.pathname.toLowerCase();
-          
-          // Check if URL matches policy patterns
-          const matchesPattern = policyPatterns.some(pattern => path.includes(pattern));
-          const matchesTopic = topicPatterns.some(topic => 
-            path.includes(topic) || linkText.includes(topic)
-          );
-          
-          if (matchesPattern || matchesTopic) {
-            // Determine the likely topic based on URL and link text
-            const detectedTopic = this.detectTopicFromUrl(path, linkText);
-            
-            policyPages.push({
-              url: fullUrl,
-              text: linkText,
-              topic: detectedTopic
-            });
-          }
-        } catch (error) {
-          // Skip malformed URLs
+        if (href.startsWith('http')) {
+          fullUrl = href;
+        } else if (href.startsWith('/')) {
+          fullUrl = `${new URL(baseUrl).origin}${href}`;
+        } else {
+          return; // Skip relative links without leading slash
+        }
+
+        const page = this.toPolicyPage(fullUrl, linkText, 'link', baseHostname, robots);
+        if (page) {
+          policyPages.push(page);
         }
       }
     });
     
-    // Remove duplicates and limit to reasonable number
-    const uniquePages = policyPages
-      .filter((page, index, self) => 
-        index === self.findIndex(p => p.url === page.url)
-      )
-      .slice(0, 15); // Limit to 15 policy pages per politician
-    
-    return uniquePages;
+    // Remove duplicates
+    return policyPages.filter((page, index, self) => 
+      index === self.findIndex(p => p.url === page.url)
+    );
   }
 
   /**
-   * Detect topic from URL path and link text
+   * Discover policy pages listed in the site's sitemaps: those named by
+   * robots.txt Sitemap lines, or /sitemap.xml. Sitemap indexes are followed
+   * up to MAX_SITEMAPS files, issue and page sitemaps before news archives.
    */
-  detectTopicFromUrl(path, linkText) {
-    const combined = `${path} ${linkText}`.toLowerCase();
-    
-    const topicMap = {
-      'healthcare': ['health', 'medical', 'medicare', 'medicaid', 'aca'],
-      'immigration': ['immigration', 'border', 'asylum', 'citizenship'],
-      'economy': ['economy', 'economic', 'jobs', 'employment', 'trade'],
-      'housing': ['housing', 'affordable', 'mortgage', 'rent'],
-      'education': ['education', 'school', 'student', 'college'],
-      'environment': ['environment', 'climate', 'energy', 'green'],
-      'defense': ['defense', 'military', 'veteran', 'security'],
-      'civil_rights': ['civil', 'rights', 'voting', 'equality'],
-      'criminal_justice': ['justice', 'criminal', 'police', 'crime'],
-      'taxation': ['tax', 'taxes', 'revenue', 'fiscal'],
-      'social_security': ['social', 'security', 'retirement', 'senior'],
-      'technology': ['technology', 'tech', 'privacy', 'cyber']
+  async discoverSitemapPages(baseUrl, robots = null) {
+    const base = new URL(baseUrl);
+    const sameHost = (url) => {
+      try {
+        return new URL(url).hostname === base.hostname;
+      } catch (error) {
+        return false;
+      }
     };
-    
-    for (const [topic, keywords] of Object.entries(topicMap)) {
-      if (keywords.some(keyword => combined.includes(keyword))) {
-        return topic;
+    const rank = (url) => {
+      if (/issue|polic|legislation|priorit|page/i.test(url)) return 0;
+      if (/post|news|press|media|blog|event/i.test(url)) return 2;
+      return 1;
+    };
+
+    const listed = robots ? robots.sitemaps.filter(sameHost) : [];
+    const queue = listed.length ? [...listed] : [`${base.origin}/sitemap.xml`];
+    const read = new Set();
+    const pages = [];
+    let urlsSeen = 0;
+
+    while (queue.length && read.size < MAX_SITEMAPS && urlsSeen < MAX_SITEMAP_URLS) {
+      const sitemapUrl = queue.shift();
+      if (read.has(sitemapUrl)) continue;
+      read.add(sitemapUrl);
+
+      let sitemap;
+      try {
+        sitemap = SitemapReader.parse(await this.fetchSitemap(sitemapUrl));
+      } catch (error) {
+        console.log(`  ⚠️ Could not read sitemap ${sitemapUrl}: ${error.message}`);
+        continue;
       }
+
+      if (sitemap.type === 'sitemapindex') {
+        const children = sitemap.entries.map(entry => entry.loc).filter(sameHost);
+        queue.push(...children.sort((a, b) => rank(a) - rank(b)));
+        continue;
+      }
+
+      for (const entry of sitemap.entries.slice(0, MAX_SITEMAP_URLS - urlsSeen)) {
+        const page = this.toPolicyPage(entry.loc, '', 'sitemap', base.hostname, robots);
+        if (page) {
+          pages.push(page);
+        }
+      }
+      urlsSeen += sitemap.entries.length;
     }
-    
-    return null;
+
+    return pages.filter((page, index, self) => 
+      index === self.findIndex(p => p.url === page.url)
+    );
+  }
+
+  /**
+   * A candidate policy page, or null if it is on another host, disallowed
+   * by robots.txt, or does not score as a policy page
+   */
+  toPolicyPage(fullUrl, linkText, source, baseHostname, robots) {
+    let url;
+    try {
+      url = new URL(fullUrl);
+    } catch (error) {
+      return null; // Skip malformed URLs
+    }
+
+    if (url.hostname !== baseHostname) {
+      return null; // Skip external links
+    }
+
+    url.hash = '';
+    if (robots && !robots.isAllowed(url.toString())) {
+      return null;
+    }
+
+    const { topic, score } = this.scorePolicyPage(url.pathname.toLowerCase(), linkText);
+    if (score <= 0) {
+      return null;
+    }
+
+    return { url: url.toString(), text: linkText, topic, score, source };
   }
+
+  /**
+   * Score how likely a page is to state positions. Issue and legislation
+   * sections and a recognizable topic count for it; news archives and deep
+   * article paths count against it. Zero means it is not a policy page.
+   */
+  scorePolicyPage(path, linkText = '') {
+    const topic = this.detectTopicFromUrl(path, linkText);
+    const section = Object.keys(POLICY_SECTIONS).find(pattern => path.includes(pattern));
+    const mentionsTopic = TOPIC_PATTERNS.some(pattern => path.includes(pattern) || linkText.includes(pattern));
+
+    if (!section && !mentionsTopic) {
+      return { topic, score: 0 };
+    }
+
+    let score = (section ? POLICY_SECTIONS[section] : 0) + (topic ? 2 : 0) + (mentionsTopic ? 1 : 0);
+
+    if (ARCHIVE_PATTERN.test(path)) {
+      score -= 3;
+    }
+
+    // A topic landing page (/issues/health-care) beats an article below it
+    const depth = path.split('/').filter(Boolean).length;
+    score -= Math.max(0, depth - 3) * 0.5;
+
+    return { topic, score: Math.max(0, score) };
+  }
+
+  /**
+   * Detect topic from URL path and link text: the topic with the most
+   * keyword matches. Path separators count as spaces, so
+   * /issues/social-security reads as the words "issues social security".
+   */
+  detectTopicFromUrl(path, linkText) {
+    const words = this.stanceAnalyzer.tokenize(`${path} ${linkText}`.replace(/[-_/.+%]+/g, ' '));
+
+    let best = null;
+    let bestMatches = 0;
+
+    for (const [topic, keywords] of Object.entries(URL_TOPIC_KEYWORDS)) {
+      const matches = keywords.filter(keyword => this.stanceAnalyzer.findTerm(words, keyword) !== -1).length;
+      if (matches > bestMatches) {
+        best = topic;
+        bestMatches = matches;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Replace a politician's discovered pages with this crawl's
+   */
+  recordPolicyPages(politicianId, pages) {
+    const insertPage = this.db.prepare(`
+      INSERT INTO policy_pages (politician_id, url, topic, source, score, selected)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM policy_pages WHERE politician_id = ?').run(politicianId);
+      for (const page of pages) {
+        insertPage.run(politicianId, page.url, page.topic, page.source, page.score, page.selected ? 1 : 0);
+      }
+    })();
+  }
+
+  /**
+   * Record how crawling a discovered page went
+   */
+  recordPageResult(politicianId, url, status, positionsFound = 0) {
+    this.db.prepare(`
+      UPDATE policy_pages SET fetch_status = ?, positions_found = ?
+      WHERE politician_id = ? AND url = ?
+    `).run(status, positionsFound, politicianId, url);
+  }
+
   /**
    * Extract policy positions from HTML content
    */
@@ -556,7 +839,8 @@ class PolicyPositionCrawler {
             confidence_score: Math.min(topic.confidence, analysis.confidence),
             stance: analysis.position,
             strength: analysis.strength,
-            key_phrases: analysis.keyPhrases.join('; ')
+            key_phrases: analysis.keyPhrases.join('; '),
+            evidence: this.buildPositionEvidence(analysis, sourceUrl)
           };
           
           // Only add positions with meaningful content
@@ -625,7 +909,7 @@ class PolicyPositionCrawler {
     selectors.forEach(selector => {
       $(selector).each((i, element) => {
         const $element = $(element);
-        const text = $element.text().trim();
+        const text = this.getBlockText($, $element);
         
         if (text.length > 100 && text.length < 5000) { // More reasonable content length
           // Get title from various sources
@@ -676,6 +960,16 @@ class PolicyPositionCrawler {
       .slice(0, 15); // Increased limit for better coverage
   }
 
+  /**
+   * Text of an element with a line break after each block, so headings and
+   * paragraphs do not run into each other's sentences
+   */
+  getBlockText($, $element) {
+    const $copy = $element.clone();
+    $copy.find('h1, h2, h3, h4, h5, h6, p, li, dt, dd, td, div, br').after('\n');
+    return $copy.text().replace(/[ \t]*\n\s*/g, '\n').trim();
+  }
+
   /**
    * Check if element has structured policy content
    */
@@ -698,7 +992,7 @@ class PolicyPositionCrawler {
    * Identify topics mentioned in text content
    */
   identifyTopics(text) {
-    const lowerText = text.toLowerCase();
+    const words = this.stanceAnalyzer.tokenize(text);
     const topics = [];
     
     const topicsQuery = `
@@ -710,7 +1004,7 @@ class PolicyPositionCrawler {
     const allTopicAliases = this.db.prepare(topicsQuery).all();
     
     allTopicAliases.forEach(row => {
-      if (lowerText.includes(row.alias)) {
+      if (this.stanceAnalyzer.findTerm(words, row.alias) !== -1) {
         const existingTopic = topics.find(t => t.id === row.id);
         if (!existingTopic) {
           topics.push({
@@ -737,7 +1031,7 @@ class PolicyPositionCrawler {
     
     // If we have analysis with key phrases, use those first
     if (analysis && analysis.keyPhrases && analysis.keyPhrases.length > 0) {
-      return analysis.keyPhrases.slice(0, 2).join('. ') + '.';
+      return analysis.keyPhrases.slice(0, 2).join(' ');
     }
     
     // Look for sentences with topic keywords and position indicators
@@ -745,12 +1039,7 @@ class PolicyPositionCrawler {
       const lowerSentence = sentence.toLowerCase();
       
       // Check for topic relevance
-      const hasTopicKeyword = 
-        lowerSentence.includes(topic.canonical_name.toLowerCase()) || 
-        lowerSentence.includes(topic.display_name.toLowerCase()) ||
-        (this.coreTopics[topic.canonical_name] || []).some(keyword => 
-          lowerSentence.includes(keyword.toLowerCase())
-        );
+      const hasTopicKeyword = this.stanceAnalyzer.mentionsTopic(sentence, topic.canonical_name);
       
       // Check for position indicators
       const hasPositionIndicator = [
@@ -872,149 +1161,32 @@ class PolicyPositionCrawler {
   }
 
   /**
-   * Analyze content to determine position polarity and strength
+   * Analyze content to determine position polarity and strength, sentence
+   * by sentence (see stance-analyzer.js)
    */
   analyzePosition(text, topic) {
-    const lowerText = text.toLowerCase();
-    
-    // Get topic-specific indicators
-    const topicIndicators = this.getTopicIndicators(topic);
-    
-    // Enhanced stance detection
-    const supportIndicators = [
-      'support', 'back', 'endorse', 'champion', 'advocate',
-      'believe in', 'committed to', 'will fight for', 'dedicated to',
-      'promote', 'expand', 'strengthen', 'increase', 'improve',
-      'invest in', 'fund', 'prioritize', 'defend', 'protect',
-      'yes on', 'vote for', 'in favor of', 'agree with'
-    ];
-    
-    const opposeIndicators = [
-      'oppose', 'against', 'reject', 'block', 'stop', 'prevent',
-      'cut', 'reduce', 'eliminate', 'repeal', 'defund',
-      'no on', 'vote against', 'disagree with', 'resist'
-    ];
-    
-    // Enhanced strength indicators
-    const strongIndicators = [
-      'strongly', 'firmly', 'absolutely', 'completely', 'fully',
-      'always', 'never', 'must', 'will', 'committed', 'dedicated',
-      'priority', 'essential', 'critical', 'vital', 'fundamental'
-    ];
-    
-    // Count indicators
-    let supportScore = supportIndicators.filter(indicator => 
-      lowerText.includes(indicator)
-    ).length;
-    
-    let opposeScore = opposeIndicators.filter(indicator => 
-      lowerText.includes(indicator)
-    ).length;
-    
-    const strengthScore = strongIndicators.filter(indicator => 
-      lowerText.includes(indicator)
-    ).length;
-    
-    // Add topic-specific scoring
-    if (topicIndicators) {
-      supportScore += topicIndicators.support.filter(indicator => 
-        lowerText.includes(indicator)
-      ).length;
-      
-      opposeScore += topicIndicators.oppose.filter(indicator => 
-        lowerText.includes(indicator)
-      ).length;
-    }
-    
-    // Determine position
-    let position = 'neutral';
-    let confidence = 0.1;
-    
-    if (supportScore > opposeScore) {
-      position = 'support';
-      confidence = Math.min(0.9, 0.3 + (supportScore * 0.15) + (strengthScore * 0.1));
-    } else if (opposeScore > supportScore) {
-      position = 'oppose';
-      confidence = Math.min(0.9, 0.3 + (opposeScore * 0.15) + (strengthScore * 0.1));
-    } else if (supportScore > 0 || opposeScore > 0) {
-      position = 'mixed';
-      confidence = Math.min(0.7, 0.2 + ((supportScore + opposeScore) * 0.1));
-    }
-    
-    // Extract key phrases that indicate the position
-    const keyPhrases = this.extractKeyPhrases(text, topic, position);
-    
-    return {
-      position,
-      confidence,
-      strength: strengthScore > 0 ? 'strong' : 'moderate',
-      supportScore,
-      opposeScore,
-      keyPhrases
-    };
+    return this.stanceAnalyzer.analyze(text, topic);
   }
 
   /**
-   * Get topic-specific indicators for better position detection
+   * Evidence for a position's confidence: the sentences that set the stance
+   * share the score by their weight (strong wording counts more), and
+   * sentences taking the other side are kept with no weight
    */
-  getTopicIndicators(topic) {
-    const indicators = {
-      healthcare: {
-        support: ['expand medicare', 'public option', 'affordable healthcare', 'protect aca', 'universal healthcare'],
-        oppose: ['repeal obamacare', 'privatize medicare', 'cut medicaid', 'block healthcare']
-      },
-      immigration: {
-        support: ['path to citizenship', 'comprehensive reform', 'protect dreamers', 'family reunification'],
-        oppose: ['build wall', 'mass deportation', 'close borders', 'end immigration']
-      },
-      economy: {
-        support: ['create jobs', 'raise minimum wage', 'invest in infrastructure', 'support small business'],
-        oppose: ['cut taxes for wealthy', 'reduce regulations', 'austerity measures']
-      },
-      environment: {
-        support: ['combat climate change', 'clean energy', 'paris agreement', 'green new deal'],
-        oppose: ['drill for oil', 'coal industry', 'climate denial', 'deregulation']
-      },
-      education: {
-        support: ['fund public schools', 'affordable college', 'support teachers', 'increase education'],
-        oppose: ['school vouchers', 'privatize education', 'cut education funding']
-      }
-    };
-    
-    return indicators[topic.toLowerCase()] || null;
-  }
-
-  /**
-   * Extract key phrases that support the detected position
-   */
-  extractKeyPhrases(text, topic, position) {
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 20);
-    const keyPhrases = [];
-    
-    const positionWords = position === 'support' ? 
-      ['support', 'advocate', 'believe', 'committed', 'will fight'] :
-      ['oppose', 'against', 'reject', 'block', 'stop'];
-    
-    // Look for sentences containing both topic keywords and position indicators
-    sentences.forEach(sentence => {
-      const lowerSentence = sentence.toLowerCase();
-      
-      // Check if sentence contains topic-related terms
-      const hasTopicKeyword = this.coreTopics[topic]?.some(keyword => 
-        lowerSentence.includes(keyword.toLowerCase())
-      ) || lowerSentence.includes(topic.toLowerCase());
-      
-      // Check if sentence contains position indicators
-      const hasPositionIndicator = positionWords.some(word => 
-        lowerSentence.includes(word)
-      );
-      
-      if (hasTopicKeyword && hasPositionIndicator && sentence.trim().length < 200) {
-        keyPhrases.push(sentence.trim());
-      }
-    });
-    
-    return keyPhrases.slice(0, 3); // Limit to 3 most relevant phrases
+  buildPositionEvidence(analysis, sourceUrl) {
+    const counts = item => analysis.position === 'mixed' || item.stance === analysis.position;
+    const sentenceWeight = item => counts(item) ? (item.strong ? 0.25 : 0.15) : 0;
+    const totalWeight = analysis.evidence.reduce((sum, item) => sum + sentenceWeight(item), 0);
+
+    return analysis.evidence.map(item => ({
+      kind: 'sentence',
+      reference: sourceUrl,
+      excerpt: item.sentence,
+      stance: item.stance,
+      aligned: analysis.position === 'mixed' ? null : item.stance === analysis.position,
+      weight: totalWeight > 0 ? Math.round((sentenceWeight(item) / totalWeight) * 100) / 100 : 0,
+      detail: `${item.strong ? 'strong wording; ' : ''}cues: ${item.cues.join(', ')}`
+    }));
   }
 
   /**
@@ -1024,9 +1196,11 @@ class PolicyPositionCrawler {
     const insertPosition = this.db.prepare(`
       INSERT OR REPLACE INTO politician_positions 
       (politician_id, topic_id, position_summary, position_details, is_key_issue, 
-       source_url, source_section, confidence_score, stance, strength, key_phrases)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       source_url, source_section, confidence_score, stance, strength, key_phrases,
+       source_type, retrieved_at, method)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
+    const provenance = stamp(SOURCE_TYPES.OFFICIAL_WEBSITE, 'website-crawl', position.source_url);
 
     insertPosition.run(
       politicianId,
@@ -1034,13 +1208,71 @@ class PolicyPositionCrawler {
       position.position_summary,
       position.position_details,
       position.is_key_issue ? 1 : 0,
-      position.source_url,
+      provenance.source_url,
       position.source_section,
       position.confidence_score,
       position.stance || 'neutral',
       position.strength || 'moderate',
-      position.key_phrases || ''
+      position.key_phrases || '',
+      provenance.source_type,
+      provenance.retrieved_at,
+      provenance.method
     );
+
+    this.scoreEvidence.replace(politicianId, position.topic_id, 'position_confidence', position.evidence || []);
+  }
+
+  /**
+   * Archive a crawled page and tag the positions read from it with the
+   * snapshot they came from
+   */
+  snapshotPage(politicianId, url, html, positions = []) {
+    const snapshot = this.snapshots.save({ politicianId, url, html, text: this.getPageText(html) });
+    if (snapshot.changed) {
+      console.log(`  📝 ${url} has changed since it was last crawled (version ${snapshot.version})`);
+    }
+
+    positions.forEach(position => {
+      position.snapshot_hash = snapshot.contentHash;
+    });
+    return snapshot;
+  }
+
+  /**
+   * The readable text of a page, for snapshots and diffs
+   */
+  getPageText(html) {
+    const $ = cheerio.load(html);
+    $('script, style, noscript, template, svg').remove();
+    // Keep words in neighbouring blocks apart ("Healthcare" + "I support...")
+    $('br').replaceWith(' ');
+    $('p, div, li, dt, dd, h1, h2, h3, h4, h5, h6, section, article, header, footer, blockquote, td, th').append(' ');
+    const $main = $('main').length ? $('main') : $('body');
+    return $main.text().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Add this crawl's positions to position_history. As in
+   * politician_positions, the last position found for a topic is kept.
+   */
+  recordPositionHistory(politicianId, positions) {
+    const byTopic = new Map(positions.map(position => [position.topic_id, position]));
+    const getTopicName = this.db.prepare('SELECT display_name FROM policy_topics WHERE id = ?').pluck();
+    const seenAt = clock.toSqlTimestamp();
+
+    this.db.transaction(() => {
+      for (const [topicId, position] of byTopic) {
+        const { version, changed, previous } = this.positionHistory.record(
+          politicianId, topicId, { ...position, source_type: SOURCE_TYPES.OFFICIAL_WEBSITE }, seenAt
+        );
+        if (changed) {
+          const stance = previous.stance === (position.stance || 'neutral')
+            ? 'reworded'
+            : `${previous.stance} → ${position.stance}`;
+          console.log(`  🔄 Stated position on ${getTopicName.get(topicId)} changed: ${stance} (version ${version})`);
+        }
+      }
+    })();
   }
 
   /**
@@ -1091,6 +1323,10 @@ class PolicyPositionCrawler {
           // Other errors - retry after 1 day
           return daysSinceLastAttempt < 1;
         }
+
+      case 'disallowed':
+        // Blocked by robots.txt - check again after 7 days
+        return daysSinceLastAttempt < 7;
         
       default:
         return false;
@@ -1130,63 +1366,15 @@ class PolicyPositionCrawler {
       
       let positions = [];
       let errorMessage = null;
+      let status = 'success';
       
       try {
-        // Fetch and parse the main website
-        const response = await fetch(politician.website, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; TruthInPolitics/1.0; +https://truthinpolitics.org/about)'
-          }
-        });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const html = await response.text();
-        const $ = cheerio.load(html);
-        
-        // Extract positions from main page
-        positions = this.extractPolicyPositions($, politician.website);
-        
-        // Try to discover policy-specific pages
-        const policyPages = this.discoverPolicyPages($, politician.website);
-        console.log(`🔍 Found ${policyPages.length} potential policy pages`);
-        
-        // Crawl up to 3 policy pages
-        for (const policyPage of policyPages.slice(0, 3)) {
-          try {
-            console.log(`📄 Crawling policy page: ${policyPage.url}`);
-            const policyResponse = await fetch(policyPage.url, {
-              headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; TruthInPolitics/1.0; +https://truthinpolitics.org/about)'
-              }
-            });
-            
-            if (policyResponse.ok) {
-              const policyHtml = await policyResponse.text();
-              const policy$ = cheerio.load(policyHtml);
-              const policyPositions = this.extractPolicyPositions(policy$, policyPage.url, policyPage.topic);
-              positions.push(...policyPositions);
-            }
-          } catch (policyError) {
-            console.log(`⚠️  Failed to crawl policy page ${policyPage.url}: ${policyError.message}`);
-          }
-          
-          // Add delay between requests
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-        
+        positions = await this.crawlWebsite(politician);
         console.log(`📊 Found ${positions.length} total positions for ${politician.name}`);
-        
-        // Save positions to database
-        for (const position of positions) {
-          await this.savePosition(politician.id, position);
-        }
-        
       } catch (crawlError) {
         errorMessage = crawlError.message;
-        console.error(`❌ Failed to crawl ${politician.name}: ${errorMessage}`);
+        status = crawlError.code === 'ROBOTS_DISALLOWED' ? 'disallowed' : 'error';
+        console.error(`${status === 'disallowed' ? '🚫' : '❌'} Failed to crawl ${politician.name}: ${errorMessage}`);
       }
       
       // Log the crawl attempt
@@ -1194,7 +1382,7 @@ class PolicyPositionCrawler {
       this.logCrawlAttempt(
         politician.id,
         politician.website,
-        errorMessage ? 'error' : 'success',
+        status,
         positions.length,
         errorMessage,
         duration
@@ -1221,22 +1409,60 @@ class PolicyPositionCrawler {
     console.log(`🎯 Processing ${totalCount} politicians`);
     
     const politiciansToProcess = limit ? politicians.slice(0, limit) : politicians;
+    const { concurrency, maxPerHost } = this.politeness;
+    console.log(`🤝 Crawling ${concurrency} sites at a time, at most ${maxPerHost} per host`);
     
-    for (const politician of politiciansToProcess) {
+    await this.crawlPolitely(politiciansToProcess, async (politician) => {
       await this.extractPositionsFromWebsite(politician);
       
       // Progress update
-      console.log(`📈 Progress: ${this.processedCount}/${totalCount} processed, ${this.errorsCount} errors`);
-      
-      // Respectful delay between requests
-      if (this.processedCount < totalCount) {
-        await new Promise(resolve => setTimeout(resolve, this.requestDelay));
-      }
-    }
+      console.log(`📈 Progress: ${this.processedCount}/${totalCount} processed, ${this.errorsCount} errors, ${this.disallowedCount} blocked by robots.txt`);
+    });
 
     this.printSummary();
   }
 
+  /**
+   * Run a task for each politician, up to `concurrency` at once and never
+   * more than `maxPerHost` on the same host (or host group) at once
+   */
+  async crawlPolitely(politicians, task) {
+    const { concurrency, maxPerHost } = this.politeness;
+    const pending = [...politicians];
+    const activePerHost = new Map();
+    const running = new Set();
+
+    const worker = async () => {
+      while (pending.length > 0) {
+        const index = pending.findIndex(politician =>
+          (activePerHost.get(this.getHostKey(politician.website)) || 0) < maxPerHost
+        );
+
+        // Every remaining site shares a busy host; wait for one to finish
+        if (index === -1) {
+          await Promise.race(running);
+          continue;
+        }
+
+        const [politician] = pending.splice(index, 1);
+        const host = this.getHostKey(politician.website);
+        activePerHost.set(host, (activePerHost.get(host) || 0) + 1);
+
+        const run = Promise.resolve()
+          .then(() => task(politician))
+          .catch(error => console.error(`❌ Error crawling ${politician.name}: ${error.message}`))
+          .finally(() => {
+            activePerHost.set(host, activePerHost.get(host) - 1);
+            running.delete(run);
+          });
+        running.add(run);
+        await run;
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, politicians.length) }, worker));
+  }
+
   /**
    * Print crawling summary
    */
@@ -1245,6 +1471,7 @@ class PolicyPositionCrawler {
     console.log(`📊 Summary:`);
     console.log(`   • Politicians processed: ${this.processedCount}`);
     console.log(`   • Errors encountered: ${this.errorsCount}`);
+    console.log(`   • Blocked by robots.txt: ${this.disallowedCount}`);
     
     // Get position counts
     const positionCount = this.db.prepare('SELECT COUNT(*) as count FROM politician_positions').get();
@@ -0,0 +1,211 @@
+/**
+ * Politician Identifiers
+ * Looks politicians up by external id (Bioguide, Senate LIS, FEC, ICPSR,
+ * GovTrack) and hands out stable politician ids.
+ *
+ * A politician's id is fixed the first time they are seen: afterwards they
+ * are found by bioguide id, so a roster that writes "Schiff, Adam B." where
+ * an older one wrote "Adam Schiff" still lands on the same row.
+ */
+
+const clock = require('./clock');
+
+// Columns of politician_identifiers that hold external ids
+const ID_COLUMNS = {
+  bioguide: 'bioguide_id',
+  lis: 'lis_id',
+  icpsr: 'icpsr_id',
+  govtrack: 'govtrack_id',
+  thomas: 'thomas_id'
+};
+
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv', 'v', 'md', 'phd']);
+const SURNAME_PARTICLES = new Set(['da', 'de', 'del', 'della', 'der', 'di', 'du', 'la', 'le', 'st', 'van', 'von']);
+
+class PoliticianIdentifiers {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Split a name written either way round ("Schiff, Adam B." or "Adam B.
+   * Schiff") into lowercase given names and surname words. Accents,
+   * nicknames in quotes or parentheses and suffixes are dropped.
+   * @returns {Object} { given: [], surname: [] }
+   */
+  static parseName(name) {
+    const clean = String(name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/"[^"]*"|\([^)]*\)/g, ' ')
+      .toLowerCase();
+
+    const words = (text) => text
+      .split(/\s+/)
+      .map(word => word.replace(/[^a-z0-9'-]/g, '').replace(/'/g, ''))
+      .filter(word => word && !NAME_SUFFIXES.has(word));
+
+    if (clean.includes(',')) {
+      // "Last, First Middle" or "Last, First, Jr."
+      const [last, ...rest] = clean.split(',');
+      return { given: words(rest.join(' ')), surname: words(last) };
+    }
+
+    const parts = words(clean);
+    let start = parts.length - 1;
+    while (start > 1 && SURNAME_PARTICLES.has(parts[start - 1])) {
+      start--;
+    }
+    return { given: parts.slice(0, start), surname: parts.slice(start) };
+  }
+
+  /**
+   * Name slug in "first-last" form whichever way round the name is written:
+   * "Schiff, Adam B.", "Adam B. Schiff" and "Adam Schiff" all give
+   * "adam-schiff". Middle names and initials are dropped too.
+   */
+  static slugFromName(name) {
+    const { given, surname } = PoliticianIdentifiers.parseName(name);
+
+    // Skip a leading initial ("A. Donald McEachin") when a full name follows
+    const first = given.find(word => word.length > 1) || given[0];
+
+    return [first, ...surname]
+      .filter(Boolean)
+      .join('-')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Politician row for an external id
+   * @param {string} type - bioguide, lis, icpsr, govtrack, thomas or fec
+   */
+  find(type, value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (type === 'fec') {
+      return this.db.prepare(`
+        SELECT p.* FROM politician_fec_ids f
+        JOIN politicians p ON p.id = f.politician_id
+        WHERE f.fec_id = ?
+      `).get(String(value)) || null;
+    }
+
+    const column = ID_COLUMNS[type];
+    if (!column) {
+      throw new Error(`Unknown identifier type: ${type}`);
+    }
+
+    return this.db.prepare(`
+      SELECT p.* FROM politician_identifiers i
+      JOIN politicians p ON p.id = i.politician_id
+      WHERE i.${column} = ?
+      LIMIT 1
+    `).get(value) || null;
+  }
+
+  findByBioguideId(bioguideId) {
+    return this.find('bioguide', bioguideId);
+  }
+
+  findByLisId(lisId) {
+    return this.find('lis', lisId);
+  }
+
+  findByFecId(fecId) {
+    return this.find('fec', fecId);
+  }
+
+  findByIcpsrId(icpsrId) {
+    return this.find('icpsr', icpsrId);
+  }
+
+  /**
+   * All external ids recorded for a politician
+   * @returns {Object|null} { bioguide_id, lis_id, icpsr_id, govtrack_id, thomas_id, fec_ids }
+   */
+  get(politicianId) {
+    const row = this.db.prepare(`
+      SELECT bioguide_id, lis_id, icpsr_id, govtrack_id, thomas_id, source, last_updated
+      FROM politician_identifiers
+      WHERE politician_id = ?
+    `).get(politicianId);
+    const fecIds = this.db.prepare(`
+      SELECT fec_id FROM politician_fec_ids WHERE politician_id = ? ORDER BY fec_id
+    `).all(politicianId).map(item => item.fec_id);
+
+    if (!row && fecIds.length === 0) return null;
+    return { ...(row || {}), fec_ids: fecIds };
+  }
+
+  /**
+   * Record external ids for a politician. Ids already known are kept when
+   * the new record leaves them out; an id held by a different politician
+   * is an error rather than a silent reassignment.
+   * @param {Object} ids - { bioguide, lis, icpsr, govtrack, thomas, fec: [] }
+   */
+  record(politicianId, ids, source) {
+    const values = {};
+    for (const [type, column] of Object.entries(ID_COLUMNS)) {
+      const value = ids[type];
+      values[column] = value === undefined || value === '' ? null : value;
+
+      const holder = this.find(type, values[column]);
+      if (holder && holder.id !== politicianId) {
+        throw new Error(`${type} id ${values[column]} already belongs to ${holder.id}`);
+      }
+    }
+
+    this.db.prepare(`
+      INSERT INTO politician_identifiers (
+        politician_id, bioguide_id, lis_id, icpsr_id, govtrack_id, thomas_id, source, last_updated
+      ) VALUES (
+        @politician_id, @bioguide_id, @lis_id, @icpsr_id, @govtrack_id, @thomas_id, @source, @last_updated
+      )
+      ON CONFLICT (politician_id) DO UPDATE SET
+        bioguide_id = COALESCE(excluded.bioguide_id, bioguide_id),
+        lis_id = COALESCE(excluded.lis_id, lis_id),
+        icpsr_id = COALESCE(excluded.icpsr_id, icpsr_id),
+        govtrack_id = COALESCE(excluded.govtrack_id, govtrack_id),
+        thomas_id = COALESCE(excluded.thomas_id, thomas_id),
+        source = excluded.source,
+        last_updated = excluded.last_updated
+    `).run({ politician_id: politicianId, source: source || null, last_updated: clock.toSqlTimestamp(), ...values });
+
+    const insertFec = this.db.prepare(`
+      INSERT INTO politician_fec_ids (fec_id, politician_id) VALUES (?, ?)
+      ON CONFLICT (fec_id) DO NOTHING
+    `);
+    for (const fecId of [].concat(ids.fec || [])) {
+      const holder = this.findByFecId(fecId);
+      if (holder && holder.id !== politicianId) {
+        throw new Error(`fec id ${fecId} already belongs to ${holder.id}`);
+      }
+      insertFec.run(String(fecId), politicianId);
+    }
+  }
+
+  /**
+   * Stable id for a member: the existing politician's id when any of their
+   * external ids is known, otherwise a name slug, suffixed with the bioguide
+   * id when a different person already holds that slug
+   * @param {Object} member - { name, bioguide_id, lis_id }
+   */
+  resolveId(member) {
+    const existing = this.findByBioguideId(member.bioguide_id) || this.findByLisId(member.lis_id);
+    if (existing) return existing.id;
+
+    const slug = PoliticianIdentifiers.slugFromName(member.name);
+    const holder = this.db.prepare('SELECT id FROM politicians WHERE id = ?').get(slug);
+    if (!holder || !member.bioguide_id) return slug;
+
+    const holderIds = this.get(slug);
+    if (holderIds && holderIds.bioguide_id && holderIds.bioguide_id !== member.bioguide_id) {
+      return `${slug}-${member.bioguide_id.toLowerCase()}`;
+    }
+    return slug;
+  }
+}
+
+module.exports = PoliticianIdentifiers;
@@ -9,6 +9,11 @@ const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
 const CongressAPIFetcher = require('./congress-api-fetcher');
+const { getCurrentCongress } = require('./congress-calendar');
+const clock = require('./clock');
+const Migrator = require('./migrate');
+const PoliticianIdentifiers = require('./politician-identifiers');
+const { getDatabasePath } = require('./data-paths');
 
 // Load .env file manually if it exists
 function loadEnvFile() {
@@ -36,7 +41,7 @@ loadEnvFile();
 class CongressPopulator {
   constructor() {
     // Initialize database
-    const dbPath = path.join(__dirname, '..', 'data', 'politicians.db');
+    const dbPath = getDatabasePath();
     this.db = new Database(dbPath);
     
     // Initialize API fetcher
@@ -48,53 +53,14 @@ class CongressPopulator {
       fs.mkdirSync(dataDir, { recursive: true });
     }
     
-    // Create tables if they don't exist
-    this.initializeTables();
+    // Create or upgrade tables
+    Migrator.migrate(this.db);
+    this.identifiers = new PoliticianIdentifiers(this.db);
     
     this.baseApiUrl = 'https://api.congress.gov/v3';
     this.apiKey = process.env.CONGRESS_GOV_API_KEY; // Optional API key for higher rate limits
   }
 
-  initializeTables() {
-    // Use the same table structure as our PoliticianDatabase class
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS politicians (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        party TEXT NOT NULL,
-        state TEXT NOT NULL,
-        chamber TEXT NOT NULL,
-        district TEXT,
-        title TEXT NOT NULL,
-        first_elected INTEGER,
-        website TEXT,
-        bio_data TEXT,
-        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS policy_positions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        politician_id TEXT NOT NULL,
-        category TEXT NOT NULL,
-        stated_position TEXT NOT NULL,
-        alignment_score INTEGER,
-        last_analyzed DATETIME DEFAULT CURRENT_TIMESTAMP,
-        source_url TEXT,
-        FOREIGN KEY (politician_id) REFERENCES politicians (id)
-      )
-    `);
-
-    // Create indexes
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_politicians_name ON politicians (name);
-      CREATE INDEX IF NOT EXISTS idx_politicians_state ON politicians (state);
-      CREATE INDEX IF NOT EXISTS idx_politicians_chamber ON politicians (chamber);
-    `);
-  }
-
   /**
    * Main function to populate Congress data
    */
@@ -135,17 +101,25 @@ class CongressPopulator {
       this.apiFetcher.saveToFile({
         house: houseMembers,
         senate: senateMembers,
-        timestamp: new Date().toISOString(),
+        timestamp: clock.now().toISOString(),
         note: houseMembers[0]?.api_source ? 'Real API data from Congress.gov' : 'Sample data - not complete congressional roster'
       }, 'congress-members-backup.json');
       
       // Insert members into database
+      const currentCongress = getCurrentCongress();
       let inserted = 0;
       let updated = 0;
       
       for (const member of allMembers) {
         try {
+          // Keep the id a member already has, whatever the roster calls them now
+          member.id = this.identifiers.resolveId(member);
           const result = this.insertPolitician(member);
+
+          // Only roster data from the API is reliable enough to record as a term
+          if (member.api_source) {
+            this.insertTerm({ ...member, congress: currentCongress });
+          }
           if (result.changes > 0) {
             if (this.db.prepare('SELECT COUNT(*) as count FROM politicians WHERE id = ?').get(member.id).count === 1) {
               updated++;
@@ -179,7 +153,7 @@ class CongressPopulator {
   /**
    * Fetch current House members
    */
-  async fetchHouseMembers(congress = 118) {
+  async fetchHouseMembers(congress = getCurrentCongress()) {
     console.log('🔍 Fetching House of Representatives data...');
     
     // Verified current House members (as of 2024-2025)
@@ -296,7 +270,7 @@ class CongressPopulator {
   /**
    * Fetch current Senate members
    */
-  async fetchSenateMembers(congress = 118) {
+  async fetchSenateMembers(congress = getCurrentCongress()) {
     console.log('🔍 Fetching Senate data...');
     
     // Verified current senators (as of 2024-2025)
@@ -462,11 +436,7 @@ class CongressPopulator {
    * Generate a unique ID for a politician
    */
   generateId(name, chamber) {
-    return name
-      .toLowerCase()
-      .replace(/[^a-z0-9]/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+    return PoliticianIdentifiers.slugFromName(name);
   }
 
   /**
@@ -475,8 +445,8 @@ class CongressPopulator {
   insertPolitician(politician) {
     const stmt = this.db.prepare(`
       INSERT OR REPLACE INTO politicians 
-      (id, name, party, state, chamber, district, title, first_elected, website, bio_data, last_updated)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      (id, name, party, state, chamber, district, title, first_elected, website, bio_data, last_updated, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const bioData = {
@@ -490,7 +460,7 @@ class CongressPopulator {
       bioguideId: politician.bioguide_id || null
     };
 
-    return stmt.run(
+    const result = stmt.run(
       politician.id,
       politician.name,
       politician.party,
@@ -500,106 +470,48 @@ class CongressPopulator {
       politician.title,
       politician.first_elected,
       politician.website,
-      JSON.stringify(bioData)
+      JSON.stringify(bioData),
+      clock.toSqlTimestamp(),
+      clock.toSqlTimestamp()
     );
+
+    this.recordIdentifiers(politician.id, politician);
+    return result;
   }
 
   /**
-   * Add sample policy positions for testing
+   * Record the external ids a roster gave for a politician
    */
-  async addSamplePolicyPositions() {
-    console.log('📋 Adding sample policy positions...');
-    
-    const policyCategories = [
-      'Healthcare',
-      'Climate Change',
-      'Immigration',
-      'Economy',
-      'Education',
-      'Gun Policy',
-      'Foreign Policy',
-      'Infrastructure'
-    ];
-
-    const stmt = this.db.prepare(`
-      INSERT OR IGNORE INTO policy_positions 
-      (politician_id, category, stated_position, alignment_score, source_url)
-      VALUES (?, ?, ?, ?, ?)
-    `);
+  recordIdentifiers(politicianId, member) {
+    if (!member.bioguide_id) return;
 
-    // Get all politicians
-    const politicians = this.db.prepare('SELECT id, name, party FROM politicians').all();
-    
-    let positionsAdded = 0;
-    
-    for (const politician of politicians) {
-      // Add 2-3 random policy positions per politician
-      const numPositions = Math.floor(Math.random() * 2) + 2;
-      const selectedCategories = this.shuffleArray(policyCategories).slice(0, numPositions);
-      
-      for (const category of selectedCategories) {
-        const position = this.generateSamplePosition(politician, category);
-        try {
-          stmt.run(
-            politician.id,
-            category,
-            position.statement,
-            position.score,
-            position.sourceUrl
-          );
-          positionsAdded++;
-        } catch (error) {
-          console.error(`Error adding position for ${politician.name}:`, error.message);
-        }
-      }
+    try {
+      this.identifiers.record(politicianId, { bioguide: member.bioguide_id }, member.api_source || null);
+    } catch (error) {
+      console.error(`⚠️  Could not record identifiers for ${politicianId}:`, error.message);
     }
-    
-    console.log(`✅ Added ${positionsAdded} sample policy positions`);
   }
 
   /**
-   * Generate a sample policy position based on party affiliation
+   * Record a politician's term in a congress
    */
-  generateSamplePosition(politician, category) {
-    const partyPositions = {
-      'Healthcare': {
-        'Democratic': 'Supports universal healthcare coverage and strengthening the Affordable Care Act',
-        'Republican': 'Advocates for market-based healthcare solutions and reducing government involvement',
-        'Independent': 'Supports Medicare for All and comprehensive healthcare reform'
-      },
-      'Climate Change': {
-        'Democratic': 'Supports aggressive climate action and clean energy transition',
-        'Republican': 'Focuses on energy independence and market-based environmental solutions',
-        'Independent': 'Advocates for the Green New Deal and immediate climate action'
-      },
-      'Immigration': {
-        'Democratic': 'Supports comprehensive immigration reform and pathway to citizenship',
-        'Republican': 'Advocates for border security and merit-based immigration system',
-        'Independent': 'Supports humane immigration policies and worker protections'
-      }
-      // Add more categories as needed
-    };
-
-    const statement = partyPositions[category]?.[politician.party] || 
-                     `Stated position on ${category} based on ${politician.party} platform`;
-    
-    return {
-      statement,
-      score: Math.floor(Math.random() * 30) + 70, // Random score between 70-100
-      sourceUrl: politician.website || `https://www.congress.gov`
-    };
-  }
+  insertTerm(term) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO politician_terms
+      (politician_id, congress, chamber, state, district, party, source, last_updated)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
 
-  /**
-   * Utility function to shuffle an array
-   */
-  shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
+    return stmt.run(
+      term.politician_id || term.id,
+      term.congress,
+      term.chamber,
+      term.state,
+      term.district,
+      term.party,
+      term.api_source || null,
+      clock.toSqlTimestamp()
+    );
   }
 
   /**
@@ -616,10 +528,9 @@ async function main() {
   
   try {
     await populator.populateAllMembers();
-    await populator.addSamplePolicyPositions();
     
     console.log('\n🎉 Congressional database population complete!');
-    console.log('📍 Database location: data/politicians.db');
+    console.log(`📍 Database location: ${getDatabasePath()}`);
     console.log('🔍 You can now search for any of the added politicians');
     
   } catch (error) {
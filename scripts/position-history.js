@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Position History
+ * politician_positions only holds the latest crawl, so every distinct
+ * version of a stated position is also kept in position_history: a new
+ * version when the stance, summary or wording changes, otherwise just a
+ * later last_seen_at. A change happened somewhere between the previous
+ * version's last_seen_at and the new version's first_seen_at.
+ */
+
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const Migrator = require('./migrate');
+const clock = require('./clock');
+const { SOURCE_TYPES } = require('./provenance');
+const { getDatabasePath } = require('./data-paths');
+
+class PositionHistory {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   */
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(getDatabasePath());
+    Migrator.migrate(this.db);
+  }
+
+  /**
+   * Hash of what a position says; whitespace differences do not count
+   */
+  static contentHash(position) {
+    const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+    const content = [position.stance || 'neutral', position.position_summary, position.position_details]
+      .map(normalize)
+      .join('\n');
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+  }
+
+  /**
+   * Record a crawled position
+   * @returns {Object} { version, changed, previous } - changed is true when
+   *   an earlier version said something different
+   */
+  record(politicianId, topicId, position, seenAt = clock.toSqlTimestamp()) {
+    const contentHash = PositionHistory.contentHash(position);
+    const latest = this.getLatest(politicianId, topicId);
+
+    if (latest && latest.content_hash === contentHash) {
+      this.db.prepare('UPDATE position_history SET last_seen_at = ? WHERE id = ?').run(seenAt, latest.id);
+      return { version: latest.version, changed: false, previous: null };
+    }
+
+    const version = latest ? latest.version + 1 : 1;
+    this.db.prepare(`
+      INSERT INTO position_history
+      (politician_id, topic_id, version, content_hash, stance, strength, position_summary, position_details,
+       source_url, snapshot_hash, source_type, first_seen_at, last_seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      politicianId,
+      topicId,
+      version,
+      contentHash,
+      position.stance || 'neutral',
+      position.strength || 'moderate',
+      position.position_summary,
+      position.position_details,
+      position.source_url || null,
+      position.snapshot_hash || null,
+      position.source_type || SOURCE_TYPES.UNKNOWN,
+      seenAt,
+      seenAt
+    );
+
+    return { version, changed: !!latest, previous: latest };
+  }
+
+  /**
+   * The newest version of a position, or undefined
+   */
+  getLatest(politicianId, topicId) {
+    return this.db.prepare(`
+      SELECT * FROM position_history
+      WHERE politician_id = ? AND topic_id = ?
+      ORDER BY version DESC
+      LIMIT 1
+    `).get(politicianId, topicId);
+  }
+
+  /**
+   * Every version of a politician's positions, oldest first per topic
+   */
+  getHistory(politicianId, topicId = null) {
+    return this.db.prepare(`
+      SELECT ph.*, t.canonical_name AS topic_name, t.display_name AS topic_display
+      FROM position_history ph
+      JOIN policy_topics t ON t.id = ph.topic_id
+      WHERE ph.politician_id = ? AND (? IS NULL OR ph.topic_id = ?)
+      ORDER BY t.display_name, ph.version
+    `).all(politicianId, topicId, topicId);
+  }
+
+  /**
+   * The latest changes across everyone: each row is a version that
+   * replaced an earlier one, with the stance it replaced
+   */
+  getRecentChanges(limit = 20) {
+    return this.db.prepare(`
+      SELECT ph.politician_id, pol.name, pol.party, pol.state,
+        t.canonical_name AS topic_name, t.display_name AS topic_display,
+        ph.version, ph.stance, prev.stance AS previous_stance,
+        prev.last_seen_at AS previous_seen_at, ph.first_seen_at, ph.source_url
+      FROM position_history ph
+      JOIN position_history prev
+        ON prev.politician_id = ph.politician_id AND prev.topic_id = ph.topic_id AND prev.version = ph.version - 1
+      JOIN politicians pol ON pol.id = ph.politician_id
+      JOIN policy_topics t ON t.id = ph.topic_id
+      ORDER BY ph.first_seen_at DESC
+      LIMIT ?
+    `).all(limit);
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'help';
+
+  function runCLI() {
+    if (!['recent', 'show'].includes(command)) {
+      console.log(`
+📜 Position History
+
+Usage: node position-history.js <command> [options]
+
+Commands:
+  recent [--limit N]          Latest changes to stated positions
+  show <politician_id>        Every version of a politician's positions
+  help                        Show this help message
+      `);
+      return;
+    }
+
+    const history = new PositionHistory();
+
+    try {
+      switch (command) {
+        case 'recent': {
+          const limit = args.includes('--limit') ? parseInt(args[args.indexOf('--limit') + 1], 10) : 20;
+          const changes = history.getRecentChanges(limit);
+          if (changes.length === 0) {
+            console.log('No stated positions have changed yet');
+            break;
+          }
+          changes.forEach(change => {
+            const stance = change.stance === change.previous_stance
+              ? `reworded (${change.stance})`
+              : `${change.previous_stance} → ${change.stance}`;
+            console.log(`📝 ${change.name} (${change.party}-${change.state}) · ${change.topic_display} v${change.version}: ${stance}`);
+            console.log(`   between ${change.previous_seen_at} and ${change.first_seen_at}`);
+          });
+          break;
+        }
+
+        case 'show': {
+          if (!args[1]) {
+            console.error('Usage: node position-history.js show <politician_id>');
+            process.exit(1);
+          }
+          const versions = history.getHistory(args[1]);
+          if (versions.length === 0) {
+            console.log(`No position history recorded for ${args[1]}`);
+            break;
+          }
+          versions.forEach(version => {
+            console.log(`${version.topic_display} v${version.version} (${version.first_seen_at} → ${version.last_seen_at}): ${version.stance}`);
+            console.log(`   ${String(version.position_summary || '').substring(0, 100)}`);
+          });
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Position history failed:', error.message);
+      process.exit(1);
+    } finally {
+      history.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = PositionHistory;
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Provenance Check
+ * Fails the build when synthetic (demo) rows are in the production database,
+ * and reports rows whose origin was never recorded. Runs before every
+ * Eleventy build outside demo mode; `purge` removes synthetic rows.
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const Migrator = require('./migrate');
+const { PRODUCTION_DB_PATH } = require('./data-paths');
+const { PROVENANCE_TABLES, SYNTHETIC_SOURCE_TYPES, SOURCE_TYPES } = require('./provenance');
+
+class ProvenanceCheck {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   * @param {boolean} options.readonly - Open the database read-only; it must
+   *   already be migrated rather than being upgraded here
+   */
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(PRODUCTION_DB_PATH, { readonly: !!options.readonly });
+
+    if (!options.readonly) {
+      // Older databases are backfilled by the provenance migration before checking
+      Migrator.migrate(this.db);
+      return;
+    }
+
+    const pending = Migrator.getPendingVersions(this.db);
+    if (pending.length > 0) {
+      this.close();
+      throw new Error(`${PRODUCTION_DB_PATH} is missing migrations ${pending.join(', ')}. Run \`npm run db:migrate\` before building.`);
+    }
+  }
+
+  /**
+   * Provenance tables present in this database
+   */
+  getTables() {
+    return PROVENANCE_TABLES.filter(table => {
+      const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+      return columns.includes('source_type');
+    });
+  }
+
+  /**
+   * Count synthetic and untraced rows per table
+   * @returns {Object} { ok, tables: [{ table, total, synthetic, unknown }] }
+   */
+  check() {
+    const placeholders = SYNTHETIC_SOURCE_TYPES.map(() => '?').join(', ');
+    const tables = this.getTables().map(table => {
+      const counts = this.db.prepare(`
+        SELECT
+          COUNT(*) AS total,
+          COALESCE(SUM(CASE WHEN source_type IN (${placeholders}) THEN 1 ELSE 0 END), 0) AS synthetic,
+          COALESCE(SUM(CASE WHEN source_type = ? OR source_type IS NULL THEN 1 ELSE 0 END), 0) AS unknown
+        FROM ${table}
+      `).get(...SYNTHETIC_SOURCE_TYPES, SOURCE_TYPES.UNKNOWN);
+      return { table, ...counts };
+    });
+
+    return {
+      ok: tables.every(table => table.synthetic === 0),
+      tables
+    };
+  }
+
+  /**
+   * Delete synthetic rows, along with the scores and evidence computed for them
+   * @returns {number} Rows removed
+   */
+  purge() {
+    const placeholders = SYNTHETIC_SOURCE_TYPES.map(() => '?').join(', ');
+    let removed = 0;
+
+    this.db.transaction(() => {
+      this.getTables().forEach(table => {
+        removed += this.db.prepare(`DELETE FROM ${table} WHERE source_type IN (${placeholders})`)
+          .run(...SYNTHETIC_SOURCE_TYPES).changes;
+      });
+
+      // Scores and evidence computed for positions that no longer exist
+      ['position_vote_analysis', 'score_evidence'].forEach(table => {
+        this.db.exec(`
+          DELETE FROM ${table}
+          WHERE NOT EXISTS (
+            SELECT 1 FROM politician_positions pp
+            WHERE pp.politician_id = ${table}.politician_id AND pp.topic_id = ${table}.topic_id
+          )
+        `);
+      });
+    })();
+
+    return removed;
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+
+  /**
+   * Throw if the production database holds synthetic rows. A missing
+   * database has nothing to check. Site builds only read the database, so
+   * it is opened read-only and must already be migrated.
+   */
+  static assertProductionClean() {
+    if (!fs.existsSync(PRODUCTION_DB_PATH)) return;
+
+    const checker = new ProvenanceCheck({ readonly: true });
+    try {
+      const result = checker.check();
+      if (!result.ok) {
+        const found = result.tables
+          .filter(table => table.synthetic > 0)
+          .map(table => `${table.table}: ${table.synthetic}`)
+          .join(', ');
+        throw new Error(`Synthetic rows found in ${PRODUCTION_DB_PATH} (${found}). Run \`npm run data:purge-demo\` or build with DATA_MODE=demo.`);
+      }
+    } finally {
+      checker.close();
+    }
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'check';
+
+  if (!fs.existsSync(PRODUCTION_DB_PATH) && command !== 'help') {
+    console.log(`✅ No production database at ${PRODUCTION_DB_PATH}, nothing to check`);
+    process.exit(0);
+  }
+
+  switch (command) {
+    case 'check': {
+      const checker = new ProvenanceCheck();
+      try {
+        const result = checker.check();
+        console.log('🔎 Provenance by table:');
+        result.tables.forEach(table => {
+          const flag = table.synthetic > 0 ? '❌' : (table.unknown > 0 ? '⚠️ ' : '✅');
+          console.log(`   ${flag} ${table.table}: ${table.total} rows, ${table.synthetic} synthetic, ${table.unknown} untraced`);
+        });
+
+        if (!result.ok) {
+          console.error('❌ Synthetic rows are in the production database. Run `npm run data:purge-demo` to remove them.');
+          process.exitCode = 1;
+          break;
+        }
+        console.log('✅ No synthetic rows in the production database');
+      } finally {
+        checker.close();
+      }
+      break;
+    }
+
+    case 'purge': {
+      const checker = new ProvenanceCheck();
+      try {
+        const removed = checker.purge();
+        console.log(`🧹 Removed ${removed} synthetic rows from the production database`);
+      } catch (error) {
+        console.error('❌ Purge failed:', error.message);
+        process.exitCode = 1;
+      } finally {
+        checker.close();
+      }
+      break;
+    }
+
+    case 'help':
+    default:
+      console.log(`
+🔎 Provenance Check
+
+Usage: node provenance-check.js <command>
+
+Commands:
+  check     Count synthetic and untraced rows; exits 1 if any are synthetic
+  purge     Delete synthetic rows from the production database
+  help      Show this help message
+      `);
+      break;
+  }
+}
+
+module.exports = ProvenanceCheck;
@@ -0,0 +1,74 @@
+/**
+ * Provenance
+ * Every position, statement, vote and score row records where it came from:
+ *   source_type  - what kind of source it is (SOURCE_TYPES)
+ *   source_url   - the document it was read from, when there is one
+ *   retrieved_at - when it was fetched, entered or computed
+ *   method       - the script or process that produced it
+ *
+ * Synthetic source types belong only in the demo database; the build fails
+ * if one reaches the production database (see provenance-check.js).
+ */
+
+const clock = require('./clock');
+
+const SOURCE_TYPES = {
+  OFFICIAL_API: 'official_api', // Congress.gov API
+  OFFICIAL_RECORD: 'official_record', // Roll call documents from senate.gov or clerk.house.gov
+  OFFICIAL_WEBSITE: 'official_website', // A politician's own website
+  NEWS: 'news', // Reporting or interviews
+  MANUAL: 'manual', // Entered by hand from a cited source
+  COMPUTED: 'computed', // Derived from other rows
+  DEMO: 'demo', // Made up for demos and development
+  UNKNOWN: 'unknown' // Recorded before provenance was tracked
+};
+
+const SYNTHETIC_SOURCE_TYPES = [SOURCE_TYPES.DEMO];
+
+// Tables whose rows carry provenance
+const PROVENANCE_TABLES = [
+  'politician_positions',
+  'position_history',
+  'public_statements',
+  'voting_records',
+  'votes',
+  'politician_votes',
+  'position_vote_analysis',
+  'voting_statistics',
+  'voting_statistics_sessions',
+  'party_scores',
+  'ideal_points',
+  'ideal_point_fits',
+  'voting_alignment',
+  'legislative_alignment',
+  'stance_changes'
+];
+
+/**
+ * Provenance columns for a row produced now
+ * @returns {Object} { source_type, source_url, retrieved_at, method }
+ */
+function stamp(sourceType, method, sourceUrl = null) {
+  if (!Object.values(SOURCE_TYPES).includes(sourceType)) {
+    throw new Error(`Unknown source type: ${sourceType}`);
+  }
+
+  return {
+    source_type: sourceType,
+    source_url: sourceUrl || null,
+    retrieved_at: clock.toSqlTimestamp(),
+    method
+  };
+}
+
+function isSynthetic(sourceType) {
+  return SYNTHETIC_SOURCE_TYPES.includes(sourceType);
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  SYNTHETIC_SOURCE_TYPES,
+  PROVENANCE_TABLES,
+  stamp,
+  isSynthetic
+};
@@ -0,0 +1,286 @@
+/**
+ * Shared rate limiter
+ * Keeps a token bucket per host so every fetcher shares one request budget,
+ * and decides how long to back off before retrying a failed request.
+ *
+ * Budgets come from the rateLimit section of data/congress-data-config.json:
+ *   requestDelayMs - spacing between requests once a burst is used up
+ *   batchSize      - bucket capacity (requests allowed back to back)
+ *   batchDelayMs   - extra pause per batch, spread across its requests
+ *   hosts          - per-host overrides of the three settings above
+ *   crawler        - default budget for politician websites, plus crawl
+ *                    politeness: concurrency (sites crawled at once),
+ *                    maxPerHost (of those, how many share a host) and
+ *                    hostGroups (domains whose subdomains count as one host,
+ *                    e.g. every member site under house.gov)
+ * Retry attempts and the request timeout come from apiSettings in
+ * data/voting-update-config.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+const DEFAULT_BUDGET = {
+  requestDelayMs: 250,
+  batchSize: 20,
+  batchDelayMs: 1000
+};
+
+const DEFAULT_CRAWLER_BUDGET = {
+  requestDelayMs: 1000,
+  batchSize: 1,
+  batchDelayMs: 0
+};
+
+const DEFAULT_POLITENESS = {
+  concurrency: 4,
+  maxPerHost: 1,
+  hostGroups: ['house.gov', 'senate.gov'],
+  maxPagesPerSite: 15
+};
+
+const DEFAULT_RETRY = {
+  retryAttempts: 3,
+  timeoutMs: 30000,
+  backoffBaseMs: 1000,
+  maxBackoffMs: 60000,
+  // Longer Retry-After waits (e.g. an exhausted hourly quota) are not worth sleeping through
+  maxRetryAfterMs: 300000
+};
+
+let sharedLimiter = null;
+
+/**
+ * Read a JSON config file, returning an empty object when it is missing
+ */
+function readConfig(fileName) {
+  const filePath = path.join(DATA_DIR, fileName);
+
+  try {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  } catch (error) {
+    console.error(`⚠️  Error reading ${fileName}, using default rate limits:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Convert a Retry-After header (seconds or an HTTP date) to milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.defaultBudget - Budget for hosts without an override
+   * @param {Object} options.hosts - Per-host budget overrides, keyed by hostname
+   * @param {number} options.retryAttempts - Total attempts per request
+   * @param {number} options.timeoutMs - Default request timeout
+   */
+  constructor(options = {}) {
+    this.defaultBudget = { ...DEFAULT_BUDGET, ...(options.defaultBudget || {}) };
+    this.hostBudgets = options.hosts || {};
+    this.retryAttempts = Math.max(1, options.retryAttempts || DEFAULT_RETRY.retryAttempts);
+    this.timeoutMs = options.timeoutMs || DEFAULT_RETRY.timeoutMs;
+    this.backoffBaseMs = options.backoffBaseMs ?? DEFAULT_RETRY.backoffBaseMs;
+    this.maxBackoffMs = options.maxBackoffMs ?? DEFAULT_RETRY.maxBackoffMs;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? DEFAULT_RETRY.maxRetryAfterMs;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Build a limiter from the data config files
+   * @param {Object} options
+   * @param {string} options.profile - 'api' (default) or 'crawler'
+   */
+  static fromConfig(options = {}) {
+    const { profile = 'api' } = options;
+    const rateLimit = readConfig('congress-data-config.json').rateLimit || {};
+    const apiSettings = readConfig('voting-update-config.json').apiSettings || {};
+    const { hosts, crawler, ...apiBudget } = rateLimit;
+    const { concurrency, maxPerHost, hostGroups, maxPagesPerSite, ...crawlerBudget } = crawler || {};
+
+    // Older voting configs only carry a flat delay
+    if (apiBudget.requestDelayMs === undefined && apiSettings.rateLimitDelay !== undefined) {
+      apiBudget.requestDelayMs = apiSettings.rateLimitDelay;
+    }
+
+    const defaultBudget = profile === 'crawler'
+      ? { ...DEFAULT_CRAWLER_BUDGET, ...crawlerBudget }
+      : apiBudget;
+
+    return new RateLimiter({
+      defaultBudget,
+      hosts,
+      retryAttempts: apiSettings.retryAttempts,
+      timeoutMs: apiSettings.timeoutMs
+    });
+  }
+
+  /**
+   * How politely to crawl politician websites: { concurrency, maxPerHost, hostGroups, maxPagesPerSite }
+   */
+  static crawlerPoliteness() {
+    const crawler = (readConfig('congress-data-config.json').rateLimit || {}).crawler || {};
+    const politeness = { ...DEFAULT_POLITENESS };
+
+    for (const key of Object.keys(DEFAULT_POLITENESS)) {
+      if (crawler[key] !== undefined) politeness[key] = crawler[key];
+    }
+    politeness.concurrency = Math.max(1, politeness.concurrency);
+    politeness.maxPerHost = Math.max(1, politeness.maxPerHost);
+    politeness.maxPagesPerSite = Math.max(0, politeness.maxPagesPerSite);
+    return politeness;
+  }
+
+  /**
+   * Limiter shared by every API client in this process
+   */
+  static shared() {
+    if (!sharedLimiter) {
+      sharedLimiter = RateLimiter.fromConfig();
+    }
+    return sharedLimiter;
+  }
+
+  /**
+   * Budget for a host, with any per-host override applied
+   */
+  getBudget(host) {
+    return { ...this.defaultBudget, ...(this.hostBudgets[host] || {}) };
+  }
+
+  /**
+   * Get (or create) the bucket for a host. A full bucket allows batchSize
+   * requests back to back; after that one token is added every
+   * requestDelayMs plus an equal share of batchDelayMs.
+   */
+  getBucket(host) {
+    if (!this.buckets.has(host)) {
+      const budget = this.getBudget(host);
+      const capacity = Math.max(1, budget.batchSize || 1);
+
+      this.buckets.set(host, {
+        capacity,
+        refillMs: (budget.requestDelayMs || 0) + (budget.batchDelayMs || 0) / capacity,
+        tokens: capacity,
+        lastRefill: Date.now(),
+        pausedUntil: 0,
+        queue: Promise.resolve()
+      });
+    }
+
+    return this.buckets.get(host);
+  }
+
+  /**
+   * Wait until a request to a host is allowed
+   */
+  acquire(host) {
+    const bucket = this.getBucket(host);
+
+    // Hand out tokens in the order they were requested
+    const turn = bucket.queue.then(() => this.takeToken(bucket));
+    bucket.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async takeToken(bucket) {
+    for (;;) {
+      const now = Date.now();
+
+      if (bucket.pausedUntil > now) {
+        await sleep(bucket.pausedUntil - now);
+        continue;
+      }
+
+      this.refill(bucket, now);
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil((1 - bucket.tokens) * bucket.refillMs));
+    }
+  }
+
+  refill(bucket, now) {
+    if (bucket.refillMs <= 0) {
+      bucket.tokens = bucket.capacity;
+    } else {
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.lastRefill) / bucket.refillMs);
+    }
+    bucket.lastRefill = now;
+  }
+
+  /**
+   * Space requests to a host at least delayMs apart, one at a time, e.g.
+   * for a robots.txt Crawl-delay. Never speeds a host up.
+   */
+  slowDown(host, delayMs) {
+    const budget = this.getBudget(host);
+    if (budget.batchSize <= 1 && budget.requestDelayMs + budget.batchDelayMs >= delayMs) return;
+
+    this.hostBudgets = {
+      ...this.hostBudgets,
+      [host]: { requestDelayMs: Math.max(delayMs, budget.requestDelayMs + budget.batchDelayMs), batchSize: 1, batchDelayMs: 0 }
+    };
+
+    const bucket = this.buckets.get(host);
+    if (bucket) {
+      bucket.capacity = 1;
+      bucket.refillMs = this.hostBudgets[host].requestDelayMs;
+      bucket.tokens = Math.min(bucket.tokens, 1);
+    }
+  }
+
+  /**
+   * Hold every request to a host for a while, e.g. after a 429
+   */
+  pause(host, ms) {
+    const bucket = this.getBucket(host);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+    bucket.tokens = 0;
+  }
+
+  /**
+   * Whether a response status is worth retrying
+   */
+  isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Milliseconds to wait before the next attempt: the server's Retry-After
+   * when given, otherwise exponential backoff. Returns null when the server
+   * asks for a longer wait than maxRetryAfterMs.
+   */
+  getRetryDelay(attempt, retryAfter = null) {
+    const requested = parseRetryAfter(retryAfter);
+
+    if (requested !== null) {
+      return requested > this.maxRetryAfterMs ? null : requested;
+    }
+
+    return Math.min(this.backoffBaseMs * Math.pow(2, attempt - 1), this.maxBackoffMs);
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.parseRetryAfter = parseRetryAfter;
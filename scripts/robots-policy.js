@@ -0,0 +1,149 @@
+/**
+ * robots.txt policy
+ * Parses a robots.txt file (RFC 9309) for one crawler and answers whether a
+ * URL may be fetched. The crawler's own group is used when there is one,
+ * otherwise the "*" group. The most specific (longest) matching rule wins,
+ * and Allow wins a tie. Patterns support "*" wildcards and a trailing "$".
+ *
+ * Crawl-delay and Sitemap lines are not part of the RFC but are widely
+ * used, so they are kept as well.
+ */
+
+class RobotsPolicy {
+  /**
+   * @param {Object} options
+   * @param {Array} options.rules - [{ allow: boolean, pattern: string }]
+   * @param {number} options.crawlDelaySeconds - Crawl-delay for our group, if any
+   * @param {Array} options.sitemaps - Sitemap URLs listed in the file
+   * @param {string} options.blockedReason - Set when every URL is off limits (e.g. robots.txt unreachable)
+   */
+  constructor(options = {}) {
+    this.rules = (options.rules || []).map(rule => ({ ...rule, matcher: RobotsPolicy.compilePattern(RobotsPolicy.normalizePath(rule.pattern)) }));
+    this.crawlDelaySeconds = options.crawlDelaySeconds ?? null;
+    this.sitemaps = options.sitemaps || [];
+    this.blockedReason = options.blockedReason || null;
+  }
+
+  /**
+   * No robots.txt (any 4xx): everything is allowed
+   */
+  static allowAll() {
+    return new RobotsPolicy();
+  }
+
+  /**
+   * robots.txt could not be read (5xx or network error): nothing is allowed
+   */
+  static disallowAll(reason) {
+    return new RobotsPolicy({ blockedReason: reason });
+  }
+
+  /**
+   * Parse robots.txt text for a crawler's product token (e.g. "TruthInPolitics")
+   */
+  static parse(text, agent) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text || '').split(/\r\n|\r|\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        // "TruthInPolitics/1.0" names the same crawler as "TruthInPolitics"
+        current.agents.push(value.split('/')[0].trim().toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+
+      lastWasAgent = false;
+
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+      } else if (!current) {
+        continue;
+      } else if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow allows everything; an empty Allow says nothing
+        if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+      }
+    }
+
+    const token = String(agent || '').toLowerCase();
+    const ours = groups.filter(group => group.agents.includes(token));
+    const matched = ours.length ? ours : groups.filter(group => group.agents.includes('*'));
+    const delays = matched.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+    return new RobotsPolicy({
+      rules: matched.flatMap(group => group.rules),
+      crawlDelaySeconds: delays.length ? Math.max(...delays) : null,
+      sitemaps
+    });
+  }
+
+  /**
+   * Turn a path pattern into a RegExp anchored at the start of the path
+   */
+  static compilePattern(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+
+  /**
+   * Whether a URL may be fetched
+   */
+  isAllowed(url) {
+    const parsed = new URL(url);
+    if (parsed.pathname === '/robots.txt') return true;
+    if (this.blockedReason) return false;
+
+    const target = RobotsPolicy.normalizePath(parsed.pathname + parsed.search);
+    let best = null;
+
+    for (const rule of this.rules) {
+      if (!rule.matcher.test(target)) continue;
+
+      const longer = !best || rule.pattern.length > best.pattern.length;
+      const allowTie = best && rule.pattern.length === best.pattern.length && rule.allow;
+      if (longer || allowTie) best = rule;
+    }
+
+    return best ? best.allow : true;
+  }
+
+  /**
+   * Percent-decode unreserved characters so /%7Ejoe matches /~joe
+   */
+  static normalizePath(value) {
+    return value.replace(/%([0-9a-fA-F]{2})/g, (match, hex) => {
+      const character = String.fromCharCode(parseInt(hex, 16));
+      return /[A-Za-z0-9\-._~]/.test(character) ? character : match.toUpperCase();
+    });
+  }
+
+  /**
+   * Crawl-delay in milliseconds, or null
+   */
+  get crawlDelayMs() {
+    return this.crawlDelaySeconds === null ? null : Math.round(this.crawlDelaySeconds * 1000);
+  }
+}
+
+module.exports = RobotsPolicy;
@@ -0,0 +1,72 @@
+/**
+ * Score Evidence
+ * Keeps the evidence behind every computed score so it can be explained:
+ *   - position confidence: the sentences that set the stated stance
+ *   - vote consistency: each vote with its coded direction, plus the stance
+ *     it was compared to
+ * Each item carries the weight it had in the score. Evidence is replaced
+ * whenever its score is recomputed.
+ */
+
+const Migrator = require('./migrate');
+
+const SCORE_TYPES = ['position_confidence', 'vote_consistency'];
+
+class ScoreEvidence {
+  constructor(db) {
+    this.db = db;
+    Migrator.migrate(this.db);
+  }
+
+  /**
+   * Replace the evidence for one score
+   */
+  replace(politicianId, topicId, scoreType, items) {
+    if (!SCORE_TYPES.includes(scoreType)) {
+      throw new Error(`Unknown score type: ${scoreType}`);
+    }
+
+    const remove = this.db.prepare(`
+      DELETE FROM score_evidence WHERE politician_id = ? AND topic_id = ? AND score_type = ?
+    `);
+    const insert = this.db.prepare(`
+      INSERT INTO score_evidence (
+        politician_id, topic_id, score_type, kind, reference, excerpt, stance, vote, direction, aligned, weight, detail
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      remove.run(politicianId, topicId, scoreType);
+      items.forEach(item => {
+        insert.run(
+          politicianId,
+          topicId,
+          scoreType,
+          item.kind,
+          item.reference || null,
+          item.excerpt || null,
+          item.stance || null,
+          item.vote || null,
+          item.direction || null,
+          item.aligned === undefined || item.aligned === null ? null : (item.aligned ? 1 : 0),
+          item.weight || 0,
+          item.detail || null
+        );
+      });
+    })();
+  }
+
+  /**
+   * Evidence for a politician, optionally for one topic, heaviest first
+   */
+  get(politicianId, topicId = null) {
+    return this.db.prepare(`
+      SELECT topic_id, score_type, kind, reference, excerpt, stance, vote, direction, aligned, weight, detail
+      FROM score_evidence
+      WHERE politician_id = ? AND (? IS NULL OR topic_id = ?)
+      ORDER BY topic_id, score_type, weight DESC, id
+    `).all(politicianId, topicId, topicId);
+  }
+}
+
+module.exports = ScoreEvidence;
@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+
+/**
+ * Senate Roll-Call Vote Ingester
+ * Parses the senate.gov roll-call XML format (vote menus plus per-vote
+ * member lists) into the shared votes and politician_votes tables.
+ * Reads from a local directory of downloaded XML files when one is given,
+ * so it can run completely offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { stamp, SOURCE_TYPES } = require('./provenance');
+const clock = require('./clock');
+
+class SenateVoteIngester {
+  /**
+   * @param {VotingRecordsFetcher} fetcher - Owning fetcher (database, helpers and counters)
+   * @param {Object} options
+   * @param {string|null} options.xmlDir - Directory of downloaded senate.gov XML files
+   */
+  constructor(fetcher, options = {}) {
+    this.fetcher = fetcher;
+    this.db = fetcher.db;
+    this.xmlDir = options.xmlDir || null;
+    this.baseUrl = 'https://www.senate.gov/legislative/LIS';
+    this.unmatchedMembers = 0;
+  }
+
+  /**
+   * Ingest Senate roll calls for a congress, optionally restricted to a
+   * date range and a maximum number of new votes. Returns the number of
+   * new votes stored.
+   */
+  async ingestCongress(congress, options = {}) {
+    const { startDate = null, endDate = null, limit = null } = options;
+    let newVotes = 0;
+
+    for (const session of [1, 2]) {
+      const menuVotes = await this.getVoteNumbers(congress, session);
+
+      if (menuVotes.length === 0) {
+        console.log(`ℹ️  No Senate votes found for the ${congress}th Congress, session ${session}`);
+        continue;
+      }
+
+      console.log(`📥 Found ${menuVotes.length} Senate votes for the ${congress}th Congress, session ${session}`);
+
+      for (const { voteNumber, date } of menuVotes) {
+        if (limit && newVotes >= limit) {
+          console.log(`🔢 Reached limit of ${limit} new votes`);
+          return newVotes;
+        }
+
+        // Menu dates let us skip out-of-range votes without loading them
+        if (!this.fetcher.isWithinDateRange(date, startDate, endDate)) {
+          continue;
+        }
+
+        if (await this.ingestVote(congress, session, voteNumber, { startDate, endDate })) {
+          newVotes++;
+        }
+      }
+    }
+
+    if (this.unmatchedMembers > 0) {
+      console.log(`⚠️  ${this.unmatchedMembers} Senate member votes could not be matched to a politician and are queued for review (node scripts/member-matcher.js list)`);
+    }
+
+    return newVotes;
+  }
+
+  /**
+   * List roll calls ({ voteNumber, date }) for a session from the vote menu,
+   * falling back to the per-vote files present in the local XML directory
+   */
+  async getVoteNumbers(congress, session) {
+    const menuXml = await this.loadXml(
+      `vote_menu_${congress}_${session}.xml`,
+      `${this.baseUrl}/roll_call_lists/vote_menu_${congress}_${session}.xml`
+    );
+
+    if (menuXml) {
+      return this.parseVoteMenu(menuXml).map(vote => ({ voteNumber: vote.voteNumber, date: vote.date }));
+    }
+
+    if (!this.xmlDir) {
+      return [];
+    }
+
+    const filePattern = new RegExp(`^vote_${congress}_${session}_(\\d+)\\.xml$`);
+
+    return fs.readdirSync(this.xmlDir)
+      .map(file => file.match(filePattern))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10))
+      .sort((a, b) => a - b)
+      .map(voteNumber => ({ voteNumber, date: null }));
+  }
+
+  /**
+   * Parse a vote menu (vote_menu_{congress}_{session}.xml)
+   */
+  parseVoteMenu(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const year = $('vote_summary > congress_year').text().trim();
+
+    return $('votes > vote').map((i, element) => {
+      const $vote = $(element);
+      return {
+        voteNumber: parseInt($vote.find('vote_number').text(), 10),
+        date: this.parseMenuDate($vote.find('vote_date').text().trim(), year),
+        question: $vote.find('question').text().trim(),
+        result: $vote.find('result').text().trim(),
+        issue: $vote.find('issue').text().trim(),
+        title: $vote.find('title').text().trim()
+      };
+    }).get().filter(vote => !isNaN(vote.voteNumber));
+  }
+
+  /**
+   * Convert a vote menu date ("19-Dec") and the session year into YYYY-MM-DD
+   */
+  parseMenuDate(value, year) {
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const match = (value || '').match(/^(\d{1,2})-([A-Za-z]{3})$/);
+
+    if (!match || !/^\d{4}$/.test(year)) {
+      return null;
+    }
+
+    const month = months.indexOf(match[2].toLowerCase()) + 1;
+    if (month === 0) {
+      return null;
+    }
+
+    return `${year}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+
+  /**
+   * Parse a single roll-call vote (vote_{congress}_{session}_{number}.xml)
+   */
+  parseRollCallVote(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const $root = $('roll_call_vote');
+    const text = (selector) => $root.children(selector).first().text().trim();
+    const count = (selector) => parseInt($root.find(`count > ${selector}`).text(), 10) || 0;
+    const { date, time } = this.parseVoteDate(text('vote_date'));
+
+    const members = $root.find('members > member').map((i, element) => {
+      const $member = $(element);
+      return {
+        lisMemberId: $member.find('lis_member_id').text().trim(),
+        firstName: $member.find('first_name').text().trim(),
+        lastName: $member.find('last_name').text().trim(),
+        party: $member.find('party').text().trim(),
+        state: $member.find('state').text().trim(),
+        voteCast: $member.find('vote_cast').text().trim()
+      };
+    }).get();
+
+    return {
+      congress: parseInt(text('congress'), 10),
+      session: parseInt(text('session'), 10),
+      voteNumber: parseInt(text('vote_number'), 10),
+      date,
+      time,
+      question: text('vote_question_text') || text('question'),
+      description: text('vote_title') || $root.find('document > document_title').text().trim(),
+      result: text('vote_result') || text('vote_result_text'),
+      documentName: $root.find('document > document_name').text().trim(),
+      amendmentNumber: $root.find('amendment > amendment_number').text().trim(),
+      amendmentToDocument: $root.find('amendment > amendment_to_document_number').text().trim(),
+      amendmentPurpose: $root.find('amendment > amendment_purpose').text().trim(),
+      totals: {
+        yes: count('yeas'),
+        no: count('nays'),
+        present: count('present'),
+        notVoting: count('absent')
+      },
+      members
+    };
+  }
+
+  /**
+   * Convert "December 19, 2023, 11:48 AM" into a date and time
+   */
+  parseVoteDate(value) {
+    const months = [
+      'january', 'february', 'march', 'april', 'may', 'june',
+      'july', 'august', 'september', 'october', 'november', 'december'
+    ];
+    const match = (value || '').match(/^([A-Za-z]+)\s+(\d{1,2}),\s*(\d{4})(?:,\s*(.+))?$/);
+
+    if (!match) {
+      return { date: '', time: null };
+    }
+
+    const month = months.indexOf(match[1].toLowerCase()) + 1;
+    if (month === 0) {
+      return { date: '', time: null };
+    }
+
+    const pad = (n) => String(n).padStart(2, '0');
+    return {
+      date: `${match[3]}-${pad(month)}-${pad(match[2])}`,
+      time: match[4] ? match[4].trim() : null
+    };
+  }
+
+  /**
+   * Ingest a single roll call and its member votes, returning true when a
+   * new vote was stored
+   */
+  async ingestVote(congress, session, voteNumber, options = {}) {
+    const voteId = `${congress}-senate-${session}-${voteNumber}`;
+
+    if (this.fetcher.voteExists(voteId) && this.fetcher.memberVotesExist(voteId)) {
+      this.fetcher.skippedVotes++;
+      console.log(`⏭️  Skipping existing vote ${voteId}`);
+      return false;
+    }
+
+    try {
+      const paddedNumber = String(voteNumber).padStart(5, '0');
+      const fileName = `vote_${congress}_${session}_${paddedNumber}.xml`;
+      const xml = await this.loadXml(
+        fileName,
+        `${this.baseUrl}/roll_call_votes/vote${congress}${session}/${fileName}`,
+        [`vote_${congress}_${session}_${voteNumber}.xml`]
+      );
+
+      if (!xml) {
+        console.log(`⚠️  Could not load Senate roll call ${voteId}`);
+        return false;
+      }
+
+      const vote = this.parseRollCallVote(xml);
+
+      if (!this.fetcher.isWithinDateRange(vote.date, options.startDate, options.endDate)) {
+        return false;
+      }
+
+      const url = `https://www.senate.gov/legislative/LIS/roll_call_votes/vote${congress}${session}/${fileName.replace('.xml', '.htm')}`;
+      const legislation = this.fetcher.resolver.resolveSenateVote(vote, congress);
+      const provenance = stamp(SOURCE_TYPES.OFFICIAL_RECORD, 'senate-roll-call-xml', url);
+
+      this.db.prepare(`
+        INSERT OR REPLACE INTO votes (
+          id, congress, chamber, session, roll_call_number, bill_id, amendment_id, vote_date, vote_time,
+          question, description, result, total_yes, total_no, total_present, total_not_voting, url,
+          source_type, source_url, retrieved_at, method, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        voteId,
+        congress,
+        'senate',
+        session,
+        voteNumber,
+        legislation.billId,
+        legislation.amendmentId,
+        vote.date,
+        vote.time,
+        vote.question,
+        vote.description,
+        vote.result,
+        vote.totals.yes,
+        vote.totals.no,
+        vote.totals.present,
+        vote.totals.notVoting,
+        url,
+        provenance.source_type,
+        provenance.source_url,
+        provenance.retrieved_at,
+        provenance.method,
+        clock.toSqlTimestamp(),
+        clock.toSqlTimestamp()
+      );
+
+      this.fetcher.newVotesProcessed++;
+      if (legislation.amendmentId) {
+        this.fetcher.resolver.recordAmendment(legislation.amendmentId, {
+          billId: legislation.billId,
+          chamber: 'senate',
+          purpose: vote.amendmentPurpose
+        });
+      }
+
+      console.log(`✅ Processed vote ${voteId}: ${vote.question.substring(0, 50)}...`);
+
+      const matched = this.processMemberVotes(voteId, vote.members, provenance);
+      this.fetcher.newMemberVotesProcessed += matched;
+      console.log(`✅ Processed ${matched}/${vote.members.length} member votes for ${voteId}`);
+      return true;
+
+    } catch (error) {
+      console.error(`❌ Error processing Senate vote ${voteId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Store member votes, returning the number matched to politicians. The
+   * rest are queued for review (node scripts/member-matcher.js list).
+   */
+  processMemberVotes(voteId, members, provenance) {
+    const matcher = this.fetcher.matcher;
+    const context = matcher.getVoteContext(voteId);
+    let matched = 0;
+
+    const insertAll = this.db.transaction(() => {
+      for (const member of members) {
+        const rosterEntry = {
+          lis_id: member.lisMemberId || null,
+          first_name: member.firstName,
+          last_name: member.lastName,
+          state: member.state,
+          party: member.party,
+          chamber: 'Senate'
+        };
+
+        if (matcher.matchAndRecord(voteId, rosterEntry, this.normalizeVoteCast(member.voteCast), provenance, context)) {
+          matched++;
+        } else {
+          this.unmatchedMembers++;
+        }
+      }
+    });
+
+    insertAll();
+    return matched;
+  }
+
+  /**
+   * Normalize Senate vote casts to the positions used for House votes
+   */
+  normalizeVoteCast(voteCast) {
+    const positions = {
+      'Yea': 'Yes',
+      'Guilty': 'Yes',
+      'Nay': 'No',
+      'Not Guilty': 'No',
+      'Present': 'Present',
+      'Present, Giving Live Pair': 'Present',
+      'Not Voting': 'Not Voting'
+    };
+
+    return positions[voteCast] || voteCast;
+  }
+
+  /**
+   * Load an XML document from the local directory, or from senate.gov
+   * when no directory was given
+   */
+  async loadXml(fileName, url, alternateNames = []) {
+    if (this.xmlDir) {
+      for (const name of [fileName, ...alternateNames]) {
+        const filePath = path.join(this.xmlDir, name);
+        if (fs.existsSync(filePath)) {
+          return fs.readFileSync(filePath, 'utf8');
+        }
+      }
+      return null;
+    }
+
+    const response = await this.fetcher.http.fetch(url);
+
+    if (!response.ok) {
+      if (response.status !== 404) {
+        console.log(`⚠️  Could not fetch ${url}: ${response.status}`);
+      }
+      return null;
+    }
+
+    return response.text();
+  }
+}
+
+module.exports = SenateVoteIngester;
@@ -0,0 +1,44 @@
+/**
+ * Sitemap reader
+ * Parses a sitemaps.org sitemap: a <urlset> lists pages, a <sitemapindex>
+ * lists further sitemaps. Plain-text sitemaps (one URL per line) are read
+ * too. Fetching, robots.txt and limits are left to the caller.
+ */
+
+const cheerio = require('cheerio');
+
+class SitemapReader {
+  /**
+   * Parse sitemap text into { type: 'urlset' | 'sitemapindex', entries: [{ loc, lastmod, priority }] }
+   */
+  static parse(text) {
+    const content = String(text || '').replace(/^\uFEFF/, '').trim();
+
+    if (!content.startsWith('<')) {
+      const entries = content.split(/\s+/)
+        .filter(line => /^https?:\/\//i.test(line))
+        .map(loc => ({ loc, lastmod: null, priority: null }));
+      return { type: 'urlset', entries };
+    }
+
+    const $ = cheerio.load(content, { xmlMode: true });
+    const isIndex = $('sitemapindex').length > 0;
+    const entries = [];
+
+    $(isIndex ? 'sitemapindex > sitemap' : 'urlset > url').each((i, element) => {
+      const loc = $(element).children('loc').text().trim();
+      if (!loc) return;
+
+      const priority = parseFloat($(element).children('priority').text());
+      entries.push({
+        loc,
+        lastmod: $(element).children('lastmod').text().trim() || null,
+        priority: isNaN(priority) ? null : priority
+      });
+    });
+
+    return { type: isIndex ? 'sitemapindex' : 'urlset', entries };
+  }
+}
+
+module.exports = SitemapReader;
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Page Snapshot Store
+ * Keeps every version of every crawled page, so a rewritten "Issues" page
+ * does not take the old wording with it. Raw HTML is stored gzipped under
+ * its SHA-256 (data/snapshots/ab/ab12....html.gz), so identical pages are
+ * only ever written once. page_snapshots has one row per revision of a
+ * URL's extracted text, in the order they were fetched, with the hash of
+ * the HTML it was read from and when that text was first and last fetched;
+ * markup-only changes (rotating tokens, timestamps) do not make a new
+ * revision, but text that changes back to an earlier version does.
+ */
+
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const Migrator = require('./migrate');
+const TextDiff = require('./text-diff');
+const clock = require('./clock');
+const { getDatabasePath, getSnapshotDir } = require('./data-paths');
+
+class SnapshotStore {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   * @param {string} options.dir - Snapshot directory (defaults to the one for the current mode)
+   */
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(getDatabasePath());
+    this.dir = options.dir || getSnapshotDir();
+    Migrator.migrate(this.db);
+  }
+
+  /**
+   * SHA-256 of a string, in hex
+   */
+  static hash(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+  }
+
+  /**
+   * Store a fetched page
+   * @returns {Object} { contentHash, textHash, version, changed } - changed is
+   *   true when the URL had an earlier version with different text
+   */
+  save({ politicianId, url, html, text, fetchedAt = clock.toSqlTimestamp() }) {
+    const contentHash = SnapshotStore.hash(html);
+    const textHash = SnapshotStore.hash(text);
+    const file = this.getPath(contentHash);
+
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, zlib.gzipSync(html));
+    }
+
+    // A fetch with the latest revision's text extends it; any other text,
+    // even an earlier revision's, starts a new one
+    const latest = this.db.prepare(`
+      SELECT id, text_hash FROM page_snapshots WHERE url = ? ORDER BY id DESC LIMIT 1
+    `).get(url);
+
+    let id;
+    if (latest && latest.text_hash === textHash) {
+      this.db.prepare(`
+        UPDATE page_snapshots SET last_fetched_at = ?, fetch_count = fetch_count + 1 WHERE id = ?
+      `).run(fetchedAt, latest.id);
+      id = latest.id;
+    } else {
+      id = this.db.prepare(`
+        INSERT INTO page_snapshots
+        (politician_id, url, content_hash, text_hash, extracted_text, byte_length, first_fetched_at, last_fetched_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(politicianId, url, contentHash, textHash, text, Buffer.byteLength(html), fetchedAt, fetchedAt).lastInsertRowid;
+    }
+
+    // Revisions are numbered in the order they were stored
+    const version = this.db.prepare(`
+      SELECT COUNT(*) FROM page_snapshots WHERE url = ? AND id <= ?
+    `).pluck().get(url, id);
+
+    return {
+      contentHash,
+      textHash,
+      version,
+      changed: !!latest && latest.text_hash !== textHash
+    };
+  }
+
+  /**
+   * Raw HTML for a content hash, or null if it is not stored
+   */
+  load(contentHash) {
+    const file = this.getPath(contentHash);
+    return fs.existsSync(file) ? zlib.gunzipSync(fs.readFileSync(file)).toString('utf8') : null;
+  }
+
+  /**
+   * Every version of a URL, oldest first
+   */
+  getVersions(url) {
+    return this.db.prepare(`
+      SELECT id, politician_id, url, content_hash, text_hash, extracted_text, byte_length,
+        first_fetched_at, last_fetched_at, fetch_count
+      FROM page_snapshots
+      WHERE url = ?
+      ORDER BY id
+    `).all(url);
+  }
+
+  /**
+   * Where the HTML for a content hash lives
+   */
+  getPath(contentHash) {
+    return path.join(this.dir, contentHash.substring(0, 2), `${contentHash}.html.gz`);
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'help';
+  const target = args[1];
+
+  function runCLI() {
+    if (!['versions', 'diff', 'show'].includes(command)) {
+      console.log(`
+📚 Page Snapshot Store
+
+Usage: node snapshot-store.js <command> [options]
+
+Commands:
+  versions <url>           Every stored version of a page
+  diff <url>               Word diff of a page's last two versions
+  show <content_hash>      Print the stored HTML (a hash prefix is enough)
+  help                     Show this help message
+      `);
+      return;
+    }
+
+    if (!target) {
+      console.error(`Usage: node snapshot-store.js ${command} <${command === 'show' ? 'content_hash' : 'url'}>`);
+      process.exit(1);
+    }
+
+    const store = new SnapshotStore();
+
+    try {
+      switch (command) {
+        case 'versions': {
+          const versions = store.getVersions(target);
+          console.log(`📚 ${versions.length} version${versions.length === 1 ? '' : 's'} of ${target}`);
+          versions.forEach((version, index) => {
+            console.log(`   ${index + 1}. ${version.first_fetched_at} → ${version.last_fetched_at} (${version.fetch_count} fetches)`);
+            console.log(`      html ${version.content_hash.substring(0, 12)} · ${version.byte_length} bytes · ${TextDiff.tokenize(version.extracted_text).length} words`);
+          });
+          break;
+        }
+
+        case 'diff': {
+          const versions = store.getVersions(target);
+          if (versions.length < 2) {
+            console.log(`${target} has not changed (${versions.length} version${versions.length === 1 ? '' : 's'} stored)`);
+            break;
+          }
+          const [before, after] = versions.slice(-2);
+          const segments = TextDiff.diffWords(before.extracted_text, after.extracted_text);
+          const { removed, added } = TextDiff.summarize(segments);
+          console.log(`📝 ${target}: ${before.first_fetched_at} → ${after.first_fetched_at} (-${removed} +${added} words)`);
+          console.log(TextDiff.collapse(segments).map(segment => {
+            if (segment.type === 'removed') return `[-${segment.text}-]`;
+            if (segment.type === 'added') return `{+${segment.text}+}`;
+            return segment.text;
+          }).join(' '));
+          break;
+        }
+
+        case 'show': {
+          const match = store.db.prepare(`
+            SELECT content_hash FROM page_snapshots WHERE content_hash LIKE ? LIMIT 1
+          `).get(`${target}%`);
+          const html = match ? store.load(match.content_hash) : null;
+          if (html === null) {
+            console.error(`❌ No snapshot stored for ${target}`);
+            process.exit(1);
+          }
+          process.stdout.write(html);
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Snapshot store failed:', error.message);
+      process.exit(1);
+    } finally {
+      store.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = SnapshotStore;
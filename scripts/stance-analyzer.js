@@ -0,0 +1,533 @@
+#!/usr/bin/env node
+
+/**
+ * Stance Analyzer
+ * Works out whether a passage supports or opposes a policy topic, one
+ * sentence at a time, and returns the sentences that justify the call.
+ *
+ * Each sentence is tokenized and split into clauses. Within a clause the
+ * analyzer finds mentions of the topic (its targets) and the stance cues
+ * around them, then combines them:
+ *   - cues compose: "oppose cuts to Social Security" is support, because
+ *     opposing a cut to the target protects it
+ *   - negation flips the next cue: "I will never support cuts" is support
+ *   - targets that name a problem flip too: "reduce pollution" supports the
+ *     environment, "lower healthcare costs" supports healthcare
+ * Words match whole tokens, so "stop" does not match "nonstop" and "ai"
+ * does not match "said". Everything runs locally with no model service.
+ */
+
+const Database = require('better-sqlite3');
+const { getDatabasePath } = require('./data-paths');
+const fs = require('fs');
+
+// Stance cues: 1 = pushes the target forward, -1 = works against it.
+// Neutral cues only consume words so they are not read as something else
+const SUPPORT_CUES = [
+  'support', 'champion', 'advocate', 'endorse', 'defend', 'protect', 'preserve', 'safeguard',
+  'strengthen', 'expand', 'increase', 'improve', 'promote', 'invest', 'funding', 'prioritize',
+  'restore', 'extend', 'guarantee', 'save', 'raise', 'fight for', 'fought for', 'stand up for',
+  'stood up for', 'stand with', 'stood with', 'vote for', 'voted for', 'in favor of', 'believe in',
+  'committed to', 'dedicated to'
+];
+
+const OPPOSE_CUES = [
+  'oppose', 'against', 'reject', 'block', 'stop', 'prevent', 'cut', 'reduce', 'lower', 'eliminate',
+  'repeal', 'defund', 'privatize', 'dismantle', 'gut', 'slash', 'undermine', 'abolish', 'resist',
+  'ban', 'restrict', 'limit', 'threaten', 'attack', 'raid', 'weaken', 'cancel', 'combat', 'tackle',
+  'fight', 'fought', 'roll back', 'rollback', 'phase out', 'scale back', 'crack down on', 'crackdown on'
+];
+
+const NEUTRAL_CUES = ['fight to', 'fought to', 'fighting to', 'work to', 'working to', 'stand up to'];
+
+const NEGATORS = ['not', 'no', 'never', 'neither', 'nor', 'without', 'cannot', 'refuse', 'refuses', 'refused'];
+
+// Negators that are part of another expression
+const NEGATOR_EXCEPTIONS = ['no one', 'no matter', 'not only', 'no doubt'];
+
+const INTENSIFIERS = [
+  'strongly', 'firmly', 'absolutely', 'fully', 'always', 'never', 'must', 'relentlessly',
+  'vigorously', 'unequivocally', 'wholeheartedly', 'proudly', 'priority'
+];
+
+// A target followed by one of these names a burden on the topic
+const BURDEN_NOUNS = ['cost', 'costs', 'price', 'prices', 'premiums', 'debt', 'fees', 'backlog', 'backlogs', 'waste', 'fraud'];
+
+// Clause boundaries: stance cues do not reach across them
+const CLAUSE_BREAKS = [';', ':', '(', ')', '—', '–', 'but', 'however', 'although', 'though', 'whereas'];
+
+// A negator only reaches the first cue within this many words
+const NEGATION_WINDOW = 5;
+
+// Cues chain toward a target across at most this many words each
+const CUE_REACH = 6;
+
+// Topic-specific targets. Polarity -1 marks a term whose support means
+// opposing the topic ("mass deportation" for immigration, "pollution" for
+// the environment); these override aliases with the same wording.
+const TOPIC_TERMS = {
+  healthcare: { 'public option': 1, 'single payer': 1, 'universal healthcare': 1, 'medicare for all': 1 },
+  immigration: {
+    'path to citizenship': 1, 'dreamers': 1, 'family reunification': 1, 'amnesty': 1,
+    'deportation': -1, 'deportations': -1, 'mass deportation': -1, 'border wall': -1
+  },
+  economy: { 'minimum wage': 1, 'small business': 1, 'small businesses': 1, 'recession': -1, 'inflation': -1, 'unemployment': -1 },
+  housing: { 'homelessness': -1, 'evictions': -1, 'housing costs': -1 },
+  education: { 'public schools': 1, 'school vouchers': -1, 'student debt': -1 },
+  environment: {
+    'paris agreement': 1, 'pollution': -1, 'carbon': -1, 'emissions': -1, 'carbon emissions': -1,
+    'climate change': -1, 'fossil fuels': -1, 'fossil fuel': -1, 'drilling': -1, 'oil drilling': -1
+  },
+  defense: { 'defense budget': 1 },
+  civil_rights: { 'discrimination': -1, 'voter suppression': -1, 'racism': -1, 'hate crimes': -1 },
+  criminal_justice: { 'crime': -1, 'mass incarceration': -1, 'police brutality': -1 },
+  taxation: { 'tax cuts': -1, 'tax cut': -1, 'tax breaks': -1, 'tax relief': -1 },
+  social_security: { 'retirement age': -1 },
+  technology: { 'net neutrality': 1, 'data breaches': -1, 'cyberattacks': -1 }
+};
+
+/**
+ * Every inflection of a cue word worth matching ("cut" -> "cuts",
+ * "cutting"; "protect" -> "protects", "protected", "protecting")
+ */
+function inflect(word) {
+  const forms = new Set([word, `${word}s`, `${word}es`, `${word}ed`, `${word}ing`]);
+
+  if (word.endsWith('e')) {
+    forms.add(`${word}d`);
+    forms.add(`${word.slice(0, -1)}ing`);
+  }
+  if (/[^aeiou]y$/.test(word)) {
+    forms.add(`${word.slice(0, -1)}ies`);
+    forms.add(`${word.slice(0, -1)}ied`);
+  }
+  // Short consonant-vowel-consonant words double their last letter
+  if (/^[^aeiou]*[aeiou][bdgmnprt]$/.test(word)) {
+    const last = word[word.length - 1];
+    forms.add(`${word}${last}ed`);
+    forms.add(`${word}${last}ing`);
+  }
+
+  return [...forms];
+}
+
+/**
+ * Expand cue phrases into every inflected form, inflecting the first word
+ */
+function buildCues(phrases, polarity) {
+  return phrases.flatMap(phrase => {
+    const [first, ...rest] = phrase.split(' ');
+    return inflect(first).map(form => ({ words: [form, ...rest], polarity, term: phrase }));
+  });
+}
+
+const CUES = [
+  ...buildCues(SUPPORT_CUES, 1),
+  ...buildCues(OPPOSE_CUES, -1),
+  ...NEUTRAL_CUES.map(phrase => ({ words: phrase.split(' '), polarity: 0, term: phrase }))
+];
+
+class StanceAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.targets - Topic aliases keyed by canonical topic name
+   */
+  constructor(options = {}) {
+    this.targets = new Map();
+
+    for (const [topic, aliases] of Object.entries(options.targets || {})) {
+      this.targets.set(topic, this.buildTargets(topic, aliases));
+    }
+  }
+
+  /**
+   * Build an analyzer with the topic aliases stored in the database
+   */
+  static fromDatabase(db) {
+    const targets = {};
+
+    db.prepare(`
+      SELECT t.canonical_name, t.display_name, a.alias
+      FROM policy_topics t
+      LEFT JOIN topic_aliases a ON t.id = a.topic_id
+    `).all().forEach(row => {
+      if (!targets[row.canonical_name]) {
+        targets[row.canonical_name] = [row.display_name];
+      }
+      if (row.alias) {
+        targets[row.canonical_name].push(row.alias);
+      }
+    });
+
+    return new StanceAnalyzer({ targets });
+  }
+
+  /**
+   * Target terms for a topic, longest first so "mass deportation" wins over
+   * "deportation"
+   */
+  buildTargets(topic, aliases = []) {
+    const terms = new Map();
+
+    [topic.replace(/_/g, ' '), ...aliases].forEach(alias => {
+      terms.set(alias.toLowerCase(), 1);
+    });
+    Object.entries(TOPIC_TERMS[topic] || {}).forEach(([term, polarity]) => {
+      terms.set(term, polarity);
+    });
+
+    return [...terms.entries()]
+      .map(([term, polarity]) => ({ words: this.tokenize(term), polarity, term }))
+      .filter(target => target.words.length > 0)
+      .sort((a, b) => b.words.length - a.words.length);
+  }
+
+  getTargets(topic) {
+    if (!this.targets.has(topic)) {
+      this.targets.set(topic, this.buildTargets(topic));
+    }
+    return this.targets.get(topic);
+  }
+
+  /**
+   * Split text into sentences, keeping abbreviations such as "U.S." and
+   * "H.R." inside their sentence
+   */
+  splitSentences(text) {
+    return (text || '')
+      .replace(/\b(?:[A-Z]\.){2,}/g, match => match.replace(/\./g, '\u0000'))
+      .replace(/\b(Mr|Mrs|Ms|Dr|Sen|Rep|Gov|Jr|Sr|St|vs|etc|e\.g|i\.e)\./g, '$1\u0000')
+      .split(/(?<=[.!?])["”’)]*\s+|\n+/)
+      .map(sentence => sentence.replace(/\u0000/g, '.').replace(/\s+/g, ' ').trim())
+      .filter(sentence => sentence.length > 0);
+  }
+
+  /**
+   * Lowercase word tokens plus the punctuation that bounds clauses.
+   * Contractions ending in n't become "not".
+   */
+  tokenize(text) {
+    const tokens = (text || '').toLowerCase().replace(/’/g, "'").match(/[a-z0-9]+(?:['-][a-z0-9]+)*|[,;:()—–]/g) || [];
+
+    return tokens.flatMap(token => {
+      if (token === "can't" || token === 'cannot') return ['can', 'not'];
+      if (token === "won't") return ['will', 'not'];
+      if (token.endsWith("n't")) return [token.slice(0, -3), 'not'];
+      return [token.replace(/'s$/, '')];
+    });
+  }
+
+  /**
+   * Index of the first occurrence of a term in a token list, or -1. The last
+   * word may carry a plural "s".
+   */
+  findTerm(words, term) {
+    const termWords = Array.isArray(term) ? term : this.tokenize(term);
+    if (termWords.length === 0) return -1;
+
+    for (let i = 0; i <= words.length - termWords.length; i++) {
+      if (this.matchesAt(words, i, termWords)) return i;
+    }
+    return -1;
+  }
+
+  matchesAt(words, start, termWords) {
+    return termWords.every((termWord, offset) => {
+      const word = words[start + offset];
+      return word === termWord || (offset === termWords.length - 1 && word === `${termWord}s`);
+    });
+  }
+
+  /**
+   * Whether text mentions a topic
+   */
+  mentionsTopic(text, topic) {
+    const words = this.tokenize(text);
+    return this.getTargets(topic).some(target => this.findTerm(words, target.words) !== -1);
+  }
+
+  /**
+   * Find non-overlapping matches of a lexicon in a clause, longest first
+   */
+  findSpans(words, lexicon, taken) {
+    const spans = [];
+
+    for (let i = 0; i < words.length; i++) {
+      if (taken[i]) continue;
+
+      const entry = lexicon
+        .filter(item => i + item.words.length <= words.length && this.matchesAt(words, i, item.words))
+        .sort((a, b) => b.words.length - a.words.length)[0];
+
+      if (entry && !entry.words.some((_, offset) => taken[i + offset])) {
+        spans.push({ start: i, end: i + entry.words.length, polarity: entry.polarity, term: entry.term });
+        for (let j = i; j < i + entry.words.length; j++) taken[j] = true;
+        i += entry.words.length - 1;
+      }
+    }
+
+    return spans;
+  }
+
+  /**
+   * Flip the first cue after each negator, as long as it is close and not
+   * past a comma
+   */
+  applyNegation(words, cues) {
+    words.forEach((word, index) => {
+      if (!NEGATORS.includes(word)) return;
+      if (NEGATOR_EXCEPTIONS.includes(`${word} ${words[index + 1]}`)) return;
+
+      const cue = cues.find(candidate => candidate.start > index && candidate.polarity !== 0);
+      if (!cue || cue.start - index > NEGATION_WINDOW) return;
+      if (words.slice(index + 1, cue.start).includes(',')) return;
+
+      if (!cue.negated) {
+        cue.negated = true;
+        cue.polarity = -cue.polarity;
+        cue.term = `${word} ${cue.term}`;
+      }
+    });
+  }
+
+  /**
+   * Drop cues coordinated with the one before ("protect and expand",
+   * "cut and privatize") so they are not multiplied together
+   */
+  removeCoordinatedCues(words, cues) {
+    return cues.filter((cue, index) => {
+      const previous = cues[index - 1];
+      if (!previous || previous.polarity === 0) return true;
+      const gap = words.slice(previous.end, cue.start);
+      return !(gap.length > 0 && gap.every(word => ['and', 'or', ','].includes(word)));
+    });
+  }
+
+  /**
+   * Targets that name a burden on the topic ("healthcare costs", "the cost
+   * of college") work the other way round
+   */
+  getTargetPolarity(words, target) {
+    const before = words.slice(Math.max(0, target.start - 3), target.start).filter(word => word !== 'the');
+    const burdenAfter = BURDEN_NOUNS.includes(words[target.end]);
+    const burdenBefore = before.length >= 2 && before[before.length - 1] === 'of' && BURDEN_NOUNS.includes(before[before.length - 2]);
+
+    return burdenAfter || burdenBefore ? -target.polarity : target.polarity;
+  }
+
+  /**
+   * Cues that reach a target: the nearest cue within CUE_REACH words, then
+   * each further cue within CUE_REACH words of the last one. Direction is
+   * -1 to walk back from the target and 1 to walk forward.
+   */
+  chainCues(cues, target, direction) {
+    const ordered = direction < 0 ? [...cues].reverse() : cues;
+    const chain = [];
+    let edge = direction < 0 ? target.start : target.end;
+
+    for (const cue of ordered) {
+      const gap = direction < 0 ? edge - cue.end : cue.start - edge;
+      if (gap > CUE_REACH) break;
+      chain.push(cue);
+      edge = direction < 0 ? cue.start : cue.end;
+    }
+
+    return direction < 0 ? chain.reverse() : chain;
+  }
+
+  /**
+   * Combine cues into a polarity, or null when none of them carry one
+   */
+  combineCues(cues) {
+    const directional = cues.filter(cue => cue.polarity !== 0);
+    if (directional.length === 0) return null;
+    return directional.reduce((product, cue) => product * cue.polarity, 1);
+  }
+
+  /**
+   * Stance a single clause takes on a topic: a sum of target polarities
+   * plus the cues that produced them
+   */
+  analyzeClause(words, topicTargets) {
+    const taken = [];
+    const targets = this.findSpans(words, topicTargets, taken);
+    if (targets.length === 0) return null;
+
+    const cues = this.findSpans(words, CUES, taken);
+    this.applyNegation(words, cues);
+    const activeCues = this.removeCoordinatedCues(words, cues);
+
+    let score = 0;
+    const usedCues = [];
+    let previous = null;
+
+    targets.forEach((target, index) => {
+      const from = previous ? previous.target.end : 0;
+      const to = targets[index + 1] ? targets[index + 1].start : words.length;
+
+      let governing = this.chainCues(activeCues.filter(cue => cue.start >= from && cue.end <= target.start), target, -1);
+      let polarity = this.combineCues(governing);
+
+      // "protect Medicare and Medicaid": the second target shares the first one's cues
+      if (polarity === null && previous && previous.polarity !== null) {
+        governing = previous.cues;
+        polarity = previous.polarity;
+      }
+
+      // Predicates after the target: "Social Security must be protected"
+      if (polarity === null) {
+        governing = this.chainCues(activeCues.filter(cue => cue.start >= target.end && cue.end <= to), target, 1);
+        polarity = this.combineCues(governing);
+      }
+
+      previous = { target, polarity, cues: governing };
+      if (polarity === null) return;
+
+      score += polarity * this.getTargetPolarity(words, target);
+      usedCues.push(...governing.map(cue => cue.term), target.term);
+    });
+
+    return { score, cues: [...new Set(usedCues)] };
+  }
+
+  /**
+   * Stance of one sentence on a topic, or null when it takes none
+   */
+  analyzeSentence(sentence, topic) {
+    // Questions ("Should we cut Medicare?") do not state a stance
+    if (/\?["”’)]*$/.test(sentence)) return null;
+
+    const words = this.tokenize(sentence);
+    const topicTargets = this.getTargets(topic);
+    const clauses = [[]];
+
+    words.forEach(word => {
+      if (CLAUSE_BREAKS.includes(word)) {
+        clauses.push([]);
+      } else {
+        clauses[clauses.length - 1].push(word);
+      }
+    });
+
+    let score = 0;
+    const cues = [];
+
+    clauses.forEach(clause => {
+      const result = this.analyzeClause(clause, topicTargets);
+      if (result) {
+        score += result.score;
+        cues.push(...result.cues);
+      }
+    });
+
+    if (score === 0) return null;
+
+    return {
+      sentence,
+      stance: score > 0 ? 'support' : 'oppose',
+      cues,
+      strong: INTENSIFIERS.some(word => words.includes(word))
+    };
+  }
+
+  /**
+   * Analyze a passage's stance on a topic.
+   * @param {string} text - Passage to read
+   * @param {string} topic - Canonical topic name
+   * @returns {Object} position (support, oppose, mixed or neutral),
+   *   confidence, strength, supportScore and opposeScore (sentence counts),
+   *   keyPhrases (the sentences behind the stance) and evidence (every
+   *   stance-taking sentence with its cues)
+   */
+  analyze(text, topic) {
+    const evidence = this.splitSentences(text)
+      .map(sentence => this.analyzeSentence(sentence, topic))
+      .filter(Boolean);
+
+    const supporting = evidence.filter(item => item.stance === 'support');
+    const opposing = evidence.filter(item => item.stance === 'oppose');
+    const supportScore = supporting.length;
+    const opposeScore = opposing.length;
+
+    let position = 'neutral';
+    let confidence = 0.1;
+    let justifying = [];
+
+    if (supportScore > opposeScore || opposeScore > supportScore) {
+      position = supportScore > opposeScore ? 'support' : 'oppose';
+      justifying = position === 'support' ? supporting : opposing;
+      const strongCount = justifying.filter(item => item.strong).length;
+      const agreement = justifying.length / evidence.length;
+      confidence = Math.min(0.9, 0.3 + (justifying.length * 0.15) + (strongCount * 0.1)) * agreement;
+    } else if (evidence.length > 0) {
+      position = 'mixed';
+      justifying = evidence;
+      confidence = Math.min(0.7, 0.2 + (evidence.length * 0.1));
+    }
+
+    return {
+      position,
+      confidence: Math.round(confidence * 100) / 100,
+      strength: justifying.some(item => item.strong) ? 'strong' : 'moderate',
+      supportScore,
+      opposeScore,
+      keyPhrases: justifying.slice(0, 3).map(item => item.sentence),
+      evidence
+    };
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'help';
+
+  switch (command) {
+    case 'analyze': {
+      const [topic, ...words] = args.slice(1);
+      if (!topic || words.length === 0) {
+        console.error('Usage: node stance-analyzer.js analyze <topic> <text>');
+        process.exit(1);
+      }
+
+      // Use the stored topic aliases when the database is there
+      const dbPath = getDatabasePath();
+      let analyzer = new StanceAnalyzer();
+      if (fs.existsSync(dbPath)) {
+        const db = new Database(dbPath, { readonly: true });
+        try {
+          analyzer = StanceAnalyzer.fromDatabase(db);
+        } catch (error) {
+          console.error('⚠️  Could not load topic aliases:', error.message);
+        } finally {
+          db.close();
+        }
+      }
+
+      const result = analyzer.analyze(words.join(' '), topic);
+      console.log(`🧭 ${topic}: ${result.position} (${Math.round(result.confidence * 100)}%, ${result.strength})`);
+      result.evidence.forEach(item => {
+        console.log(`   ${item.stance === 'support' ? '👍' : '👎'} "${item.sentence}" [${item.cues.join(', ')}]`);
+      });
+      break;
+    }
+
+    case 'help':
+    default:
+      console.log(`
+🧭 Stance Analyzer
+
+Usage: node stance-analyzer.js <command> [options]
+
+Commands:
+  analyze <topic> <text>    Show the stance a passage takes on a topic and why
+  help                      Show this help message
+
+Examples:
+  node stance-analyzer.js analyze social_security "I will never support cuts to Social Security."
+      `);
+      break;
+  }
+}
+
+module.exports = StanceAnalyzer;
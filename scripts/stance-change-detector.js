@@ -0,0 +1,458 @@
+#!/usr/bin/env node
+
+/**
+ * Stance Change Detector
+ * Flags reversals between support and oppose on a topic, from two kinds of
+ * record:
+ *   stated - a politician's site said one thing in one version of a
+ *            position and the opposite in a later one (position_history)
+ *   voting - their votes on the topic's bills mostly pushed one way in one
+ *            congress and mostly the other way in a later one, using
+ *            BillTopicMapper's topic mappings and vote directions
+ * Neutral versions and mixed or thin congresses are skipped over, so a
+ * reversal is always measured against the last clear stance. Every run
+ * recomputes stance_changes; rows found before keep their detected_at.
+ */
+
+const Database = require('better-sqlite3');
+const Migrator = require('./migrate');
+const BillTopicMapper = require('./bill-topic-mapper');
+const { stamp, isSynthetic, SOURCE_TYPES } = require('./provenance');
+const { getDatabasePath } = require('./data-paths');
+
+// Directional votes a congress needs before its direction counts
+const MIN_VOTES = 3;
+
+// Share of votes one way for a congress to count as supporting or opposing;
+// the same cut BillTopicMapper uses for mostly_supportive and mostly_opposing
+const DOMINANT_SHARE = 0.7;
+
+// Votes kept as evidence for each side of a voting reversal
+const SAMPLE_VOTES = 5;
+
+const CLEAR_STANCES = ['support', 'oppose'];
+
+class StanceChangeDetector {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   * @param {BillTopicMapper} options.mapper - Share a mapper on the same connection
+   */
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(getDatabasePath());
+    Migrator.migrate(this.db);
+    this.ownsMapper = !options.mapper;
+    this.mapper = options.mapper || new BillTopicMapper({ db: this.db });
+  }
+
+  /**
+   * Detect every reversal and replace the contents of stance_changes
+   * @returns {Object} { stated, voting } - reversals found of each kind
+   */
+  detectAll() {
+    console.log('🔁 Detecting stance reversals...');
+
+    const stated = this.detectStatedChanges();
+    const voting = this.detectVotingChanges();
+    this.save([...stated, ...voting]);
+
+    console.log(`✅ Found ${stated.length} stated and ${voting.length} voting reversals`);
+    return { stated: stated.length, voting: voting.length };
+  }
+
+  /**
+   * Reversals between versions of each stated position
+   */
+  detectStatedChanges() {
+    const versions = this.db.prepare(`
+      SELECT ph.politician_id, ph.topic_id, ph.version, ph.stance, ph.position_summary, ph.source_url,
+        ph.snapshot_hash, ph.first_seen_at, ph.last_seen_at, ph.source_type
+      FROM position_history ph
+      ORDER BY ph.politician_id, ph.topic_id, ph.version
+    `).iterate();
+
+    const changes = [];
+    let key = null;
+    let last = null;
+
+    for (const version of versions) {
+      const versionKey = `${version.politician_id}\n${version.topic_id}`;
+      if (versionKey !== key) {
+        key = versionKey;
+        last = null;
+      }
+      if (!CLEAR_STANCES.includes(version.stance)) continue;
+
+      if (last && last.stance !== version.stance) {
+        changes.push({
+          politician_id: version.politician_id,
+          topic_id: version.topic_id,
+          kind: 'stated',
+          before_stance: last.stance,
+          after_stance: version.stance,
+          before_date: last.last_seen_at,
+          after_date: version.first_seen_at,
+          before_congress: null,
+          after_congress: null,
+          before_evidence: this.statedEvidence(last),
+          after_evidence: this.statedEvidence(version),
+          source_url: version.source_url,
+          synthetic: isSynthetic(version.source_type)
+        });
+      }
+      last = version;
+    }
+
+    return changes;
+  }
+
+  /**
+   * What one version of a position said, and where
+   */
+  statedEvidence(version) {
+    return {
+      version: version.version,
+      summary: version.position_summary,
+      source_url: version.source_url,
+      snapshot_hash: version.snapshot_hash,
+      first_seen_at: version.first_seen_at,
+      last_seen_at: version.last_seen_at
+    };
+  }
+
+  /**
+   * Reversals in the direction of each politician's votes on a topic
+   * between congresses
+   */
+  detectVotingChanges() {
+    const coded = this.db.prepare('SELECT COUNT(*) FROM vote_directions').pluck().get();
+    if (coded === 0) {
+      console.log('⚠️  No vote directions coded yet, so votes were not checked. Run `npm run bills:analyze` first.');
+      return [];
+    }
+
+    const votes = this.db.prepare(`
+      SELECT pv.politician_id, bt.topic_id, v.congress, v.id AS vote_id, v.vote_date, v.amendment_id,
+        b.title, pv.position AS vote, vd.direction, pv.source_type
+      FROM politician_votes pv
+      JOIN votes v ON v.id = pv.vote_id
+      JOIN bills b ON b.id = v.bill_id
+      JOIN bill_topics bt ON bt.bill_id = b.id
+      JOIN vote_directions vd ON vd.vote_id = v.id AND vd.topic_id = bt.topic_id
+      WHERE pv.position IN ('Yes', 'No') AND vd.direction != 'neutral'
+      ORDER BY pv.politician_id, bt.topic_id, v.congress, v.vote_date, v.id
+    `).iterate();
+
+    const changes = [];
+    let key = null;
+    let periods = [];
+
+    const flush = () => {
+      changes.push(...this.compareCongresses(periods));
+      periods = [];
+    };
+
+    for (const vote of votes) {
+      const voteKey = `${vote.politician_id}\n${vote.topic_id}`;
+      if (voteKey !== key) {
+        flush();
+        key = voteKey;
+      }
+
+      let period = periods[periods.length - 1];
+      if (!period || period.congress !== vote.congress) {
+        period = {
+          politician_id: vote.politician_id,
+          topic_id: vote.topic_id,
+          congress: vote.congress,
+          votes: []
+        };
+        periods.push(period);
+      }
+      period.votes.push({ ...vote, effect: this.mapper.getVoteEffect(vote) });
+    }
+    flush();
+
+    return changes;
+  }
+
+  /**
+   * Reversals across one politician's congresses on one topic, oldest first
+   */
+  compareCongresses(periods) {
+    const changes = [];
+    let last = null;
+
+    for (const period of periods) {
+      const stance = this.getVotingStance(period.votes);
+      if (!stance) continue;
+
+      if (last && last.stance !== stance) {
+        changes.push({
+          politician_id: period.politician_id,
+          topic_id: period.topic_id,
+          kind: 'voting',
+          before_stance: last.stance,
+          after_stance: stance,
+          before_date: last.period.votes[last.period.votes.length - 1].vote_date,
+          after_date: period.votes[0].vote_date,
+          before_congress: last.period.congress,
+          after_congress: period.congress,
+          before_evidence: this.votingEvidence(last.period, last.stance),
+          after_evidence: this.votingEvidence(period, stance),
+          source_url: null,
+          synthetic: [...last.period.votes, ...period.votes].some(vote => isSynthetic(vote.source_type))
+        });
+      }
+      last = { period, stance };
+    }
+
+    return changes;
+  }
+
+  /**
+   * 'support' when a congress's votes mostly expanded the topic, 'oppose'
+   * when they mostly restricted it, null when mixed or too few
+   */
+  getVotingStance(votes) {
+    if (votes.length < MIN_VOTES) return null;
+
+    // Each side's share is compared on its own; 1 - DOMINANT_SHARE is not exact in floating point
+    const expanding = votes.filter(vote => vote.effect > 0).length;
+    if (expanding / votes.length > DOMINANT_SHARE) return 'support';
+    if ((votes.length - expanding) / votes.length > DOMINANT_SHARE) return 'oppose';
+    return null;
+  }
+
+  /**
+   * Vote counts for one congress, with a few of the votes that went the
+   * dominant way
+   */
+  votingEvidence(period, stance) {
+    const effect = stance === 'support' ? 1 : -1;
+    const expanding = period.votes.filter(vote => vote.effect > 0).length;
+
+    return {
+      congress: period.congress,
+      votes_counted: period.votes.length,
+      expanding,
+      restricting: period.votes.length - expanding,
+      votes: period.votes
+        .filter(vote => vote.effect === effect)
+        .slice(0, SAMPLE_VOTES)
+        .map(vote => ({
+          vote_id: vote.vote_id,
+          vote: vote.vote,
+          direction: vote.direction,
+          title: vote.title,
+          amendment_id: vote.amendment_id,
+          vote_date: vote.vote_date
+        }))
+    };
+  }
+
+  /**
+   * Replace stance_changes with this run's reversals
+   */
+  save(changes) {
+    const upsert = this.db.prepare(`
+      INSERT INTO stance_changes
+      (politician_id, topic_id, kind, before_stance, after_stance, before_date, after_date,
+       before_congress, after_congress, before_evidence, after_evidence,
+       source_type, source_url, retrieved_at, method)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (politician_id, topic_id, kind, after_date) DO UPDATE SET
+        before_stance = excluded.before_stance,
+        after_stance = excluded.after_stance,
+        before_date = excluded.before_date,
+        before_congress = excluded.before_congress,
+        after_congress = excluded.after_congress,
+        before_evidence = excluded.before_evidence,
+        after_evidence = excluded.after_evidence,
+        source_type = excluded.source_type,
+        source_url = excluded.source_url,
+        retrieved_at = excluded.retrieved_at,
+        method = excluded.method
+      RETURNING id
+    `);
+
+    this.db.transaction(() => {
+      const ids = changes.map(change => {
+        // A reversal read from demo positions or votes is demo data too
+        const provenance = stamp(
+          change.synthetic ? SOURCE_TYPES.DEMO : SOURCE_TYPES.COMPUTED,
+          'stance-change-detector',
+          change.source_url
+        );
+
+        return upsert.get(
+          change.politician_id,
+          change.topic_id,
+          change.kind,
+          change.before_stance,
+          change.after_stance,
+          change.before_date,
+          change.after_date,
+          change.before_congress,
+          change.after_congress,
+          JSON.stringify(change.before_evidence),
+          JSON.stringify(change.after_evidence),
+          provenance.source_type,
+          provenance.source_url,
+          provenance.retrieved_at,
+          provenance.method
+        ).id;
+      });
+
+      this.db.prepare(`
+        DELETE FROM stance_changes WHERE id NOT IN (SELECT value FROM json_each(?))
+      `).run(JSON.stringify(ids));
+    })();
+  }
+
+  /**
+   * The latest reversals across everyone, newest first
+   * @param {number} limit
+   * @param {string} kind - 'stated' or 'voting'; both when null
+   */
+  getRecentChanges(limit = 50, kind = null) {
+    return this.db.prepare(`
+      SELECT sc.*, pol.name, pol.party, pol.state, pol.chamber,
+        t.canonical_name AS topic_name, t.display_name AS topic_display
+      FROM stance_changes sc
+      JOIN politicians pol ON pol.id = sc.politician_id
+      JOIN policy_topics t ON t.id = sc.topic_id
+      WHERE ? IS NULL OR sc.kind = ?
+      ORDER BY sc.after_date DESC, sc.id DESC
+      LIMIT ?
+    `).all(kind, kind, limit).map(StanceChangeDetector.parseEvidence);
+  }
+
+  /**
+   * One politician's reversals, newest first
+   */
+  getChanges(politicianId) {
+    return this.db.prepare(`
+      SELECT sc.*, t.canonical_name AS topic_name, t.display_name AS topic_display
+      FROM stance_changes sc
+      JOIN policy_topics t ON t.id = sc.topic_id
+      WHERE sc.politician_id = ?
+      ORDER BY sc.after_date DESC, sc.id DESC
+    `).all(politicianId).map(StanceChangeDetector.parseEvidence);
+  }
+
+  /**
+   * A stance_changes row with its evidence columns parsed
+   */
+  static parseEvidence(row) {
+    return {
+      ...row,
+      before_evidence: row.before_evidence ? JSON.parse(row.before_evidence) : null,
+      after_evidence: row.after_evidence ? JSON.parse(row.after_evidence) : null
+    };
+  }
+
+  /**
+   * One-line description of a reversal
+   */
+  static describe(change) {
+    const when = change.kind === 'voting'
+      ? `votes, Congress ${change.before_congress} → ${change.after_congress}`
+      : `stated, between ${change.before_date} and ${change.after_date}`;
+    return `${change.topic_display}: ${change.before_stance} → ${change.after_stance} (${when})`;
+  }
+
+  close() {
+    if (this.ownsMapper) {
+      this.mapper.close();
+    }
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+StanceChangeDetector.MIN_VOTES = MIN_VOTES;
+StanceChangeDetector.DOMINANT_SHARE = DOMINANT_SHARE;
+
+// CLI Interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'help';
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : null);
+
+  function runCLI() {
+    if (!['detect', 'recent', 'show'].includes(command)) {
+      console.log(`
+🔁 Stance Change Detector
+
+Usage: node stance-change-detector.js <command> [options]
+
+Commands:
+  detect                                    Find reversals in stated positions and votes
+  recent [--limit N] [--kind stated|voting] Latest reversals across everyone
+  show <politician_id>                      A politician's reversals with their evidence
+  help                                      Show this help message
+      `);
+      return;
+    }
+
+    const detector = new StanceChangeDetector();
+
+    try {
+      switch (command) {
+        case 'detect': {
+          detector.detectAll();
+          break;
+        }
+
+        case 'recent': {
+          const limit = option('--limit') ? parseInt(option('--limit'), 10) : 20;
+          const changes = detector.getRecentChanges(limit, option('--kind'));
+          if (changes.length === 0) {
+            console.log('No stance reversals found. Run `node scripts/stance-change-detector.js detect` after crawling or analyzing votes.');
+            break;
+          }
+          changes.forEach(change => {
+            console.log(`🔁 ${change.name} (${change.party}-${change.state}) · ${StanceChangeDetector.describe(change)}`);
+          });
+          break;
+        }
+
+        case 'show': {
+          if (!args[1]) {
+            console.error('Usage: node stance-change-detector.js show <politician_id>');
+            process.exitCode = 1;
+            break;
+          }
+          const changes = detector.getChanges(args[1]);
+          if (changes.length === 0) {
+            console.log(`No stance reversals recorded for ${args[1]}`);
+            break;
+          }
+          changes.forEach(change => {
+            console.log(`🔁 ${StanceChangeDetector.describe(change)}`);
+            [['before', change.before_evidence], ['after', change.after_evidence]].forEach(([side, evidence]) => {
+              if (change.kind === 'voting') {
+                console.log(`   ${side}: of ${evidence.votes_counted} votes, ${evidence.expanding} expanded the topic and ${evidence.restricting} restricted it, e.g. ${evidence.votes.map(vote => vote.vote_id).join(', ')}`);
+              } else {
+                console.log(`   ${side} (v${evidence.version}): ${String(evidence.summary || '').substring(0, 100)}`);
+              }
+            });
+          });
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Stance change detection failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      detector.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = StanceChangeDetector;
@@ -0,0 +1,134 @@
+/**
+ * Text Diff
+ * Word-level diff for showing how a stated position was reworded between
+ * two crawls. Whitespace is not significant. The common start and end are
+ * trimmed first, since most rewrites touch a few sentences; texts whose
+ * changed middles are still too long for a longest-common-subsequence
+ * table become one removal and one insertion.
+ */
+
+// Largest LCS table built (changed words before x changed words after)
+const MAX_CELLS = 4000000;
+
+class TextDiff {
+  /**
+   * Words of a text
+   */
+  static tokenize(text) {
+    return String(text || '').split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Diff two texts into [{ type: 'same' | 'removed' | 'added', text }]
+   */
+  static diffWords(before, after) {
+    const a = TextDiff.tokenize(before);
+    const b = TextDiff.tokenize(after);
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const operations = [
+      ...a.slice(0, start).map(word => ['same', word]),
+      ...TextDiff.diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+      ...a.slice(endA).map(word => ['same', word])
+    ];
+
+    // Merge runs of the same type into segments
+    const segments = [];
+    for (const [type, word] of operations) {
+      const last = segments[segments.length - 1];
+      if (last && last.type === type) {
+        last.words.push(word);
+      } else {
+        segments.push({ type, words: [word] });
+      }
+    }
+
+    return segments.map(({ type, words }) => ({ type, text: words.join(' ') }));
+  }
+
+  /**
+   * LCS diff of the changed middle, as [type, word] pairs
+   */
+  static diffMiddle(a, b) {
+    if (a.length === 0 || b.length === 0 || (a.length + 1) * (b.length + 1) > MAX_CELLS) {
+      return [
+        ...a.map(word => ['removed', word]),
+        ...b.map(word => ['added', word])
+      ];
+    }
+
+    // lengths[i][j]: LCS length of a[i..] and b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        operations.push(['same', a[i]]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        operations.push(['removed', a[i++]]);
+      } else {
+        operations.push(['added', b[j++]]);
+      }
+    }
+    while (i < a.length) operations.push(['removed', a[i++]]);
+    while (j < b.length) operations.push(['added', b[j++]]);
+
+    return operations;
+  }
+
+  /**
+   * Shorten unchanged stretches to a few words of context either side of
+   * each change, marking what was left out with an ellipsis
+   */
+  static collapse(segments, context = 12) {
+    return segments.map((segment, index) => {
+      if (segment.type !== 'same') return segment;
+
+      const words = TextDiff.tokenize(segment.text);
+      const keepBefore = index > 0 ? context : 0;
+      const keepAfter = index < segments.length - 1 ? context : 0;
+      if (words.length <= keepBefore + keepAfter + 1) return segment;
+
+      const text = [
+        ...words.slice(0, keepBefore),
+        '…',
+        ...(keepAfter ? words.slice(-keepAfter) : [])
+      ].join(' ');
+      return { type: 'same', text };
+    });
+  }
+
+  /**
+   * Words removed and added
+   */
+  static summarize(segments) {
+    const count = (type) => segments
+      .filter(segment => segment.type === type)
+      .reduce((sum, segment) => sum + TextDiff.tokenize(segment.text).length, 0);
+
+    return { removed: count('removed'), added: count('added') };
+  }
+}
+
+module.exports = TextDiff;
@@ -0,0 +1,50 @@
+/**
+ * Topic Resolver
+ * Maps a topic as it is written anywhere - canonical name ("civil_rights"),
+ * display name ("Civil Rights"), alias ("voting rights") or a free-text
+ * category from older data ("Climate Change") - onto a canonical policy topic
+ */
+
+class TopicResolver {
+  constructor(db) {
+    this.db = db;
+    this.lookup = db.prepare(`
+      SELECT pt.id, pt.canonical_name, pt.display_name
+      FROM policy_topics pt
+      LEFT JOIN topic_aliases ta ON ta.topic_id = pt.id
+      WHERE REPLACE(pt.canonical_name, '_', ' ') = @name
+        OR LOWER(pt.display_name) = @name
+        OR ta.alias = @name
+      ORDER BY REPLACE(pt.canonical_name, '_', ' ') = @name DESC, ta.confidence_score DESC
+      LIMIT 1
+    `);
+  }
+
+  /**
+   * Lowercase, with underscores, runs of spaces and "&" evened out
+   */
+  static normalize(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[_\s]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Canonical name for a new topic, e.g. "Gun Policy" -> "gun_policy"
+   */
+  static toCanonicalName(name) {
+    return TopicResolver.normalize(name).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+
+  /**
+   * @returns {Object|null} { id, canonical_name, display_name }
+   */
+  resolve(name) {
+    const normalized = TopicResolver.normalize(name);
+    return normalized ? this.lookup.get({ name: normalized }) || null : null;
+  }
+}
+
+module.exports = TopicResolver;
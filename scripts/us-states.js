@@ -0,0 +1,46 @@
+/**
+ * US States
+ * Postal abbreviations and full names, for matching rosters that write
+ * states either way ("CA" or "California")
+ */
+
+const STATE_NAMES = {
+  'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas', 'CA': 'California',
+  'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware', 'FL': 'Florida', 'GA': 'Georgia',
+  'HI': 'Hawaii', 'ID': 'Idaho', 'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa',
+  'KS': 'Kansas', 'KY': 'Kentucky', 'LA': 'Louisiana', 'ME': 'Maine', 'MD': 'Maryland',
+  'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota', 'MS': 'Mississippi', 'MO': 'Missouri',
+  'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada', 'NH': 'New Hampshire', 'NJ': 'New Jersey',
+  'NM': 'New Mexico', 'NY': 'New York', 'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio',
+  'OK': 'Oklahoma', 'OR': 'Oregon', 'PA': 'Pennsylvania', 'RI': 'Rhode Island', 'SC': 'South Carolina',
+  'SD': 'South Dakota', 'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah', 'VT': 'Vermont',
+  'VA': 'Virginia', 'WA': 'Washington', 'WV': 'West Virginia', 'WI': 'Wisconsin', 'WY': 'Wyoming',
+  'DC': 'District of Columbia', 'AS': 'American Samoa', 'GU': 'Guam', 'MP': 'Northern Mariana Islands',
+  'PR': 'Puerto Rico', 'VI': 'Virgin Islands'
+};
+
+/**
+ * The abbreviation and full name for a state written either way
+ * @returns {Array} e.g. ['CA', 'California'], or [state] when unknown
+ */
+function stateVariants(state) {
+  const value = String(state || '').trim();
+  if (!value) return [];
+  if (STATE_NAMES[value.toUpperCase()]) {
+    return [value.toUpperCase(), STATE_NAMES[value.toUpperCase()]];
+  }
+
+  const abbreviation = Object.keys(STATE_NAMES).find(key => STATE_NAMES[key].toLowerCase() === value.toLowerCase());
+  return abbreviation ? [abbreviation, STATE_NAMES[abbreviation]] : [value];
+}
+
+/**
+ * Whether two state values name the same state
+ */
+function sameState(a, b) {
+  const [first] = stateVariants(a);
+  const [second] = stateVariants(b);
+  return !!first && !!second && first.toLowerCase() === second.toLowerCase();
+}
+
+module.exports = { STATE_NAMES, stateVariants, sameState };
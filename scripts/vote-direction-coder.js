@@ -0,0 +1,483 @@
+#!/usr/bin/env node
+
+/**
+ * Vote Direction Coder
+ * Tags each roll call, per policy topic, with the policy direction of a Yes
+ * vote: does voting Yes expand, restrict or leave the topic's policy alone?
+ *
+ * Two things decide the direction:
+ *   - the question: a Yes on passage carries the measure forward, while a
+ *     Yes to table or recommit it works against the measure, and procedural
+ *     questions (rules, adjournment, quorum) have no policy effect
+ *   - the measure: repeal, prohibition and disapproval language restricts,
+ *     while authorizing, funding and extending language expands. Only clauses
+ *     that mention the topic are read, so one bill can cut one topic and
+ *     grow another
+ * Manual overrides in vote_direction_overrides always win.
+ */
+
+const Database = require('better-sqlite3');
+const Migrator = require('./migrate');
+const clock = require('./clock');
+const { getDatabasePath } = require('./data-paths');
+
+const DIRECTIONS = ['expand', 'restrict', 'neutral'];
+
+// Question polarity: 1 = Yes advances the measure, -1 = Yes works against it, 0 = procedural
+const QUESTION_RULES = [
+  { pattern: /motion to table|table the motion/i, polarity: -1, label: 'motion to table' },
+  { pattern: /motion to recommit/i, polarity: -1, label: 'motion to recommit' },
+  { pattern: /motion to postpone indefinitely/i, polarity: -1, label: 'motion to postpone indefinitely' },
+  { pattern: /previous question/i, polarity: 0, label: 'ordering the previous question' },
+  { pattern: /motion to adjourn|call of the house|quorum|approving the journal|election of the speaker/i, polarity: 0, label: 'procedural question' },
+  { pattern: /point of order|motion to waive|motion to instruct|motion to reconsider|motion to commit/i, polarity: 0, label: 'procedural motion' },
+  { pattern: /\bnomination\b|\bconfirmation\b|\btreaty\b/i, polarity: 0, label: 'nomination or treaty' },
+  { pattern: /overrid(e|ing) the veto|veto message/i, polarity: 1, label: 'veto override' },
+  { pattern: /cloture/i, polarity: 1, label: 'cloture' },
+  { pattern: /motion to proceed|motion to discharge/i, polarity: 1, label: 'motion to proceed' },
+  { pattern: /suspend the rules and (pass|agree)/i, polarity: 1, label: 'suspension passage' },
+  { pattern: /\bpassage\b|\bagreeing to\b|\bconcur\b|conference report|on the (bill|joint resolution|resolution|amendment|concurrent resolution)/i, polarity: 1, label: 'passage' }
+];
+
+// Rules for considering other legislation have no policy effect of their own
+const PROCEDURAL_TITLE = /^providing for (the )?consideration of|^waiving a requirement of clause/i;
+
+const RESTRICT_TERMS = /\b(repeal\w*|rescind\w*|rescission\w*|terminat\w*|prohibit\w*|eliminat\w*|disapprov\w*|nullif\w*|defund\w*|ban|bans|banning|restrict\w*|reduc\w*|cuts?|strik(e|es|ing)|withdraw\w*|roll(s|ing)? back|rollback|moratorium|den(y|ies|ial)|prevent\w*|halt\w*|curtail\w*|block\w*|limit\w*)\b/gi;
+const EXPAND_TERMS = /\b(expand\w*|establish\w*|increas\w*|authoriz\w*|reauthoriz\w*|extend\w*|strengthen\w*|improv\w*|invest\w*|fund|funds|funding|appropriat\w*|provid\w*|promot\w*|support\w*|protect\w*|enhanc\w*|creat\w*|grant\w*|assist\w*)\b/gi;
+
+class VoteDirectionCoder {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   */
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(getDatabasePath());
+    Migrator.migrate(this.db);
+  }
+
+  /**
+   * Work out how a Yes relates to the measure from the question text
+   */
+  getQuestionPolarity(vote) {
+    const text = `${vote.question || ''} ${vote.vote_type || ''}`;
+
+    for (const rule of QUESTION_RULES) {
+      if (rule.pattern.test(text)) {
+        return { polarity: rule.polarity, label: rule.label, confidence: 0.9 };
+      }
+    }
+
+    // House votes often store only the legislation number as the question
+    return { polarity: 1, label: 'question not stated, assumed passage', confidence: 0.6 };
+  }
+
+  /**
+   * Split text into clauses and keep the ones that mention the topic
+   */
+  getTopicClauses(text, aliases) {
+    const clauses = (text || '').split(/[.;:]\s+|,\s+(?:and|or)\s+|\s+and\s+(?=to\s)/i).filter(Boolean);
+
+    return clauses.filter(clause => {
+      const lower = clause.toLowerCase();
+      return aliases.some(alias => new RegExp(`\\b${alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(lower));
+    });
+  }
+
+  /**
+   * Count restrict and expand terms in some text. An expansive word governed
+   * by a restrictive one ("strike funding", "repeal the expansion") only
+   * counts as the restriction.
+   */
+  countTerms(text) {
+    const restrictMatches = [...text.matchAll(RESTRICT_TERMS)];
+    const expandMatches = [...text.matchAll(EXPAND_TERMS)].filter(expandMatch => {
+      return !restrictMatches.some(restrictMatch => {
+        const gap = text.substring(restrictMatch.index + restrictMatch[0].length, expandMatch.index);
+        return expandMatch.index > restrictMatch.index && gap.split(/\s+/).filter(Boolean).length <= 3 && !/[,;.]/.test(gap);
+      });
+    });
+
+    return {
+      restrict: restrictMatches.map(match => match[0].toLowerCase()),
+      expand: expandMatches.map(match => match[0].toLowerCase())
+    };
+  }
+
+  /**
+   * Decide whether the measure itself expands or restricts a topic
+   */
+  getMeasureDirection(measure, aliases) {
+    if (measure.isProcedural) {
+      return { direction: 'neutral', confidence: 0.8, reason: 'rule for considering other legislation' };
+    }
+
+    // The title says what the measure does; the summary fills in detail
+    const sources = [
+      { text: measure.title, weight: 2 },
+      { text: measure.summary, weight: 1 }
+    ];
+
+    let restrict = 0;
+    let expand = 0;
+    const matched = [];
+
+    for (const source of sources) {
+      if (!source.text) continue;
+
+      const clauses = this.getTopicClauses(source.text, aliases);
+      const text = clauses.length > 0 ? clauses.join('. ') : source.text;
+      const counts = this.countTerms(text);
+
+      restrict += counts.restrict.length * source.weight;
+      expand += counts.expand.length * source.weight;
+      matched.push(...counts.restrict, ...counts.expand);
+    }
+
+    if (restrict > expand) {
+      return {
+        direction: 'restrict',
+        confidence: Math.min(0.9, 0.55 + 0.1 * (restrict - expand)),
+        reason: `restrictive language (${[...new Set(matched)].slice(0, 3).join(', ')})`
+      };
+    }
+
+    if (expand > restrict) {
+      return {
+        direction: 'expand',
+        confidence: Math.min(0.9, 0.55 + 0.1 * (expand - restrict)),
+        reason: `expansive language (${[...new Set(matched)].slice(0, 3).join(', ')})`
+      };
+    }
+
+    // Without telling language a bill usually acts in favor of its subject;
+    // an amendment could cut either way
+    return measure.isAmendment
+      ? { direction: 'neutral', confidence: 0.3, reason: 'amendment purpose does not indicate a direction' }
+      : { direction: 'expand', confidence: 0.4, reason: 'no directional language, assumed to act on its subject' };
+  }
+
+  /**
+   * Flip a direction when a Yes works against the measure
+   */
+  applyPolarity(direction, polarity) {
+    if (polarity === 0) return 'neutral';
+    if (polarity > 0 || direction === 'neutral') return direction;
+    return direction === 'expand' ? 'restrict' : 'expand';
+  }
+
+  /**
+   * Code one vote for one topic
+   */
+  codeVote(vote, measure, aliases) {
+    const question = this.getQuestionPolarity(vote);
+
+    if (question.polarity === 0) {
+      return { direction: 'neutral', confidence: question.confidence, reason: question.label };
+    }
+
+    const measureDirection = this.getMeasureDirection(measure, aliases);
+    const direction = this.applyPolarity(measureDirection.direction, question.polarity);
+    const inverted = question.polarity < 0 && measureDirection.direction !== 'neutral';
+
+    return {
+      direction,
+      confidence: Math.round(question.confidence * measureDirection.confidence * 100) / 100,
+      reason: `${question.label}${inverted ? ' (Yes opposes the measure)' : ''}; ${measureDirection.reason}`
+    };
+  }
+
+  /**
+   * The text a vote acts on: the amendment when there is one, otherwise the bill
+   */
+  getMeasure(vote) {
+    if (vote.amendment_id) {
+      return {
+        isAmendment: true,
+        title: vote.amendment_purpose || vote.amendment_description || null,
+        summary: null
+      };
+    }
+
+    return {
+      isAmendment: false,
+      isProcedural: PROCEDURAL_TITLE.test(vote.bill_title || ''),
+      title: vote.bill_title,
+      summary: vote.bill_summary
+    };
+  }
+
+  /**
+   * Code every vote on a bill that has been mapped to topics
+   */
+  codeAllVotes() {
+    console.log('🧭 Coding vote directions...');
+
+    const aliasesByTopic = new Map();
+    this.db.prepare(`
+      SELECT t.id, t.canonical_name, t.display_name, a.alias
+      FROM policy_topics t
+      LEFT JOIN topic_aliases a ON t.id = a.topic_id
+    `).all().forEach(row => {
+      if (!aliasesByTopic.has(row.id)) {
+        aliasesByTopic.set(row.id, [row.display_name.toLowerCase(), row.canonical_name.replace(/_/g, ' ')]);
+      }
+      if (row.alias) {
+        aliasesByTopic.get(row.id).push(row.alias.toLowerCase());
+      }
+    });
+
+    const rows = this.db.prepare(`
+      SELECT v.id, v.question, v.vote_type, v.bill_id, v.amendment_id,
+        b.title as bill_title, b.summary as bill_summary,
+        a.purpose as amendment_purpose, a.description as amendment_description,
+        bt.topic_id
+      FROM votes v
+      JOIN bills b ON v.bill_id = b.id
+      JOIN bill_topics bt ON bt.bill_id = b.id
+      LEFT JOIN amendments a ON v.amendment_id = a.id
+      ORDER BY v.id, bt.topic_id
+    `).all();
+
+    const saveDirection = this.db.prepare(`
+      INSERT OR REPLACE INTO vote_directions (vote_id, topic_id, direction, confidence, method, reason, coded_at)
+      VALUES (?, ?, ?, ?, 'heuristic', ?, ?)
+    `);
+
+    const counts = { expand: 0, restrict: 0, neutral: 0 };
+
+    const codeAll = this.db.transaction(() => {
+      for (const row of rows) {
+        const coded = this.codeVote(row, this.getMeasure(row), aliasesByTopic.get(row.topic_id) || []);
+        saveDirection.run(row.id, row.topic_id, coded.direction, coded.confidence, coded.reason, clock.toSqlTimestamp());
+        counts[coded.direction]++;
+      }
+    });
+
+    codeAll();
+    const overridden = this.applyOverrides();
+
+    console.log(`✅ Coded ${rows.length} vote/topic pairs: ${counts.expand} expand, ${counts.restrict} restrict, ${counts.neutral} neutral (${overridden} overridden)`);
+    return { coded: rows.length, overridden, ...counts };
+  }
+
+  /**
+   * Apply manual overrides on top of the heuristic coding. Topic-specific
+   * overrides win over vote-wide ones.
+   */
+  applyOverrides() {
+    const overrides = this.db.prepare(`
+      SELECT * FROM vote_direction_overrides ORDER BY topic_id IS NOT NULL, id
+    `).all();
+
+    let applied = 0;
+
+    const applyAll = this.db.transaction(() => {
+      for (const override of overrides) {
+        const topicIds = override.topic_id !== null
+          ? [override.topic_id]
+          : this.db.prepare(`
+              SELECT bt.topic_id FROM votes v
+              JOIN bill_topics bt ON bt.bill_id = v.bill_id
+              WHERE v.id = ?
+            `).all(override.vote_id).map(row => row.topic_id);
+
+        for (const topicId of topicIds) {
+          this.db.prepare(`
+            INSERT OR REPLACE INTO vote_directions (vote_id, topic_id, direction, confidence, method, reason, coded_at)
+            VALUES (?, ?, ?, 1.0, 'override', ?, ?)
+          `).run(override.vote_id, topicId, override.direction, override.note || 'manual override', clock.toSqlTimestamp());
+          applied++;
+        }
+      }
+    });
+
+    applyAll();
+    return applied;
+  }
+
+  /**
+   * Record a manual override, replacing any existing one for the same vote and topic
+   */
+  setOverride(voteId, direction, options = {}) {
+    const { topicId = null, note = null } = options;
+
+    if (!DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown direction "${direction}" (expected ${DIRECTIONS.join(', ')})`);
+    }
+
+    this.db.prepare(`
+      DELETE FROM vote_direction_overrides WHERE vote_id = ? AND topic_id IS ?
+    `).run(voteId, topicId);
+
+    this.db.prepare(`
+      INSERT INTO vote_direction_overrides (vote_id, topic_id, direction, note)
+      VALUES (?, ?, ?, ?)
+    `).run(voteId, topicId, direction, note);
+
+    this.applyOverrides();
+  }
+
+  /**
+   * Remove overrides for a vote (or one topic of it); the next coding run
+   * restores the heuristic direction
+   */
+  removeOverride(voteId, topicId = undefined) {
+    const result = topicId === undefined
+      ? this.db.prepare('DELETE FROM vote_direction_overrides WHERE vote_id = ?').run(voteId)
+      : this.db.prepare('DELETE FROM vote_direction_overrides WHERE vote_id = ? AND topic_id IS ?').run(voteId, topicId);
+
+    return result.changes;
+  }
+
+  /**
+   * Look up a topic id by canonical or display name
+   */
+  getTopicId(topicName) {
+    const topic = this.db.prepare(`
+      SELECT id FROM policy_topics WHERE canonical_name = ? OR display_name = ?
+    `).get(topicName, topicName);
+
+    if (!topic) {
+      throw new Error(`Unknown topic "${topicName}"`);
+    }
+    return topic.id;
+  }
+
+  /**
+   * Directions coded for one vote
+   */
+  getVoteDirections(voteId) {
+    return this.db.prepare(`
+      SELECT vd.*, t.display_name as topic
+      FROM vote_directions vd
+      JOIN policy_topics t ON vd.topic_id = t.id
+      WHERE vd.vote_id = ?
+      ORDER BY t.display_name
+    `).all(voteId);
+  }
+
+  /**
+   * List manual overrides
+   */
+  getOverrides() {
+    return this.db.prepare(`
+      SELECT o.*, t.display_name as topic, v.question
+      FROM vote_direction_overrides o
+      LEFT JOIN policy_topics t ON o.topic_id = t.id
+      LEFT JOIN votes v ON o.vote_id = v.id
+      ORDER BY o.vote_id, t.display_name
+    `).all();
+  }
+
+  /**
+   * Close database connection
+   */
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : null;
+
+  function runCLI() {
+    const command = args[0] || 'help';
+    const coder = new VoteDirectionCoder();
+
+    try {
+      switch (command) {
+        case 'code':
+          coder.codeAllVotes();
+          break;
+
+        case 'show':
+          if (!args[1]) {
+            console.error('Usage: node vote-direction-coder.js show <vote_id>');
+            process.exit(1);
+          }
+          const directions = coder.getVoteDirections(args[1]);
+          if (directions.length === 0) {
+            console.log(`No directions coded for ${args[1]}`);
+          }
+          directions.forEach(row => {
+            console.log(`${row.topic}: Yes ${row.direction}s (${Math.round(row.confidence * 100)}%, ${row.method}) - ${row.reason}`);
+          });
+          break;
+
+        case 'override':
+          const [voteId, direction] = args.slice(1, 3);
+          if (!voteId || !direction) {
+            console.error('Usage: node vote-direction-coder.js override <vote_id> <expand|restrict|neutral> [--topic <name>] [--note <text>]');
+            process.exit(1);
+          }
+          const topicName = getArg('--topic');
+          coder.setOverride(voteId, direction, {
+            topicId: topicName ? coder.getTopicId(topicName) : null,
+            note: getArg('--note')
+          });
+          console.log(`✅ Yes on ${voteId} now ${direction}s ${topicName || 'every topic'}`);
+          break;
+
+        case 'remove-override':
+          if (!args[1]) {
+            console.error('Usage: node vote-direction-coder.js remove-override <vote_id> [--topic <name>]');
+            process.exit(1);
+          }
+          const removeTopic = getArg('--topic');
+          const removed = coder.removeOverride(args[1], removeTopic ? coder.getTopicId(removeTopic) : undefined);
+          console.log(`✅ Removed ${removed} overrides; run "code" to restore heuristic directions`);
+          break;
+
+        case 'overrides':
+          const overrides = coder.getOverrides();
+          if (overrides.length === 0) {
+            console.log('No manual overrides');
+          }
+          overrides.forEach(row => {
+            console.log(`${row.vote_id} (${row.topic || 'all topics'}): ${row.direction}${row.note ? ` - ${row.note}` : ''}`);
+          });
+          break;
+
+        case 'help':
+        default:
+          console.log(`
+🧭 Vote Direction Coder
+
+Usage: node vote-direction-coder.js <command> [options]
+
+Commands:
+  code                        Code the direction of every vote on a topic-mapped bill
+  show <vote_id>              Show the coded directions for a vote
+  override <vote_id> <dir>    Set the direction of a Yes vote (expand, restrict, neutral)
+  remove-override <vote_id>   Remove manual overrides for a vote
+  overrides                   List manual overrides
+  help                        Show this help message
+
+Options:
+  --topic <name>              Limit an override to one topic (default: every topic)
+  --note <text>               Explain an override
+
+Examples:
+  node vote-direction-coder.js override 118-house-1-296 restrict --topic healthcare --note "Repeals the mandate"
+  node vote-direction-coder.js show 118-house-1-296
+          `);
+          break;
+      }
+
+    } catch (error) {
+      console.error('❌ CLI Error:', error);
+      process.exit(1);
+    } finally {
+      coder.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = VoteDirectionCoder;
@@ -1,6 +1,19 @@
 const fs = require('fs');
 const path = require('path');
 const Database = require('better-sqlite3');
+const SenateVoteIngester = require('./senate-vote-ingester');
+const HttpClient = require('./http-client');
+const LegislationResolver = require('./legislation-resolver');
+const MemberMatcher = require('./member-matcher');
+const VotingStatistics = require('./voting-statistics');
+const PartyScores = require('./party-scores');
+const IdealPoints = require('./ideal-points');
+const AlignmentEngine = require('./alignment-engine');
+const Migrator = require('./migrate');
+const { stamp, SOURCE_TYPES } = require('./provenance');
+const clock = require('./clock');
+const { getDatabasePath } = require('./data-paths');
+const { getCurrentCongress } = require('./congress-calendar');
 
 // Load environment variables
 function loadEnv() {
@@ -29,43 +42,25 @@ function loadEnv() {
 loadEnv();
 
 class VotingRecordsFetcher {
-  constructor() {
+  constructor(options = {}) {
     this.apiKey = process.env.CONGRESS_GOV_API_KEY;
-    this.db = new Database('data/politicians.db');
-    this.requestDelay = 250; // Delay between API requests
+    this.db = new Database(getDatabasePath());
+    this.pageSize = 250; // Maximum page size for the house-vote list endpoint
+    this.senateXmlDir = options.senateXmlDir || null; // Local senate.gov XML files for offline runs
+    this.http = new HttpClient();
     this.newVotesProcessed = 0;
     this.newMemberVotesProcessed = 0;
     this.skippedVotes = 0;
     
-    if (!this.apiKey) {
+    // Offline Senate ingestion from local XML files and fixture replay do not need an API key
+    if (!this.apiKey && !this.senateXmlDir && !this.http.isReplaying()) {
       console.error('❌ CONGRESS_GOV_API_KEY not found in environment variables');
       process.exit(1);
     }
     
-    this.initDatabase();
-  }
-
-  /**
-   * Initialize database schema for voting records
-   */
-  initDatabase() {
-    console.log('🗃️ Initializing voting records database schema...');
-    
-    // The votes and politician_votes tables should already exist
-    // Just verify politician_votes table exists
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS politician_votes (
-        vote_id TEXT,
-        politician_id INTEGER,
-        position TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (vote_id, politician_id),
-        FOREIGN KEY (vote_id) REFERENCES votes(id),
-        FOREIGN KEY (politician_id) REFERENCES politicians(id)
-      )
-    `);
-
-    console.log('✅ Voting records database schema initialized');
+    Migrator.migrate(this.db);
+    this.resolver = new LegislationResolver(this.db);
+    this.matcher = new MemberMatcher(this.db);
   }
 
   /**
@@ -110,7 +105,7 @@ class VotingRecordsFetcher {
   /**
    * Backfill individual member votes for existing house votes that are missing member data
    */
-  async backfillMemberVotes(congress = 118) {
+  async backfillMemberVotes(congress = getCurrentCongress()) {
     console.log('🔄 Backfilling individual member votes for existing votes...');
     
     // Get house votes that don't have individual member data
@@ -134,9 +129,7 @@ class VotingRecordsFetcher {
         const memberVotesUrl = `https://api.congress.gov/v3/house-vote/${vote.congress}/${vote.session}/${vote.roll_call_number}/members`;
         const url = memberVotesUrl + (this.apiKey ? `?api_key=${this.apiKey}&format=json` : '?format=json');
         
-        await this.delay(this.requestDelay);
-        
-        const response = await fetch(url);
+        const response = await this.http.fetch(url);
         
         if (!response.ok) {
           console.log(`⚠️  Could not fetch member votes for ${vote.id}: ${response.status}`);
@@ -146,7 +139,7 @@ class VotingRecordsFetcher {
         const memberData = await response.json();
         
         if (memberData.houseRollCallVoteMemberVotes && memberData.houseRollCallVoteMemberVotes.results) {
-          await this.processHouseMemberVotes(vote.id, memberData.houseRollCallVoteMemberVotes.results);
+          await this.processHouseMemberVotes(vote.id, memberData.houseRollCallVoteMemberVotes.results, memberVotesUrl);
           const votesAdded = memberData.houseRollCallVoteMemberVotes.results.length;
           memberVotesAdded += votesAdded;
           console.log(`✅ Added ${votesAdded} member votes for ${vote.id}`);
@@ -154,7 +147,6 @@ class VotingRecordsFetcher {
         
         processedCount++;
         
-        // Add a small delay to be respectful to the API
         if (processedCount % 10 === 0) {
           console.log(`📊 Progress: ${processedCount}/${votesNeedingMemberData.length} votes processed, ${memberVotesAdded} member votes added`);
         }
@@ -172,38 +164,34 @@ class VotingRecordsFetcher {
     };
   }
 
-  /**
-   * Get state mapping from abbreviation to full name
-   */
-  getStateMapping() {
-    return {
-      'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas', 'CA': 'California',
-      'CO': 'Colorado', 'CT': 'Connecticut', 'DE': 'Delaware', 'FL': 'Florida', 'GA': 'Georgia',
-      'HI': 'Hawaii', 'ID': 'Idaho', 'IL': 'Illinois', 'IN': 'Indiana', 'IA': 'Iowa',
-      'KS': 'Kansas', 'KY': 'Kentucky', 'LA': 'Louisiana', 'ME': 'Maine', 'MD': 'Maryland',
-      'MA': 'Massachusetts', 'MI': 'Michigan', 'MN': 'Minnesota', 'MS': 'Mississippi', 'MO': 'Missouri',
-      'MT': 'Montana', 'NE': 'Nebraska', 'NV': 'Nevada', 'NH': 'New Hampshire', 'NJ': 'New Jersey',
-      'NM': 'New Mexico', 'NY': 'New York', 'NC': 'North Carolina', 'ND': 'North Dakota', 'OH': 'Ohio',
-      'OK': 'Oklahoma', 'OR': 'Oregon', 'PA': 'Pennsylvania', 'RI': 'Rhode Island', 'SC': 'South Carolina',
-      'SD': 'South Dakota', 'TN': 'Tennessee', 'TX': 'Texas', 'UT': 'Utah', 'VT': 'Vermont',
-      'VA': 'Virginia', 'WA': 'Washington', 'WV': 'West Virginia', 'WI': 'Wisconsin', 'WY': 'Wyoming',
-      'DC': 'District of Columbia'
-    };
-  }
-
-  /**
-   * Add delay between requests
-   */
-  async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Fetch voting records
+   * @param {Object} options
+   * @param {number} options.congress - Congress number
+   * @param {string} options.chamber - 'house', 'senate' or 'both'
+   * @param {string|null} options.startDate - Earliest vote date to store (YYYY-MM-DD)
+   * @param {string|null} options.endDate - Latest vote date to store (YYYY-MM-DD)
+   * @param {number|null} options.limit - Maximum number of new votes to store
+   * @param {boolean} options.resetCheckpoint - Ignore saved House crawl progress
    */
-  async fetchVotingRecords(congress = 118, chamber = 'both') {
+  async fetchVotingRecords(options = {}) {
+    const {
+      congress = getCurrentCongress(),
+      chamber = 'both',
+      startDate = null,
+      endDate = null,
+      limit = null,
+      resetCheckpoint = false
+    } = options;
+
     console.log('🗳️ Starting voting records fetch...');
     console.log(`📊 Parameters: Congress ${congress}, Chamber: ${chamber}`);
+    if (startDate || endDate) {
+      console.log(`📅 Date range: ${startDate || 'any'} to ${endDate || 'any'}`);
+    }
+    if (limit) {
+      console.log(`🔢 Limit: ${limit} new votes`);
+    }
     
     // Show current data summary
     const summary = this.getDataSummary();
@@ -214,84 +202,227 @@ class VotingRecordsFetcher {
     console.log(`   • Total individual member votes: ${summary.totalMemberVotes}`);
     console.log('');
 
+    let remaining = limit;
+
     if (chamber === 'both' || chamber === 'house') {
-      await this.fetchHouseVotingRecords(congress);
+      const houseVotes = await this.fetchHouseVotingRecords(congress, {
+        startDate,
+        endDate,
+        limit: remaining,
+        resetCheckpoint
+      });
+      if (remaining) {
+        remaining = Math.max(0, remaining - houseVotes);
+      }
     }
 
-    if (chamber === 'both' || chamber === 'senate') {
-      await this.fetchSenateVotingRecords(congress);
+    if ((chamber === 'both' || chamber === 'senate') && remaining !== 0) {
+      await this.fetchSenateVotingRecords(congress, { startDate, endDate, limit: remaining });
     }
 
     console.log('📊 Updating voting statistics...');
     await this.updateVotingStatistics();
     console.log('✅ Voting statistics updated');
+    await this.updatePartyScores();
+    await this.updateIdealPoints();
+    await this.updateVotingAlignment();
     console.log('');
+
+    return {
+      totalVotes: this.newVotesProcessed,
+      newVotes: this.newVotesProcessed,
+      skippedVotes: this.skippedVotes,
+      newMemberVotes: this.newMemberVotesProcessed
+    };
   }
 
   /**
-   * Fetch House voting records using beta API
+   * Fetch House voting records using beta API, walking every page of each
+   * session and checkpointing progress so an interrupted run can resume.
+   * Returns the number of new votes stored.
    */
-  async fetchHouseVotingRecords(congress) {
+  async fetchHouseVotingRecords(congress, options = {}) {
+    const { startDate = null, endDate = null, limit = null, resetCheckpoint = false } = options;
     console.log('🏛️ Fetching house voting records...');
-    
+
+    let newVotes = 0;
+    const dateRange = this.describeDateRange(startDate, endDate);
+
     try {
-      // Use beta API endpoint
-      const baseUrl = `https://api.congress.gov/v3/house-vote/${congress}`;
-      const url = baseUrl + (this.apiKey ? `?api_key=${this.apiKey}&format=json` : '?format=json');
-      
-      console.log(`🔗 Fetching from beta endpoint: ${url.replace(this.apiKey, '[API_KEY]')}`);
-      
-      await this.delay(this.requestDelay);
-      
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        console.error(`❌ HTTP Error: ${response.status} ${response.statusText}`);
-        return;
-      }
+      for (const session of [1, 2]) {
+        const checkpoint = resetCheckpoint ? null : this.getCheckpoint(congress, session, 'house', dateRange);
+        let offset = checkpoint && !checkpoint.completed ? checkpoint.next_offset : 0;
+        let lastRollCall = checkpoint ? checkpoint.last_roll_call : null;
+        let pageCount = 0;
+
+        if (offset > 0) {
+          console.log(`🔄 Resuming ${congress}th Congress, session ${session} at offset ${offset}`);
+        }
 
-      const data = await response.json();
-      console.log(`📊 Raw API response structure: ${JSON.stringify(Object.keys(data))}`);
-      
-      if (!data.houseRollCallVotes || !Array.isArray(data.houseRollCallVotes)) {
-        console.error('❌ Invalid API response structure');
-        return;
-      }
+        while (true) {
+          const data = await this.fetchHouseVotePage(congress, session, offset);
+
+          if (!data) {
+            console.log(`⚠️  Stopping House crawl at offset ${offset}; rerun to resume`);
+            return newVotes;
+          }
+
+          const votes = data.houseRollCallVotes;
+          pageCount++;
+          console.log(`📥 Found ${votes.length} house votes for session ${session} at offset ${offset}`);
+
+          for (const voteData of votes) {
+            if (limit && newVotes >= limit) {
+              // Leave the checkpoint on this page so the next run picks up here
+              this.saveCheckpoint(congress, session, 'house', offset, lastRollCall, false, dateRange);
+              console.log(`🔢 Reached limit of ${limit} new votes`);
+              return newVotes;
+            }
+
+            if (!this.isWithinDateRange(this.getHouseVoteDate(voteData), startDate, endDate)) {
+              continue;
+            }
+
+            if (await this.processVote(voteData, 'house', congress)) {
+              newVotes++;
+            }
+
+            const rollCall = parseInt(voteData.rollCallNumber || voteData.rollCall, 10);
+            if (!isNaN(rollCall) && (lastRollCall === null || rollCall > lastRollCall)) {
+              lastRollCall = rollCall;
+            }
+          }
+
+          offset += votes.length;
+          const hasNext = Boolean(data.pagination && data.pagination.next) && votes.length > 0;
+          this.saveCheckpoint(congress, session, 'house', offset, lastRollCall, !hasNext, dateRange);
+
+          if (!hasNext) {
+            break;
+          }
+        }
 
-      console.log(`📥 Found ${data.houseRollCallVotes.length} house votes in API response`);
-      
-      // Process all house votes
-      for (const voteData of data.houseRollCallVotes) {
-        await this.processVote(voteData, 'house', congress);
-        await this.delay(this.requestDelay);
+        console.log(`✅ Finished session ${session}: ${offset} votes across ${pageCount} pages`);
       }
 
-      console.log(`📥 Found ${data.houseRollCallVotes.length} votes for house`);
-
     } catch (error) {
       console.error('❌ Error fetching house voting records:', error);
     }
+
+    return newVotes;
+  }
+
+  /**
+   * Fetch one page of the House vote list for a session
+   */
+  async fetchHouseVotePage(congress, session, offset) {
+    const baseUrl = `https://api.congress.gov/v3/house-vote/${congress}/${session}`;
+    const query = `?offset=${offset}&limit=${this.pageSize}&format=json`;
+    const url = baseUrl + query + (this.apiKey ? `&api_key=${this.apiKey}` : '');
+
+    console.log(`🔗 Fetching from beta endpoint: ${baseUrl + query}`);
+
+    const response = await this.http.fetch(url);
+
+    if (!response.ok) {
+      console.error(`❌ HTTP Error: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    const data = await response.json();
+
+    if (!data.houseRollCallVotes || !Array.isArray(data.houseRollCallVotes)) {
+      console.error('❌ Invalid API response structure');
+      return null;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get saved crawl progress for a congress, session and chamber. Progress
+   * saved under a different date range is ignored: its offset moved past
+   * votes that range filtered out.
+   */
+  getCheckpoint(congress, session, chamber, dateRange = null) {
+    const checkpoint = this.db.prepare(`
+      SELECT * FROM vote_fetch_checkpoints
+      WHERE congress = ? AND session = ? AND chamber = ?
+    `).get(congress, session, chamber);
+
+    if (checkpoint && (checkpoint.date_range || null) !== dateRange) {
+      console.log(`🔄 Saved progress for session ${session} was for dates ${checkpoint.date_range || 'any'}; starting over`);
+      return null;
+    }
+    return checkpoint;
   }
 
   /**
-   * Fetch Senate voting records
+   * Save crawl progress for a congress, session and chamber
    */
-  async fetchSenateVotingRecords(congress) {
+  saveCheckpoint(congress, session, chamber, nextOffset, lastRollCall, completed, dateRange = null) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO vote_fetch_checkpoints (
+        congress, session, chamber, next_offset, last_roll_call, completed, date_range, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(congress, session, chamber, nextOffset, lastRollCall, completed ? 1 : 0, dateRange, clock.toSqlTimestamp());
+  }
+
+  /**
+   * A date range as stored with checkpoints ("2024-01-01..any"), or null
+   * when the crawl is not limited by date
+   */
+  describeDateRange(startDate, endDate) {
+    return startDate || endDate ? `${startDate || 'any'}..${endDate || 'any'}` : null;
+  }
+
+  /**
+   * Get the YYYY-MM-DD date of a House vote list entry
+   */
+  getHouseVoteDate(voteData) {
+    return (voteData.startDate || voteData.date || '').substring(0, 10);
+  }
+
+  /**
+   * Check whether a YYYY-MM-DD date falls inside an optional range.
+   * Votes without a date are kept so they are never silently dropped.
+   */
+  isWithinDateRange(date, startDate, endDate) {
+    if (!date) return true;
+    if (startDate && date < startDate) return false;
+    if (endDate && date > endDate) return false;
+    return true;
+  }
+
+  /**
+   * Fetch Senate voting records from senate.gov roll-call XML
+   */
+  async fetchSenateVotingRecords(congress, options = {}) {
     console.log('🏛️ Fetching senate voting records...');
-    console.log('ℹ️  Senate voting endpoints are not yet available in the Congress.gov API');
-    console.log(`📥 Found 0 votes for senate`);
+
+    if (this.senateXmlDir) {
+      console.log(`📁 Reading Senate roll-call XML from ${this.senateXmlDir}`);
+    }
+
+    try {
+      const ingester = new SenateVoteIngester(this, { xmlDir: this.senateXmlDir });
+      const voteCount = await ingester.ingestCongress(congress, options);
+      console.log(`📥 Found ${voteCount} votes for senate`);
+    } catch (error) {
+      console.error('❌ Error fetching senate voting records:', error);
+    }
   }
 
   /**
-   * Process individual vote data
+   * Process individual vote data, returning true when a new vote was stored
    */
   async processVote(voteData, chamber, congress) {
     try {
-      const rollCall = voteData.rollCall;
-      const session = voteData.session || 1;
+      const rollCall = voteData.rollCallNumber || voteData.rollCall;
+      const session = voteData.sessionNumber || voteData.session || 1;
       const question = voteData.question || '';
       const description = voteData.description || '';
-      const date = voteData.date || '';
+      const date = this.getHouseVoteDate(voteData);
       const result = voteData.result || '';
       const url = voteData.url || '';
       
@@ -302,6 +433,7 @@ class VotingRecordsFetcher {
       const totalNotVoting = voteData.totalNotVoting || 0;
 
       const voteId = `${congress}-${chamber}-${session}-${rollCall}`;
+      const legislation = this.resolver.resolveHouseVote(voteData, congress);
 
       // Skip if vote already exists
       if (this.voteExists(voteId)) {
@@ -313,27 +445,26 @@ class VotingRecordsFetcher {
           console.log(`🔍 Fetching missing member votes for existing vote ${voteId}`);
           await this.fetchHouseMemberVotes(congress, session, rollCall, voteId);
         }
-        return;
+        return false;
       }
 
-      // Skip processing if vote already exists
-      if (this.voteExists(voteId)) {
-        console.log(`⚠️  Vote ${voteId} already exists, skipping...`);
-        return;
-      }
+      const provenance = stamp(SOURCE_TYPES.OFFICIAL_API, 'congress-gov-house-vote', url);
 
       // Insert or update vote record using existing schema
       this.db.prepare(`
         INSERT OR REPLACE INTO votes (
-          id, congress, chamber, session, roll_call_number, vote_date, 
-          question, description, result, total_yes, total_no, total_present, total_not_voting, url
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          id, congress, chamber, session, roll_call_number, bill_id, amendment_id, vote_date, 
+          question, description, result, total_yes, total_no, total_present, total_not_voting, url,
+          source_type, source_url, retrieved_at, method, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
         voteId,
         congress,
         chamber,
         session,
         rollCall,
+        legislation.billId,
+        legislation.amendmentId,
         date,
         question,
         description,
@@ -342,9 +473,24 @@ class VotingRecordsFetcher {
         totalNo,
         totalPresent,
         totalNotVoting,
-        url
+        url,
+        provenance.source_type,
+        provenance.source_url,
+        provenance.retrieved_at,
+        provenance.method,
+        clock.toSqlTimestamp(),
+        clock.toSqlTimestamp()
       );
 
+      if (legislation.amendmentId) {
+        this.resolver.recordAmendment(legislation.amendmentId, {
+          billId: legislation.billId,
+          chamber,
+          sponsorName: voteData.amendmentAuthor,
+          description
+        });
+      }
+
       console.log(`✅ Processed vote ${voteId}: ${question.substring(0, 50)}...`);
       this.newVotesProcessed++;
 
@@ -353,8 +499,11 @@ class VotingRecordsFetcher {
         await this.fetchHouseMemberVotes(congress, session, rollCall, voteId);
       }
 
+      return true;
+
     } catch (error) {
       console.error(`❌ Error processing vote ${voteData.rollCall || 'unknown'}:`, error);
+      return false;
     }
   }
 
@@ -372,9 +521,7 @@ class VotingRecordsFetcher {
       const memberVotesUrl = `https://api.congress.gov/v3/house-vote/${congress}/${session}/${voteNumber}/members`;
       const url = memberVotesUrl + (this.apiKey ? `?api_key=${this.apiKey}&format=json` : '?format=json');
       
-      await this.delay(this.requestDelay);
-      
-      const response = await fetch(url);
+      const response = await this.http.fetch(url);
       
       if (!response.ok) {
         console.log(`⚠️  Could not fetch member votes for ${voteId}: ${response.status}`);
@@ -385,7 +532,7 @@ class VotingRecordsFetcher {
       console.log(`📊 Member votes response structure: ${JSON.stringify(Object.keys(memberData))}`);
       
       if (memberData.houseRollCallVoteMemberVotes && memberData.houseRollCallVoteMemberVotes.results) {
-        await this.processHouseMemberVotes(voteId, memberData.houseRollCallVoteMemberVotes.results);
+        await this.processHouseMemberVotes(voteId, memberData.houseRollCallVoteMemberVotes.results, memberVotesUrl);
         this.newMemberVotesProcessed += memberData.houseRollCallVoteMemberVotes.results.length;
         console.log(`✅ Processed ${memberData.houseRollCallVoteMemberVotes.results.length} member votes for ${voteId}`);
       }
@@ -396,122 +543,70 @@ class VotingRecordsFetcher {
   }
 
   /**
-   * Process individual House member votes from beta API
+   * Process individual House member votes from beta API. Members that
+   * cannot be matched to exactly one politician are queued for review
+   * (node scripts/member-matcher.js list).
    */
-  async processHouseMemberVotes(voteId, memberVotes) {
-    const insertVoteStmt = this.db.prepare(`
-      INSERT OR REPLACE INTO politician_votes (vote_id, politician_id, position)
-      VALUES (?, ?, ?)
-    `);
+  async processHouseMemberVotes(voteId, memberVotes, sourceUrl) {
+    const provenance = stamp(SOURCE_TYPES.OFFICIAL_API, 'congress-gov-house-vote-members', sourceUrl);
+    const context = this.matcher.getVoteContext(voteId);
+    let queued = 0;
 
     for (const memberVote of memberVotes) {
       try {
-        const bioguideId = memberVote.bioguideID;
-        const firstName = memberVote.firstName;
-        const lastName = memberVote.lastName;
-        const voteCast = memberVote.voteCast;
-        const voteState = memberVote.voteState;
-
-        let politician = null;
-
-        // Try to find by bioguide ID first (most reliable)
-        if (bioguideId) {
-          politician = this.findPoliticianByBioguideId(bioguideId);
-        }
-
-        // If not found by bioguide ID, try name and state matching
-        if (!politician && firstName && lastName && voteState) {
-          const memberName = `${firstName} ${lastName}`;
-          politician = this.findPoliticianByNameAndState(memberName, voteState);
-        }
-
-        if (politician) {
-          insertVoteStmt.run(voteId, politician.id, voteCast);
-        } else {
-          console.log(`⚠️  Could not match politician: ${firstName} ${lastName} (${voteState}) - BioguideID: ${bioguideId}`);
+        const member = {
+          bioguide_id: memberVote.bioguideID,
+          first_name: memberVote.firstName,
+          last_name: memberVote.lastName,
+          state: memberVote.voteState,
+          party: memberVote.voteParty,
+          chamber: 'House'
+        };
+
+        if (!this.matcher.matchAndRecord(voteId, member, memberVote.voteCast, provenance, context)) {
+          queued++;
         }
 
       } catch (error) {
         console.error('❌ Error processing member vote:', error);
       }
     }
+
+    if (queued > 0) {
+      console.log(`📝 ${queued} member votes for ${voteId} need review (node scripts/member-matcher.js list)`);
+    }
   }
 
   /**
-   * Find politician in database by name and state
+   * Update voting statistics for all politicians
    */
-  findPoliticianByNameAndState(name, state) {
-    const stateMapping = this.getStateMapping();
-    
-    // Convert state abbreviation to full name if needed
-    const fullStateName = state.length === 2 ? stateMapping[state] : state;
-    
-    const stmt = this.db.prepare(`
-      SELECT * FROM politicians 
-      WHERE (LOWER(name) LIKE LOWER(?) OR LOWER(name) LIKE LOWER(?)) AND LOWER(state) = LOWER(?)
-      LIMIT 1
-    `);
-
-    // Handle different name formats: "John Smith" vs "Smith, John"
-    const nameParts = name.split(' ');
-    const firstName = nameParts[0];
-    const lastName = nameParts[nameParts.length - 1];
-    
-    // Try both "First Last" and "Last, First" formats
-    const namePattern1 = `%${name}%`;
-    const namePattern2 = `%${lastName}, ${firstName}%`;
-    
-    // Try with full state name first if we have it
-    let politician = null;
-    if (fullStateName) {
-      politician = stmt.get(namePattern1, namePattern2, fullStateName);
-    }
-    
-    // If not found, try with original state
-    if (!politician) {
-      politician = stmt.get(namePattern1, namePattern2, state);
-    }
-    
-    if (!politician) {
-      // Try just last name match as fallback
-      const lastNameStmt = this.db.prepare(`
-        SELECT * FROM politicians 
-        WHERE LOWER(name) LIKE LOWER(?) AND LOWER(state) = LOWER(?)
-        LIMIT 1
-      `);
-      
-      if (fullStateName) {
-        politician = lastNameStmt.get(`%${lastName}%`, fullStateName);
-      }
-      if (!politician) {
-        politician = lastNameStmt.get(`%${lastName}%`, state);
-      }
-    }
+  async updateVotingStatistics() {
+    const result = new VotingStatistics({ db: this.db }).update();
+    console.log(`📊 Recomputed statistics for ${result.politicians} politicians${result.full ? ' (full rebuild)' : ''}`);
+  }
 
-    return politician;
+  /**
+   * Update party unity and bipartisanship scores for all politicians
+   */
+  async updatePartyScores() {
+    const result = new PartyScores({ db: this.db }).update();
+    console.log(`🤝 Party scores updated for ${result.politicians} politicians`);
   }
 
   /**
-   * Find politician in database by bioguide ID (most reliable method)
+   * Re-scale ideal points for every congress and chamber that gained votes
    */
-  findPoliticianByBioguideId(bioguideId) {
-    // Try to find by bioguide ID stored in bio_data JSON
-    const stmt = this.db.prepare(`
-      SELECT * FROM politicians 
-      WHERE json_extract(bio_data, '$.bioguideId') = ?
-      LIMIT 1
-    `);
-
-    return stmt.get(bioguideId);
+  async updateIdealPoints() {
+    const fits = new IdealPoints({ db: this.db }).update();
+    console.log(`📐 Ideal points updated for ${fits.length} congresses and chambers`);
   }
 
   /**
-   * Update voting statistics for all politicians
+   * Recompute pairwise voting alignment for members with new votes
    */
-  async updateVotingStatistics() {
-    // No need to update politician records as voting_record_count column doesn't exist
-    // Statistics can be calculated from politician_votes table when needed
-    console.log('ℹ️  Voting statistics will be calculated dynamically from politician_votes table');
+  async updateVotingAlignment() {
+    const result = new AlignmentEngine({ db: this.db }).updateVotingAlignment();
+    console.log(`🧮 Voting alignment updated for ${result.pairs} pairs${result.full ? ' (full rebuild)' : ''}`);
   }
 
   /**
@@ -540,16 +635,27 @@ class VotingRecordsFetcher {
 // Run if this file is executed directly
 if (require.main === module) {
   async function main() {
-    const fetcher = new VotingRecordsFetcher();
+    const args = process.argv.slice(2);
+    const getArg = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : null;
+
+    const fetcher = new VotingRecordsFetcher({
+      senateXmlDir: getArg('--senate-dir')
+    });
     
     try {
       // Check if we should run backfill mode
-      const args = process.argv.slice(2);
       if (args.includes('--backfill') || args.includes('-b')) {
         console.log('🔄 Running in backfill mode...');
         await fetcher.backfillMemberVotes();
       } else {
-        await fetcher.fetchVotingRecords();
+        await fetcher.fetchVotingRecords({
+          congress: getArg('--congress') ? parseInt(getArg('--congress')) : undefined,
+          chamber: getArg('--chamber') || 'both',
+          startDate: getArg('--start-date'),
+          endDate: getArg('--end-date'),
+          limit: getArg('--limit') ? parseInt(getArg('--limit')) : null,
+          resetCheckpoint: args.includes('--restart')
+        });
       }
       
       const stats = fetcher.getVotingStatistics();
@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+
+/**
+ * Voting Statistics
+ * Computes voting_statistics and voting_statistics_sessions from stored
+ * roll calls: recorded positions, participation against the votes a member
+ * was eligible for, and missed-vote streaks.
+ *
+ * A member is eligible for a vote when one of their terms covers its
+ * congress and chamber and, where the term has start and end dates, its
+ * date. Members with no recorded terms are counted against their chamber's
+ * votes between their first and last recorded vote. Roll calls whose member
+ * votes were never fetched are skipped, and an eligible vote with no
+ * position for the member counts as unrecorded (often a roster entry still
+ * waiting in member_match_reviews).
+ *
+ * Updates are incremental: only members touched by votes, member votes or
+ * terms added since the last run are recomputed.
+ */
+
+const Database = require('better-sqlite3');
+const Migrator = require('./migrate');
+const { stamp, SOURCE_TYPES } = require('./provenance');
+const clock = require('./clock');
+const { getDatabasePath } = require('./data-paths');
+
+const CHECKPOINT = 'voting_statistics';
+
+const POSITION_GROUPS = {
+  yes: ['yes', 'yea', 'aye', 'guilty'],
+  no: ['no', 'nay', 'not guilty'],
+  present: ['present', 'present, giving live pair'],
+  not_voting: ['not voting']
+};
+
+class VotingStatistics {
+  /**
+   * @param {Object} options
+   * @param {Database} options.db - Share an open database connection
+   */
+  constructor(options = {}) {
+    this.ownsDb = !options.db;
+    this.db = options.db || new Database(getDatabasePath());
+    Migrator.migrate(this.db);
+  }
+
+  /**
+   * Which bucket a recorded position falls in, or null for no record
+   */
+  static classifyPosition(position) {
+    if (position === null || position === undefined) return null;
+
+    const normalized = String(position).trim().toLowerCase();
+    const group = Object.keys(POSITION_GROUPS).find(key => POSITION_GROUPS[key].includes(normalized));
+    return group || 'not_voting';
+  }
+
+  /**
+   * Every vote a politician was eligible for, oldest first, with their position
+   */
+  getEligibleVotes(politicianId) {
+    const politician = this.db.prepare('SELECT chamber FROM politicians WHERE id = ?').get(politicianId);
+    if (!politician) return [];
+
+    const hasTerms = !!this.db.prepare('SELECT 1 FROM politician_terms WHERE politician_id = ? LIMIT 1').get(politicianId);
+    const recordedRange = this.db.prepare(`
+      SELECT MIN(v.vote_date) AS first_date, MAX(v.vote_date) AS last_date
+      FROM politician_votes pv
+      JOIN votes v ON v.id = pv.vote_id
+      WHERE pv.politician_id = ?
+    `).get(politicianId);
+
+    return this.db.prepare(`
+      SELECT v.id, v.congress, v.chamber, v.session, v.vote_date, v.roll_call_number, pv.position
+      FROM votes v
+      LEFT JOIN politician_votes pv ON pv.vote_id = v.id AND pv.politician_id = @politician_id
+      WHERE pv.vote_id IS NOT NULL
+        OR (
+          EXISTS (SELECT 1 FROM politician_votes roster WHERE roster.vote_id = v.id)
+          AND (
+            EXISTS (
+              SELECT 1 FROM politician_terms t
+              WHERE t.politician_id = @politician_id
+                AND t.congress = v.congress
+                AND LOWER(t.chamber) = LOWER(v.chamber)
+                AND (t.start_date IS NULL OR v.vote_date >= t.start_date)
+                AND (t.end_date IS NULL OR v.vote_date <= t.end_date)
+            )
+            OR (
+              @has_terms = 0
+              AND LOWER(v.chamber) = LOWER(@chamber)
+              AND v.vote_date BETWEEN @first_date AND @last_date
+            )
+          )
+        )
+      ORDER BY v.vote_date, v.vote_time, v.session, v.roll_call_number
+    `).all({
+      politician_id: politicianId,
+      has_terms: hasTerms ? 1 : 0,
+      chamber: politician.chamber,
+      first_date: recordedRange.first_date,
+      last_date: recordedRange.last_date
+    });
+  }
+
+  /**
+   * Totals for a list of eligible votes
+   */
+  static summarize(votes) {
+    const summary = {
+      eligible_votes: votes.length,
+      total_votes: 0,
+      yes_votes: 0,
+      no_votes: 0,
+      present_votes: 0,
+      not_voting_votes: 0,
+      unrecorded_votes: 0,
+      participation_rate: 0,
+      first_vote_date: null,
+      last_vote_date: null
+    };
+
+    votes.forEach(vote => {
+      const group = VotingStatistics.classifyPosition(vote.position);
+      if (group) {
+        summary.total_votes++;
+        summary[`${group}_votes`]++;
+        summary.first_vote_date = summary.first_vote_date || vote.vote_date;
+        summary.last_vote_date = vote.vote_date;
+      } else {
+        summary.unrecorded_votes++;
+      }
+    });
+
+    const cast = summary.yes_votes + summary.no_votes + summary.present_votes;
+    summary.participation_rate = summary.eligible_votes > 0
+      ? Math.round((cast / summary.eligible_votes) * 10000) / 100
+      : 0;
+
+    return summary;
+  }
+
+  /**
+   * Runs of consecutive eligible votes missed (not voting or unrecorded)
+   * @returns {Object} { current, longest, longestStart, longestEnd }
+   */
+  static findMissedStreaks(votes) {
+    const streaks = { current: 0, longest: 0, longestStart: null, longestEnd: null };
+    let start = null;
+
+    votes.forEach(vote => {
+      const group = VotingStatistics.classifyPosition(vote.position);
+      if (group === 'not_voting' || group === null) {
+        if (streaks.current === 0) start = vote.vote_date;
+        streaks.current++;
+        if (streaks.current > streaks.longest) {
+          streaks.longest = streaks.current;
+          streaks.longestStart = start;
+          streaks.longestEnd = vote.vote_date;
+        }
+      } else {
+        streaks.current = 0;
+      }
+    });
+
+    return streaks;
+  }
+
+  /**
+   * Recompute one politician's statistics and session breakdown
+   */
+  computePolitician(politicianId, provenance = stamp(SOURCE_TYPES.COMPUTED, 'voting-statistics')) {
+    const votes = this.getEligibleVotes(politicianId);
+    const totals = VotingStatistics.summarize(votes);
+    const streaks = VotingStatistics.findMissedStreaks(votes);
+
+    const sessions = new Map();
+    votes.forEach(vote => {
+      const key = `${vote.congress}|${vote.chamber}|${vote.session}`;
+      if (!sessions.has(key)) {
+        sessions.set(key, { congress: vote.congress, chamber: vote.chamber, session: vote.session, votes: [] });
+      }
+      sessions.get(key).votes.push(vote);
+    });
+
+    const updatedAt = clock.toSqlTimestamp();
+    this.db.prepare('DELETE FROM voting_statistics_sessions WHERE politician_id = ?').run(politicianId);
+    const insertSession = this.db.prepare(`
+      INSERT INTO voting_statistics_sessions (
+        politician_id, congress, chamber, session, eligible_votes, total_votes, yes_votes, no_votes,
+        present_votes, not_voting_votes, unrecorded_votes, participation_rate, first_vote_date, last_vote_date,
+        source_type, source_url, retrieved_at, method, updated_at
+      ) VALUES (
+        @politician_id, @congress, @chamber, @session, @eligible_votes, @total_votes, @yes_votes, @no_votes,
+        @present_votes, @not_voting_votes, @unrecorded_votes, @participation_rate, @first_vote_date, @last_vote_date,
+        @source_type, @source_url, @retrieved_at, @method, @updated_at
+      )
+    `);
+    sessions.forEach(session => {
+      insertSession.run({
+        politician_id: politicianId,
+        congress: session.congress,
+        chamber: session.chamber,
+        session: session.session,
+        ...VotingStatistics.summarize(session.votes),
+        ...provenance,
+        updated_at: updatedAt
+      });
+    });
+
+    this.db.prepare(`
+      INSERT OR REPLACE INTO voting_statistics (
+        politician_id, total_votes, yes_votes, no_votes, present_votes, not_voting_votes, participation_rate,
+        first_vote_date, last_vote_date, eligible_votes, unrecorded_votes,
+        current_missed_streak, longest_missed_streak, longest_streak_start, longest_streak_end,
+        source_type, source_url, retrieved_at, method, updated_at
+      ) VALUES (
+        @politician_id, @total_votes, @yes_votes, @no_votes, @present_votes, @not_voting_votes, @participation_rate,
+        @first_vote_date, @last_vote_date, @eligible_votes, @unrecorded_votes,
+        @current_missed_streak, @longest_missed_streak, @longest_streak_start, @longest_streak_end,
+        @source_type, @source_url, @retrieved_at, @method, @updated_at
+      )
+    `).run({
+      politician_id: politicianId,
+      ...totals,
+      current_missed_streak: streaks.current,
+      longest_missed_streak: streaks.longest,
+      longest_streak_start: streaks.longestStart,
+      longest_streak_end: streaks.longestEnd,
+      ...provenance,
+      updated_at: updatedAt
+    });
+
+    return { ...totals, sessions: sessions.size };
+  }
+
+  /**
+   * Politicians whose statistics may have changed since a point in time:
+   * anyone who served in a chamber and congress that gained votes, anyone
+   * with new member votes, and anyone whose terms changed
+   */
+  getAffectedPoliticians(since) {
+    return this.db.prepare(`
+      WITH changed_votes AS (
+        SELECT id, congress, chamber FROM votes WHERE created_at >= @since OR updated_at >= @since
+        UNION
+        SELECT v.id, v.congress, v.chamber FROM politician_votes pv
+        JOIN votes v ON v.id = pv.vote_id
+        WHERE pv.created_at >= @since
+      )
+      SELECT pv.politician_id AS id FROM politician_votes pv
+      JOIN changed_votes cv ON cv.id = pv.vote_id
+      UNION
+      SELECT t.politician_id FROM politician_terms t
+      JOIN (SELECT DISTINCT congress, chamber FROM changed_votes) cc
+        ON cc.congress = t.congress AND LOWER(cc.chamber) = LOWER(t.chamber)
+      UNION
+      SELECT politician_id FROM politician_terms WHERE last_updated >= @since
+    `).all({ since }).map(row => String(row.id));
+  }
+
+  /**
+   * Bring statistics up to date. Without a checkpoint, or with
+   * { full: true }, every politician is recomputed.
+   * @returns {Object} { politicians, full }
+   */
+  update(options = {}) {
+    const { full = false } = options;
+    const startedAt = clock.toSqlTimestamp();
+    const checkpoint = this.db.prepare('SELECT last_run_at FROM computation_checkpoints WHERE name = ?').get(CHECKPOINT);
+    const rebuild = full || !checkpoint;
+
+    const politicianIds = rebuild
+      ? this.db.prepare('SELECT id FROM politicians ORDER BY id').all().map(row => row.id)
+      : this.getAffectedPoliticians(checkpoint.last_run_at);
+    const known = new Set(this.db.prepare('SELECT id FROM politicians').all().map(row => row.id));
+    const provenance = stamp(SOURCE_TYPES.COMPUTED, 'voting-statistics');
+
+    this.db.transaction(() => {
+      if (rebuild) {
+        this.db.exec('DELETE FROM voting_statistics_sessions; DELETE FROM voting_statistics;');
+      }
+
+      politicianIds.filter(id => known.has(id)).forEach(id => this.computePolitician(id, provenance));
+
+      this.db.prepare(`
+        INSERT INTO computation_checkpoints (name, last_run_at, details) VALUES (?, ?, ?)
+        ON CONFLICT (name) DO UPDATE SET last_run_at = excluded.last_run_at, details = excluded.details
+      `).run(CHECKPOINT, startedAt, JSON.stringify({ politicians: politicianIds.length, full: rebuild }));
+    })();
+
+    return { politicians: politicianIds.length, full: rebuild };
+  }
+
+  /**
+   * Statistics and session breakdown for one politician
+   */
+  getStatistics(politicianId) {
+    const totals = this.db.prepare('SELECT * FROM voting_statistics WHERE politician_id = ?').get(politicianId);
+    if (!totals) return null;
+
+    return {
+      ...totals,
+      sessions: this.db.prepare(`
+        SELECT * FROM voting_statistics_sessions
+        WHERE politician_id = ?
+        ORDER BY congress DESC, session DESC, chamber
+      `).all(politicianId)
+    };
+  }
+
+  close() {
+    if (this.ownsDb) {
+      this.db.close();
+    }
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0] || 'help';
+
+  function runCLI() {
+    if (!['update', 'rebuild', 'show'].includes(command)) {
+      console.log(`
+📊 Voting Statistics
+
+Usage: node voting-statistics.js <command>
+
+Commands:
+  update               Recompute statistics for members with new votes or terms
+  rebuild              Recompute statistics for every member
+  show <politician_id> Show a member's statistics by session
+  help                 Show this help message
+      `);
+      return;
+    }
+
+    const statistics = new VotingStatistics();
+
+    try {
+      switch (command) {
+        case 'update':
+        case 'rebuild': {
+          const result = statistics.update({ full: command === 'rebuild' });
+          console.log(`✅ ${result.full ? 'Rebuilt' : 'Updated'} voting statistics for ${result.politicians} politicians`);
+          break;
+        }
+
+        case 'show': {
+          const stats = args[1] ? statistics.getStatistics(args[1]) : null;
+          if (!stats) {
+            console.log(`No voting statistics for ${args[1] || '(missing politician id)'}`);
+            break;
+          }
+          console.log(`📊 ${args[1]}: ${stats.total_votes} votes recorded of ${stats.eligible_votes} eligible, ${stats.participation_rate}% participation`);
+          console.log(`   Yes ${stats.yes_votes}, No ${stats.no_votes}, Present ${stats.present_votes}, Not Voting ${stats.not_voting_votes}, unrecorded ${stats.unrecorded_votes}`);
+          console.log(`   Missed-vote streak: ${stats.current_missed_streak} now, longest ${stats.longest_missed_streak}` +
+            (stats.longest_missed_streak > 0 ? ` (${stats.longest_streak_start} to ${stats.longest_streak_end})` : ''));
+          stats.sessions.forEach(session => {
+            console.log(`   ${session.congress}-${session.chamber}-${session.session}: ${session.total_votes}/${session.eligible_votes} votes, ${session.participation_rate}% participation`);
+          });
+          break;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Statistics failed:', error.message);
+      process.exit(1);
+    } finally {
+      statistics.close();
+    }
+  }
+
+  runCLI();
+}
+
+module.exports = VotingStatistics;
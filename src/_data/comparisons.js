@@ -0,0 +1,198 @@
+// Member-to-member comparisons: prebuilt pairs, plus the per-congress vote
+// files the /compare/ page uses to compare any other pair in the browser
+const Database = require('better-sqlite3');
+const AlignmentEngine = require('../../scripts/alignment-engine');
+const CongressionalDataConfig = require('../../scripts/congress-data-config');
+const VotingStatistics = require('../../scripts/voting-statistics');
+const { getDatabasePath } = require('../../scripts/data-paths');
+
+// One character per vote in the shared index
+const VOTE_CODES = { yes: 'Y', no: 'N' };
+const NOT_CAST = '.';
+
+const empty = { pairs: [], slugs: [], members: [], congresses: [], memberVotes: [] };
+
+/**
+ * How two stated positions on the same topic relate
+ */
+function relateStances(first, second) {
+  if (!first || !second) return 'one-sided';
+  if (first.stance === second.stance) return 'same';
+  const opposed = ['support', 'oppose'];
+  return opposed.includes(first.stance) && opposed.includes(second.stance) ? 'opposite' : 'different';
+}
+
+module.exports = function() {
+  const dbPath = getDatabasePath();
+  if (!require('fs').existsSync(dbPath)) return empty;
+
+  const db = new Database(dbPath, { readonly: true });
+
+  try {
+    const hasTable = (name) => !!db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?
+    `).get(name);
+    if (!hasTable('politician_votes')) return empty;
+
+    const politicians = db.prepare(`
+      SELECT id, name, party, state, chamber, title FROM politicians ORDER BY name
+    `).all();
+    const byId = new Map(politicians.map(politician => [politician.id, politician]));
+
+    // Each congress's roll calls, in the order its vote strings follow
+    const congresses = new Map();
+    const voteIndex = new Map();
+    for (const vote of db.prepare(`
+      SELECT id, congress, vote_date, chamber, question, description, result
+      FROM votes
+      ORDER BY congress DESC, vote_date, chamber, roll_call_number, id
+    `).iterate()) {
+      if (!congresses.has(vote.congress)) congresses.set(vote.congress, []);
+      const votes = congresses.get(vote.congress);
+      voteIndex.set(vote.id, { congress: vote.congress, index: votes.length });
+      const { congress, ...listed } = vote;
+      votes.push(listed);
+    }
+
+    // One vote string per member per congress they cast a Yea or Nay in
+    const codes = new Map();
+    for (const row of db.prepare('SELECT vote_id, politician_id, position FROM politician_votes').iterate()) {
+      const code = VOTE_CODES[VotingStatistics.classifyPosition(row.position)];
+      const slot = voteIndex.get(row.vote_id);
+      if (!code || !slot) continue;
+
+      const key = `${slot.congress}/${row.politician_id}`;
+      if (!codes.has(key)) codes.set(key, new Array(congresses.get(slot.congress).length).fill(NOT_CAST));
+      codes.get(key)[slot.index] = code;
+    }
+
+    const memberVotes = [];
+    const memberCongresses = new Map();
+    for (const congress of congresses.keys()) {
+      for (const politician of politicians) {
+        const cast = codes.get(`${congress}/${politician.id}`);
+        if (!cast) continue;
+
+        memberVotes.push({ congress, id: politician.id, votes: cast.join('').replace(/\.+$/, '') });
+        if (!memberCongresses.has(politician.id)) memberCongresses.set(politician.id, []);
+        memberCongresses.get(politician.id).push(congress);
+      }
+    }
+
+    const legislation = new Map();
+    if (hasTable('politician_legislation')) {
+      for (const row of db.prepare(`
+        SELECT politician_id, legislation_id, relationship_type FROM politician_legislation ORDER BY legislation_id
+      `).iterate()) {
+        if (!['sponsor', 'cosponsor'].includes(row.relationship_type)) continue;
+        if (!legislation.has(row.politician_id)) legislation.set(row.politician_id, { sponsor: [], cosponsor: [] });
+        legislation.get(row.politician_id)[row.relationship_type].push(row.legislation_id);
+      }
+    }
+
+    const members = politicians.map(politician => ({
+      ...politician,
+      congresses: memberCongresses.get(politician.id) || [],
+      sponsored: (legislation.get(politician.id) || {}).sponsor || [],
+      cosponsored: (legislation.get(politician.id) || {}).cosponsor || []
+    }));
+
+    const getVotingAlignment = hasTable('voting_alignment') ? db.prepare(`
+      SELECT total_shared_votes, agreement_count, agreement_rate, last_calculated
+      FROM voting_alignment WHERE politician1_id = ? AND politician2_id = ?
+    `) : null;
+    const getLegislativeAlignment = hasTable('legislative_alignment') ? db.prepare(`
+      SELECT shared_sponsored, shared_cosponsored, total_alignment_score, last_calculated
+      FROM legislative_alignment WHERE politician1_id = ? AND politician2_id = ?
+    `) : null;
+    const getSharedVotes = db.prepare(`
+      SELECT v.id, v.vote_date, v.chamber, v.question, v.description, v.result,
+        pv1.position AS first_position, pv2.position AS second_position
+      FROM politician_votes pv1
+      JOIN politician_votes pv2 ON pv2.vote_id = pv1.vote_id
+      JOIN votes v ON v.id = pv1.vote_id
+      WHERE pv1.politician_id = ? AND pv2.politician_id = ?
+      ORDER BY v.vote_date DESC, v.roll_call_number DESC
+    `);
+    const getSharedLegislation = hasTable('politician_legislation') ? db.prepare(`
+      SELECT l.id, l.congress, l.bill_type, l.bill_number, l.title, l.introduced_date,
+        pl1.relationship_type AS first_role, pl2.relationship_type AS second_role
+      FROM politician_legislation pl1
+      JOIN politician_legislation pl2 ON pl2.legislation_id = pl1.legislation_id
+      JOIN legislation l ON l.id = pl1.legislation_id
+      WHERE pl1.politician_id = ? AND pl2.politician_id = ?
+      ORDER BY l.introduced_date DESC, l.id
+    `) : null;
+    const getPositions = hasTable('politician_positions') ? db.prepare(`
+      SELECT pt.canonical_name AS topic_name, pt.display_name AS topic_display,
+        pp.stance, pp.strength, pp.position_summary, pp.source_url
+      FROM politician_positions pp
+      JOIN policy_topics pt ON pt.id = pp.topic_id
+      WHERE pp.politician_id = ?
+    `) : null;
+
+    const pairs = new CongressionalDataConfig().getComparisonPairs()
+      .filter(([first, second]) => byId.has(first) && byId.has(second) && first !== second)
+      .map(([first, second]) => {
+        // Alignment rows are stored lower id first
+        const ordered = AlignmentEngine.orderPair(first, second);
+        const legislative = getLegislativeAlignment ? getLegislativeAlignment.get(...ordered) : null;
+
+        const splits = getSharedVotes.all(first, second)
+          .map(vote => ({
+            ...vote,
+            first_side: VotingStatistics.classifyPosition(vote.first_position),
+            second_side: VotingStatistics.classifyPosition(vote.second_position)
+          }))
+          .filter(vote => ['yes', 'no'].includes(vote.first_side) && ['yes', 'no'].includes(vote.second_side))
+          .filter(vote => vote.first_side !== vote.second_side)
+          .map(({ first_side, second_side, ...vote }) => vote);
+
+        const firstPositions = new Map((getPositions ? getPositions.all(first) : []).map(p => [p.topic_name, p]));
+        const secondPositions = new Map((getPositions ? getPositions.all(second) : []).map(p => [p.topic_name, p]));
+        const topics = [...new Set([...firstPositions.keys(), ...secondPositions.keys()])]
+          .map(topic => {
+            const strip = (position) => position ? {
+              topic_display: position.topic_display,
+              stance: position.stance || 'neutral',
+              strength: position.strength,
+              position_summary: position.position_summary,
+              source_url: position.source_url
+            } : null;
+            const [a, b] = [strip(firstPositions.get(topic)), strip(secondPositions.get(topic))];
+            return {
+              topic_name: topic,
+              topic_display: (a || b).topic_display,
+              relation: relateStances(a, b),
+              first: a,
+              second: b
+            };
+          })
+          .sort((x, y) => x.topic_display.localeCompare(y.topic_display));
+
+        return {
+          slug: `${first}/${second}`,
+          first: byId.get(first),
+          second: byId.get(second),
+          voting: (getVotingAlignment && getVotingAlignment.get(...ordered)) || null,
+          legislative: legislative && legislative.total_alignment_score > 0 ? legislative : null,
+          sharedLegislation: getSharedLegislation ? getSharedLegislation.all(first, second) : [],
+          topics,
+          splits
+        };
+      });
+
+    return {
+      pairs,
+      slugs: pairs.map(pair => pair.slug),
+      members,
+      congresses: [...congresses].map(([congress, votes]) => ({ congress, votes })),
+      memberVotes
+    };
+  } catch (error) {
+    console.error('❌ Error loading comparisons:', error.message);
+    return empty;
+  } finally {
+    db.close();
+  }
+};
@@ -0,0 +1,60 @@
+// Ideal points per congress and chamber, laid out for the scatter pages
+const Database = require('better-sqlite3');
+const { getDatabasePath } = require('../../scripts/data-paths');
+
+// SVG plot: the unit circle centered in a square canvas
+const SIZE = 600;
+const RADIUS = 270;
+
+module.exports = function() {
+  const dbPath = getDatabasePath();
+  if (!require('fs').existsSync(dbPath)) return [];
+
+  const db = new Database(dbPath, { readonly: true });
+
+  try {
+    const hasPoints = db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'ideal_point_fits'
+    `).get();
+    if (!hasPoints) return [];
+
+    const getPoints = db.prepare(`
+      SELECT ip.politician_id AS id, p.name, p.state, ip.party, ip.coord1, ip.coord2, ip.se1, ip.se2,
+        ip.votes_scaled, ip.classification
+      FROM ideal_points ip
+      JOIN politicians p ON p.id = ip.politician_id
+      WHERE ip.congress = ? AND ip.chamber = ?
+      ORDER BY ip.coord1, p.name
+    `);
+
+    const toSvg = (value) => Math.round((SIZE / 2 + value * RADIUS) * 10) / 10;
+
+    return db.prepare('SELECT * FROM ideal_point_fits ORDER BY congress DESC, chamber').all().map(fit => {
+      const points = getPoints.all(fit.congress, fit.chamber).map(point => ({
+        ...point,
+        partyClass: ['D', 'R'].includes(point.party) ? point.party.toLowerCase() : 'other',
+        x: toSvg(point.coord1),
+        // One-dimensional fits plot on the horizontal axis
+        y: point.coord2 === null ? SIZE / 2 : toSvg(-point.coord2),
+        // 95% interval around each point
+        rx: Math.round(1.96 * (point.se1 || 0) * RADIUS * 10) / 10,
+        ry: Math.round(1.96 * (point.se2 || 0) * RADIUS * 10) / 10
+      }));
+
+      return {
+        congress: fit.congress,
+        chamber: fit.chamber,
+        slug: `${fit.congress}-${fit.chamber}`,
+        chamberName: fit.chamber === 'senate' ? 'Senate' : 'House',
+        fit,
+        points,
+        plot: { size: SIZE, radius: RADIUS, center: SIZE / 2 }
+      };
+    });
+  } catch (error) {
+    console.error('❌ Error loading ideal points:', error.message);
+    return [];
+  } finally {
+    db.close();
+  }
+};
@@ -0,0 +1,48 @@
+// Party unity and bipartisanship rankings for the leaderboards page
+const Database = require('better-sqlite3');
+const PartyScores = require('../../scripts/party-scores');
+const { getDatabasePath } = require('../../scripts/data-paths');
+
+const empty = { partyUnity: [], bipartisanship: [], minimums: {} };
+
+module.exports = function() {
+  const dbPath = getDatabasePath();
+  if (!require('fs').existsSync(dbPath)) return empty;
+
+  const db = new Database(dbPath, { readonly: true });
+
+  try {
+    const hasScores = db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'party_scores'
+    `).get();
+    if (!hasScores) return empty;
+
+    // Every member with enough data for the metric; the page sorts them
+    const rank = ({ column, sample, minimum }) => db.prepare(`
+      SELECT p.id, p.name, p.party, p.state, p.chamber,
+        s.${column} AS score, ${sample} AS sample_size,
+        s.party_divided_votes, s.party_line_votes,
+        s.cosponsors_attracted, s.bipartisan_cosponsors_attracted,
+        s.cosponsorships, s.bipartisan_cosponsorships
+      FROM party_scores s
+      JOIN politicians p ON p.id = s.politician_id
+      WHERE s.${column} IS NOT NULL AND ${sample} >= ?
+      ORDER BY s.${column} DESC, sample_size DESC, p.name
+    `).all(minimum);
+
+    const { METRICS } = PartyScores;
+    return {
+      partyUnity: rank(METRICS['party-unity']),
+      bipartisanship: rank(METRICS.bipartisanship),
+      minimums: {
+        partyDividedVotes: METRICS['party-unity'].minimum,
+        cosponsorshipTies: METRICS.bipartisanship.minimum
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error loading leaderboards:', error.message);
+    return empty;
+  } finally {
+    db.close();
+  }
+};
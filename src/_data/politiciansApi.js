@@ -1,27 +1,14 @@
 // API endpoint for politician search data
 const Database = require('better-sqlite3');
-const path = require('path');
+const { getDatabasePath } = require('../../scripts/data-paths');
 
 module.exports = function() {
   try {
-    // Connect to the database - try multiple possible paths
-    const possiblePaths = [
-      path.join(__dirname, '..', '..', 'data', 'politicians.db'),
-      path.join(process.cwd(), 'data', 'politicians.db'),
-      path.join(__dirname, '../../data/politicians.db'),
-      path.join(__dirname, '..', '..', '..', 'data', 'politicians.db')
-    ];
+    // Connect to the database (data/demo.db with DATA_MODE=demo)
+    const dbPath = getDatabasePath();
     
-    let dbPath = null;
-    for (const testPath of possiblePaths) {
-      if (require('fs').existsSync(testPath)) {
-        dbPath = testPath;
-        break;
-      }
-    }
-    
-    if (!dbPath) {
-      throw new Error(`Database not found. Tried paths: ${possiblePaths.join(', ')}`);
+    if (!require('fs').existsSync(dbPath)) {
+      throw new Error(`Database not found at ${dbPath}`);
     }
     
     console.log(`📁 Using database at: ${dbPath} for search API`);
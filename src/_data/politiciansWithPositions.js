@@ -1,8 +1,10 @@
 const Database = require('better-sqlite3');
-const path = require('path');
+const { getDatabasePath } = require('../../scripts/data-paths');
+const TextDiff = require('../../scripts/text-diff');
+const StanceChangeDetector = require('../../scripts/stance-change-detector');
 
-// Connect to the database
-const dbPath = path.resolve(__dirname, '../../data/politicians.db');
+// Connect to the database (data/demo.db with DATA_MODE=demo)
+const dbPath = getDatabasePath();
 
 try {
   const db = new Database(dbPath, { readonly: true });
@@ -29,6 +31,9 @@ try {
       pp.key_phrases,
       pp.source_url,
       pp.source_section,
+      pp.source_type,
+      pp.retrieved_at,
+      pp.method,
       pp.last_updated
     FROM politician_positions pp
     JOIN policy_topics pt ON pp.topic_id = pt.id
@@ -36,14 +41,123 @@ try {
     ORDER BY pp.confidence_score DESC, pp.is_key_issue DESC
   `);
   
+  // Older databases lack the terms, consistency and evidence tables
+  const hasTable = (name) => !!db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?
+  `).get(name);
+  const hasTerms = hasTable('politician_terms');
+  const getTerms = hasTerms ? db.prepare(`
+    SELECT congress, chamber, state, district, party
+    FROM politician_terms
+    WHERE politician_id = ?
+    ORDER BY congress DESC, chamber
+  `) : null;
+  
+
+  // Vote consistency and the evidence behind each score, per topic
+  const getConsistency = hasTable('position_vote_analysis') ? db.prepare(`
+    SELECT topic_id, voting_pattern, consistency_score, total_votes, aligned_votes, amendment_votes
+    FROM position_vote_analysis
+    WHERE politician_id = ?
+  `) : null;
+  const getEvidence = hasTable('score_evidence') ? db.prepare(`
+    SELECT topic_id, score_type, kind, reference, excerpt, stance, vote, direction, aligned, weight, detail
+    FROM score_evidence
+    WHERE politician_id = ?
+    ORDER BY score_type, weight DESC, id
+  `) : null;
+
+  // Party unity and bipartisanship, with the counts behind them
+  const getPartyScores = hasTable('party_scores') ? db.prepare(`
+    SELECT party_divided_votes, party_line_votes, party_unity_score,
+      cosponsors_attracted, bipartisan_cosponsors_attracted, cosponsorships, bipartisan_cosponsorships,
+      bipartisanship_index
+    FROM party_scores
+    WHERE politician_id = ?
+  `) : null;
+
+  // Ideal points by congress, with how many colleagues sit to the left
+  const getIdealPoints = hasTable('ideal_points') ? db.prepare(`
+    SELECT ip.congress, ip.chamber, ip.coord1, ip.coord2, ip.se1, ip.se2, ip.votes_scaled,
+      (SELECT COUNT(*) FROM ideal_points other
+        WHERE other.congress = ip.congress AND other.chamber = ip.chamber AND other.coord1 < ip.coord1) AS members_left,
+      (SELECT COUNT(*) FROM ideal_points other
+        WHERE other.congress = ip.congress AND other.chamber = ip.chamber) AS members
+    FROM ideal_points ip
+    WHERE ip.politician_id = ?
+    ORDER BY ip.congress DESC, ip.chamber
+  `) : null;
+
+  // Earlier versions of each stated position, for the "what changed" view
+  const getHistory = hasTable('position_history') ? db.prepare(`
+    SELECT topic_id, version, stance, strength, position_summary, position_details,
+      source_url, snapshot_hash, first_seen_at, last_seen_at
+    FROM position_history
+    WHERE politician_id = ?
+    ORDER BY topic_id, version
+  `) : null;
+
+  // Reversals in stated positions and votes, newest first
+  const getStanceChanges = hasTable('stance_changes') ? db.prepare(`
+    SELECT sc.topic_id, t.canonical_name AS topic_name, t.display_name AS topic_display, sc.kind,
+      sc.before_stance, sc.after_stance, sc.before_date, sc.after_date, sc.before_congress, sc.after_congress,
+      sc.before_evidence, sc.after_evidence, sc.source_url, sc.detected_at
+    FROM stance_changes sc
+    JOIN policy_topics t ON t.id = sc.topic_id
+    WHERE sc.politician_id = ?
+    ORDER BY sc.after_date DESC, sc.id DESC
+  `) : null;
+
+  // Newest first; each version carries a word diff against the one before it
+  const buildHistory = (versions) => versions.map((version, index) => {
+    const previous = versions[index - 1];
+    const { topic_id, position_details, ...entry } = version;
+    if (!previous) return { ...entry, previous_stance: null, changed_after: null, diff: null };
+
+    const segments = TextDiff.diffWords(
+      previous.position_details || previous.position_summary,
+      position_details || version.position_summary
+    );
+    return {
+      ...entry,
+      previous_stance: previous.stance,
+      changed_after: previous.last_seen_at,
+      words: TextDiff.summarize(segments),
+      diff: TextDiff.collapse(segments)
+    };
+  }).reverse();
+
   const politicians = getPoliticians.all();
   
-  // Add positions to each politician
+  // Add positions and terms to each politician
   const politiciansWithPositions = politicians.map(politician => {
-    const positions = getPositions.all(politician.id);
+    const consistency = getConsistency ? getConsistency.all(politician.id) : [];
+    const evidence = getEvidence ? getEvidence.all(politician.id) : [];
+    const history = getHistory ? getHistory.all(politician.id) : [];
+    const positions = getPositions.all(politician.id).map(position => {
+      const topicEvidence = evidence.filter(item => item.topic_id === position.topic_id);
+      const items = (scoreType) => topicEvidence
+        .filter(item => item.score_type === scoreType)
+        .map(({ topic_id, score_type, ...item }) => ({ ...item, aligned: item.aligned === null ? null : !!item.aligned }));
+      const { topic_id, ...topicConsistency } = consistency.find(row => row.topic_id === position.topic_id) || {};
+      const versions = history.filter(version => version.topic_id === position.topic_id);
+      return {
+        ...position,
+        history: versions.length > 1 ? buildHistory(versions) : [],
+        consistency: topic_id ? topicConsistency : null,
+        evidence: {
+          confidence: items('position_confidence'),
+          consistency: items('vote_consistency')
+        }
+      };
+    });
     return {
       ...politician,
       positions: positions,
+      terms: getTerms ? getTerms.all(politician.id) : [],
+      partyScores: (getPartyScores && getPartyScores.get(politician.id)) || null,
+      idealPoints: getIdealPoints ? getIdealPoints.all(politician.id) : [],
+      stanceChanges: getStanceChanges ? getStanceChanges.all(politician.id).map(StanceChangeDetector.parseEvidence) : [],
       slug: politician.id // Use the ID as slug for URLs
     };
   });
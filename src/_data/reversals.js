@@ -0,0 +1,51 @@
+// Recent stance reversals across everyone, for the reversals page and feed
+const Database = require('better-sqlite3');
+const StanceChangeDetector = require('../../scripts/stance-change-detector');
+const { getDatabasePath } = require('../../scripts/data-paths');
+
+// Reversals listed on the page and in the feed
+const LIMIT = 100;
+
+const minimums = {
+  votes: StanceChangeDetector.MIN_VOTES,
+  share: Math.round(StanceChangeDetector.DOMINANT_SHARE * 100)
+};
+
+const empty = { changes: [], counts: { stated: 0, voting: 0 }, minimums };
+
+module.exports = function() {
+  const dbPath = getDatabasePath();
+  if (!require('fs').existsSync(dbPath)) return empty;
+
+  const db = new Database(dbPath, { readonly: true });
+
+  try {
+    const hasChanges = db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'stance_changes'
+    `).get();
+    if (!hasChanges) return empty;
+
+    const changes = db.prepare(`
+      SELECT sc.politician_id, p.name, p.party, p.state, p.chamber,
+        t.canonical_name AS topic_name, t.display_name AS topic_display, sc.kind,
+        sc.before_stance, sc.after_stance, sc.before_date, sc.after_date, sc.before_congress, sc.after_congress,
+        sc.before_evidence, sc.after_evidence, sc.source_url, sc.source_type, sc.detected_at
+      FROM stance_changes sc
+      JOIN politicians p ON p.id = sc.politician_id
+      JOIN policy_topics t ON t.id = sc.topic_id
+      ORDER BY sc.after_date DESC, sc.id DESC
+      LIMIT ?
+    `).all(LIMIT).map(StanceChangeDetector.parseEvidence);
+
+    const counts = { stated: 0, voting: 0 };
+    db.prepare('SELECT kind, COUNT(*) AS total FROM stance_changes GROUP BY kind').all()
+      .forEach(row => { counts[row.kind] = row.total; });
+
+    return { changes, counts, minimums };
+  } catch (error) {
+    console.error('❌ Error loading stance reversals:', error.message);
+    return empty;
+  } finally {
+    db.close();
+  }
+};
@@ -1,6 +1,7 @@
 // Voting data helper for Eleventy templates
 const Database = require('better-sqlite3');
-const path = require('path');
+const AlignmentEngine = require('../../scripts/alignment-engine');
+const { getDatabasePath } = require('../../scripts/data-paths');
 
 class VotingDataHelper {
   constructor() {
@@ -10,21 +11,9 @@ class VotingDataHelper {
 
   initializeDb() {
     try {
-      const possiblePaths = [
-        path.join(__dirname, '..', '..', 'data', 'politicians.db'),
-        path.join(process.cwd(), 'data', 'politicians.db'),
-        path.join(__dirname, '../../data/politicians.db')
-      ];
+      const dbPath = getDatabasePath();
       
-      let dbPath = null;
-      for (const testPath of possiblePaths) {
-        if (require('fs').existsSync(testPath)) {
-          dbPath = testPath;
-          break;
-        }
-      }
-      
-      if (dbPath) {
+      if (require('fs').existsSync(dbPath)) {
         this.db = new Database(dbPath, { readonly: true });
       }
     } catch (error) {
@@ -61,11 +50,21 @@ class VotingDataHelper {
     if (!this.db) return null;
 
     try {
-      return this.db.prepare(`
+      const stats = this.db.prepare(`
         SELECT *
         FROM voting_statistics
         WHERE politician_id = ?
       `).get(politicianId);
+      if (!stats) return null;
+
+      stats.sessions = this.db.prepare(`
+        SELECT congress, chamber, session, eligible_votes, total_votes, yes_votes, no_votes,
+          present_votes, not_voting_votes, unrecorded_votes, participation_rate, first_vote_date, last_vote_date
+        FROM voting_statistics_sessions
+        WHERE politician_id = ?
+        ORDER BY congress DESC, session DESC, chamber
+      `).all(politicianId);
+      return stats;
     } catch (error) {
       console.warn(`Warning: Could not fetch voting stats for ${politicianId}:`, error.message);
       return null;
@@ -148,26 +147,23 @@ module.exports = {
     }
   },
 
-  // Calculate voting alignment between two politicians
+  // Voting alignment between two politicians, precomputed by the alignment engine
   calculateAlignment: (politician1Id, politician2Id) => {
     if (!votingHelper.db) return null;
 
     try {
+      const [first, second] = AlignmentEngine.orderPair(politician1Id, politician2Id);
       const alignment = votingHelper.db.prepare(`
-        SELECT 
-          COUNT(*) as total_shared_votes,
-          SUM(CASE WHEN pv1.position = pv2.position THEN 1 ELSE 0 END) as agreement_count
-        FROM politician_votes pv1
-        JOIN politician_votes pv2 ON pv1.vote_id = pv2.vote_id
-        WHERE pv1.politician_id = ? AND pv2.politician_id = ?
-        AND pv1.position IN ('Yes', 'No') AND pv2.position IN ('Yes', 'No')
-      `).get(politician1Id, politician2Id);
-
-      if (alignment.total_shared_votes > 0) {
+        SELECT total_shared_votes, agreement_count, agreement_rate
+        FROM voting_alignment
+        WHERE politician1_id = ? AND politician2_id = ?
+      `).get(first, second);
+
+      if (alignment && alignment.total_shared_votes > 0) {
         return {
           totalSharedVotes: alignment.total_shared_votes,
           agreementCount: alignment.agreement_count,
-          agreementRate: (alignment.agreement_count / alignment.total_shared_votes) * 100
+          agreementRate: alignment.agreement_rate
         };
       }
 
@@ -161,13 +161,6 @@ const utils = {
     return temp.innerHTML;
   },
 
-  // Calculate alignment score
-  calculateAlignmentScore(statements, votes, positions) {
-    // This would be implemented with actual comparison logic
-    // For now, returning a placeholder
-    return Math.floor(Math.random() * 100) + 1;
-  },
-
   // Format politician name for URLs
   slugify(name) {
     return name
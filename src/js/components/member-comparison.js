@@ -0,0 +1,281 @@
+// Member Comparison Web Component
+// Compares any two members in the browser, one congress at a time, from
+// the per-member vote files (/api/compare/members/{congress}/{id}.json):
+// each is a string with one character per roll call in
+// /api/compare/votes/{congress}.json, Y for Yea, N for Nay and "." for
+// anything else.
+
+const RELATIONS = {
+  'same': 'Same stance',
+  'different': 'Different stances',
+  'opposite': 'Opposite stances',
+  'one-sided': 'Only one has a stated position'
+};
+
+class MemberComparison extends HTMLElement {
+  constructor() {
+    super();
+    this.votes = new Map();
+  }
+
+  connectedCallback() {
+    this.form = this.querySelector('form');
+    this.results = this.querySelector('[data-comparison-results]');
+    this.prebuilt = new Set(JSON.parse(this.getAttribute('data-prebuilt') || '[]'));
+    if (!this.form || !this.results) return;
+
+    this.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const { a, b, congress } = this.getSelection();
+      history.replaceState(null, '', `?${new URLSearchParams({ a, b, congress })}`);
+      this.compare(a, b, congress);
+    });
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('a') && params.get('b')) {
+      this.form.elements.a.value = params.get('a');
+      this.form.elements.b.value = params.get('b');
+      if (params.get('congress')) this.form.elements.congress.value = params.get('congress');
+      const { a, b, congress } = this.getSelection();
+      this.compare(a, b, congress);
+    }
+  }
+
+  getSelection() {
+    const { a, b, congress } = this.form.elements;
+    return { a: a.value, b: b.value, congress: congress ? congress.value : '' };
+  }
+
+  /**
+   * Roll calls of one congress, fetched once
+   */
+  getVotes(congress) {
+    if (!this.votes.has(congress)) {
+      this.votes.set(congress, this.fetchJson(`/api/compare/votes/${encodeURIComponent(congress)}.json`)
+        .then(data => data.votes)
+        .catch(error => {
+          this.votes.delete(congress);
+          throw error;
+        }));
+    }
+    return this.votes.get(congress);
+  }
+
+  async fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Request for ${url} failed: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async compare(firstId, secondId, congress) {
+    if (!firstId || !secondId || firstId === secondId) {
+      this.results.innerHTML = '<p class="leaderboard__empty">Choose two different members.</p>';
+      return;
+    }
+
+    this.results.innerHTML = '<div class="loading">Comparing...</div>';
+
+    try {
+      const member = (id) => this.fetchJson(`/api/compare/members/${encodeURIComponent(id)}.json`);
+      // Members who cast no Yea or Nay in the congress have no vote file for it
+      const memberVotes = (details) => congress && details.congresses.includes(Number(congress))
+        ? this.fetchJson(`/api/compare/members/${encodeURIComponent(congress)}/${encodeURIComponent(details.id)}.json`)
+          .then(data => data.votes)
+        : '';
+      // Members without stated positions have no positions file
+      const positions = (id) => this.fetchJson(`/api/politician/${encodeURIComponent(id)}/positions.json`)
+        .then(data => data.positions || [])
+        .catch(() => []);
+
+      const [first, second, firstPositions, secondPositions] = await Promise.all([
+        member(firstId), member(secondId), positions(firstId), positions(secondId)
+      ]);
+
+      const [firstVotes, secondVotes, votes] = await Promise.all([
+        memberVotes(first), memberVotes(second), congress ? this.getVotes(congress) : []
+      ]);
+
+      this.render(first, second, {
+        congress,
+        voting: MemberComparison.compareVotes(firstVotes, secondVotes, votes),
+        legislation: MemberComparison.compareLegislation(first, second),
+        topics: MemberComparison.compareTopics(firstPositions, secondPositions)
+      });
+    } catch (error) {
+      console.error('Failed to compare members:', error);
+      this.results.innerHTML = `
+        <div class="policy-comparison-error" role="alert">
+          <p>Unable to load comparison data.</p>
+        </div>
+      `;
+    }
+  }
+
+  /**
+   * Shared Yea/Nay votes, agreement, and the votes where they split
+   */
+  static compareVotes(firstVotes, secondVotes, votes) {
+    let shared = 0;
+    let agreed = 0;
+    const splits = [];
+    const length = Math.min(firstVotes.length, secondVotes.length);
+
+    for (let index = 0; index < length; index++) {
+      const [first, second] = [firstVotes[index], secondVotes[index]];
+      if (first === '.' || second === '.') continue;
+
+      shared++;
+      if (first === second) {
+        agreed++;
+      } else {
+        splits.push({ ...votes[index], first, second });
+      }
+    }
+
+    return {
+      shared,
+      agreed,
+      rate: shared ? Math.round((agreed / shared) * 10000) / 100 : null,
+      // Most recent first
+      splits: splits.reverse()
+    };
+  }
+
+  /**
+   * Bills both sponsored, and bills both cosponsored
+   */
+  static compareLegislation(first, second) {
+    const intersect = (a, b) => {
+      const other = new Set(b);
+      return a.filter(id => other.has(id));
+    };
+
+    return {
+      sponsored: intersect(first.sponsored || [], second.sponsored || []),
+      cosponsored: intersect(first.cosponsored || [], second.cosponsored || [])
+    };
+  }
+
+  /**
+   * Stated positions side by side, topic by topic
+   */
+  static compareTopics(firstPositions, secondPositions) {
+    const byTopic = (positions) => new Map(positions.map(position => [position.topic_name, position]));
+    const [first, second] = [byTopic(firstPositions), byTopic(secondPositions)];
+    const opposed = ['support', 'oppose'];
+
+    return [...new Set([...first.keys(), ...second.keys()])]
+      .map(topic => {
+        const [a, b] = [first.get(topic) || null, second.get(topic) || null];
+        let relation = 'one-sided';
+        if (a && b) {
+          if (a.stance === b.stance) relation = 'same';
+          else relation = opposed.includes(a.stance) && opposed.includes(b.stance) ? 'opposite' : 'different';
+        }
+        return { topic: (a || b).topic_display, relation, first: a, second: b };
+      })
+      .sort((x, y) => x.topic.localeCompare(y.topic));
+  }
+
+  /**
+   * "118th Congress"
+   */
+  static formatCongress(congress) {
+    const number = Number(congress);
+    if (!number) return 'selected congress';
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = [11, 12, 13].includes(number % 100) ? 'th' : (suffixes[number % 10] || 'th');
+    return `${number}${suffix} Congress`;
+  }
+
+  render(first, second, comparison) {
+    const name = (member) => utils.sanitizeHTML(member.name);
+    const { congress, voting, legislation, topics } = comparison;
+    const slug = [`${first.id}/${second.id}`, `${second.id}/${first.id}`].find(candidate => this.prebuilt.has(candidate));
+    const position = (code) => code === 'Y' ? 'Yea' : 'Nay';
+    const stance = (side) => side
+      ? `<strong>${utils.sanitizeHTML(side.stance || 'neutral')}</strong>
+         <p class="party-scores__detail">${utils.sanitizeHTML(side.position_summary || '')}</p>`
+      : '—';
+
+    this.results.innerHTML = `
+      <h3>
+        <a href="/politician/${encodeURIComponent(first.id)}/">${name(first)}</a> and
+        <a href="/politician/${encodeURIComponent(second.id)}/">${name(second)}</a>
+      </h3>
+      ${slug ? `<p><a href="/compare/${slug}/">See the full comparison page</a></p>` : ''}
+
+      <h4>Voting Together</h4>
+      ${voting.shared
+        ? `<p>Of the ${voting.shared} roll calls in the ${MemberComparison.formatCongress(congress)} where both cast a Yea
+           or Nay, they voted the same way on ${voting.agreed} (${voting.rate}%).</p>`
+        : `<p class="leaderboard__empty">They have no recorded roll calls in the ${MemberComparison.formatCongress(congress)}
+           where both cast a Yea or Nay.</p>`}
+
+      <h4>Shared Legislation</h4>
+      <p>
+        They sponsored ${legislation.sponsored.length} of the same bills and cosponsored
+        ${legislation.cosponsored.length} of the same bills.
+      </p>
+
+      <h4>Stated Positions by Topic</h4>
+      ${topics.length ? `
+        <table class="leaderboard__table">
+          <thead>
+            <tr>
+              <th scope="col">Topic</th>
+              <th scope="col">${name(first)}</th>
+              <th scope="col">${name(second)}</th>
+              <th scope="col">Comparison</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${topics.map(topic => `
+              <tr>
+                <th scope="row">${utils.sanitizeHTML(topic.topic)}</th>
+                <td>${stance(topic.first)}</td>
+                <td>${stance(topic.second)}</td>
+                <td>${RELATIONS[topic.relation]}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : '<p class="leaderboard__empty">Neither has a stated position on record yet.</p>'}
+
+      <h4>Where They Split</h4>
+      ${voting.splits.length ? `
+        <sortable-table>
+          <table class="leaderboard__table">
+            <thead>
+              <tr>
+                <th scope="col" aria-sort="descending">Date</th>
+                <th scope="col">Question</th>
+                <th scope="col">${name(first)}</th>
+                <th scope="col">${name(second)}</th>
+                <th scope="col">Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${voting.splits.map(vote => `
+                <tr>
+                  <td>${utils.sanitizeHTML(vote.vote_date || '')}</td>
+                  <th scope="row">${utils.sanitizeHTML(vote.question || vote.id)}</th>
+                  <td>${position(vote.first)}</td>
+                  <td>${position(vote.second)}</td>
+                  <td>${utils.sanitizeHTML(vote.result || '—')}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </sortable-table>
+      ` : `<p class="leaderboard__empty">They have not voted on opposite sides of any recorded roll call in the
+           ${MemberComparison.formatCongress(congress)}.</p>`}
+    `;
+
+    utils.announce(`Comparison of ${first.name} and ${second.name} loaded`);
+  }
+}
+
+customElements.define('member-comparison', MemberComparison);
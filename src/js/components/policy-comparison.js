@@ -27,7 +27,6 @@ class PolicyComparison extends HTMLElement {
     if (!category || !politicianId) return;
 
     try {
-      // Mock data loading - in real implementation, this would be an API call
       this.policyData = await this.fetchPolicyData(politicianId, category);
       this.render();
     } catch (error) {
@@ -37,30 +36,50 @@ class PolicyComparison extends HTMLElement {
   }
 
   async fetchPolicyData(politicianId, category) {
-    // Mock implementation
+    const response = await fetch(`/api/politician/${encodeURIComponent(politicianId)}/positions.json`);
+    if (!response.ok) {
+      throw new Error(`Positions request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const wanted = utils.slugify(category);
+    const position = (data.positions || []).find(p =>
+      utils.slugify(p.topic_name) === wanted || utils.slugify(p.topic_display) === wanted
+    );
+    if (!position) {
+      throw new Error(`No stated position on ${category}`);
+    }
+
+    const consistency = position.consistency;
+    const evidence = position.evidence || {};
+    const score = consistency && consistency.consistency_score !== null
+      ? Math.round(consistency.consistency_score * 100)
+      : null;
+
     return {
-      category: category,
-      statedPosition: 'Support for comprehensive reform in this area',
-      alignmentScore: Math.floor(Math.random() * 40) + 60, // 60-100%
-      statements: [
-        {
-          text: 'This is a sample public statement about the policy area.',
-          source: 'News Interview',
-          date: '2023-10-15',
-          credibility: 'high'
-        }
-      ],
-      votes: [
-        {
-          bill: 'Sample Legislation Act',
-          vote: 'Yes',
-          date: '2023-09-01',
-          description: 'Legislation related to this policy area'
-        }
-      ],
+      category: position.topic_display,
+      statedPosition: position.position_summary,
+      sourceUrl: position.source_url,
+      alignmentScore: score,
+      statements: (evidence.confidence || [])
+        .filter(item => item.kind === 'sentence')
+        .map(item => ({
+          text: item.excerpt,
+          source: item.reference,
+          stance: item.stance
+        })),
+      votes: (evidence.consistency || [])
+        .filter(item => item.kind === 'vote')
+        .map(item => ({
+          bill: item.excerpt,
+          vote: item.vote,
+          description: item.detail
+        })),
       analysis: {
-        consistency: 85,
-        notes: 'Shows strong alignment between stated positions and actions'
+        consistency: score,
+        notes: consistency
+          ? `${consistency.aligned_votes} of ${consistency.total_votes} votes on this topic match the stated position`
+          : 'No votes on this topic have been analyzed yet'
       }
     };
   }
@@ -77,17 +96,7 @@ class PolicyComparison extends HTMLElement {
           <h3 id="policy-${utils.slugify(this.policyData.category)}" class="policy-widget-title">
             ${utils.sanitizeHTML(this.policyData.category)}
           </h3>
-          <div class="alignment-indicator">
-            <span class="alignment-label">Alignment Score:</span>
-            <div class="alignment-bar" role="progressbar" 
-                 aria-valuenow="${this.policyData.alignmentScore}" 
-                 aria-valuemin="0" 
-                 aria-valuemax="100"
-                 aria-label="Alignment score: ${this.policyData.alignmentScore} out of 100">
-              <div class="alignment-fill" style="width: ${this.policyData.alignmentScore}%"></div>
-              <span class="alignment-text">${this.policyData.alignmentScore}%</span>
-            </div>
-          </div>
+          ${this.renderAlignment()}
         </header>
 
         <div class="policy-widget-content">
@@ -111,9 +120,10 @@ class PolicyComparison extends HTMLElement {
                  aria-labelledby="stated-tab" id="stated-panel" tabindex="0">
               <h4 class="sr-only">Stated Position</h4>
               <p class="stated-position">${utils.sanitizeHTML(this.policyData.statedPosition)}</p>
+              ${this.policyData.sourceUrl ? `
               <div class="position-source">
-                <small>Source: Official website and campaign materials</small>
-              </div>
+                <small>Source: <a href="${utils.sanitizeHTML(this.policyData.sourceUrl)}">${utils.sanitizeHTML(this.policyData.sourceUrl)}</a></small>
+              </div>` : ''}
             </div>
 
             <div class="tab-panel" role="tabpanel" 
@@ -132,12 +142,13 @@ class PolicyComparison extends HTMLElement {
           <div class="analysis-summary">
             <h4>Analysis</h4>
             <p>${utils.sanitizeHTML(this.policyData.analysis.notes)}</p>
+            ${this.policyData.analysis.consistency === null ? '' : `
             <div class="consistency-score">
               Consistency Rating: 
               <span class="score score--${this.getScoreClass(this.policyData.analysis.consistency)}">
                 ${this.policyData.analysis.consistency}%
               </span>
-            </div>
+            </div>`}
           </div>
         </div>
       </article>
@@ -146,36 +157,56 @@ class PolicyComparison extends HTMLElement {
     this.setupTabs();
   }
 
+  renderAlignment() {
+    const score = this.policyData.alignmentScore;
+    if (score === null) {
+      return '<p class="alignment-indicator">Alignment Score: not enough votes to score</p>';
+    }
+
+    return `
+          <div class="alignment-indicator">
+            <span class="alignment-label">Alignment Score:</span>
+            <div class="alignment-bar" role="progressbar" 
+                 aria-valuenow="${score}" 
+                 aria-valuemin="0" 
+                 aria-valuemax="100"
+                 aria-label="Alignment score: ${score} out of 100">
+              <div class="alignment-fill" style="width: ${score}%"></div>
+              <span class="alignment-text">${score}%</span>
+            </div>
+          </div>`;
+  }
+
   renderStatements() {
+    if (this.policyData.statements.length === 0) {
+      return '<p>No statements on this topic have been recorded.</p>';
+    }
+
     return this.policyData.statements.map(statement => `
       <blockquote class="public-statement">
         <p>"${utils.sanitizeHTML(statement.text)}"</p>
         <footer>
-          <cite>
-            ${utils.sanitizeHTML(statement.source)} - 
-            <time datetime="${statement.date}">${utils.formatDate(statement.date)}</time>
-          </cite>
-          <span class="credibility-badge credibility--${statement.credibility}">
-            ${statement.credibility} credibility
-          </span>
+          ${statement.source ? `<cite>${utils.sanitizeHTML(statement.source)}</cite>` : ''}
+          ${statement.stance ? `<span class="stance-badge stance--${statement.stance}">${statement.stance}</span>` : ''}
         </footer>
       </blockquote>
     `).join('');
   }
 
   renderVotes() {
+    if (this.policyData.votes.length === 0) {
+      return '<p>No votes on this topic have been recorded.</p>';
+    }
+
     return this.policyData.votes.map(vote => `
       <div class="vote-record">
-        <h5 class="vote-bill">${utils.sanitizeHTML(vote.bill)}</h5>
+        <h5 class="vote-bill">${utils.sanitizeHTML(vote.bill || 'Untitled vote')}</h5>
         <div class="vote-details">
-          <span class="vote-decision vote--${vote.vote.toLowerCase()}">
-            ${utils.sanitizeHTML(vote.vote)}
+          <span class="vote-decision vote--${utils.slugify(vote.vote || 'unknown')}">
+            ${utils.sanitizeHTML(vote.vote || 'Unknown')}
           </span>
-          <time datetime="${vote.date}" class="vote-date">
-            ${utils.formatDate(vote.date)}
-          </time>
         </div>
-        <p class="vote-description">${utils.sanitizeHTML(vote.description)}</p>
+        ${vote.description ? `<p class="vote-description">${utils.sanitizeHTML(vote.description)}</p>` : ''}
       </div>
     `).join('');
   }
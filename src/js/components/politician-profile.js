@@ -64,10 +64,17 @@ class PoliticianProfile extends HTMLElement {
         isKeyIssue: position.is_key_issue,
         sourceUrl: position.source_url,
         sourceSection: position.source_section,
-        lastUpdated: position.last_updated
+        lastUpdated: position.last_updated,
+        consistency: position.consistency,
+        evidence: position.evidence || { confidence: [], consistency: [] },
+        history: position.history || []
       })),
-      overallAlignment: this.calculateOverallAlignment()
+      terms: this.politician.terms || [],
+      partyScores: this.politician.partyScores || null,
+      idealPoints: this.politician.idealPoints || [],
+      stanceChanges: this.politician.stanceChanges || []
     };
+    this.profileData.overallAlignment = this.calculateOverallAlignment();
   }
 
   calculateOverallAlignment() {
@@ -131,6 +138,14 @@ class PoliticianProfile extends HTMLElement {
               </div>
             </section>
 
+            ${this.profileData.partyScores ? this.renderPartyScores() : ''}
+
+            ${this.profileData.idealPoints.length > 0 ? this.renderIdealPoints() : ''}
+
+            ${this.profileData.terms.length > 0 ? this.renderServiceHistory() : ''}
+
+            ${this.profileData.stanceChanges.length > 0 ? this.renderStanceChanges() : ''}
+
             ${this.profileData.policyPositions.length > 0 ? this.renderPolicyPositions() : this.renderNoPositions()}
           </div>
         </main>
@@ -140,6 +155,157 @@ class PoliticianProfile extends HTMLElement {
     this.setupInteractions();
   }
 
+  renderPartyScores() {
+    const scores = this.profileData.partyScores;
+    const breaks = scores.party_divided_votes - scores.party_line_votes;
+
+    return `
+      <section class="party-scores" aria-labelledby="party-scores-heading">
+        <h2 id="party-scores-heading">Party Line and Bipartisanship</h2>
+        <div class="overview-grid">
+          <div class="overview-card">
+            <h3>Party Unity</h3>
+            <div class="stat-number stat-number--info">
+              ${scores.party_unity_score === null ? '—' : `${Math.round(scores.party_unity_score)}%`}
+            </div>
+            <p>Voted with their party's majority on ${scores.party_line_votes} of ${scores.party_divided_votes} party-divided votes</p>
+            <p class="party-scores__detail">Broke with their party ${breaks} ${breaks === 1 ? 'time' : 'times'}</p>
+          </div>
+
+          <div class="overview-card">
+            <h3>Bipartisanship</h3>
+            <div class="stat-number stat-number--info">
+              ${scores.bipartisanship_index === null ? '—' : `${Math.round(scores.bipartisanship_index)}%`}
+            </div>
+            <p>Share of cosponsorship ties that cross party lines</p>
+            <p class="party-scores__detail">
+              ${scores.bipartisan_cosponsors_attracted} of ${scores.cosponsors_attracted} cosponsors on their bills were from the other party;
+              ${scores.bipartisan_cosponsorships} of ${scores.cosponsorships} bills they cosponsored came from the other party
+            </p>
+          </div>
+        </div>
+        <p class="party-scores__detail"><a href="/leaderboards/">Compare with other members</a></p>
+      </section>
+    `;
+  }
+
+  renderIdealPoints() {
+    return `
+      <section class="ideal-point-history" aria-labelledby="ideal-points-heading">
+        <h2 id="ideal-points-heading">Where They Sit</h2>
+        <p class="section-description">
+          Estimated from roll-call votes alone. The first dimension runs from -1 to 1; in each congress Republicans are placed on the positive side.
+        </p>
+        <table class="service-history__table">
+          <thead>
+            <tr>
+              <th scope="col">Congress</th>
+              <th scope="col">Chamber</th>
+              <th scope="col">First dimension</th>
+              <th scope="col">Position in chamber</th>
+              <th scope="col">Votes scaled</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.profileData.idealPoints.map(point => `
+              <tr>
+                <th scope="row">${this.formatCongress(point.congress)}</th>
+                <td><a href="/ideal-points/${point.congress}-${utils.sanitizeHTML(point.chamber)}/">${point.chamber === 'senate' ? 'Senate' : 'House'}</a></td>
+                <td>${point.coord1.toFixed(2)} ± ${(1.96 * point.se1).toFixed(2)}</td>
+                <td>Right of ${Math.round((point.members_left / Math.max(point.members - 1, 1)) * 100)}% of members</td>
+                <td>${point.votes_scaled}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </section>
+    `;
+  }
+
+  renderServiceHistory() {
+    return `
+      <section class="service-history" aria-labelledby="service-history-heading">
+        <h2 id="service-history-heading">Service History</h2>
+        <table class="service-history__table">
+          <thead>
+            <tr>
+              <th scope="col">Congress</th>
+              <th scope="col">Chamber</th>
+              <th scope="col">State</th>
+              <th scope="col">District</th>
+              <th scope="col">Party</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.profileData.terms.map(term => `
+              <tr>
+                <th scope="row">${this.formatCongress(term.congress)}</th>
+                <td>${utils.sanitizeHTML(term.chamber)}</td>
+                <td>${utils.sanitizeHTML(term.state)}</td>
+                <td>${term.district ? utils.sanitizeHTML(term.district) : '—'}</td>
+                <td>${utils.sanitizeHTML(term.party || 'Unknown')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </section>
+    `;
+  }
+
+  renderStanceChanges() {
+    const date = (value) => `<time datetime="${value}">${utils.formatDate(value)}</time>`;
+    const capitalize = (text) => utils.sanitizeHTML(text.charAt(0).toUpperCase() + text.slice(1));
+    const votes = (evidence) => `
+      ${this.formatCongress(evidence.congress)}: of ${evidence.votes_counted} votes, ${evidence.expanding} expanded the topic
+      and ${evidence.restricting} restricted it${evidence.votes.length ? ', such as ' : ''}
+      ${evidence.votes.map(vote => utils.sanitizeHTML(`${vote.vote} on ${vote.amendment_id || vote.title}`)).join('; ')}
+    `;
+
+    return `
+      <section class="stance-changes" aria-labelledby="stance-changes-heading">
+        <h2 id="stance-changes-heading">Stance Reversals</h2>
+        <p class="section-description">
+          Topics where their own site said the opposite of an earlier crawl, or where most of their votes pushed the other way from one congress to a later one.
+          <a href="/reversals/">See recent reversals by all members</a>
+        </p>
+        <ol class="reversal-feed">
+          ${this.profileData.stanceChanges.map(change => `
+            <li class="reversal-feed__item">
+              <h3>
+                ${utils.sanitizeHTML(change.topic_display)}:
+                <span class="position-history__stance">${capitalize(change.before_stance)} → ${capitalize(change.after_stance)}</span>
+              </h3>
+              ${change.kind === 'voting' ? `
+                <p class="reversal-feed__when">In votes, between the ${this.formatCongress(change.before_congress)} and ${this.formatCongress(change.after_congress)} Congress</p>
+                <ul class="reversal-feed__evidence">
+                  <li>${votes(change.before_evidence)}</li>
+                  <li>${votes(change.after_evidence)}</li>
+                </ul>
+              ` : `
+                <p class="reversal-feed__when">In their stated position, between ${date(change.before_date)} and ${date(change.after_date)}</p>
+                <ul class="reversal-feed__evidence">
+                  <li>Before: ${utils.sanitizeHTML(change.before_evidence.summary || '')}</li>
+                  <li>
+                    After: ${utils.sanitizeHTML(change.after_evidence.summary || '')}
+                    ${change.source_url ? ` · <a href="${utils.sanitizeHTML(change.source_url)}" target="_blank" rel="noopener">Source</a>` : ''}
+                  </li>
+                </ul>
+              `}
+            </li>
+          `).join('')}
+        </ol>
+      </section>
+    `;
+  }
+
+  formatCongress(congress) {
+    // Each Congress starts in an odd year, two years after the previous one
+    const startYear = 1789 + (congress - 1) * 2;
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = [11, 12, 13].includes(congress % 100) ? 'th' : (suffixes[congress % 10] || 'th');
+    return `${congress}${suffix} (${startYear}–${startYear + 2})`;
+  }
+
   renderNoPositions() {
     return `
       <section class="no-positions-section" aria-labelledby="no-positions-heading">
@@ -181,6 +347,16 @@ class PoliticianProfile extends HTMLElement {
                 <span class="confidence-score confidence-score--${this.getScoreClass(policy.confidenceScore)}">
                   ${policy.confidenceScore}% confidence
                 </span>
+                ${policy.consistency ? `
+                  <span class="confidence-score confidence-score--${this.getScoreClass(Math.round(policy.consistency.consistency_score * 100))}">
+                    ${Math.round(policy.consistency.consistency_score * 100)}% vote consistency
+                  </span>
+                ` : ''}
+                ${policy.history.length > 1 ? `
+                  <span class="position-changed-badge">
+                    Changed <time datetime="${policy.history[0].first_seen_at}">${utils.formatDate(policy.history[0].first_seen_at)}</time>
+                  </span>
+                ` : ''}
               </div>
             </header>
             
@@ -197,6 +373,10 @@ class PoliticianProfile extends HTMLElement {
                 </div>
               ` : ''}
               
+              ${this.renderScoreEvidence(policy)}
+
+              ${this.renderPositionHistory(policy)}
+
               <div class="source-info">
                 <h4>Source Information</h4>
                 <div class="source-details">
@@ -218,6 +398,117 @@ class PoliticianProfile extends HTMLElement {
     `;
   }
 
+  renderScoreEvidence(policy) {
+    const { confidence, consistency } = policy.evidence;
+    if (confidence.length === 0 && consistency.length === 0) return '';
+
+    const sentences = confidence.filter(item => item.kind === 'sentence');
+    const stance = consistency.find(item => item.kind === 'stance');
+    const votes = consistency.filter(item => item.kind === 'vote');
+
+    return `
+      <details class="score-evidence">
+        <summary>Why this score?</summary>
+
+        ${sentences.length > 0 ? `
+          <h4>Confidence: ${policy.confidenceScore}%</h4>
+          <p>The stance comes from these sentences. Each one's share of the score is shown.</p>
+          <ul class="score-evidence__list">
+            ${sentences.map(item => `
+              <li class="score-evidence__item">
+                <q>${utils.sanitizeHTML(item.excerpt)}</q>
+                <span class="score-evidence__meta">
+                  ${utils.sanitizeHTML(item.stance)} · ${this.formatWeight(item.weight)} · ${utils.sanitizeHTML(item.detail || '')}
+                </span>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+
+        ${policy.consistency && votes.length > 0 ? `
+          <h4>Vote consistency: ${Math.round(policy.consistency.consistency_score * 100)}%</h4>
+          <p>
+            ${policy.consistency.aligned_votes} of ${policy.consistency.total_votes} votes with a policy effect matched the stated stance.
+            ${stance ? `The stated stance is ${utils.sanitizeHTML(stance.stance)}. ${utils.sanitizeHTML(stance.detail || '')}.` : ''}
+            Pattern: ${utils.sanitizeHTML(policy.consistency.voting_pattern.replace(/_/g, ' '))}.
+          </p>
+          <table class="score-evidence__table">
+            <thead>
+              <tr>
+                <th scope="col">Vote</th>
+                <th scope="col">On</th>
+                <th scope="col">Cast</th>
+                <th scope="col">Yes would</th>
+                <th scope="col">Matches stance</th>
+                <th scope="col">Weight</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${votes.map(item => `
+                <tr>
+                  <th scope="row">${utils.sanitizeHTML(item.reference)}</th>
+                  <td>${utils.sanitizeHTML(item.excerpt || '')}</td>
+                  <td>${utils.sanitizeHTML(item.vote || '')}</td>
+                  <td>${utils.sanitizeHTML(item.direction || 'not coded')}</td>
+                  <td>${item.aligned === null ? '—' : (item.aligned ? 'Yes' : 'No')}</td>
+                  <td>${this.formatWeight(item.weight)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : ''}
+      </details>
+    `;
+  }
+
+  renderPositionHistory(policy) {
+    const changes = policy.history.filter(version => version.diff);
+    if (changes.length === 0) return '';
+
+    const first = policy.history[policy.history.length - 1];
+    const date = (value) => `<time datetime="${value}">${utils.formatDate(value)}</time>`;
+    const capitalize = (text) => utils.sanitizeHTML(text.charAt(0).toUpperCase() + text.slice(1));
+
+    return `
+      <details class="position-history">
+        <summary>How this position changed (${changes.length} ${changes.length === 1 ? 'change' : 'changes'})</summary>
+        <p>Each time the source page is crawled, the wording is compared with the last version on record. Removed words are struck through; added words are underlined.</p>
+        <ol class="position-history__list" reversed>
+          ${changes.map(version => `
+            <li class="position-history__item">
+              <h4>
+                Changed between ${date(version.changed_after)} and ${date(version.first_seen_at)}
+                ${version.stance !== version.previous_stance
+                  ? `<span class="position-history__stance">${capitalize(version.previous_stance)} → ${capitalize(version.stance)}</span>`
+                  : ''}
+              </h4>
+              <p class="position-history__diff">
+                ${version.diff.map(segment => {
+                  const text = utils.sanitizeHTML(segment.text);
+                  if (segment.type === 'removed') return `<del>${text}</del>`;
+                  if (segment.type === 'added') return `<ins>${text}</ins>`;
+                  return text;
+                }).join(' ')}
+              </p>
+              <p class="score-evidence__meta">
+                ${version.words.removed} words removed, ${version.words.added} added
+                ${version.source_url ? ` · <a href="${utils.sanitizeHTML(version.source_url)}" target="_blank" rel="noopener">Source</a>` : ''}
+              </p>
+            </li>
+          `).join('')}
+          <li class="position-history__item">
+            <h4>First recorded ${date(first.first_seen_at)}: ${capitalize(first.stance)}</h4>
+            <p>${utils.sanitizeHTML(first.position_summary || '')}</p>
+          </li>
+        </ol>
+      </details>
+    `;
+  }
+
+  formatWeight(weight) {
+    return weight > 0 ? `${Math.round(weight * 100)}% of score` : 'not counted';
+  }
+
   getScoreClass(score) {
     if (score >= 80) return 'high';
     if (score >= 60) return 'medium';
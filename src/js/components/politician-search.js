@@ -273,7 +273,7 @@ class PoliticianSearch extends HTMLElement {
       resultsContainer.innerHTML = `
         <div class="no-results" role="status" aria-live="polite">
           <p>No politicians found. Please check the spelling and try again.</p>
-          <p><small>Searching 554 current members of the 118th Congress (House & Senate)</small></p>
+          <p><small>${this.getCoverageDescription()}</small></p>
         </div>
       `;
       return;
@@ -288,6 +288,31 @@ class PoliticianSearch extends HTMLElement {
     this.utils.announce(`Found ${results.length} politician${results.length === 1 ? '' : 's'}.`);
   }
 
+  getCoverageDescription() {
+    const count = this.politicians.length;
+    const congresses = this.politicians
+      .flatMap(politician => [politician.first_congress, politician.last_congress])
+      .filter(congress => Number.isInteger(congress));
+
+    if (congresses.length === 0) {
+      return `Searching ${count} members of Congress (House & Senate)`;
+    }
+
+    const first = Math.min(...congresses);
+    const last = Math.max(...congresses);
+    const range = first === last
+      ? `the ${this.getOrdinal(last)} Congress`
+      : `the ${this.getOrdinal(first)}–${this.getOrdinal(last)} Congresses`;
+
+    return `Searching ${count} members of ${range} (House & Senate)`;
+  }
+
+  getOrdinal(number) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = [11, 12, 13].includes(number % 100) ? 'th' : (suffixes[number % 10] || 'th');
+    return `${number}${suffix}`;
+  }
+
   createResultElement(politician, index) {
     const resultElement = document.createElement('button');
     resultElement.className = 'politician-result';
@@ -0,0 +1,53 @@
+// Sortable Table Web Component
+// Wraps a server-rendered <table>. Column headers become sort buttons;
+// cells sort by their data-sort-value, falling back to their text.
+
+class SortableTable extends HTMLElement {
+  connectedCallback() {
+    this.table = this.querySelector('table');
+    if (!this.table || !this.table.tHead || !this.table.tBodies[0]) return;
+
+    this.headers = Array.from(this.table.tHead.rows[0].cells);
+    this.headers.forEach((header, index) => {
+      if (header.hasAttribute('data-no-sort')) return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'sortable-table__button';
+      button.append(...header.childNodes);
+      button.addEventListener('click', () => this.sortBy(index));
+      header.appendChild(button);
+    });
+  }
+
+  sortBy(index) {
+    const header = this.headers[index];
+    // Numbers start highest first, text A to Z; a second click reverses
+    const current = header.getAttribute('aria-sort');
+    const numeric = header.hasAttribute('data-numeric');
+    const ascending = current ? current === 'descending' : !numeric;
+
+    const body = this.table.tBodies[0];
+    const value = (row) => {
+      const cell = row.cells[index];
+      const raw = cell.dataset.sortValue ?? cell.textContent.trim();
+      return numeric ? parseFloat(raw) || 0 : raw.toLowerCase();
+    };
+
+    const rows = Array.from(body.rows).sort((a, b) => {
+      const [first, second] = [value(a), value(b)];
+      const order = first < second ? -1 : (first > second ? 1 : 0);
+      return ascending ? order : -order;
+    });
+    body.append(...rows);
+
+    this.headers.forEach(other => other.removeAttribute('aria-sort'));
+    header.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+
+    if (window.utils) {
+      window.utils.announce(`Sorted by ${header.textContent.trim()}, ${ascending ? 'ascending' : 'descending'}`);
+    }
+  }
+}
+
+customElements.define('sortable-table', SortableTable);
@@ -1,118 +1,30 @@
 // Database module for caching politician data and analysis results
 const Database = require('better-sqlite3');
 const path = require('path');
+const Migrator = require('../../scripts/migrate');
+const TopicResolver = require('../../scripts/topic-resolver');
+const { getDatabasePath, DEMO_DB_PATH } = require('../../scripts/data-paths');
+const { stamp, isSynthetic, SOURCE_TYPES } = require('../../scripts/provenance');
 
 class PoliticianDatabase {
-  constructor(dbPath = './data/politicians.db') {
+  constructor(dbPath = getDatabasePath()) {
     this.db = new Database(dbPath);
-    this.initializeTables();
+    this.isDemo = path.resolve(dbPath) === DEMO_DB_PATH;
+    Migrator.migrate(this.db);
+    this.topicResolver = new TopicResolver(this.db);
+    this.insertDefaultNewsSources();
   }
 
-  initializeTables() {
-    // Politicians table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS politicians (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        party TEXT NOT NULL,
-        state TEXT NOT NULL,
-        chamber TEXT NOT NULL,
-        district TEXT,
-        title TEXT NOT NULL,
-        first_elected INTEGER,
-        website TEXT,
-        bio_data TEXT,
-        last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Policy positions table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS policy_positions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        politician_id TEXT NOT NULL,
-        category TEXT NOT NULL,
-        stated_position TEXT NOT NULL,
-        alignment_score INTEGER,
-        last_analyzed DATETIME DEFAULT CURRENT_TIMESTAMP,
-        source_url TEXT,
-        FOREIGN KEY (politician_id) REFERENCES politicians (id)
-      )
-    `);
-
-    // Public statements table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS public_statements (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        politician_id TEXT NOT NULL,
-        policy_category TEXT NOT NULL,
-        statement_text TEXT NOT NULL,
-        source TEXT NOT NULL,
-        source_url TEXT,
-        statement_date DATE NOT NULL,
-        credibility_score INTEGER DEFAULT 50,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (politician_id) REFERENCES politicians (id)
-      )
-    `);
-
-    // Voting records table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS voting_records (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        politician_id TEXT NOT NULL,
-        bill_name TEXT NOT NULL,
-        bill_id TEXT,
-        vote_decision TEXT NOT NULL,
-        vote_date DATE NOT NULL,
-        policy_category TEXT,
-        description TEXT,
-        source_url TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (politician_id) REFERENCES politicians (id)
-      )
-    `);
-
-    // News sources configuration table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS news_sources (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        domain TEXT UNIQUE NOT NULL,
-        credibility_rating INTEGER DEFAULT 50,
-        is_enabled BOOLEAN DEFAULT 1,
-        api_key TEXT,
-        last_scraped DATETIME,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Analysis cache table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS analysis_cache (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        politician_id TEXT NOT NULL,
-        analysis_type TEXT NOT NULL,
-        analysis_data TEXT NOT NULL,
-        expires_at DATETIME NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (politician_id) REFERENCES politicians (id)
-      )
-    `);
-
-    // Create indexes for better performance
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_politicians_name ON politicians (name);
-      CREATE INDEX IF NOT EXISTS idx_politicians_state ON politicians (state);
-      CREATE INDEX IF NOT EXISTS idx_policy_positions_politician ON policy_positions (politician_id);
-      CREATE INDEX IF NOT EXISTS idx_statements_politician ON public_statements (politician_id);
-      CREATE INDEX IF NOT EXISTS idx_voting_records_politician ON voting_records (politician_id);
-      CREATE INDEX IF NOT EXISTS idx_analysis_cache_politician ON analysis_cache (politician_id);
-    `);
-
-    // Insert default news sources
-    this.insertDefaultNewsSources();
+  /**
+   * Provenance for a record entered through this class: hand-entered unless
+   * the record says otherwise. Synthetic records only go in the demo database.
+   */
+  getProvenance(record) {
+    const provenance = stamp(record.source_type || SOURCE_TYPES.MANUAL, record.method || 'manual-entry', record.source_url);
+    if (isSynthetic(provenance.source_type) && !this.isDemo) {
+      throw new Error(`Refusing to write ${provenance.source_type} data outside the demo database (${DEMO_DB_PATH})`);
+    }
+    return provenance;
   }
 
   insertDefaultNewsSources() {
@@ -191,27 +103,67 @@ class PoliticianDatabase {
   }
 
   // Policy position methods
+  // Positions are keyed to canonical topics; the topic may be given as a
+  // canonical name, display name, alias or legacy category ("Climate Change")
   insertPolicyPosition(position) {
+    const topicName = position.topic || position.category;
+    const topic = this.topicResolver.resolve(topicName);
+    if (!topic) {
+      throw new Error(`Unknown policy topic: ${topicName}`);
+    }
+
+    const provenance = this.getProvenance(position);
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO policy_positions 
-      (politician_id, category, stated_position, alignment_score, source_url, last_analyzed)
-      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO politician_positions 
+      (politician_id, topic_id, position_summary, position_details, is_key_issue, source_url, source_section,
+       confidence_score, stance, strength, source_type, retrieved_at, method, last_updated)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (politician_id, topic_id) DO UPDATE SET
+        position_summary = excluded.position_summary,
+        position_details = excluded.position_details,
+        is_key_issue = excluded.is_key_issue,
+        source_url = excluded.source_url,
+        source_section = excluded.source_section,
+        confidence_score = excluded.confidence_score,
+        stance = excluded.stance,
+        strength = excluded.strength,
+        source_type = excluded.source_type,
+        retrieved_at = excluded.retrieved_at,
+        method = excluded.method,
+        last_updated = CURRENT_TIMESTAMP
     `);
 
     return stmt.run(
       position.politician_id,
-      position.category,
-      position.stated_position,
-      position.alignment_score,
-      position.source_url
+      topic.id,
+      position.position_summary || position.stated_position,
+      position.position_details || null,
+      position.is_key_issue ? 1 : 0,
+      provenance.source_url,
+      position.source_section || null,
+      position.confidence_score !== undefined ? position.confidence_score : 0.5,
+      position.stance || 'neutral',
+      position.strength || 'moderate',
+      provenance.source_type,
+      provenance.retrieved_at,
+      provenance.method
     );
   }
 
   getPolicyPositions(politicianId) {
     const stmt = this.db.prepare(`
-      SELECT * FROM policy_positions 
-      WHERE politician_id = ? 
-      ORDER BY category
+      SELECT 
+        pp.*,
+        pt.canonical_name AS topic,
+        pt.display_name AS topic_name,
+        pva.consistency_score,
+        pva.total_votes AS consistency_votes
+      FROM politician_positions pp
+      JOIN policy_topics pt ON pp.topic_id = pt.id
+      LEFT JOIN position_vote_analysis pva 
+        ON pva.politician_id = pp.politician_id AND pva.topic_id = pp.topic_id
+      WHERE pp.politician_id = ? 
+      ORDER BY pp.is_key_issue DESC, pt.display_name
     `);
     
     return stmt.all(politicianId);
@@ -219,10 +171,12 @@ class PoliticianDatabase {
 
   // Public statement methods
   insertPublicStatement(statement) {
+    const provenance = this.getProvenance(statement);
     const stmt = this.db.prepare(`
       INSERT INTO public_statements 
-      (politician_id, policy_category, statement_text, source, source_url, statement_date, credibility_score)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      (politician_id, policy_category, statement_text, source, source_url, statement_date, credibility_score,
+       source_type, retrieved_at, method)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     return stmt.run(
@@ -230,9 +184,12 @@ class PoliticianDatabase {
       statement.policy_category,
       statement.statement_text,
       statement.source,
-      statement.source_url,
+      provenance.source_url,
       statement.statement_date,
-      statement.credibility_score || 50
+      statement.credibility_score || 50,
+      provenance.source_type,
+      provenance.retrieved_at,
+      provenance.method
     );
   }
 
@@ -256,10 +213,12 @@ class PoliticianDatabase {
 
   // Voting record methods
   insertVotingRecord(vote) {
+    const provenance = this.getProvenance(vote);
     const stmt = this.db.prepare(`
       INSERT OR REPLACE INTO voting_records 
-      (politician_id, bill_name, bill_id, vote_decision, vote_date, policy_category, description, source_url)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      (politician_id, bill_name, bill_id, vote_decision, vote_date, policy_category, description, source_url,
+       source_type, retrieved_at, method)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     return stmt.run(
@@ -270,7 +229,10 @@ class PoliticianDatabase {
       vote.vote_date,
       vote.policy_category,
       vote.description,
-      vote.source_url
+      provenance.source_url,
+      provenance.source_type,
+      provenance.retrieved_at,
+      provenance.method
     );
   }
 
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AlignmentEngine = require('../scripts/alignment-engine');
+const { memoryDb } = require('./helpers');
+
+const EARLIER = '2024-01-01 00:00:00';
+const LAST_RUN = '2024-06-01 00:00:00';
+
+/**
+ * Three House members and a few roll calls, all recorded at EARLIER
+ * @param {Object} positions - { voteId: { politicianId: position } }
+ */
+function seed(db, positions) {
+  const addPolitician = db.prepare(`
+    INSERT INTO politicians (id, name, party, state, chamber, title) VALUES (?, ?, ?, 'CA', 'House', 'Representative')
+  `);
+  addPolitician.run('a', 'Member A', 'Democrat');
+  addPolitician.run('b', 'Member B', 'Democrat');
+  addPolitician.run('c', 'Member C', 'Republican');
+
+  const addVote = db.prepare(`
+    INSERT INTO votes (id, congress, chamber, session, roll_call_number, created_at, updated_at)
+    VALUES (?, 118, 'House', 1, ?, ?, ?)
+  `);
+  const addPosition = db.prepare(`
+    INSERT INTO politician_votes (vote_id, politician_id, position, created_at) VALUES (?, ?, ?, ?)
+  `);
+  Object.entries(positions).forEach(([voteId, cast], index) => {
+    addVote.run(voteId, index + 1, EARLIER, EARLIER);
+    Object.entries(cast).forEach(([politicianId, position]) => addPosition.run(voteId, politicianId, position, EARLIER));
+  });
+}
+
+test('a full run counts shared votes and agreement for each pair', () => {
+  const db = memoryDb();
+  seed(db, {
+    'v1': { a: 'Yea', b: 'Yea', c: 'Nay' },
+    'v2': { a: 'Nay', b: 'Yea', c: 'Nay' },
+    'v3': { a: 'Yea', b: 'Not Voting', c: 'Present' }
+  });
+  const engine = new AlignmentEngine({ db });
+
+  const result = engine.updateVotingAlignment();
+  assert.strictEqual(result.full, true);
+  assert.strictEqual(result.pairs, 3);
+
+  const ab = engine.getVotingAlignment('b', 'a');
+  assert.strictEqual(ab.total_shared_votes, 2);
+  assert.strictEqual(ab.agreement_count, 1);
+  assert.strictEqual(ab.agreement_rate, 50);
+
+  const ac = engine.getVotingAlignment('a', 'c');
+  assert.strictEqual(ac.total_shared_votes, 2);
+  assert.strictEqual(ac.agreement_count, 1);
+
+  const bc = engine.getVotingAlignment('b', 'c');
+  assert.strictEqual(bc.agreement_count, 0);
+  assert.strictEqual(bc.agreement_rate, 0);
+});
+
+test('an incremental run drops pairs that no longer share a vote', () => {
+  const db = memoryDb();
+  seed(db, {
+    'v1': { a: 'Yea', b: 'Yea' },
+    'v2': { a: 'Nay', c: 'Nay' }
+  });
+  const engine = new AlignmentEngine({ db });
+
+  engine.updateVotingAlignment();
+  assert.ok(engine.getVotingAlignment('a', 'b'));
+  db.prepare('UPDATE computation_checkpoints SET last_run_at = ? WHERE name = ?').run(LAST_RUN, 'voting_alignment');
+
+  // B's only vote is corrected to Not Voting, so A and B share nothing
+  db.prepare(`INSERT OR REPLACE INTO politician_votes (vote_id, politician_id, position) VALUES ('v1', 'b', 'Not Voting')`).run();
+
+  const result = engine.updateVotingAlignment();
+  assert.strictEqual(result.full, false);
+  assert.strictEqual(result.members, 1);
+  assert.strictEqual(engine.getVotingAlignment('a', 'b'), null);
+  assert.strictEqual(engine.getVotingAlignment('a', 'c').total_shared_votes, 1, 'pairs of unaffected members are kept');
+});
@@ -0,0 +1,31 @@
+/**
+ * Test helpers: a migrated in-memory database and a seeded random number
+ * generator for reproducible fixtures
+ */
+
+const Database = require('better-sqlite3');
+const Migrator = require('../scripts/migrate');
+
+/**
+ * A fresh in-memory database with the full schema
+ */
+function memoryDb() {
+  const db = new Database(':memory:');
+  Migrator.migrate(db);
+  return db;
+}
+
+/**
+ * Deterministic random numbers in [0, 1) (mulberry32)
+ */
+function seededRandom(seed) {
+  let state = seed | 0;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { memoryDb, seededRandom };
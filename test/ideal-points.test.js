@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const IdealPoints = require('../scripts/ideal-points');
+const { seededRandom } = require('./helpers');
+
+const MEMBERS = 60;
+
+/**
+ * Roll calls cast by members on a single left-right line, each with a random
+ * cutting point and polarity and a little noise
+ */
+function plantedMatrix(seed) {
+  const random = seededRandom(seed);
+  const truth = Array.from({ length: MEMBERS }, (_, i) => -1 + (2 * i) / (MEMBERS - 1));
+  const rollCalls = [];
+
+  for (let j = 0; rollCalls.length < 150; j++) {
+    const cut = -0.8 + 1.6 * random();
+    const polarity = random() < 0.5 ? 1 : -1;
+    const cast = truth.map((x, i) => [i, random() < 1 / (1 + Math.exp(-8 * polarity * (x - cut))) ? 1 : 0]);
+    const yeas = cast.filter(([, y]) => y === 1).length;
+    if (yeas > 2 && yeas < MEMBERS - 2) rollCalls.push({ id: `rc-${j}`, cast });
+  }
+
+  return {
+    truth,
+    matrix: { members: truth.map((_, i) => `member-${String(i).padStart(2, '0')}`), rollCalls }
+  };
+}
+
+function correlation(a, b) {
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const ma = mean(a);
+  const mb = mean(b);
+  let sab = 0;
+  let saa = 0;
+  let sbb = 0;
+  a.forEach((value, i) => {
+    sab += (value - ma) * (b[i] - mb);
+    saa += (value - ma) ** 2;
+    sbb += (b[i] - mb) ** 2;
+  });
+  return sab / Math.sqrt(saa * sbb);
+}
+
+function variance(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+}
+
+test('a planted one-dimensional ordering survives the two-dimensional fit', () => {
+  const { truth, matrix } = plantedMatrix(7);
+  const reference = MEMBERS - 1;
+  const fit = IdealPoints.estimate(matrix, { dimensions: 2, reference });
+  const first = fit.points.map(point => point.coords[0]);
+  const second = fit.points.map(point => point.coords[1]);
+
+  assert.ok(correlation(first, truth) > 0.95, `first dimension correlation ${correlation(first, truth)}`);
+  assert.ok(variance(first) > 2 * variance(second), 'the first dimension carries the most variance');
+  assert.ok(first[reference] > 0, 'the reference member is on the positive side');
+  assert.ok(first[0] < -0.5, `the leftmost member is far left (${first[0]})`);
+});
+
+test('the one- and two-dimensional fits agree on the first dimension', () => {
+  const { matrix } = plantedMatrix(11);
+  const one = IdealPoints.estimate(matrix, { dimensions: 1, reference: 0 }).points.map(point => point.coords[0]);
+  const two = IdealPoints.estimate(matrix, { dimensions: 2, reference: 0 }).points.map(point => point.coords[0]);
+
+  assert.ok(correlation(one, two) > 0.95, `correlation ${correlation(one, two)}`);
+});
+
+test('principal axes put the direction of most variance first', () => {
+  // Points along y = x, off-center, with a little spread either side of it
+  const points = [];
+  for (let i = 0; i < 25; i++) {
+    const along = (i - 12) / 10;
+    points.push([along + 0.05 + 3, along - 0.05 - 1], [along - 0.05 + 3, along + 0.05 - 1]);
+  }
+  const [first, second] = IdealPoints.principalAxes(points);
+
+  assert.ok(Math.abs(Math.abs(first[0]) - Math.SQRT1_2) < 1e-6);
+  assert.ok(Math.abs(first[0] - first[1]) < 1e-6, 'major axis runs along y = x');
+  assert.ok(Math.abs(first[0] * second[0] + first[1] * second[1]) < 1e-12, 'axes are orthogonal');
+});
+
+test('principal axes leave an axis-aligned cloud alone', () => {
+  const points = [];
+  for (let i = 0; i < 10; i++) points.push([i - 5, 0.1], [i - 5, -0.1]);
+  const [first] = IdealPoints.principalAxes(points);
+
+  assert.ok(Math.abs(Math.abs(first[0]) - 1) < 1e-9);
+});
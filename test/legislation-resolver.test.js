@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LegislationResolver = require('../scripts/legislation-resolver');
+const { memoryDb } = require('./helpers');
+
+const resolver = new LegislationResolver(memoryDb());
+
+test('Senate bills and amendments are read in their written forms', () => {
+  assert.deepStrictEqual(resolver.parseReferences('S. 47'), [{ type: 'S', number: 47 }]);
+  assert.deepStrictEqual(resolver.parseReferences('S 5'), [{ type: 'S', number: 5 }]);
+  assert.deepStrictEqual(resolver.parseReferences('S.Amdt. 12'), [{ type: 'SAMDT', number: 12 }]);
+  assert.deepStrictEqual(resolver.parseReferences('S.Con.Res. 3'), [{ type: 'SCONRES', number: 3 }]);
+});
+
+test('House forms with and without periods', () => {
+  assert.deepStrictEqual(resolver.parseReferences('H.R. 2882'), [{ type: 'HR', number: 2882 }]);
+  assert.deepStrictEqual(resolver.parseReferences('HRES 583'), [{ type: 'HRES', number: 583 }]);
+  assert.deepStrictEqual(resolver.parseReferences('H.J.Res. 12'), [{ type: 'HJRES', number: 12 }]);
+  assert.deepStrictEqual(resolver.parseReferences('HAMDT 246'), [{ type: 'HAMDT', number: 246 }]);
+});
+
+test('a capital S in prose is not a Senate bill', () => {
+  assert.deepStrictEqual(resolver.parseReferences('Mr. Smith of U.S. 2 amendment'), []);
+  assert.deepStrictEqual(resolver.parseReferences('Section S2 of the report'), []);
+});
+
+test('an amendment vote resolves to the amendment and the bill it amends', () => {
+  const references = resolver.parseReferences('On the Amendment (S.Amdt. 1234 to H.R. 4366)');
+  assert.deepStrictEqual(resolver.resolveReferences(references, 118), {
+    billId: '118-HR-4366',
+    amendmentId: '118-SAMDT-1234'
+  });
+});
@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const PolicyPositionCrawler = require('../scripts/policy-position-crawler');
+const StanceAnalyzer = require('../scripts/stance-analyzer');
+
+const SITE = 'https://example.house.gov';
+
+/**
+ * A crawler without a database, answering requests from a map of URL to
+ * { status, location }
+ */
+function createCrawler(responses = {}) {
+  const crawler = Object.create(PolicyPositionCrawler.prototype);
+  crawler.stanceAnalyzer = new StanceAnalyzer();
+  crawler.requested = [];
+  crawler.http = {
+    fetch: async (url) => {
+      crawler.requested.push(url);
+      const { status = 200, location = null } = responses[url] || { status: 404 };
+      return { status, headers: new Headers(location ? { location } : {}) };
+    }
+  };
+  return crawler;
+}
+
+/**
+ * A crawler whose sitemaps come from a map of URL to sitemap text
+ */
+function createSitemapCrawler(sitemaps) {
+  const crawler = createCrawler();
+  crawler.fetchSitemap = async (url) => {
+    crawler.requested.push(url);
+    if (!(url in sitemaps)) throw new Error('HTTP 404: Not Found');
+    return sitemaps[url];
+  };
+  return crawler;
+}
+
+function urlset(paths) {
+  return `<urlset>${paths.map(path => `<url><loc>${SITE}${path}</loc></url>`).join('')}</urlset>`;
+}
+
+function sitemapIndex(urls) {
+  return `<sitemapindex>${urls.map(url => `<sitemap><loc>${url}</loc></sitemap>`).join('')}</sitemapindex>`;
+}
+
+test('the charset comes from a byte order mark, then the header, then a meta tag', () => {
+  const crawler = createCrawler();
+  const page = (head) => Buffer.from(`<html><head>${head}</head><body>Issues</body></html>`, 'latin1');
+
+  const bom = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), page('<meta charset="windows-1252">')]);
+  assert.strictEqual(crawler.detectCharset(bom, 'text/html; charset=iso-8859-1'), 'utf-8');
+
+  const meta = page('<meta charset="windows-1252">');
+  assert.strictEqual(crawler.detectCharset(meta, 'text/html; charset="ISO-8859-1"'), 'iso-8859-1', 'the header wins over the page');
+  assert.strictEqual(crawler.detectCharset(meta, 'text/html'), 'windows-1252');
+  assert.strictEqual(
+    crawler.detectCharset(page('<meta http-equiv="Content-Type" content="text/html; charset=Shift_JIS">'), null),
+    'shift_jis'
+  );
+  assert.strictEqual(crawler.detectCharset(page('<meta charset="utf-16">'), null), 'utf-8', 'a page read as ASCII is not UTF-16');
+  assert.strictEqual(crawler.detectCharset(page(''), null), 'utf-8');
+});
+
+test('windows-1252 and latin1 pages decode their 0x80-0x9F bytes as windows-1252', () => {
+  const crawler = createCrawler();
+  const body = Buffer.from([0x93, 0x48, 0x65, 0x61, 0x6c, 0x74, 0x68, 0x94, 0x20, 0x80, 0x35, 0x20, 0xe9]);
+
+  assert.strictEqual(crawler.decodeText(body, 'text/html; charset=windows-1252'), '“Health” €5 é');
+  assert.strictEqual(crawler.decodeText(body, 'text/html; charset=iso-8859-1'), '“Health” €5 é');
+  assert.strictEqual(crawler.decodeText(Buffer.from('Café', 'utf8'), 'text/html; charset=no-such-charset'), 'Café');
+});
+
+test('gzip, deflate and br bodies are decompressed, in reverse order when stacked', () => {
+  const crawler = createCrawler();
+  const html = Buffer.from('<main>I support expanding Medicare.</main>');
+
+  assert.deepStrictEqual(crawler.decompress(zlib.gzipSync(html), 'gzip'), html);
+  assert.deepStrictEqual(crawler.decompress(zlib.gzipSync(html), 'x-gzip'), html);
+  assert.deepStrictEqual(crawler.decompress(zlib.deflateSync(html), 'deflate'), html);
+  assert.deepStrictEqual(crawler.decompress(zlib.deflateRawSync(html), 'deflate'), html, 'raw deflate without the zlib wrapper');
+  assert.deepStrictEqual(crawler.decompress(zlib.brotliCompressSync(html), 'br'), html);
+  assert.deepStrictEqual(crawler.decompress(zlib.brotliCompressSync(zlib.gzipSync(html)), 'gzip, br'), html);
+  assert.deepStrictEqual(crawler.decompress(html, 'identity'), html);
+  assert.throws(() => crawler.decompress(html, 'compress'), /Unsupported Content-Encoding "compress"/);
+});
+
+test('a truncated gzip body keeps what was received', () => {
+  const crawler = createCrawler();
+  const html = Buffer.from(`<main>${'I support expanding Medicare. '.repeat(200)}</main>`);
+  const gzipped = zlib.gzipSync(html);
+
+  const partial = crawler.decompress(gzipped.subarray(0, gzipped.length - 20), 'gzip');
+  assert.ok(partial.length > 0);
+  assert.ok(html.toString().startsWith(partial.toString()));
+});
+
+test('redirects resolve relative locations and only follow http(s)', () => {
+  const crawler = createCrawler();
+  const from = 'https://example.house.gov/issues/health';
+
+  assert.strictEqual(crawler.resolveRedirect(from, '/issues/health-care'), 'https://example.house.gov/issues/health-care');
+  assert.strictEqual(crawler.resolveRedirect(from, 'medicare'), 'https://example.house.gov/issues/medicare');
+  assert.strictEqual(crawler.resolveRedirect(from, '//www.example.gov/issues'), 'https://www.example.gov/issues');
+  assert.throws(() => crawler.resolveRedirect(from, 'http://[::1'), /Invalid redirect/);
+  assert.throws(() => crawler.resolveRedirect(from, 'ftp://example.house.gov/issues'), /Refusing redirect to ftp: URL/);
+  assert.throws(() => crawler.resolveRedirect(from, 'javascript:alert(1)'), /Refusing redirect to javascript: URL/);
+});
+
+test('each redirect hop is checked before it is requested', async () => {
+  const crawler = createCrawler({
+    'https://example.house.gov/issues': { status: 301, location: '/issues/' },
+    'https://example.house.gov/issues/': { status: 302, location: 'https://www.example.house.gov/issues/' },
+    'https://www.example.house.gov/issues/': { status: 200 }
+  });
+  const hops = [];
+
+  const response = await crawler.fetchFollowingRedirects('https://example.house.gov/issues', {}, async (url) => { hops.push(url); });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(hops, [
+    'https://example.house.gov/issues',
+    'https://example.house.gov/issues/',
+    'https://www.example.house.gov/issues/'
+  ]);
+  assert.deepStrictEqual(crawler.requested, hops);
+});
+
+test('a redirect loop stops after MAX_REDIRECTS hops', async () => {
+  const crawler = createCrawler({
+    'https://example.house.gov/a': { status: 302, location: '/b' },
+    'https://example.house.gov/b': { status: 302, location: '/a' }
+  });
+
+  await assert.rejects(
+    crawler.fetchFollowingRedirects('https://example.house.gov/a', {}),
+    /Too many redirects \(more than 5\) from https:\/\/example\.house\.gov\/a/
+  );
+  assert.strictEqual(crawler.requested.length, 6);
+});
+
+test('sitemap indexes are followed, issue sitemaps first and other hosts never', async () => {
+  const crawler = createSitemapCrawler({
+    [`${SITE}/sitemap.xml`]: sitemapIndex([
+      `${SITE}/sitemap-news.xml`,
+      'https://cdn.example.com/sitemap-issues.xml',
+      `${SITE}/sitemap-more.xml`,
+      `${SITE}/sitemap-issues.xml`
+    ]),
+    [`${SITE}/sitemap-issues.xml`]: urlset(['/issues/health-care', '/issues/health-care#top', '/about']),
+    [`${SITE}/sitemap-more.xml`]: sitemapIndex([`${SITE}/sitemap-legislation.xml`]),
+    [`${SITE}/sitemap-legislation.xml`]: urlset(['/legislation/climate']),
+    [`${SITE}/sitemap-news.xml`]: urlset(['/news/2024/03/health-care-town-hall'])
+  });
+
+  const pages = await crawler.discoverSitemapPages(SITE);
+  assert.deepStrictEqual(crawler.requested, [
+    `${SITE}/sitemap.xml`,
+    `${SITE}/sitemap-issues.xml`,
+    `${SITE}/sitemap-more.xml`,
+    `${SITE}/sitemap-news.xml`,
+    `${SITE}/sitemap-legislation.xml`
+  ]);
+  assert.deepStrictEqual(
+    pages.map(({ url, topic, source }) => ({ url, topic, source })),
+    [
+      { url: `${SITE}/issues/health-care`, topic: 'healthcare', source: 'sitemap' },
+      { url: `${SITE}/legislation/climate`, topic: 'environment', source: 'sitemap' }
+    ]
+  );
+});
+
+test('sitemap reading stops once MAX_SITEMAP_URLS page URLs have been seen', async () => {
+  // MAX_SITEMAP_URLS is 5000: the issue page listed after them is never scored
+  const filler = Array.from({ length: 5000 }, (_, i) => `/about/staff-${i}`);
+  const crawler = createSitemapCrawler({
+    [`${SITE}/sitemap.xml`]: sitemapIndex([`${SITE}/sitemap-pages.xml`, `${SITE}/sitemap-issues.xml`]),
+    [`${SITE}/sitemap-pages.xml`]: urlset([...filler, '/issues/taxes']),
+    [`${SITE}/sitemap-issues.xml`]: urlset(['/issues/health-care'])
+  });
+
+  assert.deepStrictEqual(await crawler.discoverSitemapPages(SITE), []);
+  assert.deepStrictEqual(crawler.requested, [`${SITE}/sitemap.xml`, `${SITE}/sitemap-pages.xml`]);
+});
+
+test('robots.txt Sitemap lines replace /sitemap.xml', async () => {
+  const crawler = createSitemapCrawler({
+    [`${SITE}/custom-sitemap.xml`]: urlset(['/issues/immigration'])
+  });
+  const robots = { sitemaps: [`${SITE}/custom-sitemap.xml`, 'https://other.gov/sitemap.xml'], isAllowed: () => true };
+
+  const pages = await crawler.discoverSitemapPages(SITE, robots);
+  assert.deepStrictEqual(crawler.requested, [`${SITE}/custom-sitemap.xml`]);
+  assert.deepStrictEqual(pages.map(page => page.topic), ['immigration']);
+});
+
+test('issue landing pages outscore articles and archives', () => {
+  const crawler = createCrawler();
+  const score = (path, linkText) => crawler.scorePolicyPage(path, linkText).score;
+
+  assert.deepStrictEqual(crawler.scorePolicyPage('/issues/health-care'), { topic: 'healthcare', score: 6 });
+  assert.ok(score('/issues/health-care/2024/medicare-remarks-at-the-hearing') < score('/issues/health-care'));
+  assert.strictEqual(score('/news/2024/03/health-care-town-hall'), 0);
+  assert.strictEqual(score('/about'), 0);
+  assert.strictEqual(score('/contact', 'housing'), 3, 'link text can name the topic');
+});
+
+test('URL keywords match whole words only', () => {
+  const crawler = createCrawler();
+
+  assert.strictEqual(crawler.detectTopicFromUrl('/vacation-schedule', ''), null, '"aca" is not read inside "vacation"');
+  assert.strictEqual(crawler.detectTopicFromUrl('/issues/aca', ''), 'healthcare');
+  assert.strictEqual(crawler.detectTopicFromUrl('/issues/social-security', ''), 'social_security');
+  assert.strictEqual(crawler.detectTopicFromUrl('/issues/national-security', ''), 'defense');
+  assert.strictEqual(crawler.detectTopicFromUrl('/issues/veterans', ''), 'defense', 'a trailing plural s is allowed');
+  assert.strictEqual(crawler.detectTopicFromUrl('/issues', 'Trade and Jobs'), 'economy');
+  assert.strictEqual(crawler.detectTopicFromUrl('/protecting-our-students', ''), 'education');
+  assert.strictEqual(crawler.detectTopicFromUrl('/attacks', ''), null, '"tax" is not read inside "attacks"');
+});
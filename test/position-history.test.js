@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PositionHistory = require('../scripts/position-history');
+const { memoryDb } = require('./helpers');
+
+function createHistory() {
+  const db = memoryDb();
+  db.prepare(`
+    INSERT INTO politicians (id, name, party, state, chamber, title) VALUES ('a', 'Member A', 'Democrat', 'CA', 'House', 'Representative')
+  `).run();
+  const topicId = db.prepare("SELECT id FROM policy_topics WHERE canonical_name = 'healthcare'").pluck().get();
+  return { history: new PositionHistory({ db }), topicId };
+}
+
+test('a repeated position extends its version and a changed one adds a version', () => {
+  const { history, topicId } = createHistory();
+  const support = { stance: 'support', position_summary: 'Supports expanding Medicare.' };
+
+  const first = history.record('a', topicId, support, '2024-01-01 00:00:00');
+  assert.strictEqual(first.version, 1);
+  assert.strictEqual(first.changed, false);
+
+  // Whitespace differences are not a new version
+  const repeat = history.record('a', topicId, { ...support, position_summary: ' Supports  expanding Medicare. ' }, '2024-02-01 00:00:00');
+  assert.strictEqual(repeat.version, 1);
+  assert.strictEqual(repeat.changed, false);
+
+  const change = history.record('a', topicId, { stance: 'oppose', position_summary: 'Opposes Medicare for All.' }, '2024-03-01 00:00:00');
+  assert.strictEqual(change.version, 2);
+  assert.strictEqual(change.changed, true);
+  assert.strictEqual(change.previous.stance, 'support');
+
+  const [supported, opposed] = history.getHistory('a', topicId);
+  assert.strictEqual(supported.first_seen_at, '2024-01-01 00:00:00');
+  assert.strictEqual(supported.last_seen_at, '2024-02-01 00:00:00');
+  assert.strictEqual(opposed.first_seen_at, '2024-03-01 00:00:00');
+});
+
+test('positions are stamped with the build clock by default', (t) => {
+  const { history, topicId } = createHistory();
+  const epoch = process.env.SOURCE_DATE_EPOCH;
+  process.env.SOURCE_DATE_EPOCH = String(Date.UTC(2024, 4, 6, 7, 8, 9) / 1000);
+  t.after(() => {
+    if (epoch === undefined) delete process.env.SOURCE_DATE_EPOCH;
+    else process.env.SOURCE_DATE_EPOCH = epoch;
+  });
+
+  history.record('a', topicId, { stance: 'support', position_summary: 'Supports expanding Medicare.' });
+  assert.strictEqual(history.getLatest('a', topicId).first_seen_at, '2024-05-06 07:08:09');
+});
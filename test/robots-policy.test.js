@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RobotsPolicy = require('../scripts/robots-policy');
+
+const SITE = 'https://example.senate.gov';
+
+const ROBOTS = `
+# Crawlers in general
+User-agent: *
+Disallow: /private/
+Crawl-delay: 2
+
+User-agent: OtherBot
+User-agent: TruthInPolitics/1.0
+Disallow: /drafts/
+Crawl-delay: 5 # seconds
+
+User-agent: truthinpolitics
+Disallow: /issues/archive
+Allow: /issues/archive/current
+
+Sitemap: ${SITE}/sitemap.xml
+`;
+
+test('consecutive user-agent lines share a group and all of our groups apply', () => {
+  const policy = RobotsPolicy.parse(ROBOTS, 'TruthInPolitics');
+
+  assert.deepStrictEqual(
+    policy.rules.map(({ allow, pattern }) => ({ allow, pattern })),
+    [
+      { allow: false, pattern: '/drafts/' },
+      { allow: false, pattern: '/issues/archive' },
+      { allow: true, pattern: '/issues/archive/current' }
+    ]
+  );
+  assert.strictEqual(policy.crawlDelayMs, 5000, 'the longest delay among our groups');
+  assert.deepStrictEqual(policy.sitemaps, [`${SITE}/sitemap.xml`]);
+
+  // A group of our own replaces "*" rather than adding to it
+  assert.strictEqual(policy.isAllowed(`${SITE}/private/notes`), true);
+  assert.strictEqual(policy.isAllowed(`${SITE}/drafts/bill.html`), false);
+});
+
+test('other crawlers fall back to the "*" group', () => {
+  const policy = RobotsPolicy.parse(ROBOTS, 'SomeBot');
+
+  assert.strictEqual(policy.crawlDelaySeconds, 2);
+  assert.strictEqual(policy.isAllowed(`${SITE}/private/notes`), false);
+  assert.strictEqual(policy.isAllowed(`${SITE}/drafts/bill.html`), true);
+  assert.strictEqual(RobotsPolicy.parse('User-agent: OtherBot\nDisallow: /', 'SomeBot').isAllowed(`${SITE}/issues`), true);
+});
+
+test('the longest matching rule wins and Allow wins a tie', () => {
+  const policy = RobotsPolicy.parse(ROBOTS, 'TruthInPolitics');
+  assert.strictEqual(policy.isAllowed(`${SITE}/issues/archive/2019`), false);
+  assert.strictEqual(policy.isAllowed(`${SITE}/issues/archive/current/health`), true);
+  assert.strictEqual(policy.isAllowed(`${SITE}/issues/health`), true, 'no rule matches');
+
+  const tie = RobotsPolicy.parse('User-agent: *\nDisallow: /issues\nAllow: /issues', 'TruthInPolitics');
+  assert.strictEqual(tie.isAllowed(`${SITE}/issues/health`), true);
+
+  // An empty Disallow allows everything
+  assert.strictEqual(RobotsPolicy.parse('User-agent: *\nDisallow:', 'TruthInPolitics').isAllowed(`${SITE}/issues`), true);
+});
+
+test('patterns support wildcards, end anchors and percent-encoded paths', () => {
+  const policy = RobotsPolicy.parse([
+    'User-agent: *',
+    'Disallow: /*.pdf$',
+    'Disallow: /*?print=',
+    'Disallow: /~staff/'
+  ].join('\n'), 'TruthInPolitics');
+
+  assert.strictEqual(policy.isAllowed(`${SITE}/files/plan.pdf`), false);
+  assert.strictEqual(policy.isAllowed(`${SITE}/files/plan.pdf.html`), true);
+  assert.strictEqual(policy.isAllowed(`${SITE}/issues?print=1`), false);
+  assert.strictEqual(policy.isAllowed(`${SITE}/%7Estaff/notes`), false);
+});
+
+test('an unreadable robots.txt blocks everything but robots.txt itself', () => {
+  const blocked = RobotsPolicy.disallowAll('robots.txt returned 503');
+
+  assert.strictEqual(blocked.isAllowed(`${SITE}/issues`), false);
+  assert.strictEqual(blocked.isAllowed(`${SITE}/robots.txt`), true);
+  assert.strictEqual(blocked.blockedReason, 'robots.txt returned 503');
+  assert.strictEqual(RobotsPolicy.allowAll().isAllowed(`${SITE}/private/notes`), true);
+});
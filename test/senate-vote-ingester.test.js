@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SenateVoteIngester = require('../scripts/senate-vote-ingester');
+const VotingRecordsFetcher = require('../scripts/voting-records-fetcher');
+const LegislationResolver = require('../scripts/legislation-resolver');
+const MemberMatcher = require('../scripts/member-matcher');
+const PoliticianIdentifiers = require('../scripts/politician-identifiers');
+const { memoryDb } = require('./helpers');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'senate');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * An ingester reading the fixture XML, with two Washington senators on
+ * file: Cantwell by LIS id, Murray by name only
+ */
+function createIngester() {
+  const db = memoryDb();
+  const addSenator = db.prepare(`
+    INSERT INTO politicians (id, name, party, state, chamber, title) VALUES (?, ?, 'Democrat', 'WA', 'Senate', 'Senator')
+  `);
+  addSenator.run('maria-cantwell', 'Maria Cantwell');
+  addSenator.run('patty-murray', 'Patty Murray');
+  new PoliticianIdentifiers(db).record('maria-cantwell', { lis: 'S275' }, 'test');
+
+  // The fetcher's own helpers, without its database and API key checks
+  const fetcher = Object.assign(Object.create(VotingRecordsFetcher.prototype), {
+    db,
+    resolver: new LegislationResolver(db),
+    matcher: new MemberMatcher(db),
+    newVotesProcessed: 0,
+    newMemberVotesProcessed: 0,
+    skippedVotes: 0
+  });
+  return { db, ingester: new SenateVoteIngester(fetcher, { xmlDir: FIXTURES }) };
+}
+
+test('the vote menu gives each roll call number and its date', () => {
+  const { ingester } = createIngester();
+
+  const votes = ingester.parseVoteMenu(fixture('vote_menu_118_1.xml'));
+  assert.deepStrictEqual(
+    votes.map(({ voteNumber, date, question }) => ({ voteNumber, date, question })),
+    [
+      { voteNumber: 13, date: '2023-02-02', question: 'On Passage of the Bill' },
+      { voteNumber: 12, date: '2023-02-01', question: 'On the Amendment' }
+    ]
+  );
+});
+
+test('a roll call gives its date, totals, amendment and members', () => {
+  const { ingester } = createIngester();
+
+  const vote = ingester.parseRollCallVote(fixture('vote_118_1_00012.xml'));
+  assert.strictEqual(vote.voteNumber, 12);
+  assert.strictEqual(vote.date, '2023-02-01');
+  assert.strictEqual(vote.time, '02:31 PM');
+  assert.strictEqual(vote.question, 'On the Amendment S.Amdt. 12 to S. 47 (Rural Broadband Act)');
+  assert.strictEqual(vote.result, 'Amendment Rejected');
+  assert.strictEqual(vote.documentName, 'S. 47');
+  assert.strictEqual(vote.amendmentNumber, 'S.Amdt. 12');
+  assert.deepStrictEqual(vote.totals, { yes: 1, no: 1, present: 0, notVoting: 1 });
+  assert.deepStrictEqual(vote.members[0], {
+    lisMemberId: 'S275',
+    firstName: 'Maria',
+    lastName: 'Ames',
+    party: 'D',
+    state: 'WA',
+    voteCast: 'Yea'
+  });
+});
+
+test('senators are matched by LIS id first, then by name and state', async () => {
+  const { db, ingester } = createIngester();
+
+  // Vote 13 is after the end date, so only vote 12 is loaded
+  const stored = await ingester.ingestCongress(118, { endDate: '2023-02-01' });
+  assert.strictEqual(stored, 1);
+
+  const vote = db.prepare("SELECT * FROM votes WHERE id = '118-senate-1-12'").get();
+  assert.strictEqual(vote.bill_id, '118-S-47');
+  assert.strictEqual(vote.amendment_id, '118-SAMDT-12');
+
+  // The roster gives Cantwell another surname, but her LIS id is on file
+  assert.deepStrictEqual(
+    db.prepare("SELECT politician_id, position FROM politician_votes WHERE vote_id = '118-senate-1-12' ORDER BY politician_id").all(),
+    [{ politician_id: 'maria-cantwell', position: 'Yes' }, { politician_id: 'patty-murray', position: 'No' }]
+  );
+
+  // A Murray from another state is not guessed at
+  const queued = db.prepare('SELECT position, status FROM member_match_reviews').all();
+  assert.strictEqual(queued.length, 1);
+  assert.strictEqual(queued[0].position, 'Not Voting');
+  assert.strictEqual(queued[0].status, 'unmatched');
+  assert.strictEqual(ingester.unmatchedMembers, 1);
+});
+
+test('senate vote casts are normalized to the House positions', () => {
+  const { ingester } = createIngester();
+
+  assert.deepStrictEqual(
+    ['Yea', 'Guilty', 'Nay', 'Not Guilty', 'Present, Giving Live Pair', 'Not Voting', 'Abstain'].map(cast => ingester.normalizeVoteCast(cast)),
+    ['Yes', 'Yes', 'No', 'No', 'Present', 'Not Voting', 'Abstain']
+  );
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SitemapReader = require('../scripts/sitemap-reader');
+
+test('a urlset lists pages with their lastmod and priority', () => {
+  const sitemap = SitemapReader.parse(`﻿<?xml version="1.0" encoding="UTF-8"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <url><loc> https://example.house.gov/issues/health-care </loc><lastmod>2024-03-01</lastmod><priority>0.8</priority></url>
+      <url><loc>https://example.house.gov/about</loc></url>
+      <url><lastmod>2024-01-01</lastmod></url>
+    </urlset>`);
+
+  assert.strictEqual(sitemap.type, 'urlset');
+  assert.deepStrictEqual(sitemap.entries, [
+    { loc: 'https://example.house.gov/issues/health-care', lastmod: '2024-03-01', priority: 0.8 },
+    { loc: 'https://example.house.gov/about', lastmod: null, priority: null }
+  ]);
+});
+
+test('a sitemap index lists further sitemaps', () => {
+  const sitemap = SitemapReader.parse(`<?xml version="1.0" encoding="UTF-8"?>
+    <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+      <sitemap><loc>https://example.house.gov/sitemap-issues.xml</loc><lastmod>2024-03-01</lastmod></sitemap>
+      <sitemap><loc>https://example.house.gov/sitemap-news.xml</loc></sitemap>
+    </sitemapindex>`);
+
+  assert.strictEqual(sitemap.type, 'sitemapindex');
+  assert.deepStrictEqual(sitemap.entries.map(entry => entry.loc), [
+    'https://example.house.gov/sitemap-issues.xml',
+    'https://example.house.gov/sitemap-news.xml'
+  ]);
+});
+
+test('a plain-text sitemap lists one URL per line', () => {
+  const sitemap = SitemapReader.parse('https://example.house.gov/issues\n\n  http://example.house.gov/about\nnot a url\n');
+
+  assert.strictEqual(sitemap.type, 'urlset');
+  assert.deepStrictEqual(sitemap.entries.map(entry => entry.loc), [
+    'https://example.house.gov/issues',
+    'http://example.house.gov/about'
+  ]);
+  assert.deepStrictEqual(SitemapReader.parse('').entries, []);
+});
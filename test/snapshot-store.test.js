@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SnapshotStore = require('../scripts/snapshot-store');
+const { memoryDb } = require('./helpers');
+
+const URL = 'https://example.house.gov/issues/health-care';
+
+function createStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  const store = new SnapshotStore({ db: memoryDb(), dir });
+  return { store, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+function fetchPage(store, text, fetchedAt, markup = '') {
+  return store.save({ politicianId: null, url: URL, html: `<main>${text}</main>${markup}`, text, fetchedAt });
+}
+
+test('text that changes back to an earlier version is a new revision', (t) => {
+  const { store, cleanup } = createStore();
+  t.after(cleanup);
+
+  assert.deepStrictEqual(
+    [fetchPage(store, 'I support A.', '2024-01-01 00:00:00'), fetchPage(store, 'I oppose A.', '2024-02-01 00:00:00'),
+      fetchPage(store, 'I support A.', '2024-03-01 00:00:00')].map(({ version, changed }) => ({ version, changed })),
+    [{ version: 1, changed: false }, { version: 2, changed: true }, { version: 3, changed: true }]
+  );
+
+  const versions = store.getVersions(URL);
+  assert.deepStrictEqual(versions.map(version => version.extracted_text), ['I support A.', 'I oppose A.', 'I support A.']);
+  assert.deepStrictEqual(versions.map(version => version.fetch_count), [1, 1, 1]);
+  assert.strictEqual(versions[0].last_fetched_at, '2024-01-01 00:00:00', 'the first revision was not seen again');
+});
+
+test('refetching the latest text only extends its revision', (t) => {
+  const { store, cleanup } = createStore();
+  t.after(cleanup);
+
+  fetchPage(store, 'I support A.', '2024-01-01 00:00:00');
+  fetchPage(store, 'I oppose A.', '2024-02-01 00:00:00');
+  const refetch = fetchPage(store, 'I oppose A.', '2024-03-01 00:00:00', '<script>token=2</script>');
+
+  assert.strictEqual(refetch.version, 2);
+  assert.strictEqual(refetch.changed, false);
+
+  const [first, second] = store.getVersions(URL);
+  assert.strictEqual(first.fetch_count, 1);
+  assert.strictEqual(second.fetch_count, 2);
+  assert.strictEqual(second.first_fetched_at, '2024-02-01 00:00:00');
+  assert.strictEqual(second.last_fetched_at, '2024-03-01 00:00:00');
+  assert.ok(store.load(refetch.contentHash).includes('token=2'), 'the new HTML is still archived');
+});
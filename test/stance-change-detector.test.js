@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StanceChangeDetector = require('../scripts/stance-change-detector');
+const PositionHistory = require('../scripts/position-history');
+const { memoryDb } = require('./helpers');
+
+function createDetector() {
+  const db = memoryDb();
+  db.prepare(`
+    INSERT INTO politicians (id, name, party, state, chamber, title) VALUES ('a', 'Member A', 'Democrat', 'CA', 'House', 'Representative')
+  `).run();
+  const topicId = db.prepare("SELECT id FROM policy_topics WHERE canonical_name = 'healthcare'").pluck().get();
+  return { db, topicId, detector: new StanceChangeDetector({ db }) };
+}
+
+/**
+ * Member A's votes on healthcare bills that expand the topic, by congress
+ * @param {Object} congresses - { congress: ['Yes' | 'No', ...] }
+ */
+function seedVotes(db, topicId, congresses) {
+  const addBill = db.prepare(`INSERT INTO bills (id, congress, bill_type, bill_number, title) VALUES (?, ?, 'hr', ?, ?)`);
+  const addVote = db.prepare(`
+    INSERT INTO votes (id, congress, chamber, session, roll_call_number, vote_date, bill_id) VALUES (?, ?, 'House', 1, ?, ?, ?)
+  `);
+
+  for (const [congress, positions] of Object.entries(congresses)) {
+    positions.forEach((position, index) => {
+      const id = `${congress}-${index + 1}`;
+      addBill.run(id, congress, index + 1, `Health Care Access Act ${id}`);
+      db.prepare('INSERT INTO bill_topics (bill_id, topic_id) VALUES (?, ?)').run(id, topicId);
+      addVote.run(id, congress, index + 1, `${1787 + 2 * congress}-03-0${index + 1}`, id);
+      db.prepare(`INSERT INTO vote_directions (vote_id, topic_id, direction) VALUES (?, ?, 'expand')`).run(id, topicId);
+      db.prepare(`INSERT INTO politician_votes (vote_id, politician_id, position) VALUES (?, 'a', ?)`).run(id, position);
+    });
+  }
+}
+
+test('a voting reversal needs enough votes and a clear majority in each congress', () => {
+  const { db, topicId, detector } = createDetector();
+  assert.strictEqual(StanceChangeDetector.MIN_VOTES, 3);
+  assert.strictEqual(StanceChangeDetector.DOMINANT_SHARE, 0.7);
+
+  seedVotes(db, topicId, {
+    117: ['Yes', 'Yes', 'Yes'], // all expanding: support
+    118: ['Yes', 'Yes', 'No', 'No'], // mixed: skipped
+    119: ['No', 'No'], // too few: skipped
+    120: ['No', 'No', 'No', 'Yes'] // 75% restricting: oppose
+  });
+
+  const changes = detector.detectVotingChanges();
+  assert.strictEqual(changes.length, 1);
+
+  const [change] = changes;
+  assert.strictEqual(change.before_stance, 'support');
+  assert.strictEqual(change.after_stance, 'oppose');
+  assert.strictEqual(change.before_congress, 117);
+  assert.strictEqual(change.after_congress, 120);
+  assert.strictEqual(change.before_evidence.votes_counted, 3);
+  assert.deepStrictEqual(
+    [change.after_evidence.expanding, change.after_evidence.restricting],
+    [1, 3]
+  );
+});
+
+test('a congress just short of a clear majority is not a stance', () => {
+  const { db, topicId, detector } = createDetector();
+
+  // 70% restricting is not more than DOMINANT_SHARE
+  seedVotes(db, topicId, {
+    117: ['Yes', 'Yes', 'Yes'],
+    118: ['No', 'No', 'No', 'No', 'No', 'No', 'No', 'Yes', 'Yes', 'Yes']
+  });
+
+  assert.deepStrictEqual(detector.detectVotingChanges(), []);
+});
+
+test('stated reversals skip neutral versions and keep the provenance of the version', () => {
+  const { db, topicId, detector } = createDetector();
+  const history = new PositionHistory({ db });
+
+  history.record('a', topicId, { stance: 'support', position_summary: 'Supports Medicare for All.', source_type: 'demo' }, '2024-01-01 00:00:00');
+  history.record('a', topicId, { stance: 'neutral', position_summary: 'Reviewing health care options.', source_type: 'demo' }, '2024-02-01 00:00:00');
+  history.record('a', topicId, { stance: 'oppose', position_summary: 'Opposes Medicare for All.', source_type: 'demo' }, '2024-03-01 00:00:00');
+
+  // No politician_positions row: provenance comes from position_history itself
+  const changes = detector.detectStatedChanges();
+  assert.strictEqual(changes.length, 1);
+  assert.strictEqual(changes[0].before_stance, 'support');
+  assert.strictEqual(changes[0].after_stance, 'oppose');
+  assert.strictEqual(changes[0].before_date, '2024-01-01 00:00:00');
+  assert.strictEqual(changes[0].after_date, '2024-03-01 00:00:00');
+  assert.strictEqual(changes[0].synthetic, true);
+
+  detector.detectAll();
+  assert.strictEqual(db.prepare("SELECT source_type FROM stance_changes WHERE kind = 'stated'").pluck().get(), 'demo');
+});